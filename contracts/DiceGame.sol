@@ -16,21 +16,50 @@ contract DiceGame is Ownable, ReentrancyGuard {
 
     bytes32 internal immutable keyHash;
     uint64 internal immutable subscriptionId;
+    // Callback gas for one roll; a batch requests this much per roll
     uint32 internal constant callbackGasLimit = 100000;
-    uint32 internal constant numWords = 1;
 
     // Game constants
     uint256 public MIN_BET = 0.001 ether;
     uint256 public MAX_BET = 10 ether;
     uint256 public constant HOUSE_EDGE = 3; // 3%
     uint256 public constant DICE_SIDES = 100;
+    uint256 public constant MAX_BATCH_ROLLS = 10;
+    // Largest worst-case payout of a bet or batch, in percent of the free bankroll
+    uint256 public maxPayoutPercent = 5;
+    // How long a batch waits for its random words before it can be refunded
+    uint256 public vrfTimeout = 1 hours;
+    uint256 public constant MIN_VRF_TIMEOUT = 10 minutes;
+    uint256 public constant MAX_VRF_TIMEOUT = 7 days;
+
+    /**
+     * @dev How a bet's parameters `a` and `b` pick the winning rolls:
+     * RollUnder wins on roll <= a, RollOver on roll > a, Range on a <= roll <= b
+     * and Exact on roll == a. `b` is only used by Range.
+     */
+    enum BetType {
+        RollUnder,
+        RollOver,
+        Range,
+        Exact
+    }
 
     struct Game {
         address player;
+        // Packed into the player's slot; winning rolls are [winLow, winHigh].
+        // A batch's rolls are consecutive games sharing one VRF request, and
+        // rollIndex picks the game's random word.
+        BetType betType;
+        uint8 winLow;
+        uint8 winHigh;
+        uint8 rolls;
+        uint8 rollIndex;
         uint256 betAmount;
         uint256 prediction;
         uint256 rollResult;
+        // A refunded game is completed without a roll and pays back its bet
         bool isCompleted;
+        bool isRefunded;
         uint256 timestamp;
         uint256 payout;
     }
@@ -39,18 +68,31 @@ contract DiceGame is Ownable, ReentrancyGuard {
     mapping(uint256 => uint256) public requestIdToGameId;
     mapping(uint256 => bool) public isValidRequestId;
     mapping(address => uint256[]) public playerGames;
+    // When randomness for a batch was last re-requested, by its first game ID
+    mapping(uint256 => uint256) public rerequestedAt;
 
-    uint256 public gameIdCounter;
+    // Packed into one slot, which every new game writes anyway. totalExposure
+    // is what every open game may still be owed: its payout if it wins, or its
+    // bet if it is refunded, whichever is larger.
+    uint128 public gameIdCounter;
+    uint128 public totalExposure;
 
     event GameStarted(
         uint256 indexed gameId,
         address indexed player,
         uint256 betAmount,
         uint256 prediction,
-        uint256 requestId
+        uint256 requestId,
+        BetType betType,
+        uint256 winLow,
+        uint256 winHigh
     );
     event GameCompleted(uint256 indexed gameId, address indexed player, uint256 rollResult, uint256 payout);
     event BetLimitsUpdated(uint256 newMinBet, uint256 newMaxBet);
+    event MaxPayoutPercentUpdated(uint256 newPercent);
+    event GameRefunded(uint256 indexed gameId, address indexed player, uint256 amount);
+    event RandomnessRerequested(uint256 indexed gameId, address indexed player, uint256 requestId);
+    event VrfTimeoutUpdated(uint256 newTimeout);
 
     /**
      * @dev Constructor to initialize the dice game contract
@@ -77,48 +119,195 @@ contract DiceGame is Ownable, ReentrancyGuard {
      * @param prediction The predicted dice roll (1-100)
      */
     function startGame(uint256 betAmount, uint256 prediction) external nonReentrant {
+        _startGame(betAmount, BetType.RollUnder, prediction, 0, 1);
+    }
+
+    /**
+     * @notice Start a new dice game, authorizing the bet with an EIP-2612 permit
+     * @dev The permit is tried rather than required: if someone front-runs it with
+     * the same signature the allowance is already in place and the game still starts.
+     * @param betAmount The amount to bet, which is also the permitted amount
+     * @param prediction The predicted dice roll (1-100)
+     * @param deadline The permit deadline
+     * @param v The permit signature v
+     * @param r The permit signature r
+     * @param s The permit signature s
+     */
+    function startGameWithPermit(
+        uint256 betAmount,
+        uint256 prediction,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        try gameToken.permit(msg.sender, address(this), betAmount, deadline, v, r, s) {} catch {}
+        _startGame(betAmount, BetType.RollUnder, prediction, 0, 1);
+    }
+
+    /**
+     * @notice Start a new dice game with any bet type
+     * @param betAmount The amount to bet
+     * @param betType The bet type
+     * @param a The prediction, threshold, lower range bound or exact number
+     * @param b The upper range bound for Range bets, ignored otherwise
+     */
+    function startBet(uint256 betAmount, BetType betType, uint256 a, uint256 b) external nonReentrant {
+        _startGame(betAmount, betType, a, b, 1);
+    }
+
+    /**
+     * @notice Start a new dice game with any bet type, authorizing the bet with an EIP-2612 permit
+     * @dev The permit is tried rather than required, as in startGameWithPermit.
+     * @param betAmount The amount to bet, which is also the permitted amount
+     * @param betType The bet type
+     * @param a The prediction, threshold, lower range bound or exact number
+     * @param b The upper range bound for Range bets, ignored otherwise
+     * @param deadline The permit deadline
+     * @param v The permit signature v
+     * @param r The permit signature r
+     * @param s The permit signature s
+     */
+    function startBetWithPermit(
+        uint256 betAmount,
+        BetType betType,
+        uint256 a,
+        uint256 b,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        try gameToken.permit(msg.sender, address(this), betAmount, deadline, v, r, s) {} catch {}
+        _startGame(betAmount, betType, a, b, 1);
+    }
+
+    /**
+     * @notice Roll the same roll-under bet several times with one VRF request
+     * @param betAmount The amount to bet on each roll
+     * @param prediction The predicted dice roll (1-100)
+     * @param rolls The number of rolls (1-MAX_BATCH_ROLLS)
+     */
+    function startBatch(uint256 betAmount, uint256 prediction, uint256 rolls) external nonReentrant {
+        _startGame(betAmount, BetType.RollUnder, prediction, 0, rolls);
+    }
+
+    /**
+     * @notice Roll the same bet of any type several times with one VRF request
+     * @param betAmount The amount to bet on each roll
+     * @param betType The bet type
+     * @param a The prediction, threshold, lower range bound or exact number
+     * @param b The upper range bound for Range bets, ignored otherwise
+     * @param rolls The number of rolls (1-MAX_BATCH_ROLLS)
+     */
+    function startBetBatch(
+        uint256 betAmount,
+        BetType betType,
+        uint256 a,
+        uint256 b,
+        uint256 rolls
+    ) external nonReentrant {
+        _startGame(betAmount, betType, a, b, rolls);
+    }
+
+    /**
+     * @notice Roll the same bet of any type several times, authorizing the stake with an EIP-2612 permit
+     * @dev The permit is tried rather than required, as in startGameWithPermit.
+     * @param betAmount The amount to bet on each roll
+     * @param betType The bet type
+     * @param a The prediction, threshold, lower range bound or exact number
+     * @param b The upper range bound for Range bets, ignored otherwise
+     * @param rolls The number of rolls (1-MAX_BATCH_ROLLS)
+     * @param deadline The permit deadline
+     * @param v The permit signature v
+     * @param r The permit signature r
+     * @param s The permit signature s
+     */
+    function startBetBatchWithPermit(
+        uint256 betAmount,
+        BetType betType,
+        uint256 a,
+        uint256 b,
+        uint256 rolls,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        try gameToken.permit(msg.sender, address(this), betAmount * rolls, deadline, v, r, s) {} catch {}
+        _startGame(betAmount, betType, a, b, rolls);
+    }
+
+    /**
+     * @dev Creates one game per roll, all with the same bet, and requests one
+     * random word per roll in a single VRF request. The batch's worst-case payout
+     * must fit within maxPayout and stays reserved until it settles or is refunded.
+     */
+    function _startGame(uint256 betAmount, BetType betType, uint256 a, uint256 b, uint256 rolls) internal {
         require(betAmount >= MIN_BET, "DiceGame: Bet amount too low");
         require(betAmount <= MAX_BET, "DiceGame: Bet amount too high");
-        require(prediction >= 1 && prediction <= DICE_SIDES, "DiceGame: Invalid prediction");
+        require(rolls >= 1 && rolls <= MAX_BATCH_ROLLS, "DiceGame: Invalid roll count");
+        (uint256 winLow, uint256 winHigh) = getWinRange(betType, a, b);
+        uint256 reserve = _reserveFor(betAmount, winHigh - winLow + 1) * rolls;
+        require(reserve <= maxPayout(), "DiceGame: Payout exceeds bankroll limit");
 
-        // Transfer bet from player to contract
+        // Transfer the stake for every roll from player to contract
         require(
-            gameToken.transferFrom(msg.sender, address(this), betAmount),
+            gameToken.transferFrom(msg.sender, address(this), betAmount * rolls),
             "DiceGame: Token transfer failed"
         );
 
-        // Create game
-        uint256 gameId = gameIdCounter++;
-        games[gameId] = Game({
-            player: msg.sender,
-            betAmount: betAmount,
-            prediction: prediction,
-            rollResult: 0,
-            isCompleted: false,
-            timestamp: block.timestamp,
-            payout: 0
-        });
-
-        // Track player games
-        playerGames[msg.sender].push(gameId);
-
-        // Request randomness
-        uint256 requestId = vrfCoordinator.requestRandomWords(
+        // Create games
+        uint256 firstGameId = gameIdCounter;
+        gameIdCounter = uint128(firstGameId + rolls);
+        totalExposure += uint128(reserve);
+        for (uint256 i = 0; i < rolls; i++) {
+            games[firstGameId + i] = Game({
+                player: msg.sender,
+                betType: betType,
+                winLow: uint8(winLow),
+                winHigh: uint8(winHigh),
+                rolls: uint8(rolls),
+                rollIndex: uint8(i),
+                betAmount: betAmount,
+                prediction: a,
+                rollResult: 0,
+                isCompleted: false,
+                isRefunded: false,
+                timestamp: block.timestamp,
+                payout: 0
+            });
+
+            // Track player games
+            playerGames[msg.sender].push(firstGameId + i);
+        }
+
+        uint256 requestId = _requestRandomness(firstGameId, rolls);
+        for (uint256 i = 0; i < rolls; i++) {
+            emit GameStarted(firstGameId + i, msg.sender, betAmount, a, requestId, betType, winLow, winHigh);
+        }
+    }
+
+    /**
+     * @dev Requests one random word per roll for the batch starting at firstGameId
+     */
+    function _requestRandomness(uint256 firstGameId, uint256 rolls) internal returns (uint256 requestId) {
+        requestId = vrfCoordinator.requestRandomWords(
             keyHash,
             subscriptionId,
             3,
-            callbackGasLimit,
-            numWords
+            callbackGasLimit * uint32(rolls),
+            uint32(rolls)
         );
 
-        requestIdToGameId[requestId] = gameId;
+        requestIdToGameId[requestId] = firstGameId;
         isValidRequestId[requestId] = true;
-
-        emit GameStarted(gameId, msg.sender, betAmount, prediction, requestId);
     }
 
     /**
      * @notice Callback function for VRF
+     * @dev Settles every roll of the request's batch, roll i with randomWords[i].
+     * After a re-request either request may settle the batch; the other then reverts.
      * @param requestId The request ID
      * @param randomWords The random words
      */
@@ -126,46 +315,39 @@ contract DiceGame is Ownable, ReentrancyGuard {
         require(msg.sender == address(vrfCoordinator), "DiceGame: Only VRF coordinator can call");
 
         require(isValidRequestId[requestId], "DiceGame: Invalid request ID");
-        uint256 gameId = requestIdToGameId[requestId];
+        uint256 firstGameId = requestIdToGameId[requestId];
         isValidRequestId[requestId] = false;
 
+        Game storage firstRoll = games[firstGameId];
+        require(!firstRoll.isCompleted, "DiceGame: Game already completed");
+        uint256 rolls = firstRoll.rolls;
+        require(randomWords.length >= rolls, "DiceGame: Not enough random words");
+
+        // Release the batch's reserve; the payouts below are covered by it
+        _releaseReserve(firstRoll);
+        for (uint256 i = 0; i < rolls; i++) {
+            _settleGame(firstGameId + i, randomWords[i]);
+        }
+    }
+
+    function _settleGame(uint256 gameId, uint256 randomWord) internal {
         Game storage game = games[gameId];
         require(!game.isCompleted, "DiceGame: Game already completed");
 
         // Calculate dice roll (1-100)
-        game.rollResult = (randomWords[0] % DICE_SIDES) + 1;
+        game.rollResult = (randomWord % DICE_SIDES) + 1;
         game.isCompleted = true;
 
         // Determine outcome
-        if (game.rollResult <= game.prediction) {
-            // Calculate multiplier (100 / prediction)
-            uint256 multiplier = (100 * 1e18) / game.prediction;
-
-            // Calculate payout (bet * multiplier - house edge)
-            uint256 grossPayout = (game.betAmount * multiplier) / 1e18;
-            uint256 houseEdge = (grossPayout * HOUSE_EDGE) / 100;
-            game.payout = grossPayout - houseEdge;
-
-            // Check if contract has enough tokens
-            uint256 contractBalance = gameToken.balanceOf(address(this));
-            if (contractBalance >= game.payout) {
-                // Transfer payout to player
-                (bool success, ) = address(gameToken).call(
-                    abi.encodeWithSignature("transfer(address,uint256)", game.player, game.payout)
-                );
-                if (!success) {
-                    game.payout = 0;
-                }
-            } else {
-                // If not enough tokens, transfer what we have
-                (bool success, ) = address(gameToken).call(
-                    abi.encodeWithSignature("transfer(address,uint256)", game.player, contractBalance)
-                );
-                if (!success) {
-                    game.payout = 0;
-                } else {
-                    game.payout = contractBalance;
-                }
+        if (game.rollResult >= game.winLow && game.rollResult <= game.winHigh) {
+            game.payout = _payoutFor(game.betAmount, uint256(game.winHigh) - game.winLow + 1);
+
+            // Transfer payout to player; the reserve guarantees the balance covers it
+            (bool success, ) = address(gameToken).call(
+                abi.encodeWithSignature("transfer(address,uint256)", game.player, game.payout)
+            );
+            if (!success) {
+                game.payout = 0;
             }
         } else {
             game.payout = 0;
@@ -174,6 +356,83 @@ contract DiceGame is Ownable, ReentrancyGuard {
         emit GameCompleted(gameId, game.player, game.rollResult, game.payout);
     }
 
+    /**
+     * @notice Refund a batch whose random words did not arrive within vrfTimeout
+     * @dev Anyone may call this; every roll of gameId's batch is refunded to the player
+     * and a later fulfillment of its request reverts.
+     * @param gameId The ID of any game in the batch
+     */
+    function refundExpired(uint256 gameId) external nonReentrant {
+        uint256 firstGameId = _expiredBatch(gameId);
+        Game storage firstRoll = games[firstGameId];
+        uint256 rolls = firstRoll.rolls;
+
+        _releaseReserve(firstRoll);
+        for (uint256 i = 0; i < rolls; i++) {
+            Game storage game = games[firstGameId + i];
+            game.isCompleted = true;
+            game.isRefunded = true;
+            game.payout = game.betAmount;
+            emit GameRefunded(firstGameId + i, game.player, game.betAmount);
+        }
+
+        require(
+            gameToken.transfer(firstRoll.player, firstRoll.betAmount * rolls),
+            "DiceGame: Refund failed"
+        );
+    }
+
+    /**
+     * @notice Request new random words for a batch whose request expired
+     * @dev The old request stays valid, so whichever is fulfilled first settles the
+     * batch. The refund deadline restarts from now.
+     * @param gameId The ID of any game in the batch
+     */
+    function rerequestRandomness(uint256 gameId) external onlyOwner {
+        uint256 firstGameId = _expiredBatch(gameId);
+        Game storage firstRoll = games[firstGameId];
+
+        rerequestedAt[firstGameId] = block.timestamp;
+        uint256 requestId = _requestRandomness(firstGameId, firstRoll.rolls);
+
+        emit RandomnessRerequested(firstGameId, firstRoll.player, requestId);
+    }
+
+    /**
+     * @notice Get the time after which a pending game can be refunded or re-requested
+     * @param gameId The game ID
+     * @return The refund deadline of the game's batch
+     */
+    function refundDeadline(uint256 gameId) public view returns (uint256) {
+        Game storage game = games[gameId];
+        uint256 requestedAt = rerequestedAt[gameId - game.rollIndex];
+        if (requestedAt < game.timestamp) {
+            requestedAt = game.timestamp;
+        }
+        return requestedAt + vrfTimeout;
+    }
+
+    /**
+     * @dev Checks that gameId's batch is still waiting for randomness past its
+     * deadline and returns its first game ID
+     */
+    function _expiredBatch(uint256 gameId) internal view returns (uint256) {
+        Game storage game = games[gameId];
+        require(game.player != address(0), "DiceGame: Game does not exist");
+        require(!game.isCompleted, "DiceGame: Game already completed");
+        require(block.timestamp >= refundDeadline(gameId), "DiceGame: Request not expired");
+        return gameId - game.rollIndex;
+    }
+
+    /**
+     * @dev Removes a batch's reserve from totalExposure once it settles or is refunded
+     */
+    function _releaseReserve(Game storage firstRoll) internal {
+        totalExposure -= uint128(
+            _reserveFor(firstRoll.betAmount, uint256(firstRoll.winHigh) - firstRoll.winLow + 1) * firstRoll.rolls
+        );
+    }
+
     /**
      * @notice Get game information
      * @param gameId The game ID
@@ -207,13 +466,77 @@ contract DiceGame is Ownable, ReentrancyGuard {
         emit BetLimitsUpdated(newMinBet, newMaxBet);
     }
 
+    /**
+     * @notice Update the largest payout a bet may risk, as a share of the free bankroll
+     * @param newPercent The new share in percent (1-100)
+     */
+    function updateMaxPayoutPercent(uint256 newPercent) external onlyOwner {
+        require(newPercent >= 1 && newPercent <= 100, "DiceGame: Invalid payout percent");
+
+        maxPayoutPercent = newPercent;
+
+        emit MaxPayoutPercentUpdated(newPercent);
+    }
+
+    /**
+     * @notice Update how long a batch waits for randomness before it can be refunded
+     * @param newTimeout The new timeout in seconds (MIN_VRF_TIMEOUT-MAX_VRF_TIMEOUT)
+     */
+    function updateVrfTimeout(uint256 newTimeout) external onlyOwner {
+        require(newTimeout >= MIN_VRF_TIMEOUT && newTimeout <= MAX_VRF_TIMEOUT, "DiceGame: Invalid timeout");
+
+        vrfTimeout = newTimeout;
+
+        emit VrfTimeoutUpdated(newTimeout);
+    }
+
     /**
      * @notice Withdraw house edge
+     * @dev Only the free bankroll can be withdrawn; payouts reserved for open games stay.
      */
     function withdrawHouseEdge() external onlyOwner {
+        uint256 amount = freeBankroll();
+        require(amount > 0, "DiceGame: No tokens to withdraw");
+        require(gameToken.transfer(owner(), amount), "DiceGame: Withdrawal failed");
+    }
+
+    /**
+     * @notice Get the bankroll not reserved for open games
+     * @return The contract balance minus totalExposure
+     */
+    function freeBankroll() public view returns (uint256) {
         uint256 balance = gameToken.balanceOf(address(this));
-        require(balance > 0, "DiceGame: No tokens to withdraw");
-        require(gameToken.transfer(owner(), balance), "DiceGame: Withdrawal failed");
+        return balance > totalExposure ? balance - totalExposure : 0;
+    }
+
+    /**
+     * @notice Get the largest worst-case payout a new bet or batch may have
+     * @return maxPayoutPercent of the free bankroll
+     */
+    function maxPayout() public view returns (uint256) {
+        return (freeBankroll() * maxPayoutPercent) / 100;
+    }
+
+    /**
+     * @notice Get the largest bet per roll currently allowed for a bet
+     * @param betType The bet type
+     * @param a The prediction, threshold, lower range bound or exact number
+     * @param b The upper range bound for Range bets, ignored otherwise
+     * @param rolls The number of rolls (1-MAX_BATCH_ROLLS)
+     * @return The smaller of MAX_BET and the largest bet whose payout fits maxPayout
+     */
+    function getMaxBet(BetType betType, uint256 a, uint256 b, uint256 rolls) external view returns (uint256) {
+        require(rolls >= 1 && rolls <= MAX_BATCH_ROLLS, "DiceGame: Invalid roll count");
+        (uint256 winLow, uint256 winHigh) = getWinRange(betType, a, b);
+
+        // Inverts _reserveFor, rounding down so the bet's reserve never exceeds the limit
+        uint256 payoutLimit = maxPayout() / rolls;
+        uint256 multiplier = (DICE_SIDES * 1e18) / (winHigh - winLow + 1);
+        uint256 bet = (((payoutLimit * 100) / (100 - HOUSE_EDGE)) * 1e18) / multiplier;
+        if (bet > payoutLimit) {
+            bet = payoutLimit;
+        }
+        return bet < MAX_BET ? bet : MAX_BET;
     }
 
     /**
@@ -225,10 +548,65 @@ contract DiceGame is Ownable, ReentrancyGuard {
     function calculatePayout(uint256 betAmount, uint256 prediction) external pure returns (uint256) {
         require(prediction >= 1 && prediction <= DICE_SIDES, "DiceGame: Invalid prediction");
 
-        uint256 multiplier = (100 * 1e18) / prediction;
+        return _payoutFor(betAmount, prediction);
+    }
+
+    /**
+     * @notice Quote the payout of a winning bet of any type
+     * @param betAmount The bet amount
+     * @param betType The bet type
+     * @param a The prediction, threshold, lower range bound or exact number
+     * @param b The upper range bound for Range bets, ignored otherwise
+     * @return The potential payout
+     */
+    function quotePayout(uint256 betAmount, BetType betType, uint256 a, uint256 b) external pure returns (uint256) {
+        (uint256 winLow, uint256 winHigh) = getWinRange(betType, a, b);
+        return _payoutFor(betAmount, winHigh - winLow + 1);
+    }
+
+    /**
+     * @notice Get the rolls a bet wins on
+     * @param betType The bet type
+     * @param a The prediction, threshold, lower range bound or exact number
+     * @param b The upper range bound for Range bets, ignored otherwise
+     * @return winLow The lowest winning roll
+     * @return winHigh The highest winning roll
+     */
+    function getWinRange(BetType betType, uint256 a, uint256 b) public pure returns (uint256 winLow, uint256 winHigh) {
+        if (betType == BetType.RollUnder) {
+            require(a >= 1 && a <= DICE_SIDES, "DiceGame: Invalid prediction");
+            return (1, a);
+        }
+        if (betType == BetType.RollOver) {
+            require(a >= 1 && a < DICE_SIDES, "DiceGame: Invalid threshold");
+            return (a + 1, DICE_SIDES);
+        }
+        if (betType == BetType.Range) {
+            require(a >= 1 && a <= b && b <= DICE_SIDES, "DiceGame: Invalid range");
+            return (a, b);
+        }
+        require(a >= 1 && a <= DICE_SIDES, "DiceGame: Invalid prediction");
+        return (a, a);
+    }
+
+    /**
+     * @dev Every bet type pays the same way: the bet times DICE_SIDES / winning rolls,
+     * minus HOUSE_EDGE percent.
+     */
+    function _payoutFor(uint256 betAmount, uint256 winningRolls) internal pure returns (uint256) {
+        uint256 multiplier = (DICE_SIDES * 1e18) / winningRolls;
         uint256 grossPayout = (betAmount * multiplier) / 1e18;
         uint256 houseEdge = (grossPayout * HOUSE_EDGE) / 100;
 
         return grossPayout - houseEdge;
     }
+
+    /**
+     * @dev What an open game may still be owed: its payout, or its bet if a refund
+     * would return more (bets on nearly every roll pay less than they stake).
+     */
+    function _reserveFor(uint256 betAmount, uint256 winningRolls) internal pure returns (uint256) {
+        uint256 payout = _payoutFor(betAmount, winningRolls);
+        return payout > betAmount ? payout : betAmount;
+    }
 }
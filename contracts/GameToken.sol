@@ -2,14 +2,16 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "./interfaces/IGameToken.sol";
 
 /**
  * @title GameToken
- * @dev ERC20 token for the gaming platform
+ * @dev ERC20 token for the gaming platform. Supports EIP-2612 permits so a
+ * game can pull exactly one bet with a signature instead of a standing approval.
  */
-contract GameToken is ERC20, Ownable, IGameToken {
+contract GameToken is ERC20, ERC20Permit, Ownable, IGameToken {
     uint256 public constant MAX_SUPPLY = 100_000_000 * 10**18; // 100 million tokens
     uint256 public MINT_FEE = 0.01 ether; // Fee to mint tokens
 
@@ -21,7 +23,7 @@ contract GameToken is ERC20, Ownable, IGameToken {
      * @param name The name of the token
      * @param symbol The symbol of the token
      */
-    constructor(string memory name, string memory symbol) ERC20(name, symbol) {
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) ERC20Permit(name) {
         // Mint initial supply to contract creator
         _mint(msg.sender, 1_000_000 * 10**18); // 1 million tokens
     }
@@ -2,54 +2,127 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "./interfaces/IVRFCoordinatorV2.sol";
 import "./interfaces/IGameToken.sol";
+import "./interfaces/IAutomationCompatible.sol";
 
 /**
  * @title Lottery
- * @dev A lottery game using Chainlink VRF for random number generation
+ * @dev A lottery game using Chainlink VRF for random number generation. Rounds past
+ * their end time are drawn through the keeper-compatible checkUpkeep/performUpkeep.
+ * A round's prize is split over up to MAX_PRIZE_TIERS places, each drawn from its
+ * own random word without replacement. The owner can pause ticket sales, as a
+ * migration does for the version it retires; rounds holding tickets still draw.
  */
-contract Lottery is Ownable, ReentrancyGuard {
+contract Lottery is Ownable, Pausable, ReentrancyGuard, IAutomationCompatible {
     IVRFCoordinatorV2 public immutable vrfCoordinator;
     IGameToken public immutable gameToken;
 
     bytes32 internal immutable keyHash;
     uint64 internal immutable subscriptionId;
+    // A draw's callback gets drawGasBase for closing the round and opening the next
+    // one, plus callbackGasLimit per prize tier for drawing and paying that place
+    uint32 internal constant drawGasBase = 250000;
     uint32 internal constant callbackGasLimit = 100000;
-    uint32 internal constant numWords = 1;
 
     // Lottery state
     uint256 public currentLotteryId;
-    uint256 public ticketPrice = 2000 ether;
-    uint256 public constant HOUSE_EDGE = 5; // 5%
-    uint256 public constant MIN_PLAYERS = 50;
-    uint256 public constant MAX_PLAYERS = 50;
-    uint256 public constant DRAW_INTERVAL = 1 days;
+    // Bounds for the round parameters the owner can set
+    uint256 public constant MAX_TICKETS_LIMIT = 100;
+    uint256 public constant MIN_ROUND_DURATION = 10 minutes;
+    uint256 public constant MAX_ROUND_DURATION = 30 days;
+    uint256 public constant MAX_HOUSE_EDGE = 20; // 20%
+    uint256 public constant MAX_PRIZE_TIERS = 10;
+    // How long a draw waits for its random word before the round can be refunded
+    uint256 public vrfTimeout = 1 hours;
+    uint256 public constant MIN_VRF_TIMEOUT = 10 minutes;
+    uint256 public constant MAX_VRF_TIMEOUT = 7 days;
+
+    /**
+     * @dev A round's parameters. The round draws as soon as minTickets are sold
+     * (or on the first purchase or upkeep after its end time), sells at most
+     * maxTickets, and keeps houseEdge percent of the prize pool.
+     */
+    struct RoundConfig {
+        uint128 ticketPrice;
+        uint32 minTickets;
+        uint32 maxTickets;
+        uint32 duration;
+        uint8 houseEdge;
+    }
 
     struct LotteryInfo {
         uint256 startTime;
         uint256 endTime;
+        uint256 drawRequestedAt; // Time of the latest draw request, 0 before the draw
         uint256 prizePool;
         uint256 totalTickets;
         bool isActive;
         bool isDrawn;
-        uint256 winningNumber;
-        address winner;
+        bool isRefunded; // Closed without a draw, every ticket refunded
+        // The round's RoundConfig, copied from nextRound when the round opens and
+        // packed into the same slot as the flags above
+        uint128 ticketPrice;
+        uint32 minTickets;
+        uint32 maxTickets;
+        uint32 duration;
+        uint8 houseEdge;
+        // Percent of the prize for each place, first place first; unused places are 0
+        uint8[MAX_PRIZE_TIERS] prizeTiers;
+        uint256 winningNumber; // First place's random word
+        address winner; // First place
         uint256[] tickets; // Array of player addresses
+        uint256[] winningTickets; // Ticket index drawn for each place
     }
 
-    mapping(uint256 => LotteryInfo) public lotteries;
+    // The template the next round is created from
+    RoundConfig public nextRound;
+    uint8[MAX_PRIZE_TIERS] internal nextPrizeTiers;
+
+    // Read through getLotteryInfo; a public getter for this many fields is too deep for the stack
+    mapping(uint256 => LotteryInfo) internal lotteries;
     mapping(uint256 => uint256) public requestIdToLotteryId;
     bool public pendingDraw;
+    // Prize pools of rounds not yet drawn or refunded; withdrawHouseEdge leaves them in place
+    uint256 public reservedPrizePools;
     mapping(address => uint256[]) public playerLotteries; // Track lotteries a player has participated in
 
     event LotteryCreated(uint256 indexed lotteryId, uint256 startTime, uint256 endTime);
     event TicketPurchased(uint256 indexed lotteryId, address indexed player, uint256 ticketCount);
     event LotteryDrawRequested(uint256 indexed lotteryId, uint256 indexed requestId);
+    // The first place's winner and prize
     event LotteryDrawn(uint256 indexed lotteryId, address indexed winner, uint256 winningNumber, uint256 prize);
+    event PrizeTierDrawn(
+        uint256 indexed lotteryId,
+        uint256 indexed place,
+        address indexed winner,
+        uint256 ticketIndex,
+        uint256 prize
+    );
     event PrizeClaimed(uint256 indexed lotteryId, address indexed winner, uint256 amount);
     event TicketPriceUpdated(uint256 newPrice);
+    event LotteryConfigured(
+        uint256 indexed lotteryId,
+        uint256 ticketPrice,
+        uint256 minTickets,
+        uint256 maxTickets,
+        uint256 duration,
+        uint256 houseEdge,
+        uint256[] prizeTiers
+    );
+    event NextRoundUpdated(
+        uint256 ticketPrice,
+        uint256 minTickets,
+        uint256 maxTickets,
+        uint256 duration,
+        uint256 houseEdge
+    );
+    event PrizeTiersUpdated(uint256[] prizeTiers);
+    event LotteryRefunded(uint256 indexed lotteryId, uint256 amount);
+    event LotteryExtended(uint256 indexed lotteryId, uint256 newEndTime);
+    event VrfTimeoutUpdated(uint256 newTimeout);
 
     /**
      * @dev Constructor to initialize the lottery contract
@@ -69,47 +142,156 @@ contract Lottery is Ownable, ReentrancyGuard {
         keyHash = _keyHash;
         subscriptionId = _subscriptionId;
 
+        nextRound = RoundConfig({
+            ticketPrice: 2000 ether,
+            minTickets: 50,
+            maxTickets: 50,
+            duration: 1 days,
+            houseEdge: 5
+        });
+        nextPrizeTiers[0] = 100;
+
         // Create first lottery
         _createNewLottery();
     }
 
     /**
-     * @notice Create a new lottery
+     * @notice Create a new lottery with the nextRound parameters and nextPrizeTiers
      */
     function _createNewLottery() internal {
         currentLotteryId++;
+        RoundConfig memory config = nextRound;
         uint256 startTime = block.timestamp;
-        uint256 endTime = startTime + DRAW_INTERVAL;
+        uint256 endTime = startTime + config.duration;
 
         lotteries[currentLotteryId] = LotteryInfo({
             startTime: startTime,
             endTime: endTime,
+            drawRequestedAt: 0,
             prizePool: 0,
             totalTickets: 0,
             isActive: true,
             isDrawn: false,
+            isRefunded: false,
+            ticketPrice: config.ticketPrice,
+            minTickets: config.minTickets,
+            maxTickets: config.maxTickets,
+            duration: config.duration,
+            houseEdge: config.houseEdge,
+            prizeTiers: nextPrizeTiers,
             winningNumber: 0,
             winner: address(0),
-            tickets: new uint256[](0)
+            tickets: new uint256[](0),
+            winningTickets: new uint256[](0)
         });
 
         emit LotteryCreated(currentLotteryId, startTime, endTime);
+        _emitConfigured(currentLotteryId);
+    }
+
+    /**
+     * @dev Re-applies nextRound and nextPrizeTiers to the current lottery while it has sold no tickets,
+     * so a parameter change takes effect without waiting for an empty round to end.
+     * The round keeps its start time, and ends the new duration after it unless
+     * performUpkeep has extended it; an extended round keeps its end time, which an
+     * earlier start-based one would put back in the past.
+     */
+    function _applyToEmptyRound() internal {
+        LotteryInfo storage lottery = lotteries[currentLotteryId];
+        if (!lottery.isActive || lottery.totalTickets > 0) return;
+
+        RoundConfig memory config = nextRound;
+        if (lottery.endTime == lottery.startTime + lottery.duration) {
+            lottery.endTime = lottery.startTime + config.duration;
+        }
+        lottery.ticketPrice = config.ticketPrice;
+        lottery.minTickets = config.minTickets;
+        lottery.maxTickets = config.maxTickets;
+        lottery.duration = config.duration;
+        lottery.houseEdge = config.houseEdge;
+        lottery.prizeTiers = nextPrizeTiers;
+
+        _emitConfigured(currentLotteryId);
+    }
+
+    function _emitConfigured(uint256 lotteryId) internal {
+        LotteryInfo storage lottery = lotteries[lotteryId];
+        emit LotteryConfigured(
+            lotteryId,
+            lottery.ticketPrice,
+            lottery.minTickets,
+            lottery.maxTickets,
+            lottery.duration,
+            lottery.houseEdge,
+            _tierList(lottery.prizeTiers)
+        );
+    }
+
+    /**
+     * @dev The used places of a prize tier array
+     */
+    function _tierList(uint8[MAX_PRIZE_TIERS] storage tiers) internal view returns (uint256[] memory list) {
+        uint256 count = _tierCount(tiers);
+        list = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            list[i] = tiers[i];
+        }
+    }
+
+    function _tierCount(uint8[MAX_PRIZE_TIERS] storage tiers) internal view returns (uint256 count) {
+        while (count < MAX_PRIZE_TIERS && tiers[count] > 0) {
+            count++;
+        }
+    }
+
+    /**
+     * @notice Get the ticket price of the current lottery
+     * @return The current lottery's ticket price
+     */
+    function ticketPrice() external view returns (uint256) {
+        return lotteries[currentLotteryId].ticketPrice;
     }
 
     /**
      * @notice Purchase tickets for the current lottery
      * @param ticketCount The number of tickets to purchase
      */
-    function purchaseTickets(uint256 ticketCount) external nonReentrant {
+    function purchaseTickets(uint256 ticketCount) external nonReentrant whenNotPaused {
+        _purchaseTickets(ticketCount);
+    }
+
+    /**
+     * @notice Purchase tickets, authorizing their cost with an EIP-2612 permit
+     * @dev The permit must cover the current round's ticketPrice * ticketCount. It is tried rather than
+     * required so a front-run of the same signature does not block the purchase.
+     * @param ticketCount The number of tickets to purchase
+     * @param deadline The permit deadline
+     * @param v The permit signature v
+     * @param r The permit signature r
+     * @param s The permit signature s
+     */
+    function purchaseTicketsWithPermit(
+        uint256 ticketCount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused {
+        uint256 totalCost = lotteries[currentLotteryId].ticketPrice * ticketCount;
+        try gameToken.permit(msg.sender, address(this), totalCost, deadline, v, r, s) {} catch {}
+        _purchaseTickets(ticketCount);
+    }
+
+    function _purchaseTickets(uint256 ticketCount) internal {
         require(ticketCount > 0, "Lottery: Must purchase at least one ticket");
         LotteryInfo storage lottery = lotteries[currentLotteryId];
         require(lottery.isActive, "Lottery: Current lottery is not active");
         require(
-            lottery.totalTickets + ticketCount <= MAX_PLAYERS,
+            lottery.totalTickets + ticketCount <= lottery.maxTickets,
             "Lottery: Maximum players reached"
         );
 
-        uint256 totalCost = ticketPrice * ticketCount;
+        uint256 totalCost = lottery.ticketPrice * ticketCount;
 
         // Transfer tokens from player to contract
         require(
@@ -124,6 +306,7 @@ contract Lottery is Ownable, ReentrancyGuard {
 
         lottery.totalTickets += ticketCount;
         lottery.prizePool += totalCost;
+        reservedPrizePools += totalCost;
 
         // Track player participation
         playerLotteries[msg.sender].push(currentLotteryId);
@@ -131,11 +314,58 @@ contract Lottery is Ownable, ReentrancyGuard {
         emit TicketPurchased(currentLotteryId, msg.sender, ticketCount);
 
         // Check if lottery should be drawn
-        if (lottery.totalTickets >= MIN_PLAYERS || block.timestamp >= lottery.endTime) {
+        if (lottery.totalTickets >= lottery.minTickets || block.timestamp >= lottery.endTime) {
             _requestRandomness(currentLotteryId);
         }
     }
 
+    /**
+     * @notice Check whether the current lottery is past its end time and still open
+     * @dev Chainlink Automation compatible. checkData is ignored; performData is the
+     * current lottery ID. While sales are paused an empty round is not extended.
+     * @return upkeepNeeded True if performUpkeep would draw or extend the current lottery
+     * @return performData The ABI-encoded lottery ID to pass to performUpkeep
+     */
+    function checkUpkeep(bytes calldata)
+        external
+        view
+        override
+        returns (bool upkeepNeeded, bytes memory performData)
+    {
+        LotteryInfo storage lottery = lotteries[currentLotteryId];
+        upkeepNeeded = _upkeepNeeded(lottery);
+        performData = abi.encode(currentLotteryId);
+    }
+
+    /**
+     * @notice Draw the current lottery once its end time has passed
+     * @dev Anyone may call this. A round without tickets has nobody to draw, so its
+     * end time moves the round's duration past now instead. A stale performData for an
+     * earlier round reverts.
+     * @param performData The ABI-encoded lottery ID from checkUpkeep
+     */
+    function performUpkeep(bytes calldata performData) external override nonReentrant {
+        uint256 lotteryId = abi.decode(performData, (uint256));
+        require(lotteryId == currentLotteryId, "Lottery: Not the current lottery");
+        LotteryInfo storage lottery = lotteries[lotteryId];
+        require(_upkeepNeeded(lottery), "Lottery: Upkeep not needed");
+
+        if (lottery.totalTickets == 0) {
+            lottery.endTime = block.timestamp + lottery.duration;
+            emit LotteryExtended(lotteryId, lottery.endTime);
+        } else {
+            _requestRandomness(lotteryId);
+        }
+    }
+
+    /**
+     * @dev A round past its end time is drawn, or extended if empty; a paused lottery
+     * sells no tickets, so its empty round is left to lapse.
+     */
+    function _upkeepNeeded(LotteryInfo storage lottery) internal view returns (bool) {
+        return lottery.isActive && block.timestamp >= lottery.endTime && (lottery.totalTickets > 0 || !paused());
+    }
+
     /**
      * @notice Request randomness for lottery draw
      * @param lotteryId The lottery ID
@@ -147,12 +377,24 @@ contract Lottery is Ownable, ReentrancyGuard {
         lottery.isActive = false;
         pendingDraw = true;
 
+        _sendDrawRequest(lotteryId);
+    }
+
+    /**
+     * @dev Requests one random word per prize tier for a lottery's draw
+     * @param lotteryId The lottery ID
+     */
+    function _sendDrawRequest(uint256 lotteryId) internal {
+        LotteryInfo storage lottery = lotteries[lotteryId];
+        lottery.drawRequestedAt = block.timestamp;
+        uint32 tiers = uint32(_tierCount(lottery.prizeTiers));
+
         uint256 requestId = vrfCoordinator.requestRandomWords(
             keyHash,
             subscriptionId,
             3,
-            callbackGasLimit,
-            numWords
+            drawGasBase + callbackGasLimit * tiers,
+            tiers
         );
 
         requestIdToLotteryId[requestId] = lotteryId;
@@ -162,8 +404,13 @@ contract Lottery is Ownable, ReentrancyGuard {
 
     /**
      * @notice Callback function for VRF
+     * @dev After a re-request either request may draw the lottery; the other then reverts.
+     * Place i is drawn with randomWords[i] from the tickets not drawn for an earlier
+     * place (see _drawTicket). A round with fewer tickets than places draws only as
+     * many places as it has tickets; first place gets the undrawn places' shares and
+     * the rounding remainder.
      * @param requestId The request ID
-     * @param randomWords The random words
+     * @param randomWords The random words, one per prize tier
      */
     function rawFulfillRandomWords(uint256 requestId, uint256[] memory randomWords) external {
         require(msg.sender == address(vrfCoordinator), "Lottery: Only VRF coordinator can call");
@@ -173,35 +420,155 @@ contract Lottery is Ownable, ReentrancyGuard {
 
         LotteryInfo storage lottery = lotteries[lotteryId];
         require(!lottery.isDrawn, "Lottery: Already drawn");
+        require(!lottery.isRefunded, "Lottery: Lottery refunded");
 
         lottery.isDrawn = true;
         lottery.winningNumber = randomWords[0];
 
-        // Calculate winner
-        uint256 winningIndex = lottery.winningNumber % lottery.totalTickets;
-        address winner = address(uint160(lottery.tickets[winningIndex]));
-        lottery.winner = winner;
+        uint256 places = _tierCount(lottery.prizeTiers);
+        if (places > lottery.totalTickets) {
+            places = lottery.totalTickets;
+        }
+        require(randomWords.length >= places, "Lottery: Not enough random words");
+        uint256[] memory drawn = new uint256[](places);
+        for (uint256 i = 0; i < places; i++) {
+            lottery.winningTickets.push(_drawTicket(drawn, i, randomWords[i], lottery.totalTickets));
+        }
 
-        // Calculate prize (with house edge)
-        uint256 houseEdge = (lottery.prizePool * HOUSE_EDGE) / 100;
-        uint256 prize = lottery.prizePool - houseEdge;
+        uint256 firstPrize;
+        for (uint256 i = 0; i < places; i++) {
+            (address winner, uint256 prize) = _payPlace(lotteryId, i);
+            if (i == 0) {
+                lottery.winner = winner;
+                firstPrize = prize;
+            }
+        }
+
+        // The prizes are paid; what is left of the pool is the house edge
+        reservedPrizePools -= lottery.prizePool;
+
+        emit LotteryDrawn(lotteryId, lottery.winner, lottery.winningNumber, firstPrize);
+
+        // Create new lottery after draw is complete
+        if (pendingDraw) {
+            pendingDraw = false;
+            _createNewLottery();
+        }
+    }
+
+    /**
+     * @dev Picks the ticket for the place after `count` earlier ones: the
+     * (randomWord % remaining)-th ticket, in ticket order, among those not yet drawn
+     * @param drawn Ticket indexes drawn so far, kept in ascending order in its first `count` entries
+     * @param count Places drawn so far
+     * @param randomWord The place's random word
+     * @param totalTickets Tickets in the round
+     * @return ticketIndex The drawn ticket's index
+     */
+    function _drawTicket(
+        uint256[] memory drawn,
+        uint256 count,
+        uint256 randomWord,
+        uint256 totalTickets
+    ) internal pure returns (uint256 ticketIndex) {
+        ticketIndex = randomWord % (totalTickets - count);
+        uint256 i = 0;
+        while (i < count && drawn[i] <= ticketIndex) {
+            ticketIndex++;
+            i++;
+        }
+        for (uint256 j = count; j > i; j--) {
+            drawn[j] = drawn[j - 1];
+        }
+        drawn[i] = ticketIndex;
+    }
+
+    /**
+     * @dev Pays the winner of a drawn place
+     * @param lotteryId The lottery ID
+     * @param place The 0-based place
+     * @return winner The place's winner
+     * @return prize The prize paid
+     */
+    function _payPlace(uint256 lotteryId, uint256 place) internal returns (address winner, uint256 prize) {
+        LotteryInfo storage lottery = lotteries[lotteryId];
+        uint256 ticketIndex = lottery.winningTickets[place];
+        winner = address(uint160(lottery.tickets[ticketIndex]));
+        prize = _placePrize(lottery, place);
 
-        // Transfer prize to winner
         require(
             gameToken.transfer(winner, prize),
             "Lottery: Prize transfer failed"
         );
 
-        emit LotteryDrawn(lotteryId, winner, lottery.winningNumber, prize);
+        emit PrizeTierDrawn(lotteryId, place + 1, winner, ticketIndex, prize);
         emit PrizeClaimed(lotteryId, winner, prize);
+    }
+
+    /**
+     * @notice Refund a lottery whose draw did not receive its random word within vrfTimeout
+     * @dev Anyone may call this. Every ticket gets back an equal share of the prize pool,
+     * a later fulfillment of the draw request reverts, and the next lottery starts.
+     * @param lotteryId The lottery ID
+     */
+    function refundExpiredDraw(uint256 lotteryId) external nonReentrant {
+        LotteryInfo storage lottery = _expiredDraw(lotteryId);
+
+        uint256 refundPerTicket = lottery.prizePool / lottery.totalTickets;
+        uint256 refunded = refundPerTicket * lottery.totalTickets;
+        lottery.isRefunded = true;
+        reservedPrizePools -= lottery.prizePool;
+        lottery.prizePool = 0;
+
+        for (uint256 i = 0; i < lottery.totalTickets; i++) {
+            address player = address(uint160(lottery.tickets[i]));
+            require(
+                gameToken.transfer(player, refundPerTicket),
+                "Lottery: Refund failed"
+            );
+        }
+
+        emit LotteryRefunded(lotteryId, refunded);
 
-        // Create new lottery after draw is complete
         if (pendingDraw) {
             pendingDraw = false;
             _createNewLottery();
         }
     }
 
+    /**
+     * @notice Request a new random word for a draw whose request expired
+     * @dev The old request stays valid, so whichever is fulfilled first draws the
+     * lottery. The refund deadline restarts from now.
+     * @param lotteryId The lottery ID
+     */
+    function rerequestDraw(uint256 lotteryId) external onlyOwner {
+        _expiredDraw(lotteryId);
+        _sendDrawRequest(lotteryId);
+    }
+
+    /**
+     * @notice Get the time after which a pending draw can be refunded or re-requested
+     * @param lotteryId The lottery ID
+     * @return The refund deadline, or 0 if no draw was requested
+     */
+    function refundDeadline(uint256 lotteryId) public view returns (uint256) {
+        uint256 requestedAt = lotteries[lotteryId].drawRequestedAt;
+        return requestedAt == 0 ? 0 : requestedAt + vrfTimeout;
+    }
+
+    /**
+     * @dev Checks that a lottery's draw is still waiting for randomness past its deadline
+     */
+    function _expiredDraw(uint256 lotteryId) internal view returns (LotteryInfo storage lottery) {
+        lottery = lotteries[lotteryId];
+        require(
+            lottery.drawRequestedAt != 0 && !lottery.isDrawn && !lottery.isRefunded,
+            "Lottery: No pending draw"
+        );
+        require(block.timestamp >= refundDeadline(lotteryId), "Lottery: Draw not expired");
+    }
+
     /**
      * @notice Get lottery information
      * @param lotteryId The lottery ID
@@ -211,6 +578,51 @@ contract Lottery is Ownable, ReentrancyGuard {
         return lotteries[lotteryId];
     }
 
+    /**
+     * @notice Get the winners and prizes of a drawn lottery, first place first
+     * @param lotteryId The lottery ID
+     * @return winners The winner of each drawn place
+     * @return prizes The prize paid for each drawn place
+     */
+    function getPrizeWinners(uint256 lotteryId)
+        external
+        view
+        returns (address[] memory winners, uint256[] memory prizes)
+    {
+        LotteryInfo storage lottery = lotteries[lotteryId];
+        uint256 places = lottery.winningTickets.length;
+        winners = new address[](places);
+        prizes = new uint256[](places);
+        for (uint256 i = 0; i < places; i++) {
+            winners[i] = address(uint160(lottery.tickets[lottery.winningTickets[i]]));
+            prizes[i] = _placePrize(lottery, i);
+        }
+    }
+
+    /**
+     * @notice Get the prize tiers the next round is created with
+     * @return Percent of the prize for each place, first place first
+     */
+    function getNextPrizeTiers() external view returns (uint256[] memory) {
+        return _tierList(nextPrizeTiers);
+    }
+
+    /**
+     * @dev The prize of a drawn place: its share of the prize pool after the house
+     * edge, with first place taking whatever the drawn lower places do not
+     */
+    function _placePrize(LotteryInfo storage lottery, uint256 place) internal view returns (uint256) {
+        uint256 prize = lottery.prizePool - (lottery.prizePool * lottery.houseEdge) / 100;
+        if (place > 0) {
+            return (prize * lottery.prizeTiers[place]) / 100;
+        }
+        uint256 firstPrize = prize;
+        for (uint256 i = 1; i < lottery.winningTickets.length; i++) {
+            firstPrize -= (prize * lottery.prizeTiers[i]) / 100;
+        }
+        return firstPrize;
+    }
+
     /**
      * @notice Get player lotteries
      * @param player The player address
@@ -221,22 +633,128 @@ contract Lottery is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @notice Update ticket price
+     * @notice Update the ticket price of the next round
+     * @dev Also applies to the current round while it has sold no tickets
      * @param newPrice The new ticket price
      */
     function updateTicketPrice(uint256 newPrice) external onlyOwner {
         require(newPrice > 0, "Lottery: Price must be greater than zero");
-        ticketPrice = newPrice;
+        require(newPrice <= type(uint128).max, "Lottery: Price too high");
+        nextRound.ticketPrice = uint128(newPrice);
+        _applyToEmptyRound();
         emit TicketPriceUpdated(newPrice);
     }
 
+    /**
+     * @notice Update the parameters the next round is created with
+     * @dev Also applies to the current round while it has sold no tickets
+     * @param newTicketPrice The ticket price
+     * @param newMinTickets Tickets sold at which the round draws (1-newMaxTickets)
+     * @param newMaxTickets Most tickets the round sells (up to MAX_TICKETS_LIMIT)
+     * @param newDuration Seconds from the round's start to its end time
+     * @param newHouseEdge Percent of the prize pool kept (up to MAX_HOUSE_EDGE)
+     */
+    function updateNextRound(
+        uint256 newTicketPrice,
+        uint256 newMinTickets,
+        uint256 newMaxTickets,
+        uint256 newDuration,
+        uint256 newHouseEdge
+    ) external onlyOwner {
+        require(newTicketPrice > 0, "Lottery: Price must be greater than zero");
+        require(newTicketPrice <= type(uint128).max, "Lottery: Price too high");
+        require(
+            newMinTickets > 0 && newMinTickets <= newMaxTickets && newMaxTickets <= MAX_TICKETS_LIMIT,
+            "Lottery: Invalid ticket limits"
+        );
+        require(
+            newDuration >= MIN_ROUND_DURATION && newDuration <= MAX_ROUND_DURATION,
+            "Lottery: Invalid duration"
+        );
+        require(newHouseEdge <= MAX_HOUSE_EDGE, "Lottery: Invalid house edge");
+
+        nextRound = RoundConfig({
+            ticketPrice: uint128(newTicketPrice),
+            minTickets: uint32(newMinTickets),
+            maxTickets: uint32(newMaxTickets),
+            duration: uint32(newDuration),
+            houseEdge: uint8(newHouseEdge)
+        });
+        _applyToEmptyRound();
+
+        emit NextRoundUpdated(newTicketPrice, newMinTickets, newMaxTickets, newDuration, newHouseEdge);
+    }
+
+    /**
+     * @notice Update how the next round's prize is split between places
+     * @dev Also applies to the current round while it has sold no tickets
+     * @param newPrizeTiers Percent of the prize for each place, first place first; each
+     * above zero, at most MAX_PRIZE_TIERS places, totalling 100
+     */
+    function updatePrizeTiers(uint256[] calldata newPrizeTiers) external onlyOwner {
+        require(
+            newPrizeTiers.length > 0 && newPrizeTiers.length <= MAX_PRIZE_TIERS,
+            "Lottery: Invalid prize tiers"
+        );
+        uint256 total = 0;
+        for (uint256 i = 0; i < MAX_PRIZE_TIERS; i++) {
+            if (i < newPrizeTiers.length) {
+                require(newPrizeTiers[i] > 0, "Lottery: Invalid prize tiers");
+                total += newPrizeTiers[i];
+                nextPrizeTiers[i] = uint8(newPrizeTiers[i]);
+            } else {
+                nextPrizeTiers[i] = 0;
+            }
+        }
+        require(total == 100, "Lottery: Prize tiers must total 100");
+        _applyToEmptyRound();
+
+        emit PrizeTiersUpdated(newPrizeTiers);
+    }
+
+    /**
+     * @notice Update how long a draw waits for randomness before it can be refunded
+     * @param newTimeout The new timeout in seconds (MIN_VRF_TIMEOUT-MAX_VRF_TIMEOUT)
+     */
+    function updateVrfTimeout(uint256 newTimeout) external onlyOwner {
+        require(newTimeout >= MIN_VRF_TIMEOUT && newTimeout <= MAX_VRF_TIMEOUT, "Lottery: Invalid timeout");
+        vrfTimeout = newTimeout;
+        emit VrfTimeoutUpdated(newTimeout);
+    }
+
+    /**
+     * @notice Stop ticket sales
+     * @dev Rounds already holding tickets can still be drawn, refunded and fulfilled.
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @notice Resume ticket sales
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
     /**
      * @notice Withdraw house edge
+     * @dev Only the free bankroll can be withdrawn; the prize pools of rounds not yet
+     * drawn or refunded stay, so they can still be paid out or refunded.
      */
     function withdrawHouseEdge() external onlyOwner {
+        uint256 amount = freeBankroll();
+        require(amount > 0, "Lottery: No tokens to withdraw");
+        require(gameToken.transfer(owner(), amount), "Lottery: Withdrawal failed");
+    }
+
+    /**
+     * @notice Get the balance not reserved for prize pools
+     * @return The contract balance minus reservedPrizePools
+     */
+    function freeBankroll() public view returns (uint256) {
         uint256 balance = gameToken.balanceOf(address(this));
-        require(balance > 0, "Lottery: No tokens to withdraw");
-        require(gameToken.transfer(owner(), balance), "Lottery: Withdrawal failed");
+        return balance > reservedPrizePools ? balance - reservedPrizePools : 0;
     }
 
     /**
@@ -252,7 +770,7 @@ contract Lottery is Ownable, ReentrancyGuard {
         for (uint256 i = 0; i < lottery.totalTickets; i++) {
             address player = address(uint160(lottery.tickets[i]));
             require(
-                gameToken.transfer(player, ticketPrice),
+                gameToken.transfer(player, lottery.ticketPrice),
                 "Lottery: Refund failed"
             );
         }
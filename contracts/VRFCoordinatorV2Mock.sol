@@ -11,8 +11,14 @@ contract VRFCoordinatorV2Mock is IVRFCoordinatorV2 {
     uint256 private constant MOCK_FEE = 0.0001 ether;
     uint256 private requestIdCounter = 1;
 
+    // Requester and word count share a slot
+    struct Request {
+        address sender;
+        uint32 numWords;
+    }
+
     // Mapping to track requests
-    mapping(uint256 => address) private requestToSender;
+    mapping(uint256 => Request) private requests;
     mapping(uint256 => uint256) private requestToTimestamp;
 
     event RandomWordsRequested(uint256 indexed requestId, address indexed requester);
@@ -35,7 +41,7 @@ contract VRFCoordinatorV2Mock is IVRFCoordinatorV2 {
         uint32 numWords
     ) external override returns (uint256 requestId) {
         requestId = requestIdCounter++;
-        requestToSender[requestId] = msg.sender;
+        requests[requestId] = Request({sender: msg.sender, numWords: numWords});
         requestToTimestamp[requestId] = block.timestamp;
 
         emit RandomWordsRequested(requestId, msg.sender);
@@ -45,11 +51,11 @@ contract VRFCoordinatorV2Mock is IVRFCoordinatorV2 {
     }
 
     /**
-     * @notice Manually fulfill a random words request
+     * @notice Manually fulfill a random words request with as many words as it asked for
      * @param requestId The request ID to fulfill
      */
     function fulfillRandomWords(uint256 requestId) external {
-        _fulfillRandomWords(requestId, 1);
+        _fulfillRandomWords(requestId, requests[requestId].numWords);
     }
 
     /**
@@ -71,7 +77,7 @@ contract VRFCoordinatorV2Mock is IVRFCoordinatorV2 {
      * @param numWords The number of random words to generate
      */
     function _fulfillRandomWords(uint256 requestId, uint32 numWords) internal {
-        address requester = requestToSender[requestId];
+        address requester = requests[requestId].sender;
         require(requester != address(0), "Invalid request ID");
 
         // Generate pseudo-random words
@@ -107,6 +113,15 @@ contract VRFCoordinatorV2Mock is IVRFCoordinatorV2 {
         return requestToTimestamp[requestId];
     }
 
+    /**
+     * @notice Get the number of random words a request asked for
+     * @param requestId The request ID
+     * @return numWords The number of random words
+     */
+    function getRequestNumWords(uint256 requestId) external view returns (uint32 numWords) {
+        return requests[requestId].numWords;
+    }
+
     /**
      * @notice Get the current request ID counter
      * @return counter The current counter value
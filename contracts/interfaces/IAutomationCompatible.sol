@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @dev Chainlink Automation's upkeep interface. A keeper simulates checkUpkeep
+ * off-chain and, when it reports upkeep is needed, sends performUpkeep with the
+ * returned performData.
+ */
+interface IAutomationCompatible {
+    /**
+     * @notice Check whether the contract needs upkeep
+     * @param checkData Data registered with the upkeep
+     * @return upkeepNeeded True if performUpkeep should be called
+     * @return performData The data to pass to performUpkeep
+     */
+    function checkUpkeep(bytes calldata checkData) external returns (bool upkeepNeeded, bytes memory performData);
+
+    /**
+     * @notice Perform the upkeep checkUpkeep reported
+     * @dev Must re-validate, since anyone can call it with any data
+     * @param performData The data returned by checkUpkeep
+     */
+    function performUpkeep(bytes calldata performData) external;
+}
@@ -2,8 +2,9 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 
-interface IGameToken is IERC20 {
+interface IGameToken is IERC20, IERC20Permit {
     /**
      * @notice Mint tokens to an address
      * @param to The address to mint tokens to
@@ -1,96 +1,84 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import WalletConnect from './components/WalletConnect';
 import LotteryGame from './components/LotteryGame';
 import DiceGame from './components/DiceGame';
 import WalletHubCard from './components/WalletHubCard';
+import FairnessVerifier from './components/FairnessVerifier';
+import AdminConsole from './components/AdminConsole';
+import SignIn from './components/SignIn';
+import ActivityCenter from './components/ActivityCenter';
+import { ActivityProvider } from './components/ActivityProvider';
+import NetworkGuard from './components/NetworkGuard';
+import Button from './components/ui/Button';
+import StatusTag from './components/ui/StatusTag';
+import { useSession } from './components/SessionProvider';
+import { useContractOwnership } from './hooks/useContractOwnership';
+import { useDeploymentManifest } from './hooks/useDeploymentManifest';
+import { useNetworkGuard } from './hooks/useNetworkGuard';
+import { useReadOnlyChainId } from './hooks/useReadOnlyChainId';
+import { READ_RPC_URL } from './services/contractService';
+import { listGameSpenders } from './services/deploymentService';
 import './index.css';
 
 const resolveRoute = (pathname) => {
   if (pathname === '/lottery') return 'lottery';
   if (pathname === '/dice') return 'dice';
+  if (pathname === '/verify') return 'verify';
+  if (pathname === '/admin') return 'admin';
   return 'home';
 };
 
+// /verify?game=dice&id=12 opens the verifier on a game, e.g. from the
+// activity center's VRF request links.
+const readVerifyTarget = () => {
+  const params = new URLSearchParams(window.location.search);
+  return { game: params.get('game') === 'lottery' ? 'lottery' : 'dice', id: params.get('id') || '' };
+};
+
 const routePathMap = {
   home: '/',
   lottery: '/lottery',
-  dice: '/dice'
+  dice: '/dice',
+  verify: '/verify',
+  admin: '/admin'
 };
 
 function App() {
-  const [isAuthenticated, setIsAuthenticated] = useState(
-    localStorage.getItem('metaMaskAuthenticated') === 'true'
-  );
-  const [account, setAccount] = useState(localStorage.getItem('metaMaskAccount'));
-  const [contracts, setContracts] = useState({
-    gameToken: { address: null, abi: null },
-    lottery: { address: null, abi: null },
-    diceGame: { address: null, abi: null },
-    vrfCoordinator: { address: null }
-  });
+  const {
+    status: sessionStatus,
+    account,
+    chainId: sessionChainId,
+    reason: signedOutReason,
+    signOut
+  } = useSession();
+  const isSignedIn = sessionStatus === 'signed-in';
+  // Without a session the app is a read-only spectator view backed by
+  // REACT_APP_READ_RPC_URL; a wallet is only asked for to transact.
+  const isSpectating = sessionStatus === 'signed-out';
+  const readOnlyChain = useReadOnlyChainId(isSpectating);
+  const {
+    status: deploymentStatus,
+    chainId,
+    availableChains,
+    contracts
+  } = useDeploymentManifest(isSignedIn ? sessionChainId : readOnlyChain.chainId);
+  const network = useNetworkGuard(isSignedIn && deploymentStatus === 'ready' ? [chainId] : []);
+  const isNetworkReady = deploymentStatus === 'ready' && (isSpectating || network.isMatched);
+  const [isChoosingWallet, setIsChoosingWallet] = useState(false);
   const [currentRoute, setCurrentRoute] = useState(resolveRoute(window.location.pathname));
-
-  useEffect(() => {
-    loadContractInfo();
-  }, []);
-
-  useEffect(() => {
-    if (!isAuthenticated) {
-      window.location.href = '/login.html';
-    }
-  }, [isAuthenticated]);
+  const [verifyTarget, setVerifyTarget] = useState(readVerifyTarget);
+  const { isOwner, ownedContracts } = useContractOwnership(isNetworkReady ? account : null, contracts);
+  const gameSpenders = useMemo(() => listGameSpenders(contracts), [contracts]);
 
   useEffect(() => {
     const handlePopState = () => {
       setCurrentRoute(resolveRoute(window.location.pathname));
+      setVerifyTarget(readVerifyTarget());
     };
     window.addEventListener('popstate', handlePopState);
     return () => window.removeEventListener('popstate', handlePopState);
   }, []);
 
-  const loadContractInfo = async () => {
-    try {
-      // Load deployment info
-      const response = await fetch('/deployment-info.json');
-      const deploymentInfo = await response.json();
-
-      setContracts({
-        gameToken: {
-          address: deploymentInfo.contracts.GameToken,
-          abi: require('./contracts/GameToken.json').abi
-        },
-        lottery: {
-          address: deploymentInfo.contracts.Lottery,
-          abi: require('./contracts/Lottery.json').abi
-        },
-        diceGame: {
-          address: deploymentInfo.contracts.DiceGame,
-          abi: require('./contracts/DiceGame.json').abi
-        },
-        vrfCoordinator: {
-          address: deploymentInfo.contracts.VRFCoordinatorV2Mock || null
-        }
-      });
-    } catch (error) {
-      console.error('Error loading contract info:', error);
-    }
-  };
-
-  const handleConnect = (connectedAccount) => {
-    setAccount(connectedAccount);
-    localStorage.setItem('metaMaskAuthenticated', 'true');
-    localStorage.setItem('metaMaskAccount', connectedAccount);
-    setIsAuthenticated(true);
-  };
-
-  const handleDisconnect = () => {
-    setAccount(null);
-    localStorage.removeItem('metaMaskAuthenticated');
-    localStorage.removeItem('metaMaskAccount');
-    setIsAuthenticated(false);
-    window.location.href = '/login.html';
-  };
-
   const navigateTo = (routeKey) => {
     const nextPath = routePathMap[routeKey] || '/';
     if (window.location.pathname !== nextPath) {
@@ -99,6 +87,19 @@ function App() {
     setCurrentRoute(routeKey);
   };
 
+  const openVrfRequest = (game, id) => {
+    window.history.pushState({}, '', `${routePathMap.verify}?game=${game}&id=${id}`);
+    setVerifyTarget({ game, id });
+    setCurrentRoute('verify');
+  };
+
+  const requestWallet = () => setIsChoosingWallet(true);
+
+  const handleDisconnect = () => {
+    signOut();
+    setIsChoosingWallet(false);
+  };
+
   const renderGameViews = () => {
     if (currentRoute === 'lottery') {
       return (
@@ -108,9 +109,11 @@ function App() {
               account={account}
               contractAddress={contracts.lottery.address}
               abi={contracts.lottery.abi}
+              previousVersions={contracts.lottery.previousVersions}
               gameTokenAddress={contracts.gameToken.address}
               gameTokenAbi={contracts.gameToken.abi}
-              vrfCoordinatorAddress={contracts.vrfCoordinator.address}
+              isContractOwner={ownedContracts.includes('lottery')}
+              onRequestWallet={requestWallet}
               onToggleView={() => navigateTo('home')}
               toggleLabel="Return"
             />
@@ -127,8 +130,46 @@ function App() {
               account={account}
               contractAddress={contracts.diceGame.address}
               abi={contracts.diceGame.abi}
+              previousVersions={contracts.diceGame.previousVersions}
               gameTokenAddress={contracts.gameToken.address}
               gameTokenAbi={contracts.gameToken.abi}
+              isContractOwner={ownedContracts.includes('diceGame')}
+              onRequestWallet={requestWallet}
+              onToggleView={() => navigateTo('home')}
+              toggleLabel="Return"
+            />
+          )}
+        </section>
+      );
+    }
+
+    if (currentRoute === 'admin' && isOwner) {
+      return (
+        <section className="game-container single-game-container">
+          <AdminConsole
+            account={account}
+            contracts={contracts}
+            ownedContracts={ownedContracts}
+            onToggleView={() => navigateTo('home')}
+            toggleLabel="Return"
+          />
+        </section>
+      );
+    }
+
+    if (currentRoute === 'verify') {
+      return (
+        <section className="game-container single-game-container">
+          {contracts.diceGame.abi && contracts.lottery.abi && (
+            <FairnessVerifier
+              key={`${verifyTarget.game}:${verifyTarget.id}`}
+              account={account}
+              initialGameType={verifyTarget.game}
+              initialTargetId={verifyTarget.id}
+              diceGameAddress={contracts.diceGame.address}
+              diceGameAbi={contracts.diceGame.abi}
+              lotteryAddress={contracts.lottery.address}
+              lotteryAbi={contracts.lottery.abi}
               vrfCoordinatorAddress={contracts.vrfCoordinator.address}
               onToggleView={() => navigateTo('home')}
               toggleLabel="Return"
@@ -145,9 +186,11 @@ function App() {
             account={account}
             contractAddress={contracts.lottery.address}
             abi={contracts.lottery.abi}
+            previousVersions={contracts.lottery.previousVersions}
             gameTokenAddress={contracts.gameToken.address}
             gameTokenAbi={contracts.gameToken.abi}
-            vrfCoordinatorAddress={contracts.vrfCoordinator.address}
+            isContractOwner={ownedContracts.includes('lottery')}
+            onRequestWallet={requestWallet}
             onToggleView={() => navigateTo('lottery')}
             toggleLabel="Lottery Game"
           />
@@ -158,9 +201,11 @@ function App() {
             account={account}
             contractAddress={contracts.diceGame.address}
             abi={contracts.diceGame.abi}
+            previousVersions={contracts.diceGame.previousVersions}
             gameTokenAddress={contracts.gameToken.address}
             gameTokenAbi={contracts.gameToken.abi}
-            vrfCoordinatorAddress={contracts.vrfCoordinator.address}
+            isContractOwner={ownedContracts.includes('diceGame')}
+            onRequestWallet={requestWallet}
             onToggleView={() => navigateTo('dice')}
             toggleLabel="Dice Game"
           />
@@ -169,77 +214,162 @@ function App() {
     );
   };
 
-  if (!isAuthenticated) {
+  const getDeploymentProblem = () => {
+    if (isSpectating) {
+      return readOnlyChain.status === 'unreachable'
+        ? `The read-only RPC endpoint (${READ_RPC_URL}) is unreachable.`
+        : `The platform has no contracts deployed on chain ${chainId}, the network the read-only RPC endpoint serves.`;
+    }
+    return deploymentStatus === 'no-chain'
+      ? 'Your session does not name a network.'
+      : `The platform has no contracts deployed on chain ${chainId}, the network you signed in on.`;
+  };
+
+  const renderDeploymentNotice = () => {
+    if (deploymentStatus === 'loading') return null;
+    if (isSpectating && readOnlyChain.status === 'loading') return null;
+
+    const knownChains = Object.entries(availableChains);
+    return (
+      <section className="info-section">
+        <div className="info-box">
+          <h2>No deployment for this network</h2>
+          <p>{getDeploymentProblem()}</p>
+          {knownChains.length > 0 ? (
+            <>
+              <h3>{isSpectating ? 'Connect a wallet on one of:' : 'Sign out and sign in again on one of:'}</h3>
+              <ul>
+                {knownChains.map(([knownChainId, entry]) => (
+                  <li key={knownChainId}>{`${entry.network} (chain ${knownChainId})`}</li>
+                ))}
+              </ul>
+            </>
+          ) : (
+            <p>No deployment manifests were found. Run scripts/deploy.js for your network first.</p>
+          )}
+        </div>
+      </section>
+    );
+  };
+
+  if (sessionStatus === 'checking') {
     return null;
   }
 
+  if (isSpectating && isChoosingWallet) {
+    return <SignIn onCancel={() => setIsChoosingWallet(false)} />;
+  }
+
   return (
-    <div className="App">
-      <div className="container">
-        <header className="header">
-          <div className="brand-block">
-            <h1>🎮 On-Chain Random Game Platform</h1>
-            <p className="header-subtitle">Provably fair gaming powered by on-chain randomness</p>
-          </div>
-          <WalletConnect 
-            onConnect={handleConnect} 
-            onDisconnect={handleDisconnect}
-          />
-        </header>
+    <ActivityProvider account={account} chainId={chainId} contracts={contracts} enabled={isSignedIn && isNetworkReady}>
+      <div className="App">
+        <div className="container">
+          <header className="header">
+            <div className="brand-block">
+              <h1>🎮 On-Chain Random Game Platform</h1>
+              <p className="header-subtitle">Provably fair gaming powered by on-chain randomness</p>
+              {isOwner && (
+                <button type="button" className="card-link-btn" onClick={() => navigateTo('admin')}>
+                  Admin Console
+                </button>
+              )}
+              {isSignedIn && <ActivityCenter onOpenVrfRequest={openVrfRequest} />}
+            </div>
+            {isSignedIn ? (
+              <WalletConnect onDisconnect={handleDisconnect} />
+            ) : (
+              <div className="wallet-connect">
+                <Button onClick={requestWallet}>Connect Wallet</Button>
+              </div>
+            )}
+          </header>
 
-        <main className="app-main">
-          <WalletHubCard
-            account={account}
-            gameTokenAddress={contracts.gameToken.address}
-            gameTokenAbi={contracts.gameToken.abi}
-          />
+          <main className="app-main">
+            {isSpectating && (
+              <section className="info-section">
+                <div className="info-box">
+                  <p>
+                    <StatusTag type="info">Spectator mode</StatusTag>{' '}
+                    You are viewing live game data read-only. Connect a wallet to play.
+                  </p>
+                  {signedOutReason && <p>{`Signed out: ${signedOutReason}`}</p>}
+                </div>
+              </section>
+            )}
 
-          {renderGameViews()}
-
-          {currentRoute === 'home' && (
-          <section className="info-section">
-            <h2 className="section-title">Platform Guide</h2>
-            <div className="info-box">
-              <h2>About Our Platform</h2>
-              <p>
-                Welcome to our provably fair on-chain gaming platform! We use 
-                Chainlink VRF (Verifiable Random Function) to ensure that all 
-                game outcomes are truly random and verifiable.
-              </p>
-              <h3>Key Features:</h3>
-              <ul>
-                <li>✓ Verifiable randomness using Chainlink VRF</li>
-                <li>✓ Multiple game types (Lottery and Dice Game)</li>
-                <li>✓ Betting mechanisms with ERC-20 token support</li>
-                <li>✓ Pooled prize mechanism with transparent house edge</li>
-                <li>✓ Anti-cheating measures</li>
-                <li>✓ Transparent outcome verification</li>
-              </ul>
-            </div>
+            {deploymentStatus !== 'ready' && renderDeploymentNotice()}
 
-            <div className="info-box">
-              <h2>How It Works</h2>
-              <h3>Lottery Game:</h3>
-              <ol>
-                <li>Purchase tickets for the current lottery</li>
-                <li>Wait for the lottery draw (either time-based or when minimum players reached)</li>
-                <li>Chainlink VRF generates a random winning number</li>
-                <li>Winner receives the prize pool (minus house edge)</li>
-              </ol>
-
-              <h3>Dice Game:</h3>
-              <ol>
-                <li>Place your bet and choose your prediction</li>
-                <li>Chainlink VRF generates a random dice roll</li>
-                <li>If roll ≤ prediction, you win based on multiplier</li>
-                <li>Payout is automatically transferred to your wallet</li>
-              </ol>
-            </div>
-          </section>
-          )}
-        </main>
+            {deploymentStatus === 'ready' && network.isWrongNetwork && (
+              <NetworkGuard
+                guard={network}
+                chains={[[chainId, availableChains[chainId]]]}
+                title="Wrong network"
+                description={`You signed in on ${availableChains[chainId].network} (chain ${chainId}), but your wallet is on chain ${network.walletChainId}. Games are paused until you switch back.`}
+              />
+            )}
+
+            {isNetworkReady && (
+              <>
+                <WalletHubCard
+                  account={account}
+                  gameTokenAddress={contracts.gameToken.address}
+                  gameTokenAbi={contracts.gameToken.abi}
+                  spenders={gameSpenders}
+                  onRequestWallet={requestWallet}
+                />
+
+                {renderGameViews()}
+              </>
+            )}
+
+            {currentRoute === 'home' && (
+            <section className="info-section">
+              <h2 className="section-title">Platform Guide</h2>
+              <div className="info-box">
+                <h2>About Our Platform</h2>
+                <p>
+                  Welcome to our provably fair on-chain gaming platform! We use 
+                  Chainlink VRF (Verifiable Random Function) to ensure that all 
+                  game outcomes are truly random and verifiable.
+                </p>
+                <h3>Key Features:</h3>
+                <ul>
+                  <li>✓ Verifiable randomness using Chainlink VRF</li>
+                  <li>✓ Multiple game types (Lottery and Dice Game)</li>
+                  <li>✓ Betting mechanisms with ERC-20 token support</li>
+                  <li>✓ Pooled prize mechanism with transparent house edge</li>
+                  <li>✓ Anti-cheating measures</li>
+                  <li>✓ Transparent outcome verification</li>
+                </ul>
+                <button type="button" className="card-link-btn" onClick={() => navigateTo('verify')}>
+                  Verify a game outcome
+                </button>
+              </div>
+
+              <div className="info-box">
+                <h2>How It Works</h2>
+                <h3>Lottery Game:</h3>
+                <ol>
+                  <li>Purchase tickets for the current lottery</li>
+                  <li>Wait for the lottery draw (either time-based or when minimum players reached)</li>
+                  <li>Chainlink VRF generates a random winning number</li>
+                  <li>Winner receives the prize pool (minus house edge)</li>
+                </ol>
+
+                <h3>Dice Game:</h3>
+                <ol>
+                  <li>Place your bet: roll under, roll over, a range or an exact number</li>
+                  <li>Chainlink VRF generates a random dice roll</li>
+                  <li>If the roll is one of your winning rolls, you win based on multiplier</li>
+                  <li>Payout is automatically transferred to your wallet</li>
+                </ol>
+              </div>
+            </section>
+            )}
+          </main>
+        </div>
       </div>
-    </div>
+    </ActivityProvider>
   );
 }
 
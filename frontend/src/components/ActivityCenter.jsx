@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import EmptyState from './ui/EmptyState';
+import StatusTag from './ui/StatusTag';
+import { useActivity } from './ActivityProvider';
+
+const STATUS_TAGS = {
+  pending: { type: 'info', text: 'Pending' },
+  confirmed: { type: 'active', text: 'Confirmed' },
+  failed: { type: 'ended', text: 'Failed' },
+  replaced: { type: 'ended', text: 'Replaced' },
+  cancelled: { type: 'ended', text: 'Cancelled' }
+};
+
+const shortHash = (hash) => `${hash.slice(0, 10)}...${hash.slice(-6)}`;
+
+// Header button plus a drawer listing the account's recent transactions.
+// onOpenVrfRequest(game, id) shows the game's VRF request in the verifier.
+const ActivityCenter = ({ onOpenVrfRequest }) => {
+  const { entries, pendingCount, clearFinished } = useActivity();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const openVrfRequest = (vrfRequest) => {
+    setIsOpen(false);
+    onOpenVrfRequest(vrfRequest.game, vrfRequest.id);
+  };
+
+  return (
+    <>
+      <button type="button" className="card-link-btn activity-toggle" onClick={() => setIsOpen(true)}>
+        {pendingCount > 0 ? `Activity (${pendingCount} pending)` : 'Activity'}
+      </button>
+
+      {isOpen && (
+        <div className="activity-overlay" role="presentation" onClick={() => setIsOpen(false)}>
+          <aside
+            className="activity-drawer"
+            role="dialog"
+            aria-label="Transaction activity"
+            onClick={(event) => event.stopPropagation()}
+          >
+            <div className="activity-drawer-header">
+              <h2>Activity</h2>
+              <div className="ds-card-actions">
+                <button type="button" className="card-link-btn" onClick={clearFinished}>
+                  Clear finished
+                </button>
+                <button type="button" className="card-link-btn" onClick={() => setIsOpen(false)}>
+                  Close
+                </button>
+              </div>
+            </div>
+
+            {entries.length === 0 ? (
+              <EmptyState
+                title="No transactions yet"
+                description="Approvals, games and ticket purchases you submit show up here."
+              />
+            ) : (
+              <div className="history-list">
+                {entries.map((entry) => {
+                  const tag = STATUS_TAGS[entry.status] || STATUS_TAGS.pending;
+                  return (
+                    <div key={entry.hash} className="history-item activity-item">
+                      <p>
+                        <strong>{entry.label}</strong>{' '}
+                        <StatusTag type={tag.type}>{tag.text}</StatusTag>
+                      </p>
+                      <p className="history-meta-item">
+                        <strong>Submitted:</strong> {new Date(entry.submittedAt).toLocaleString()}
+                      </p>
+                      <p className="history-meta-item" title={entry.hash}>
+                        <strong>Tx:</strong> {shortHash(entry.hash)}
+                      </p>
+                      {entry.replacementHash && (
+                        <p className="history-meta-item" title={entry.replacementHash}>
+                          <strong>Replaced by:</strong> {shortHash(entry.replacementHash)}
+                        </p>
+                      )}
+                      {entry.vrfRequest && (
+                        <button
+                          type="button"
+                          className="card-link-btn"
+                          onClick={() => openVrfRequest(entry.vrfRequest)}
+                        >
+                          {`VRF request #${entry.vrfRequest.requestId}`}
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </aside>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ActivityCenter;
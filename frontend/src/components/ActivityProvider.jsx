@@ -0,0 +1,132 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { useBlockClock } from '../hooks/useBlockClock';
+import { useWalletProvider } from '../hooks/useWalletProvider';
+import { getBrowserProvider } from '../services/contractService';
+import {
+  findVrfRequest,
+  isPendingEntry,
+  loadActivity,
+  saveActivity,
+  settleTransaction,
+  toActivityEntry
+} from '../services/activityService';
+
+const ActivityContext = createContext(null);
+
+// Tracks the transactions the signed-in account submits on `chainId` and
+// re-attaches to pending ones after a reload. Tracking only runs while
+// `enabled` (the wallet is on chainId), since another chain would report the
+// transactions as unknown. Without an account nothing is recorded.
+export const ActivityProvider = ({ account, chainId, contracts, enabled, children }) => {
+  const [entries, setEntries] = useState(() => loadActivity(chainId, account));
+  const currentKeyRef = useRef(`${chainId}:${account}`);
+  const trackingRef = useRef(new Set());
+  const { provider: walletProvider } = useWalletProvider();
+  const blockClock = useBlockClock(enabled && walletProvider ? getBrowserProvider() : null);
+
+  useEffect(() => {
+    currentKeyRef.current = `${chainId}:${account}`;
+    trackingRef.current = new Set();
+    setEntries(loadActivity(chainId, account));
+  }, [chainId, account]);
+
+  // Reads and writes storage directly so a transaction that settles after the
+  // account or chain changed still lands in its own list.
+  const writeEntries = useCallback((entryChainId, entryAccount, update) => {
+    const next = update(loadActivity(entryChainId, entryAccount));
+    saveActivity(entryChainId, entryAccount, next);
+    if (currentKeyRef.current === `${entryChainId}:${entryAccount}`) {
+      setEntries(next);
+    }
+  }, []);
+
+  const track = useCallback(async (entry) => {
+    const tracking = trackingRef.current;
+    tracking.add(entry.hash);
+    try {
+      const outcome = await settleTransaction(getBrowserProvider(), entry);
+      if (!outcome) return;
+      const changes = {
+        status: outcome.status,
+        replacementHash: outcome.replacementHash,
+        vrfRequest: findVrfRequest(outcome.receipt, contracts)
+      };
+      writeEntries(chainId, account, (list) => list.map(
+        (item) => (item.hash === entry.hash ? { ...item, ...changes } : item)
+      ));
+    } catch (error) {
+      console.warn('Unable to follow transaction:', entry.hash, error);
+    } finally {
+      tracking.delete(entry.hash);
+    }
+  }, [chainId, account, contracts, writeEntries]);
+
+  // Transactions whose fate was unknown are looked up again on the next block.
+  useEffect(() => {
+    if (!enabled || !walletProvider) return;
+    entries
+      .filter((entry) => isPendingEntry(entry) && !trackingRef.current.has(entry.hash))
+      .forEach(track);
+  }, [enabled, walletProvider, entries, track, blockClock.blockNumber]);
+
+  const recordTransaction = useCallback(async (tx, meta) => {
+    if (!account || !chainId) return;
+    try {
+      const startBlock = await getBrowserProvider().getBlockNumber();
+      const entry = toActivityEntry(tx, startBlock, meta);
+      writeEntries(chainId, account, (list) => [entry, ...list.filter((item) => item.hash !== entry.hash)]);
+    } catch (error) {
+      console.warn('Unable to record transaction:', tx.hash, error);
+    }
+  }, [chainId, account, writeEntries]);
+
+  const clearFinished = useCallback(() => {
+    writeEntries(chainId, account, (list) => list.filter(isPendingEntry));
+  }, [chainId, account, writeEntries]);
+
+  const value = useMemo(() => ({
+    entries,
+    pendingCount: entries.filter(isPendingEntry).length,
+    recordTransaction,
+    clearFinished
+  }), [entries, recordTransaction, clearFinished]);
+
+  return (
+    <ActivityContext.Provider value={value}>
+      {children}
+    </ActivityContext.Provider>
+  );
+};
+
+export const useActivity = () => {
+  const context = useContext(ActivityContext);
+  if (!context) {
+    throw new Error('useActivity must be used within ActivityProvider');
+  }
+  return context;
+};
+
+// The card's own unsettled transaction of `kind`, e.g. an approval submitted
+// before a reload.
+export const usePendingActivity = (scope, kind) => {
+  const { entries } = useActivity();
+  return useMemo(() => entries.find((entry) => (
+    isPendingEntry(entry)
+    && entry.kind === kind
+    && Boolean(scope)
+    && entry.scope?.toLowerCase() === scope.toLowerCase()
+  )) || null, [entries, scope, kind]);
+};
+
+// Calls onSettled when `entry` (from usePendingActivity) stops being pending,
+// e.g. to refresh an allowance once an approval sent before a reload confirms.
+export const useActivitySettled = (entry, onSettled) => {
+  const previousRef = useRef(entry);
+
+  useEffect(() => {
+    if (previousRef.current && !entry) {
+      onSettled();
+    }
+    previousRef.current = entry;
+  }, [entry, onSettled]);
+};
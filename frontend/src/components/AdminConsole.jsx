@@ -0,0 +1,609 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { ethers } from 'ethers';
+import { InlineError, InlineSuccess } from './ui/InlineStatus';
+import Skeleton from './ui/Skeleton';
+import EmptyState from './ui/EmptyState';
+import { useToast } from './ui/ToastProvider';
+import Button from './ui/Button';
+import Card from './ui/Card';
+import Input from './ui/Input';
+import StatItem from './ui/StatItem';
+import StatusTag from './ui/StatusTag';
+import TransactionStepper from './ui/TransactionStepper';
+import { getFriendlyError } from '../utils/friendlyError';
+import { useAutoDismiss } from '../hooks/useAutoDismiss';
+import { createReadContract, getBrowserProvider, getBrowserSigner } from '../services/contractService';
+
+const ADMIN_ACTIONS = [
+  {
+    key: 'updateBetLimits',
+    contractKey: 'diceGame',
+    method: 'updateBetLimits',
+    title: 'Update Bet Limits',
+    fields: [
+      { name: 'minBet', label: 'Min Bet (GT)', type: 'amount' },
+      { name: 'maxBet', label: 'Max Bet (GT)', type: 'amount' }
+    ],
+    buildArgs: (values) => [ethers.parseEther(values.minBet), ethers.parseEther(values.maxBet)],
+    describe: (values) => `Set DiceGame bet limits to ${values.minBet} – ${values.maxBet} GT.`
+  },
+  {
+    key: 'updateMaxPayoutPercent',
+    contractKey: 'diceGame',
+    method: 'updateMaxPayoutPercent',
+    title: 'Update Max Payout',
+    fields: [{ name: 'percent', label: 'Max Payout (% of free bankroll)', type: 'integer' }],
+    buildArgs: (values) => [values.percent],
+    describe: (values) => `Let a dice bet or batch risk at most ${values.percent}% of the free DiceGame bankroll.`
+  },
+  {
+    key: 'diceUpdateVrfTimeout',
+    contractKey: 'diceGame',
+    method: 'updateVrfTimeout',
+    title: 'Update Dice VRF Timeout',
+    fields: [{ name: 'seconds', label: 'Timeout (seconds, 600-604800)', type: 'integer' }],
+    buildArgs: (values) => [values.seconds],
+    describe: (values) => `Let a dice game be refunded once its randomness is ${values.seconds} seconds overdue.`
+  },
+  {
+    key: 'rerequestRandomness',
+    contractKey: 'diceGame',
+    method: 'rerequestRandomness',
+    title: 'Re-request Dice Randomness',
+    fields: [{ name: 'gameId', label: 'Game ID', type: 'integer' }],
+    buildArgs: (values) => [values.gameId],
+    describe: (values) => `Send a new VRF request for the expired batch of dice game #${values.gameId} and restart its refund deadline.`
+  },
+  {
+    key: 'diceWithdrawHouseEdge',
+    contractKey: 'diceGame',
+    method: 'withdrawHouseEdge',
+    title: 'Withdraw Dice Bankroll',
+    fields: [],
+    buildArgs: () => [],
+    describe: () => 'Transfer the free DiceGame bankroll to the owner. Payouts reserved for open games stay, but no new bets fit until it is refilled.'
+  },
+  {
+    key: 'updateTicketPrice',
+    contractKey: 'lottery',
+    method: 'updateTicketPrice',
+    title: 'Update Ticket Price',
+    fields: [{ name: 'price', label: 'Ticket Price (GT)', type: 'amount' }],
+    buildArgs: (values) => [ethers.parseEther(values.price)],
+    describe: (values) => `Set the next lottery round's ticket price to ${values.price} GT. A current round without tickets switches at once.`
+  },
+  {
+    key: 'updateNextRound',
+    contractKey: 'lottery',
+    method: 'updateNextRound',
+    title: 'Update Next Round',
+    fields: [
+      { name: 'price', label: 'Ticket Price (GT)', type: 'amount' },
+      { name: 'minTickets', label: 'Min Tickets (draws once sold)', type: 'integer' },
+      { name: 'maxTickets', label: 'Max Tickets (1-100)', type: 'integer' },
+      { name: 'duration', label: 'Duration (seconds, 600-2592000)', type: 'integer' },
+      { name: 'houseEdge', label: 'House Edge (%, 0-20)', type: 'integer' }
+    ],
+    buildArgs: (values) => [
+      ethers.parseEther(values.price),
+      values.minTickets,
+      values.maxTickets,
+      values.duration,
+      values.houseEdge
+    ],
+    describe: (values) => `Open the next lottery round at ${values.price} GT per ticket, drawing at ${values.minTickets} of at most ${values.maxTickets} tickets or after ${values.duration} seconds, with a ${values.houseEdge}% house edge. A current round without tickets switches at once.`
+  },
+  {
+    key: 'updatePrizeTiers',
+    contractKey: 'lottery',
+    method: 'updatePrizeTiers',
+    title: 'Update Prize Tiers',
+    fields: [{ name: 'shares', label: 'Prize Split (% per place, e.g. 60,25,10,5)', type: 'percentList' }],
+    buildArgs: (values) => [values.shares.split(',').map((share) => share.trim())],
+    describe: (values) => {
+      const shares = values.shares.split(',').map((share) => `${share.trim()}%`);
+      return `Split the next lottery round's prize between ${shares.length} place(s), first place first: ${shares.join(' / ')}. A current round without tickets switches at once.`;
+    }
+  },
+  {
+    key: 'lotteryWithdrawHouseEdge',
+    contractKey: 'lottery',
+    method: 'withdrawHouseEdge',
+    title: 'Withdraw Lottery House Edge',
+    fields: [],
+    buildArgs: () => [],
+    describe: () => 'Transfer the free Lottery balance to the owner. Prize pools of rounds not yet drawn or refunded stay.'
+  },
+  {
+    key: 'handleNoWinner',
+    contractKey: 'lottery',
+    method: 'handleNoWinner',
+    title: 'Refund No-Winner Lottery',
+    fields: [{ name: 'lotteryId', label: 'Lottery ID', type: 'integer' }],
+    buildArgs: (values) => [values.lotteryId],
+    describe: (values) => `Refund every ticket of lottery #${values.lotteryId} at its ticket price.`
+  },
+  {
+    key: 'lotteryUpdateVrfTimeout',
+    contractKey: 'lottery',
+    method: 'updateVrfTimeout',
+    title: 'Update Lottery VRF Timeout',
+    fields: [{ name: 'seconds', label: 'Timeout (seconds, 600-604800)', type: 'integer' }],
+    buildArgs: (values) => [values.seconds],
+    describe: (values) => `Let a lottery draw be refunded once its randomness is ${values.seconds} seconds overdue.`
+  },
+  {
+    key: 'rerequestDraw',
+    contractKey: 'lottery',
+    method: 'rerequestDraw',
+    title: 'Re-request Lottery Draw',
+    fields: [{ name: 'lotteryId', label: 'Lottery ID', type: 'integer' }],
+    buildArgs: (values) => [values.lotteryId],
+    describe: (values) => `Send a new VRF request for the expired draw of lottery #${values.lotteryId} and restart its refund deadline.`
+  },
+  {
+    key: 'pauseLottery',
+    contractKey: 'lottery',
+    method: 'pause',
+    title: 'Pause Ticket Sales',
+    fields: [],
+    buildArgs: () => [],
+    describe: () => 'Stop lottery ticket sales. A round holding tickets still draws or is refunded; an empty round is not extended.'
+  },
+  {
+    key: 'unpauseLottery',
+    contractKey: 'lottery',
+    method: 'unpause',
+    title: 'Resume Ticket Sales',
+    fields: [],
+    buildArgs: () => [],
+    describe: () => 'Resume lottery ticket sales.'
+  },
+  {
+    key: 'mint',
+    contractKey: 'gameToken',
+    method: 'mint',
+    title: 'Mint GT',
+    fields: [
+      { name: 'to', label: 'Recipient', type: 'address' },
+      { name: 'amount', label: 'Amount (GT)', type: 'amount' }
+    ],
+    buildArgs: (values) => [values.to, ethers.parseEther(values.amount)],
+    describe: (values) => `Mint ${values.amount} GT to ${values.to}.`
+  },
+  {
+    key: 'burn',
+    contractKey: 'gameToken',
+    method: 'burn',
+    title: 'Burn GT',
+    fields: [
+      { name: 'from', label: 'Holder', type: 'address' },
+      { name: 'amount', label: 'Amount (GT)', type: 'amount' }
+    ],
+    buildArgs: (values) => [values.from, ethers.parseEther(values.amount)],
+    describe: (values) => `Burn ${values.amount} GT from ${values.from}.`
+  },
+  {
+    key: 'withdrawEth',
+    contractKey: 'gameToken',
+    method: 'withdrawEth',
+    title: 'Withdraw Mint Fees',
+    fields: [],
+    buildArgs: () => [],
+    describe: () => 'Transfer all ETH collected from mint fees to the owner.'
+  },
+  {
+    key: 'updateMintFee',
+    contractKey: 'gameToken',
+    method: 'updateMintFee',
+    title: 'Update Mint Fee',
+    fields: [{ name: 'fee', label: 'Mint Fee (ETH)', type: 'amount' }],
+    buildArgs: (values) => [ethers.parseEther(values.fee)],
+    describe: (values) => `Set the mint-with-ETH fee to ${values.fee} ETH.`
+  }
+];
+
+const validateField = (field, value) => {
+  const trimmed = (value || '').trim();
+  if (!trimmed) return `${field.label} is required.`;
+  if (field.type === 'address' && !ethers.isAddress(trimmed)) return `${field.label} is not a valid address.`;
+  if (field.type === 'integer' && !/^\d+$/.test(trimmed)) return `${field.label} must be a whole number.`;
+  if (field.type === 'percentList') {
+    const shares = trimmed.split(',').map((share) => share.trim());
+    if (!shares.every((share) => /^\d+$/.test(share) && Number(share) > 0)) {
+      return `${field.label} must be whole percentages above zero, separated by commas.`;
+    }
+    if (shares.reduce((sum, share) => sum + Number(share), 0) !== 100) return `${field.label} must total 100.`;
+  }
+  if (field.type === 'amount') {
+    try {
+      ethers.parseEther(trimmed);
+    } catch (e) {
+      return `${field.label} must be a number.`;
+    }
+  }
+  return null;
+};
+
+const formatGt = (value) => `${parseFloat(ethers.formatEther(value)).toLocaleString()} GT`;
+
+// The RoundConfig fields shared by nextRound() and getLotteryInfo()
+const toRoundParameters = (round) => ({
+  ticketPrice: round.ticketPrice,
+  minTickets: round.minTickets.toString(),
+  maxTickets: round.maxTickets.toString(),
+  duration: round.duration.toString(),
+  houseEdge: round.houseEdge.toString()
+});
+
+const formatRound = (round) => (
+  `${formatGt(round.ticketPrice)} • ${round.minTickets}-${round.maxTickets} tickets • ${round.duration}s • ${round.houseEdge}% edge • split ${round.prizeTiers.join('/')}%`
+);
+
+const AdminConsole = ({ account, contracts, ownedContracts, onToggleView, toggleLabel = 'Return' }) => {
+  const [overview, setOverview] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [actionKey, setActionKey] = useState(null);
+  const [formValues, setFormValues] = useState({});
+  const [stage, setStage] = useState('idle');
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const { showToast } = useToast();
+
+  useAutoDismiss(success, setSuccess, null);
+
+  const diceGame = useMemo(
+    () => createReadContract(contracts.diceGame.address, contracts.diceGame.abi),
+    [contracts.diceGame.address, contracts.diceGame.abi]
+  );
+  const lottery = useMemo(
+    () => createReadContract(contracts.lottery.address, contracts.lottery.abi),
+    [contracts.lottery.address, contracts.lottery.abi]
+  );
+  const gameToken = useMemo(
+    () => createReadContract(contracts.gameToken.address, contracts.gameToken.abi),
+    [contracts.gameToken.address, contracts.gameToken.abi]
+  );
+  const contractByKey = { diceGame, lottery, gameToken };
+
+  const availableActions = ADMIN_ACTIONS.filter((action) => ownedContracts.includes(action.contractKey));
+  const selectedAction = availableActions.find((action) => action.key === actionKey) || null;
+  const isSending = stage === 'submitting' || stage === 'confirming';
+
+  const loadOverview = useCallback(async () => {
+    if (!diceGame || !lottery || !gameToken) return;
+    setIsLoading(true);
+    try {
+      const provider = getBrowserProvider();
+      const [
+        minBet,
+        maxBet,
+        diceHouseEdge,
+        maxPayoutPercent,
+        diceExposure,
+        diceVrfTimeout,
+        nextRound,
+        nextPrizeTiers,
+        lotteryVrfTimeout,
+        lotteryPaused,
+        currentLotteryId,
+        pendingDraw,
+        totalSupply,
+        maxSupply,
+        mintFee,
+        diceBankroll,
+        lotteryBalance,
+        lotteryReserved,
+        mintFeeBalance
+      ] = await Promise.all([
+        diceGame.MIN_BET(),
+        diceGame.MAX_BET(),
+        diceGame.HOUSE_EDGE(),
+        diceGame.maxPayoutPercent(),
+        diceGame.totalExposure(),
+        diceGame.vrfTimeout(),
+        lottery.nextRound(),
+        lottery.getNextPrizeTiers(),
+        lottery.vrfTimeout(),
+        lottery.paused(),
+        lottery.currentLotteryId(),
+        lottery.pendingDraw(),
+        gameToken.totalSupply(),
+        gameToken.MAX_SUPPLY(),
+        gameToken.MINT_FEE(),
+        gameToken.balanceOf(contracts.diceGame.address),
+        gameToken.balanceOf(contracts.lottery.address),
+        lottery.reservedPrizePools(),
+        provider.getBalance(contracts.gameToken.address)
+      ]);
+
+      const [
+        currentLottery,
+        lotteryRefundDeadline,
+        latestBlock,
+        startedLogs,
+        completedLogs,
+        refundedLogs,
+        rerequestLogs,
+        drawRequestLogs
+      ] = await Promise.all([
+        lottery.getLotteryInfo(currentLotteryId),
+        lottery.refundDeadline(currentLotteryId),
+        provider.getBlock('latest'),
+        diceGame.queryFilter(diceGame.filters.GameStarted()),
+        diceGame.queryFilter(diceGame.filters.GameCompleted()),
+        diceGame.queryFilter(diceGame.filters.GameRefunded()),
+        diceGame.queryFilter(diceGame.filters.RandomnessRerequested()),
+        lottery.queryFilter(lottery.filters.LotteryDrawRequested(currentLotteryId))
+      ]);
+
+      // A re-requested batch is listed with its latest request, keyed by its first game
+      const closedIds = new Set([...completedLogs, ...refundedLogs].map((log) => log.args.gameId.toString()));
+      const rerequestIds = Object.fromEntries(
+        rerequestLogs.map((log) => [log.args.gameId.toString(), log.args.requestId.toString()])
+      );
+      const batchStarts = {};
+      const openLogs = startedLogs.filter((log) => !closedIds.has(log.args.gameId.toString()));
+      openLogs.forEach((log) => {
+        const requestId = log.args.requestId.toString();
+        batchStarts[requestId] = batchStarts[requestId] || log.args.gameId.toString();
+      });
+      const diceDeadlines = await Promise.all(
+        openLogs.map((log) => diceGame.refundDeadline(log.args.gameId))
+      );
+      const pendingDiceGames = openLogs.map((log, idx) => {
+        const requestId = log.args.requestId.toString();
+        return {
+          gameId: log.args.gameId.toString(),
+          player: log.args.player,
+          requestId: rerequestIds[batchStarts[requestId]] || requestId,
+          blockNumber: log.blockNumber,
+          isExpired: latestBlock.timestamp >= Number(diceDeadlines[idx])
+        };
+      });
+      const pendingLotteryDraw = !currentLottery.isActive && !currentLottery.isDrawn
+        ? {
+          lotteryId: currentLotteryId.toString(),
+          requestId: drawRequestLogs[drawRequestLogs.length - 1]?.args?.requestId?.toString?.() || 'unknown',
+          totalTickets: currentLottery.totalTickets.toString(),
+          isExpired: latestBlock.timestamp >= Number(lotteryRefundDeadline)
+        }
+        : null;
+
+      setOverview({
+        minBet,
+        maxBet,
+        diceHouseEdge: diceHouseEdge.toString(),
+        maxPayoutPercent: maxPayoutPercent.toString(),
+        diceExposure,
+        diceVrfTimeout: diceVrfTimeout.toString(),
+        currentRound: {
+          ...toRoundParameters(currentLottery),
+          prizeTiers: currentLottery.prizeTiers.filter((share) => share > 0n).map(String)
+        },
+        nextRound: { ...toRoundParameters(nextRound), prizeTiers: nextPrizeTiers.map(String) },
+        lotteryVrfTimeout: lotteryVrfTimeout.toString(),
+        lotteryPaused,
+        currentLotteryId: currentLotteryId.toString(),
+        currentPrizePool: currentLottery.prizePool,
+        currentTickets: currentLottery.totalTickets.toString(),
+        pendingDraw,
+        totalSupply,
+        maxSupply,
+        mintFee,
+        diceBankroll,
+        lotteryBalance,
+        lotteryReserved,
+        mintFeeBalance,
+        pendingDiceGames,
+        pendingLotteryDraw
+      });
+    } catch (loadError) {
+      console.error('Error loading admin overview:', loadError);
+      setError('Failed to load contract parameters');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [diceGame, lottery, gameToken, contracts.diceGame.address, contracts.lottery.address, contracts.gameToken.address]);
+
+  useEffect(() => {
+    loadOverview();
+  }, [loadOverview]);
+
+  const selectAction = (key) => {
+    setActionKey(key);
+    setFormValues({});
+    setStage('idle');
+    setError(null);
+  };
+
+  const handleReview = () => {
+    if (!selectedAction) return;
+    for (const field of selectedAction.fields) {
+      const fieldError = validateField(field, formValues[field.name]);
+      if (fieldError) {
+        setError(fieldError);
+        return;
+      }
+    }
+    setError(null);
+    setStage('review');
+  };
+
+  const handleSend = async () => {
+    if (!selectedAction) return;
+    const contract = contractByKey[selectedAction.contractKey];
+    if (!contract) return;
+
+    const values = Object.fromEntries(
+      Object.entries(formValues).map(([name, value]) => [name, value.trim()])
+    );
+    setError(null);
+    setStage('submitting');
+    try {
+      const signer = await getBrowserSigner();
+      const tx = await contract.connect(signer)[selectedAction.method](...selectedAction.buildArgs(values));
+      setStage('confirming');
+      await tx.wait();
+      setStage('done');
+      setSuccess(`${selectedAction.title} confirmed in tx ${tx.hash.slice(0, 10)}…`);
+      showToast(`${selectedAction.title} confirmed`, 'success');
+      setFormValues({});
+      await loadOverview();
+    } catch (sendError) {
+      console.error(`${selectedAction.method} failed:`, sendError);
+      const message = getFriendlyError(sendError, sendError.shortMessage || 'Transaction failed. Please try again.');
+      setStage('error');
+      setError(message);
+      showToast(message, 'error');
+    }
+  };
+
+  const renderOverview = () => {
+    if (isLoading && !overview) return <Skeleton lines={6} />;
+    if (!overview) return null;
+
+    return (
+      <>
+        <h3 className="admin-section-title">Parameters</h3>
+        <div className="payout-info">
+          <StatItem label="Dice Bet Limits" value={`${formatGt(overview.minBet)} – ${formatGt(overview.maxBet)}`} />
+          <StatItem label="Dice House Edge" value={`${overview.diceHouseEdge}%`} />
+          <StatItem label="Dice Max Payout" value={`${overview.maxPayoutPercent}% of free bankroll`} />
+          <StatItem label="Dice VRF Timeout" value={`${overview.diceVrfTimeout}s`} />
+          <StatItem label="Lottery Round" value={formatRound(overview.currentRound)} />
+          <StatItem label="Next Lottery Round" value={formatRound(overview.nextRound)} />
+          <StatItem label="Lottery VRF Timeout" value={`${overview.lotteryVrfTimeout}s`} />
+          <StatItem label="Lottery Ticket Sales" value={overview.lotteryPaused ? 'Paused' : 'Open'} />
+          <StatItem
+            label="Current Lottery"
+            value={`#${overview.currentLotteryId} • ${overview.currentTickets} tickets • ${formatGt(overview.currentPrizePool)} pool`}
+          />
+          <StatItem label="Mint Fee" value={`${ethers.formatEther(overview.mintFee)} ETH`} />
+          <StatItem label="GT Supply" value={`${formatGt(overview.totalSupply)} / ${formatGt(overview.maxSupply)}`} />
+        </div>
+
+        <h3 className="admin-section-title">Bankroll</h3>
+        <div className="payout-info">
+          <StatItem label="DiceGame" value={formatGt(overview.diceBankroll)} />
+          <StatItem label="DiceGame Reserved" value={formatGt(overview.diceExposure)} />
+          <StatItem label="Lottery" value={formatGt(overview.lotteryBalance)} />
+          <StatItem label="Lottery Reserved" value={formatGt(overview.lotteryReserved)} />
+          <StatItem label="Collected Mint Fees" value={`${ethers.formatEther(overview.mintFeeBalance)} ETH`} />
+        </div>
+
+        <h3 className="admin-section-title">Pending Requests</h3>
+        {overview.pendingDiceGames.length === 0 && !overview.pendingLotteryDraw ? (
+          <EmptyState title="No pending requests" description="Every VRF request has been fulfilled." />
+        ) : (
+          <ul className="admin-pending-list">
+            {overview.pendingLotteryDraw && (
+              <li className="history-status-box">
+                <StatusTag type="info">Lottery</StatusTag>{' '}
+                {overview.pendingLotteryDraw.isExpired && <><StatusTag type="ended">Expired</StatusTag>{' '}</>}
+                {`#${overview.pendingLotteryDraw.lotteryId} draw • request ${overview.pendingLotteryDraw.requestId} • ${overview.pendingLotteryDraw.totalTickets} tickets`}
+              </li>
+            )}
+            {overview.pendingDiceGames.map((game) => (
+              <li key={game.gameId} className="history-status-box">
+                <StatusTag type="info">Dice</StatusTag>{' '}
+                {game.isExpired && <><StatusTag type="ended">Expired</StatusTag>{' '}</>}
+                {`Game #${game.gameId} • request ${game.requestId} • ${game.player} • block ${game.blockNumber}`}
+              </li>
+            ))}
+          </ul>
+        )}
+      </>
+    );
+  };
+
+  const renderActionForm = () => {
+    if (!selectedAction) return null;
+
+    return (
+      <div className="admin-action-form">
+        {selectedAction.fields.map((field) => (
+          <Input
+            key={field.name}
+            id={`admin-${selectedAction.key}-${field.name}`}
+            label={field.label}
+            type={field.type === 'address' || field.type === 'percentList' ? 'text' : 'number'}
+            min={field.type === 'address' || field.type === 'percentList' ? undefined : '0'}
+            step={field.type === 'amount' ? 'any' : '1'}
+            value={formValues[field.name] || ''}
+            onChange={(e) => setFormValues((prev) => ({ ...prev, [field.name]: e.target.value }))}
+            disabled={stage === 'review' || isSending}
+          />
+        ))}
+
+        {stage === 'review' || isSending || stage === 'done' || stage === 'error' ? (
+          <TransactionStepper
+            stage={stage === 'review' ? 'idle' : stage}
+            actionLabel={selectedAction.title}
+            approvalRequired={false}
+            compact
+          />
+        ) : null}
+
+        {stage === 'review' || isSending ? (
+          <div className="history-status-box admin-confirm-box">
+            <p>{selectedAction.describe(formValues)}</p>
+            <div className="admin-confirm-actions">
+              <Button variant="secondary" onClick={() => setStage('idle')} disabled={isSending}>
+                Cancel
+              </Button>
+              <Button variant="accent" onClick={handleSend} loading={isSending}>
+                Confirm &amp; Send
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <Button onClick={handleReview} fullWidth>
+            Review {selectedAction.title}
+          </Button>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Card
+      title="Operator Console"
+      icon="🛠️"
+      headerActions={(
+        <>
+          <button type="button" className="card-link-btn" onClick={onToggleView}>
+            {toggleLabel}
+          </button>
+          <button type="button" className="card-link-btn" onClick={loadOverview} disabled={isLoading}>
+            Refresh
+          </button>
+        </>
+      )}
+    >
+      <StatItem label="Owner" value={account} />
+      {renderOverview()}
+
+      <h3 className="admin-section-title">Owner Actions</h3>
+      <div className="history-filter-row">
+        {availableActions.map((action) => (
+          <button
+            key={action.key}
+            type="button"
+            className={`card-link-btn history-filter-btn ${actionKey === action.key ? 'history-filter-active' : ''}`}
+            onClick={() => selectAction(action.key)}
+            disabled={isSending}
+          >
+            {action.title}
+          </button>
+        ))}
+      </div>
+      {renderActionForm()}
+
+      <InlineError message={error} />
+      <InlineSuccess message={success} />
+    </Card>
+  );
+};
+
+export default AdminConsole;
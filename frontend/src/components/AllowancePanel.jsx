@@ -0,0 +1,168 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import Button from './ui/Button';
+import Input from './ui/Input';
+import EmptyState from './ui/EmptyState';
+import Skeleton from './ui/Skeleton';
+import StatusTag from './ui/StatusTag';
+import { useToast } from './ui/ToastProvider';
+import { useActivity } from './ActivityProvider';
+import { getFriendlyError } from '../utils/friendlyError';
+import { useContractEvents } from '../hooks/useContractEvents';
+import { getBrowserSigner } from '../services/contractService';
+
+const APPROVAL_EVENTS = ['Approval'];
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// GameToken does not spend down a MaxUint256 allowance, so only that exact
+// value means unlimited.
+const formatAllowance = (amount) => {
+  if (amount === ethers.MaxUint256) return 'Unlimited';
+  return `${parseFloat(ethers.formatEther(amount)).toFixed(4)} GT`;
+};
+
+// Lists the account's GT allowance for every game contract in `spenders`
+// (from listGameSpenders) and lets the player cap or revoke each one.
+const AllowancePanel = ({ account, gameTokenContract, spenders }) => {
+  const [allowances, setAllowances] = useState({});
+  const [caps, setCaps] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyAddress, setBusyAddress] = useState(null);
+  const { showToast } = useToast();
+  const { recordTransaction } = useActivity();
+
+  const loadAllowances = useCallback(async () => {
+    if (!gameTokenContract || !account) return;
+    try {
+      const amounts = await Promise.all(
+        spenders.map(({ address }) => gameTokenContract.allowance(account, address))
+      );
+      const next = {};
+      spenders.forEach(({ address }, idx) => {
+        next[address.toLowerCase()] = amounts[idx];
+      });
+      setAllowances(next);
+    } catch (error) {
+      console.error('Error loading allowances:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [gameTokenContract, account, spenders]);
+
+  useEffect(() => {
+    loadAllowances();
+  }, [loadAllowances]);
+
+  // Approvals, permits and game transfers all emit Approval for the owner.
+  const handleApproval = useCallback(({ args }) => {
+    if (args.owner.toLowerCase() === account.toLowerCase()) {
+      loadAllowances();
+    }
+  }, [account, loadAllowances]);
+
+  useContractEvents(gameTokenContract, APPROVAL_EVENTS, handleApproval);
+
+  const setAllowance = async (spender, amount) => {
+    setBusyAddress(spender.address);
+    try {
+      const signer = await getBrowserSigner();
+      const tx = await gameTokenContract.connect(signer).approve(spender.address, amount);
+      const label = amount === ethers.toBigInt(0)
+        ? `Revoke GT allowance for ${spender.label}`
+        : `Set GT allowance for ${spender.label} to ${ethers.formatEther(amount)} GT`;
+      recordTransaction(tx, { kind: 'approve', label, scope: spender.address });
+      await tx.wait();
+      setCaps((prev) => ({ ...prev, [spender.key]: '' }));
+      showToast('Allowance updated', 'success');
+      await loadAllowances();
+    } catch (error) {
+      console.error('Error updating allowance:', error);
+      showToast(getFriendlyError(error, 'Allowance update failed. Please try again.'), 'error');
+    } finally {
+      setBusyAddress(null);
+    }
+  };
+
+  const handleSetCap = (spender) => {
+    let amount;
+    try {
+      amount = ethers.parseEther(caps[spender.key] || '');
+    } catch (error) {
+      showToast('Enter the allowance in GT, e.g. 10 or 2.5', 'info');
+      return;
+    }
+    setAllowance(spender, amount);
+  };
+
+  if (spenders.length === 0) {
+    return (
+      <EmptyState
+        title="No game contracts"
+        description="This network's deployment does not list any games."
+      />
+    );
+  }
+
+  if (isLoading) {
+    return <Skeleton lines={spenders.length} />;
+  }
+
+  return (
+    <div className="allowance-list">
+      <p className="history-meta-item">
+        Plays sign a permit for exactly their amount, so no allowance is needed to play.
+        Anything left here can be spent by that contract at any time.
+      </p>
+      {spenders.map((spender) => {
+        const amount = allowances[spender.address.toLowerCase()] ?? ethers.toBigInt(0);
+        const isZero = amount === ethers.toBigInt(0);
+        const isBusy = busyAddress === spender.address;
+        return (
+          <div key={spender.key} className="history-item allowance-item">
+            <p>
+              <strong>{spender.label}</strong>{' '}
+              <StatusTag type={isZero ? 'info' : amount === ethers.MaxUint256 ? 'ended' : 'active'}>
+                {formatAllowance(amount)}
+              </StatusTag>
+            </p>
+            <p className="history-meta-item" title={spender.address}>
+              <strong>Spender:</strong> {shortAddress(spender.address)}
+            </p>
+            <div className="allowance-controls">
+              <Input
+                type="text"
+                id={`allowance-cap-${spender.key}`}
+                inputMode="decimal"
+                placeholder="Cap in GT"
+                value={caps[spender.key] || ''}
+                onChange={(e) => setCaps((prev) => ({ ...prev, [spender.key]: e.target.value }))}
+                disabled={Boolean(busyAddress)}
+              />
+              <Button
+                size="sm"
+                variant="secondary"
+                onClick={() => handleSetCap(spender)}
+                disabled={Boolean(busyAddress) || !caps[spender.key]}
+                loading={isBusy && Boolean(caps[spender.key])}
+              >
+                Set
+              </Button>
+              <Button
+                size="sm"
+                variant="secondary"
+                onClick={() => setAllowance(spender, ethers.toBigInt(0))}
+                disabled={Boolean(busyAddress) || isZero}
+                loading={isBusy && !caps[spender.key]}
+              >
+                Revoke
+              </Button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AllowancePanel;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { ethers } from 'ethers';
 import { InlineError, InlineSuccess } from './ui/InlineStatus';
 import Skeleton from './ui/Skeleton';
@@ -10,222 +10,321 @@ import Input from './ui/Input';
 import StatItem from './ui/StatItem';
 import StatusTag from './ui/StatusTag';
 import TransactionStepper from './ui/TransactionStepper';
+import ResultModal from './ui/ResultModal';
+import { useActivitySettled, usePendingActivity } from './ActivityProvider';
 import { getFriendlyError } from '../utils/friendlyError';
 import { useAutoDismiss } from '../hooks/useAutoDismiss';
+import { useGameContract } from '../hooks/useGameContract';
+import { useTokenApproval } from '../hooks/useTokenApproval';
+import { useGameTransaction } from '../hooks/useGameTransaction';
+import { useRevealQueue } from '../hooks/useRevealQueue';
+import { useContractEvents } from '../hooks/useContractEvents';
+import { useBlockClock } from '../hooks/useBlockClock';
+import { groupBatches, readGameHistory, readRecentRolls } from '../services/diceHistoryService';
+
+const SETTLEMENT_EVENTS = ['GameCompleted', 'GameRefunded'];
+// Events that move the bankroll or its reserved share, and so the max bet
+const BANKROLL_EVENTS = ['GameStarted', 'GameCompleted', 'GameRefunded', 'MaxPayoutPercentUpdated'];
+const TOKEN_TRANSFER_EVENTS = ['Transfer'];
+// Events that move a pending game's refund deadline
+const DEADLINE_EVENTS = ['RandomnessRerequested', 'VrfTimeoutUpdated'];
+const NO_PREVIOUS_VERSIONS = [];
+
+// Mirrors DiceGame.BetType. A bet's parameters `a` and `b` pick its winning
+// rolls as getWinRange does; `b` only matters for a range.
+const DICE_SIDES = 100;
+const MAX_BATCH_ROLLS = 10;
+const BET_TYPES = [
+  { value: 0, label: 'Roll Under' },
+  { value: 1, label: 'Roll Over' },
+  { value: 2, label: 'Range' },
+  { value: 3, label: 'Exact' }
+];
+
+const toWinRange = (betType, a, b) => {
+  if (betType === 0) return [1, a];
+  if (betType === 1) return [a + 1, DICE_SIDES];
+  if (betType === 2) return [a, b];
+  return [a, a];
+};
+
+// Games from versions without bet types are roll-under bets on [1, prediction].
+const describeWinningRolls = (game) => {
+  const low = parseInt(game.winLow ?? '1', 10);
+  const high = parseInt(game.winHigh ?? game.prediction, 10);
+  if (low === high) return `Exactly ${low}`;
+  if (low === 1) return `${high} or under`;
+  if (high === DICE_SIDES) return `Over ${low - 1}`;
+  return `${low} to ${high}`;
+};
+
+const RollSlider = ({ id, label, min, max, value, onChange }) => (
+  <div className="input-group">
+    <label htmlFor={id}>{label}</label>
+    <input
+      type="range"
+      id={id}
+      className="input"
+      min={min}
+      max={max}
+      value={value}
+      onChange={(e) => onChange(parseInt(e.target.value, 10))}
+    />
+  </div>
+);
+
+// A refunded game is completed without a roll.
+const isGamePending = (game) => !game.isCompleted || (!game.isRefunded && parseInt(game.rollResult, 10) === 0);
+const isCurrentGamePending = (game) => !game.version && isGamePending(game);
+const isGameSettled = (game) => !isGamePending(game);
+const getHistoryCategory = (game) => {
+  if (isGamePending(game)) return 'waiting';
+  if (game.isRefunded) return 'refunded';
+  return parseFloat(game.payout) > 0 ? 'won' : 'lost';
+};
+const ROLL_TAG_TYPES = { waiting: 'info', won: 'active', lost: 'ended', refunded: 'info' };
+
+const isEntrySettled = (entry) => entry.games.every(isGameSettled);
+// Refunds are not results, so they are never revealed
+const isEntryRevealable = (entry) => isEntrySettled(entry) && !entry.games[0].isRefunded;
+const getEntryId = (entry) => entry.id;
+const describeEntry = (entry) => {
+  const first = entry.games[0];
+  const last = entry.games[entry.games.length - 1];
+  return entry.games.length > 1 ? `Games #${first.sequenceNo}-#${last.sequenceNo}` : `Game #${first.sequenceNo}`;
+};
+const sumPayouts = (games) => games.reduce((sum, game) => sum + (parseFloat(game.payout) || 0), 0);
+const toRevealPayload = (entry) => ({
+  title: describeEntry(entry),
+  won: sumPayouts(entry.games) > 0,
+  gameId: entry.id,
+  rollResult: entry.games[0].rollResult,
+  payout: sumPayouts(entry.games).toString(),
+  rolls: entry.games.length > 1 ? entry.games : null
+});
+
+const BatchRollGrid = ({ games }) => (
+  <div className="batch-grid">
+    {games.map((game) => {
+      const category = getHistoryCategory(game);
+      return (
+        <span
+          key={game.id}
+          className={`batch-roll ds-status-tag ds-status-${ROLL_TAG_TYPES[category]}`}
+          title={category === 'won' ? `Won ${parseFloat(game.payout).toFixed(4)} GT` : category}
+        >
+          {category === 'waiting' ? '...' : category === 'refunded' ? '-' : game.rollResult}
+        </span>
+      );
+    })}
+  </div>
+);
+
+const BatchHistoryItem = ({ entry }) => {
+  const [firstRoll] = entry.games;
+  const isSettled = isEntrySettled(entry);
+  const wins = entry.games.filter((game) => getHistoryCategory(game) === 'won').length;
+  const totalPayout = sumPayouts(entry.games);
+
+  return (
+    <div className="history-item">
+      <p>
+        <strong>{describeEntry(entry)}</strong>{' '}
+        <StatusTag type="info">{`Batch of ${entry.games.length}`}</StatusTag>
+      </p>
+      <div className="history-status-box">
+        <TransactionStepper
+          stage={isSettled ? 'done' : 'confirming'}
+          actionLabel="Play"
+          approvalRequired={false}
+          compact
+          hideHint
+        />
+        <div className="history-meta-grid">
+          <p className="history-meta-item"><strong>Bet:</strong> {parseFloat(firstRoll.betAmount).toFixed(4)} GT per roll</p>
+          <p className="history-meta-item"><strong>Wins on:</strong> {describeWinningRolls(firstRoll)}</p>
+          {firstRoll.version && (
+            <p className="history-meta-item"><strong>Version:</strong> v{firstRoll.version} (retired)</p>
+          )}
+          <p className="history-meta-item">
+            <strong>Result:</strong>{' '}
+            {isSettled && firstRoll.isRefunded ? (
+              <StatusTag type="info">{`Refunded ${totalPayout.toFixed(4)} GT`}</StatusTag>
+            ) : isSettled ? (
+              <StatusTag type={totalPayout > 0 ? 'active' : 'ended'}>
+                {`Won ${wins} of ${entry.games.length}, ${totalPayout.toFixed(4)} GT`}
+              </StatusTag>
+            ) : (
+              <StatusTag type="info">Waiting for result...</StatusTag>
+            )}
+          </p>
+        </div>
+        <BatchRollGrid games={entry.games} />
+      </div>
+    </div>
+  );
+};
 
 const DiceGame = ({
   account,
   contractAddress,
   abi,
+  previousVersions = NO_PREVIOUS_VERSIONS,
   gameTokenAddress,
   gameTokenAbi,
-  vrfCoordinatorAddress,
+  isContractOwner = false,
+  onRequestWallet,
   onToggleView,
   toggleLabel = 'Dice Game'
 }) => {
-  const LOCAL_VRF_COORDINATOR = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
-  const resolvedVrfCoordinatorAddress = vrfCoordinatorAddress || LOCAL_VRF_COORDINATOR;
-  const AUTO_RETRY_INTERVAL_MS = 2500;
   const [betAmount, setBetAmount] = useState('5000');
+  const [betType, setBetType] = useState(0);
   const [prediction, setPrediction] = useState(50);
+  const [rangeHigh, setRangeHigh] = useState(75);
+  const [rolls, setRolls] = useState(1);
   const [potentialPayout, setPotentialPayout] = useState('0');
+  const [maxBet, setMaxBet] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
-  const [isApproving, setIsApproving] = useState(false);
   const [gameHistory, setGameHistory] = useState([]);
+  const [recentRolls, setRecentRolls] = useState([]);
   const [showAllHistory, setShowAllHistory] = useState(false);
   const [historyFilter, setHistoryFilter] = useState('all');
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
-  const [contract, setContract] = useState(null);
-  const [gameTokenContract, setGameTokenContract] = useState(null);
-  const [allowance, setAllowance] = useState('0');
-  const [requestIdByGameId, setRequestIdByGameId] = useState({});
-  const [isRetryingFulfill, setIsRetryingFulfill] = useState(false);
-  const [lastFulfillRetryAt, setLastFulfillRetryAt] = useState(0);
   const [isLoadingHistory, setIsLoadingHistory] = useState(false);
   const [flowStage, setFlowStage] = useState('idle');
-  const [resultModal, setResultModal] = useState({
-    isOpen: false,
-    isRevealing: false,
-    progressMs: 1000,
-    sequenceNo: '',
-    won: false,
-    gameId: '',
-    rollResult: '',
-    payout: '0'
-  });
-  const isHistoryInitializedRef = useRef(false);
-  const notifiedGameIdsRef = useRef(new Set());
-  const revealTimerRef = useRef(null);
+  const [refundDeadline, setRefundDeadline] = useState(null);
+  const [isRecovering, setIsRecovering] = useState(false);
   const { showToast } = useToast();
+  const { contract, gameTokenContract } = useGameContract({
+    account,
+    contractAddress,
+    abi,
+    gameTokenAddress,
+    gameTokenAbi
+  });
+  const {
+    allowance,
+    refreshAllowance,
+    isApproving,
+    pendingApproval,
+    approveExact,
+    permitIfNeeded
+  } = useTokenApproval(gameTokenContract, account, contractAddress, 'Dice Game');
+  const pendingGame = gameHistory.find(isCurrentGamePending);
+  const historyEntries = useMemo(() => groupBatches(gameHistory), [gameHistory]);
+  // A batch stakes the bet on every roll
+  const totalStake = (parseFloat(betAmount || '0') || 0) * rolls;
+  const sendGameTransaction = useGameTransaction(contract, contractAddress);
+  const pendingPlay = usePendingActivity(contractAddress, 'startGame');
 
   useAutoDismiss(error, setError, null);
   useAutoDismiss(success, setSuccess, null);
 
-  useEffect(() => {
-    if (window.ethereum && account && contractAddress && abi) {
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const diceGameContract = new ethers.Contract(contractAddress, abi, provider);
-      setContract(diceGameContract);
-      loadGameHistory(diceGameContract);
+  const loadGameHistory = useCallback(async (options = {}) => {
+    const silent = options.silent === true;
+    if (!contract || !account) return;
+    if (!silent) {
+      setIsLoadingHistory(true);
     }
-
-    if (window.ethereum && account && gameTokenAddress && gameTokenAbi) {
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const gameToken = new ethers.Contract(gameTokenAddress, gameTokenAbi, provider);
-      setGameTokenContract(gameToken);
-      loadAllowance(gameToken);
+    try {
+      setGameHistory(await readGameHistory(contract, contractAddress, previousVersions, account));
+    } catch (error) {
+      console.error('Error loading game history:', error);
+      if (!silent) {
+        showToast('Failed to load game history', 'error');
+      }
+    } finally {
+      if (!silent) {
+        setIsLoadingHistory(false);
+      }
     }
-  }, [account, contractAddress, abi, gameTokenAddress, gameTokenAbi]);
+  }, [contract, contractAddress, account, previousVersions, showToast]);
 
-  useEffect(() => {
-    calculatePayout();
-  }, [betAmount, prediction]);
-
-  useEffect(() => {
-    if (!account) {
-      setFlowStage('idle');
-      return;
+  const loadRecentRolls = useCallback(async () => {
+    if (!contract || account) return;
+    try {
+      setRecentRolls(await readRecentRolls(contract));
+    } catch (error) {
+      console.error('Error loading recent rolls:', error);
     }
+  }, [contract, account]);
 
-    if (!isApproving && !isPlaying) {
-      setFlowStage(parseFloat(allowance || '0') >= parseFloat(betAmount || '0') ? 'ready' : 'idle');
-    }
-  }, [account, allowance, betAmount, isApproving, isPlaying]);
+  const { revealModal, closeReveal } = useRevealQueue({
+    items: historyEntries,
+    getId: getEntryId,
+    isSettled: isEntryRevealable,
+    toPayload: toRevealPayload
+  });
 
   useEffect(() => {
-    if (!contract || !account) return undefined;
-
-    const hasPendingGame = gameHistory.some(
-      (game) => !game.isCompleted || parseInt(game.rollResult, 10) === 0
-    );
-    if (!hasPendingGame) return undefined;
-
-    const intervalId = setInterval(() => {
-      loadGameHistory(contract, { silent: true });
-    }, 2000);
-
-    return () => clearInterval(intervalId);
-  }, [contract, account, gameHistory]);
+    loadGameHistory();
+  }, [loadGameHistory]);
 
   useEffect(() => {
-    if (!contract || !account) return;
-    loadRequestIdMap(contract);
-  }, [contract, account]);
+    loadRecentRolls();
+  }, [loadRecentRolls]);
 
-  useEffect(() => {
-    const autoRetryFulfill = async () => {
-      if (!window.ethereum || !contract || !account || isPlaying || isRetryingFulfill) return;
+  // Only settlements change what the card shows: the player's own games, or
+  // anyone's for spectators.
+  const handleGameCompleted = useCallback(({ args }) => {
+    if (!account) {
+      loadRecentRolls();
+    } else if (args.player.toLowerCase() === account.toLowerCase()) {
+      loadGameHistory({ silent: true });
+    }
+  }, [account, loadRecentRolls, loadGameHistory]);
 
-      const pendingGame = gameHistory.find(
-        (game) => !game.isCompleted || parseInt(game.rollResult, 10) === 0
-      );
-      if (!pendingGame) return;
+  useContractEvents(contract, SETTLEMENT_EVENTS, handleGameCompleted);
 
-      const requestId = requestIdByGameId[pendingGame.id];
-      if (!requestId) {
-        await loadRequestIdMap(contract);
-        return;
-      }
-
-      const now = Date.now();
-      if (now - lastFulfillRetryAt < AUTO_RETRY_INTERVAL_MS) return;
-
-      try {
-        const provider = new ethers.BrowserProvider(window.ethereum);
-        const network = await provider.getNetwork();
-        const isLocalNetwork = Number(network.chainId) === 31337 || Number(network.chainId) === 1337;
-        if (!isLocalNetwork) return;
-
-        setIsRetryingFulfill(true);
-        setLastFulfillRetryAt(now);
-
-        const signer = await getLocalAutoFulfillSigner();
-        if (!signer) return;
-        const vrfCoordinatorAbi = ['function fulfillRandomWords(uint256 requestId) external'];
-        const vrfCoordinator = new ethers.Contract(resolvedVrfCoordinatorAddress, vrfCoordinatorAbi, signer);
-        const tx = await vrfCoordinator.fulfillRandomWords(requestId);
-        await tx.wait();
-
-        await loadGameHistory(contract, { silent: true });
-      } catch (error) {
-        console.warn('Auto retry fulfill failed:', error);
-      } finally {
-        setIsRetryingFulfill(false);
-      }
-    };
+  // Once the pending game's request outlives the VRF timeout, anyone can refund
+  // its batch and the owner can re-request its randomness.
+  const pendingGameId = pendingGame ? pendingGame.id : null;
+  const blockClock = useBlockClock(contract?.runner);
 
-    autoRetryFulfill();
-  }, [
-    contract,
-    account,
-    gameHistory,
-    requestIdByGameId,
-    resolvedVrfCoordinatorAddress,
-    isPlaying,
-    isRetryingFulfill,
-    lastFulfillRetryAt
-  ]);
+  const loadRefundDeadline = useCallback(async () => {
+    if (!contract || pendingGameId === null) {
+      setRefundDeadline(null);
+      return;
+    }
+    try {
+      setRefundDeadline(Number(await contract.refundDeadline(pendingGameId)));
+    } catch (error) {
+      console.error('Error loading refund deadline:', error);
+      setRefundDeadline(null);
+    }
+  }, [contract, pendingGameId]);
 
   useEffect(() => {
-    if (!gameHistory.length) return;
+    loadRefundDeadline();
+  }, [loadRefundDeadline]);
 
-    if (!isHistoryInitializedRef.current) {
-      gameHistory.forEach((game) => {
-        if (game.isCompleted && parseInt(game.rollResult, 10) > 0) {
-          notifiedGameIdsRef.current.add(String(game.id));
-        }
-      });
-      isHistoryInitializedRef.current = true;
-      return;
-    }
+  useContractEvents(contract, DEADLINE_EVENTS, loadRefundDeadline);
 
-    const newlyCompletedGame = gameHistory.find((game) => (
-      game.isCompleted &&
-      parseInt(game.rollResult, 10) > 0 &&
-      !notifiedGameIdsRef.current.has(String(game.id))
-    ));
+  const winRange = toWinRange(betType, prediction, rangeHigh);
 
-    if (!newlyCompletedGame) return;
+  // Roll Over needs a threshold below 100, and a range keeps From <= To.
+  const selectBetType = (nextType) => {
+    setBetType(nextType);
+    if (nextType === 1) setPrediction((value) => Math.min(value, DICE_SIDES - 1));
+    if (nextType === 2) setRangeHigh((value) => Math.max(value, prediction));
+  };
 
-    notifiedGameIdsRef.current.add(String(newlyCompletedGame.id));
-    const randomProgressMs = 800 + Math.floor(Math.random() * 1001);
-    if (revealTimerRef.current) {
-      clearTimeout(revealTimerRef.current);
-    }
-    setResultModal({
-      isOpen: true,
-      isRevealing: true,
-      progressMs: randomProgressMs,
-      sequenceNo: newlyCompletedGame.sequenceNo || '',
-      won: parseFloat(newlyCompletedGame.payout) > 0,
-      gameId: newlyCompletedGame.id,
-      rollResult: newlyCompletedGame.rollResult,
-      payout: newlyCompletedGame.payout
-    });
-
-    revealTimerRef.current = setTimeout(() => {
-      setResultModal((prev) => ({ ...prev, isRevealing: false }));
-      revealTimerRef.current = null;
-    }, randomProgressMs);
-  }, [gameHistory]);
-
-  useEffect(() => () => {
-    if (revealTimerRef.current) {
-      clearTimeout(revealTimerRef.current);
-    }
-  }, []);
+  const setRangeLow = (value) => {
+    setPrediction(value);
+    setRangeHigh((high) => Math.max(high, value));
+  };
+
+  const setRangeTo = (value) => {
+    setRangeHigh(value);
+    setPrediction((low) => Math.min(low, value));
+  };
 
-  const calculatePayout = async () => {
+  const calculatePayout = useCallback(async () => {
     if (!contract) return;
     try {
       const betAmountWei = ethers.parseEther(betAmount);
-      console.log('Calculating payout for betAmount:', betAmountWei, 'prediction:', prediction);
-      const payout = await contract.calculatePayout(
-        betAmountWei,
-        prediction
-      );
-      console.log('Payout:', payout);
+      const payout = await contract.quotePayout(betAmountWei, betType, prediction, rangeHigh);
       // Convert BigInt to string before formatting
       const payoutString = payout.toString();
       setPotentialPayout(ethers.formatEther(payoutString));
@@ -233,126 +332,86 @@ const DiceGame = ({
       console.error('Error calculating payout:', error);
       setError(getFriendlyError(error, 'Payout calculation failed. Please check your input and try again.'));
     }
-  };
+  }, [contract, betAmount, betType, prediction, rangeHigh]);
 
-  const loadAllowance = async (gameToken) => {
-    try {
-      if (account && contractAddress) {
-        const allowanceAmount = await gameToken.allowance(account, contractAddress);
-        setAllowance(ethers.formatEther(allowanceAmount.toString()));
-      }
-    } catch (error) {
-      console.error('Error loading allowance:', error);
-    }
-  };
+  useEffect(() => {
+    calculatePayout();
+  }, [calculatePayout]);
 
-  const loadRequestIdMap = async (diceGameContract) => {
-    if (!account || !diceGameContract) return;
+  // The largest bet per roll the free bankroll covers for the current choice
+  const loadMaxBet = useCallback(async () => {
+    if (!contract) return;
     try {
-      const filter = diceGameContract.filters.GameStarted(null, account);
-      const logs = await diceGameContract.queryFilter(filter);
-      const map = {};
-      logs.forEach((log) => {
-        const gameId = log.args?.gameId?.toString?.();
-        const requestId = log.args?.requestId?.toString?.();
-        if (gameId && requestId) {
-          map[gameId] = requestId;
-        }
-      });
-      if (Object.keys(map).length > 0) {
-        setRequestIdByGameId((prev) => ({ ...prev, ...map }));
-      }
+      const limit = await contract.getMaxBet(betType, prediction, rangeHigh, rolls);
+      setMaxBet(ethers.formatEther(limit));
     } catch (error) {
-      console.warn('Failed to load requestId map:', error);
+      console.error('Error loading max bet:', error);
+      setMaxBet(null);
     }
-  };
+  }, [contract, betType, prediction, rangeHigh, rolls]);
 
-  const getLocalAutoFulfillSigner = async () => {
-    try {
-      const localProvider = new ethers.JsonRpcProvider('http://127.0.0.1:8545');
-      const localNetwork = await localProvider.getNetwork();
-      const isLocalNetwork = Number(localNetwork.chainId) === 31337 || Number(localNetwork.chainId) === 1337;
-      if (!isLocalNetwork) return null;
-      return await localProvider.getSigner(0);
-    } catch (error) {
-      console.warn('Unable to use local auto-fulfill signer:', error);
-      return null;
+  useEffect(() => {
+    loadMaxBet();
+  }, [loadMaxBet]);
+
+  // Deposits to and withdrawals from the bankroll only show up as token transfers
+  const handleTokenTransfer = useCallback(({ args }) => {
+    const dice = contractAddress.toLowerCase();
+    if (args.from.toLowerCase() === dice || args.to.toLowerCase() === dice) {
+      loadMaxBet();
     }
-  };
+  }, [contractAddress, loadMaxBet]);
 
-  const loadGameHistory = async (diceGameContract, options = {}) => {
-    const silent = options.silent === true;
-    if (!account) return;
-    if (!silent) {
-      setIsLoadingHistory(true);
+  useContractEvents(contract, BANKROLL_EVENTS, loadMaxBet);
+  useContractEvents(gameTokenContract, TOKEN_TRANSFER_EVENTS, handleTokenTransfer);
+
+  // Transactions still pending from before a reload keep the stepper where it was.
+  useEffect(() => {
+    if (!account) {
+      setFlowStage('idle');
+      return;
     }
-    try {
-      const games = await diceGameContract.getPlayerGames(account);
-      const gameDetails = await Promise.all(
-        games.map(async (gameId, idx) => {
-          const game = await diceGameContract.getGame(gameId);
-          return {
-            id: gameId.toString(),
-            sequenceNo: (idx + 1).toString(),
-            betAmount: ethers.formatEther(game.betAmount.toString()),
-            prediction: game.prediction.toString(),
-            rollResult: game.rollResult.toString(),
-            payout: ethers.formatEther(game.payout.toString()),
-            isCompleted: game.isCompleted
-          };
-        })
-      );
-      setGameHistory(gameDetails.reverse());
-    } catch (error) {
-      console.error('Error loading game history:', error);
-      if (!silent) {
-        showToast('Failed to load game history', 'error');
-      }
-    } finally {
-      if (!silent) {
-        setIsLoadingHistory(false);
+
+    if (!isApproving && !isPlaying) {
+      if (pendingApproval) {
+        setFlowStage('approving');
+      } else if (pendingPlay) {
+        setFlowStage('confirming');
+      } else {
+        setFlowStage(parseFloat(allowance || '0') >= totalStake ? 'ready' : 'idle');
       }
     }
-  };
+  }, [account, allowance, totalStake, isApproving, isPlaying, pendingApproval, pendingPlay]);
 
-  const handleApprove = async () => {
+  const reloadGameHistory = useCallback(() => loadGameHistory({ silent: true }), [loadGameHistory]);
+
+  useActivitySettled(pendingPlay, reloadGameHistory);
+
+  // For wallets that cannot sign permits: approve exactly this stake on-chain,
+  // after which Roll Dice sends a plain startBet or startBetBatch.
+  const handleApproveExact = async () => {
     if (!gameTokenContract || !account) return;
 
-    setIsApproving(true);
     setFlowStage('approving');
     setError(null);
     setSuccess(null);
 
     try {
-      const signer = await new ethers.BrowserProvider(window.ethereum).getSigner();
-      const gameTokenWithSigner = gameTokenContract.connect(signer);
-
-      // Approve max uint so users don't need repeated approvals.
-      const approveAmount = ethers.MaxUint256;
-      const tx = await gameTokenWithSigner.approve(contractAddress, approveAmount);
-      setFlowStage('confirming');
-      await tx.wait();
-
-      setSuccess('Approval successful! You can now play the game.');
+      await approveExact(ethers.parseEther(betAmount) * ethers.toBigInt(rolls));
+      setSuccess('Approval successful! You can now roll.');
       setFlowStage('ready');
       showToast('Approval successful', 'success');
-      await loadAllowance(gameTokenContract);
     } catch (error) {
       console.error('Error approving tokens:', error);
       const message = getFriendlyError(error, 'Approval failed. Please try again.');
       setError(message);
       setFlowStage('error');
       showToast(message, 'error');
-    } finally {
-      setIsApproving(false);
     }
   };
 
   const handlePlay = async () => {
     if (!contract || !account) return;
-    const pendingGame = gameHistory.find(
-      (game) => !game.isCompleted || parseInt(game.rollResult, 10) === 0
-    );
     if (pendingGame) {
       const message = 'Please wait for your current game result before starting a new round.';
       setError(message);
@@ -363,20 +422,21 @@ const DiceGame = ({
     if (!gameTokenContract) return;
 
     try {
-      const requiredBet = ethers.parseEther(betAmount || '0');
-      const [latestAllowance, latestBalance] = await Promise.all([
-        gameTokenContract.allowance(account, contractAddress),
-        gameTokenContract.balanceOf(account)
+      const requiredBet = ethers.parseEther(betAmount || '0') * ethers.toBigInt(rolls);
+      const [latestBalance, latestMaxBet] = await Promise.all([
+        gameTokenContract.balanceOf(account),
+        contract.getMaxBet(betType, prediction, rangeHigh, rolls)
       ]);
-      setAllowance(ethers.formatEther(latestAllowance.toString()));
+      setMaxBet(ethers.formatEther(latestMaxBet));
 
-      if (latestAllowance < requiredBet) {
-        const message = 'Allowance is insufficient. Please approve tokens again before playing.';
+      if (ethers.parseEther(betAmount || '0') > latestMaxBet) {
+        const message = `The bankroll currently covers bets of at most ${ethers.formatEther(latestMaxBet)} GT per roll on this choice.`;
         setError(message);
-        setFlowStage('idle');
-        showToast(message, 'info');
+        setFlowStage('error');
+        showToast(message, 'error');
         return;
       }
+
       if (latestBalance < requiredBet) {
         const message = 'Insufficient GT balance for this bet amount.';
         setError(message);
@@ -389,78 +449,41 @@ const DiceGame = ({
     }
 
     setIsPlaying(true);
-    setFlowStage('submitting');
     setError(null);
     setSuccess(null);
 
     try {
-      const signer = await new ethers.BrowserProvider(window.ethereum).getSigner();
-      const contractWithSigner = contract.connect(signer);
-      const network = await signer.provider.getNetwork();
-      const isLocalNetwork = Number(network.chainId) === 31337 || Number(network.chainId) === 1337;
-
-      const tx = await contractWithSigner.startGame(
-        ethers.parseEther(betAmount),
-        prediction
-      );
-      setFlowStage('confirming');
-      const receipt = await tx.wait();
-
-      // Get the requestId from the event
-      const event = receipt.logs.find(log => {
-        try {
-          const parsed = contract.interface.parseLog(log);
-          return parsed.name === 'GameStarted';
-        } catch (e) {
-          return false;
+      const amount = ethers.parseEther(betAmount);
+      const isBatch = rolls > 1;
+      const winningRolls = describeWinningRolls({ winLow: winRange[0], winHigh: winRange[1] });
+
+      await sendGameTransaction(async (diceGame, signer) => {
+        // A stake the allowance does not cover is authorized with a permit for
+        // exactly its amount, sent along with the game transaction.
+        const permitArgs = await permitIfNeeded(signer, amount * ethers.toBigInt(rolls), () => setFlowStage('signing'));
+        setFlowStage('submitting');
+        if (permitArgs) {
+          return isBatch
+            ? diceGame.startBetBatchWithPermit(amount, betType, prediction, rangeHigh, rolls, ...permitArgs)
+            : diceGame.startBetWithPermit(amount, betType, prediction, rangeHigh, ...permitArgs);
         }
+        return isBatch
+          ? diceGame.startBetBatch(amount, betType, prediction, rangeHigh, rolls)
+          : diceGame.startBet(amount, betType, prediction, rangeHigh);
+      }, {
+        kind: 'startGame',
+        label: isBatch
+          ? `Dice batch: ${rolls} x ${betAmount} GT on ${winningRolls}`
+          : `Dice roll: ${betAmount} GT on ${winningRolls}`,
+        onSent: () => setFlowStage('confirming')
       });
 
-      if (event) {
-        const parsed = contract.interface.parseLog(event);
-        const gameId = parsed.args.gameId?.toString();
-        const requestId = parsed.args.requestId;
-        if (gameId && requestId !== undefined) {
-          setRequestIdByGameId((prev) => ({
-            ...prev,
-            [gameId]: requestId.toString()
-          }));
-        }
-
-        // Manually fulfill only on local hardhat chain.
-        if (isLocalNetwork) {
-          try {
-            const vrfCoordinatorAbi = [
-              'function fulfillRandomWords(uint256 requestId) external'
-            ];
-            const autoFulfillSigner = await getLocalAutoFulfillSigner();
-            if (!autoFulfillSigner) {
-              throw new Error('Local auto-fulfill signer unavailable');
-            }
-            const vrfCoordinator = new ethers.Contract(
-              resolvedVrfCoordinatorAddress,
-              vrfCoordinatorAbi,
-              autoFulfillSigner
-            );
-            const fulfillTx = await vrfCoordinator.fulfillRandomWords(requestId);
-            await fulfillTx.wait();
-          } catch (fulfillError) {
-            console.warn('Manual fulfill failed after startGame:', fulfillError);
-            setSuccess('Game started. Waiting for random result...');
-            setFlowStage('confirming');
-            showToast('Game started, waiting for result', 'info');
-            await loadGameHistory(contract, { silent: true });
-            await loadAllowance(gameTokenContract);
-            return;
-          }
-        }
-      }
-
-      setSuccess('Game completed!');
+      // The VRF fulfillment settles the game; GameCompleted then opens the result.
+      setSuccess('Game started. Waiting for the random result...');
       setFlowStage('done');
-      showToast('Game completed', 'success');
-      await loadGameHistory(contract);
-      await loadAllowance(gameTokenContract);
+      showToast('Game started, waiting for result', 'info');
+      await loadGameHistory();
+      await refreshAllowance();
     } catch (error) {
       console.error('Error starting game:', error);
       const message = getFriendlyError(error, 'Failed to start game. Please try again.');
@@ -472,16 +495,65 @@ const DiceGame = ({
     }
   };
 
-  const getHistoryStage = (game) => {
-    if (!game.isCompleted || parseInt(game.rollResult, 10) === 0) {
-      return 'confirming';
+  const handleRefundExpired = async () => {
+    if (!contract || pendingGameId === null) return;
+
+    setIsRecovering(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      await sendGameTransaction((diceGame) => diceGame.refundExpired(pendingGameId), {
+        kind: 'refund',
+        label: `Refund expired Dice Game #${pendingGame.sequenceNo}`
+      });
+
+      setSuccess('Bet refunded.');
+      showToast('Bet refunded', 'success');
+      await loadGameHistory({ silent: true });
+      await refreshAllowance();
+    } catch (error) {
+      console.error('Error refunding game:', error);
+      const message = getFriendlyError(error, 'Refund failed. Please try again.');
+      setError(message);
+      showToast(message, 'error');
+    } finally {
+      setIsRecovering(false);
+    }
+  };
+
+  const handleRerequestRandomness = async () => {
+    if (!contract || pendingGameId === null) return;
+
+    setIsRecovering(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      await sendGameTransaction((diceGame) => diceGame.rerequestRandomness(pendingGameId), {
+        kind: 'rerequest',
+        label: `Re-request randomness for Dice Game #${pendingGame.sequenceNo}`
+      });
+
+      setSuccess('Randomness re-requested.');
+      showToast('Randomness re-requested', 'success');
+      await loadGameHistory({ silent: true });
+      await loadRefundDeadline();
+    } catch (error) {
+      console.error('Error re-requesting randomness:', error);
+      const message = getFriendlyError(error, 'Re-request failed. Please try again.');
+      setError(message);
+      showToast(message, 'error');
+    } finally {
+      setIsRecovering(false);
     }
-    return 'done';
   };
 
-  const displayedHistory = showAllHistory ? gameHistory : gameHistory.slice(0, 3);
+  const getHistoryStage = (game) => (isGamePending(game) ? 'confirming' : 'done');
+
+  const displayedHistory = showAllHistory ? historyEntries : historyEntries.slice(0, 3);
   const settledGames = gameHistory.filter(
-    (game) => game.isCompleted && parseInt(game.rollResult, 10) > 0
+    (game) => game.isCompleted && !game.isRefunded && parseInt(game.rollResult, 10) > 0
   );
   const wonGamesCount = settledGames.filter(
     (game) => (parseFloat(game.payout) || 0) > 0
@@ -494,35 +566,37 @@ const DiceGame = ({
     const bet = parseFloat(game.betAmount) || 0;
     return sum + (payout - bet);
   }, 0);
-  const getHistoryCategory = (game) => {
-    if (!game.isCompleted || parseInt(game.rollResult, 10) === 0) return 'waiting';
-    return parseFloat(game.payout) > 0 ? 'won' : 'lost';
-  };
+  // A batch matches a filter when any of its rolls does
   const filteredHistory = showAllHistory
-    ? displayedHistory.filter((game) => {
+    ? displayedHistory.filter((entry) => {
       if (historyFilter === 'all') return true;
-      return getHistoryCategory(game) === historyFilter;
+      return entry.games.some((game) => getHistoryCategory(game) === historyFilter);
     })
     : displayedHistory;
-  const hasPendingGame = gameHistory.some(
-    (game) => !game.isCompleted || parseInt(game.rollResult, 10) === 0
-  );
+  const hasPendingGame = Boolean(pendingGame || pendingPlay);
+  const isPendingExpired = pendingGame !== undefined && refundDeadline !== null
+    && (blockClock.timestamp ?? Math.floor(Date.now() / 1000)) >= refundDeadline;
+  const isApprovalRequired = parseFloat(allowance || '0') < totalStake;
+  const isApprovalPending = isApproving || Boolean(pendingApproval);
+  const exceedsMaxBet = maxBet !== null && (parseFloat(betAmount || '0') || 0) > parseFloat(maxBet);
 
   const renderHeaderActions = () => (
     <>
       <button type="button" className="card-link-btn" onClick={onToggleView}>
         {toggleLabel}
       </button>
-      <button
-        type="button"
-        className="card-link-btn"
-        onClick={() => {
-          setShowAllHistory((prev) => !prev);
-          setHistoryFilter('all');
-        }}
-      >
-        {showAllHistory ? 'Bet' : 'Games History'}
-      </button>
+      {account && (
+        <button
+          type="button"
+          className="card-link-btn"
+          onClick={() => {
+            setShowAllHistory((prev) => !prev);
+            setHistoryFilter('all');
+          }}
+        >
+          {showAllHistory ? 'Bet' : 'Games History'}
+        </button>
+      )}
     </>
   );
 
@@ -539,10 +613,13 @@ const DiceGame = ({
             <div className="info-box">
             <p><strong>Rules:</strong></p>
             <ul>
-              <li>Predict a number between 1 and 100</li>
-              <li>If the dice roll is less than or equal to your prediction, you win!</li>
-              <li>Higher predictions = Lower multiplier, Higher chance</li>
-              <li>Lower predictions = Higher multiplier, Lower chance</li>
+              <li>The dice rolls a number between 1 and 100</li>
+              <li>Bet on a roll under or over a number, inside a range, or on an exact number</li>
+              <li>Fewer winning rolls = Higher multiplier, Lower chance</li>
+              <li>Every bet type pays 100 / winning rolls times your bet</li>
+              <li>Roll up to {MAX_BATCH_ROLLS} times at once: each roll stakes the bet and all settle together</li>
+              <li>A bet&apos;s potential payout may use at most a set share of the unreserved bankroll</li>
+              <li>If a roll gets no random number within the VRF timeout, anyone can refund its bets</li>
               <li>House edge: 3%</li>
             </ul>
           </div>
@@ -558,79 +635,148 @@ const DiceGame = ({
               value={betAmount}
               onChange={(e) => setBetAmount(e.target.value)}
             />
-            <p className="input-hint">Min: 5000 GT, Max: 50000 GT</p>
-
-            <div className="input-group">
-              <label htmlFor="prediction">Prediction (1-100):</label>
-              <input
-                type="range"
-                id="prediction"
-                className="input"
-                min="1"
-                max="100"
-                value={prediction}
-                onChange={(e) => setPrediction(parseInt(e.target.value))}
-              />
-              <div className="prediction-value">
-                <span className="prediction-number">{prediction}</span>
-                <span className="win-chance">
-                  Win Chance: {prediction}%
-                </span>
-              </div>
+            <p className="input-hint">
+              {maxBet !== null
+                ? `Min: 5000 GT, Max: ${parseFloat(maxBet).toFixed(4)} GT${rolls > 1 ? ' per roll' : ''} right now`
+                : 'Min: 5000 GT, Max: 50000 GT'}
+            </p>
+
+            <Input
+              type="number"
+              id="rolls"
+              label={`Rolls (1-${MAX_BATCH_ROLLS})`}
+              min="1"
+              max={MAX_BATCH_ROLLS}
+              step="1"
+              value={rolls}
+              onChange={(e) => setRolls(Math.min(MAX_BATCH_ROLLS, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+            />
+            <p className="input-hint">All rolls share one VRF request.</p>
+
+            <div className="history-filter-row" role="group" aria-label="Bet type">
+              {BET_TYPES.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  className={`card-link-btn history-filter-btn ${betType === option.value ? 'history-filter-active' : ''}`}
+                  onClick={() => selectBetType(option.value)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+
+            {betType === 0 && (
+              <RollSlider id="prediction" label="Roll at most (1-100):" min="1" max="100" value={prediction} onChange={setPrediction} />
+            )}
+            {betType === 1 && (
+              <RollSlider id="prediction" label="Roll above (1-99):" min="1" max="99" value={prediction} onChange={setPrediction} />
+            )}
+            {betType === 2 && (
+              <>
+                <RollSlider id="prediction" label="From (1-100):" min="1" max="100" value={prediction} onChange={setRangeLow} />
+                <RollSlider id="rangeHigh" label="To (1-100):" min="1" max="100" value={rangeHigh} onChange={setRangeTo} />
+              </>
+            )}
+            {betType === 3 && (
+              <RollSlider id="prediction" label="Exact number (1-100):" min="1" max="100" value={prediction} onChange={setPrediction} />
+            )}
+            <div className="prediction-value">
+              <span className="prediction-number">{describeWinningRolls({ winLow: winRange[0], winHigh: winRange[1] })}</span>
+              <span className="win-chance">
+                Win Chance: {winRange[1] - winRange[0] + 1}%
+              </span>
             </div>
 
             <div className="payout-info">
-              <StatItem label="Potential Payout" value={`${parseFloat(potentialPayout || '0').toFixed(4)} GT`} />
+              <StatItem
+                label={rolls > 1 ? 'Potential Payout per Roll' : 'Potential Payout'}
+                value={`${parseFloat(potentialPayout || '0').toFixed(4)} GT`}
+              />
+              {rolls > 1 && (
+                <StatItem label="Total Stake" value={`${totalStake.toFixed(4)} GT`} />
+              )}
+              {maxBet !== null && (
+                <StatItem
+                  label={rolls > 1 ? 'Max Bet per Roll' : 'Max Bet'}
+                  value={`${parseFloat(maxBet).toFixed(4)} GT`}
+                />
+              )}
               <StatItem label="Multiplier" value={`${parseFloat(betAmount || '1') > 0 ? (parseFloat(potentialPayout || '0') / parseFloat(betAmount || '1')).toFixed(2) : '0.00'}x`} />
-              <StatItem label="Allowance" value={`${parseFloat(allowance || '0').toFixed(4)} GT`} />
+              {account && (
+                <StatItem label="Allowance" value={`${parseFloat(allowance || '0').toFixed(4)} GT`} />
+              )}
             </div>
 
+            {exceedsMaxBet && !error && (
+              <InlineError message="This bet's potential payout is more than the bankroll can cover right now. Lower the bet, the rolls or the multiplier." />
+            )}
             <InlineError message={error} />
             <InlineSuccess message={success} />
 
             <TransactionStepper
               stage={flowStage}
               actionLabel="Play"
-              approvalRequired={parseFloat(allowance) < parseFloat(betAmount || '0')}
+              approvalRequired={isApprovalRequired}
+              authorization={isApprovalPending ? 'approve' : 'permit'}
             />
 
-            {hasPendingGame ? (
+            {!account ? (
+              <Button onClick={onRequestWallet}>
+                Connect Wallet to Play
+              </Button>
+            ) : isPendingExpired ? (
+              <>
+                <p className="history-meta-item">
+                  <strong>Play Locked:</strong>{' '}
+                  <StatusTag type="ended">No result within the VRF timeout</StatusTag>
+                </p>
+                <Button onClick={handleRefundExpired} disabled={isRecovering} loading={isRecovering}>
+                  Refund Bet
+                </Button>
+                {isContractOwner && !isRecovering && (
+                  <button type="button" className="card-link-btn" onClick={handleRerequestRandomness}>
+                    Re-request randomness instead
+                  </button>
+                )}
+              </>
+            ) : hasPendingGame ? (
               <>
                 <p className="history-meta-item">
                   <strong>Play Locked:</strong>{' '}
                   <StatusTag type="info">Waiting for current game result</StatusTag>
                 </p>
+                {refundDeadline !== null && (
+                  <p className="input-hint">
+                    {`Refundable from ${new Date(refundDeadline * 1000).toLocaleString()} if no result arrives.`}
+                  </p>
+                )}
                 <Button disabled>
                   Waiting for Result
                 </Button>
               </>
-            ) : parseFloat(allowance) < parseFloat(betAmount) ? (
-              <Button
-                onClick={handleApprove}
-                disabled={!account || isApproving}
-                loading={isApproving}
-              >
-                Approve Tokens
-              </Button>
             ) : (
-              <Button
-                onClick={handlePlay}
-                disabled={!account || isPlaying}
-                loading={isPlaying}
-              >
-                Roll Dice
-              </Button>
-            )}
-
-            {!account && (
-              <p className="connect-prompt">Please connect your wallet to play</p>
+              <>
+                <Button
+                  onClick={handlePlay}
+                  disabled={isPlaying || isApprovalPending || exceedsMaxBet}
+                  loading={isPlaying || isApprovalPending}
+                >
+                  {rolls > 1 ? `Roll Dice ${rolls} Times` : 'Roll Dice'}
+                </Button>
+                {isApprovalRequired && !isPlaying && !isApprovalPending && (
+                  <button type="button" className="card-link-btn" onClick={handleApproveExact}>
+                    {`Approve exactly ${totalStake} GT instead of signing`}
+                  </button>
+                )}
+              </>
             )}
             </div>
           </>
         )}
 
       <div className={`game-history ${showAllHistory ? 'game-history-all' : ''}`}>
-          {!showAllHistory && <h3>Recent Games</h3>}
+          {!showAllHistory && <h3>{account ? 'Recent Games' : 'Recent Rolls'}</h3>}
           {showAllHistory && (
             <div className="history-filter-row">
             <button
@@ -661,6 +807,13 @@ const DiceGame = ({
             >
               Waiting for result...
             </button>
+            <button
+              type="button"
+              className={`card-link-btn history-filter-btn ${historyFilter === 'refunded' ? 'history-filter-active' : ''}`}
+              onClick={() => setHistoryFilter('refunded')}
+            >
+              Refunded
+            </button>
             </div>
           )}
         {showAllHistory && (
@@ -675,7 +828,36 @@ const DiceGame = ({
             </p>
           </div>
         )}
-          {isLoadingHistory ? (
+          {!account ? (
+            recentRolls.length === 0 ? (
+              <EmptyState
+                title="No rolls yet"
+                description="Settled games from every player show up here."
+              />
+            ) : (
+              <div className="history-list">
+                {recentRolls.map((roll) => (
+                  <div key={roll.id} className="history-item">
+                    <p><strong>Game {roll.id}</strong></p>
+                    <div className="history-meta-grid">
+                      <p className="history-meta-item"><strong>Player:</strong> {roll.player.slice(0, 6)}...{roll.player.slice(-4)}</p>
+                      <p className="history-meta-item"><strong>Bet:</strong> {parseFloat(roll.betAmount).toFixed(4)} GT</p>
+                      <p className="history-meta-item"><strong>Wins on:</strong> {describeWinningRolls(roll)}</p>
+                      <p className="history-meta-item"><strong>Roll:</strong> {roll.rollResult}</p>
+                      <p className="history-meta-item">
+                        <strong>Result:</strong>{' '}
+                        {parseFloat(roll.payout) > 0 ? (
+                          <StatusTag type="active">{`Won ${parseFloat(roll.payout).toFixed(4)} GT`}</StatusTag>
+                        ) : (
+                          <StatusTag type="ended">Lost</StatusTag>
+                        )}
+                      </p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )
+          ) : isLoadingHistory ? (
             <Skeleton lines={4} />
           ) : gameHistory.length === 0 ? (
             <EmptyState
@@ -684,41 +866,55 @@ const DiceGame = ({
             />
           ) : (
             <div className="history-list">
-            {filteredHistory.map((game) => (
-              <div key={game.id} className="history-item">
-                <p><strong>Game #{game.sequenceNo}</strong></p>
-                <div className="history-status-box">
-                  <TransactionStepper
-                    stage={getHistoryStage(game)}
-                    actionLabel="Play"
-                    approvalRequired={false}
-                    compact
-                    hideHint
-                  />
-                  <div className="history-meta-grid">
-                    <p className="history-meta-item"><strong>Bet:</strong> {parseFloat(game.betAmount).toFixed(4)} GT</p>
-                    <p className="history-meta-item"><strong>Prediction:</strong> {game.prediction}</p>
-                    {parseInt(game.rollResult) === 0 || !game.isCompleted ? (
-                      <p className="history-meta-item">
-                        <strong>Result:</strong> <StatusTag type="info">Waiting for result...</StatusTag>
-                      </p>
-                    ) : (
-                      <>
-                        <p className="history-meta-item"><strong>Roll:</strong> {game.rollResult}</p>
+            {filteredHistory.map((entry) => {
+              if (entry.games.length > 1) {
+                return <BatchHistoryItem key={entry.id} entry={entry} />;
+              }
+              const [game] = entry.games;
+              return (
+                <div key={game.id} className="history-item">
+                  <p><strong>Game #{game.sequenceNo}</strong></p>
+                  <div className="history-status-box">
+                    <TransactionStepper
+                      stage={getHistoryStage(game)}
+                      actionLabel="Play"
+                      approvalRequired={false}
+                      compact
+                      hideHint
+                    />
+                    <div className="history-meta-grid">
+                      <p className="history-meta-item"><strong>Bet:</strong> {parseFloat(game.betAmount).toFixed(4)} GT</p>
+                      <p className="history-meta-item"><strong>Wins on:</strong> {describeWinningRolls(game)}</p>
+                      {game.version && (
+                        <p className="history-meta-item"><strong>Version:</strong> v{game.version} (retired)</p>
+                      )}
+                      {isGamePending(game) ? (
+                        <p className="history-meta-item">
+                          <strong>Result:</strong> <StatusTag type="info">Waiting for result...</StatusTag>
+                        </p>
+                      ) : game.isRefunded ? (
                         <p className="history-meta-item">
                           <strong>Result:</strong>{' '}
-                          {parseFloat(game.payout) > 0 ? (
-                            <StatusTag type="active">{`Won ${parseFloat(game.payout).toFixed(4)} GT`}</StatusTag>
-                          ) : (
-                            <StatusTag type="ended">Lost</StatusTag>
-                          )}
+                          <StatusTag type="info">{`Refunded ${parseFloat(game.payout).toFixed(4)} GT`}</StatusTag>
                         </p>
-                      </>
-                    )}
+                      ) : (
+                        <>
+                          <p className="history-meta-item"><strong>Roll:</strong> {game.rollResult}</p>
+                          <p className="history-meta-item">
+                            <strong>Result:</strong>{' '}
+                            {parseFloat(game.payout) > 0 ? (
+                              <StatusTag type="active">{`Won ${parseFloat(game.payout).toFixed(4)} GT`}</StatusTag>
+                            ) : (
+                              <StatusTag type="ended">Lost</StatusTag>
+                            )}
+                          </p>
+                        </>
+                      )}
+                    </div>
                   </div>
                 </div>
-              </div>
-            ))}
+              );
+            })}
             {filteredHistory.length === 0 && (
               <EmptyState
                 title="No matching games"
@@ -730,42 +926,24 @@ const DiceGame = ({
         </div>
       </Card>
 
-      {resultModal.isOpen && (
-        <div className="ds-result-modal-overlay" role="dialog" aria-modal="true">
-          <div className={`ds-result-modal ${resultModal.won ? 'ds-result-modal-win' : 'ds-result-modal-lose'}`}>
-            {resultModal.isRevealing ? (
-              <>
-                <h3>🎲 Checking Result...</h3>
-                <p>Game #{resultModal.sequenceNo}</p>
-                <div className="ds-result-progress-track">
-                  <div
-                    className="ds-result-progress-fill"
-                    style={{ animationDuration: `${resultModal.progressMs}ms` }}
-                  />
-                </div>
-              </>
-            ) : (
-              <>
-                <h3>{resultModal.won ? '🎉 You Won!' : '😢 You Lost'}</h3>
-                <p>Game #{resultModal.sequenceNo}</p>
-                <p>Roll: {resultModal.rollResult}</p>
-                <p>
-                  {resultModal.won
-                    ? `Payout: ${parseFloat(resultModal.payout).toFixed(4)} GT`
-                    : 'Better luck next round!'}
-                </p>
-                <button
-                  type="button"
-                  className="ds-button ds-button-primary ds-result-modal-btn"
-                  onClick={() => setResultModal((prev) => ({ ...prev, isOpen: false }))}
-                >
-                  Close
-                </button>
-              </>
-            )}
-          </div>
-        </div>
-      )}
+      <ResultModal
+        modal={revealModal}
+        won={revealModal.won}
+        checkingTitle="🎲 Checking Result..."
+        subtitle={revealModal.title}
+        onClose={closeReveal}
+      >
+        {revealModal.rolls ? (
+          <BatchRollGrid games={revealModal.rolls} />
+        ) : (
+          <p>Roll: {revealModal.rollResult}</p>
+        )}
+        <p>
+          {revealModal.won
+            ? `Payout: ${parseFloat(revealModal.payout).toFixed(4)} GT`
+            : 'Better luck next round!'}
+        </p>
+      </ResultModal>
     </>
   );
 };
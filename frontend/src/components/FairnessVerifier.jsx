@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { InlineError } from './ui/InlineStatus';
+import Button from './ui/Button';
+import Card from './ui/Card';
+import Input from './ui/Input';
+import StatItem from './ui/StatItem';
+import StatusTag from './ui/StatusTag';
+import { getFriendlyError } from '../utils/friendlyError';
+import { createReadContract, getReadProvider } from '../services/contractService';
+import { createVrfEventsContract, verifyDiceGame, verifyLottery } from '../services/fairnessService';
+
+const GAME_OPTIONS = [
+  { key: 'dice', label: 'Dice Game' },
+  { key: 'lottery', label: 'Lottery' }
+];
+
+const FairnessVerifier = ({
+  account,
+  diceGameAddress,
+  diceGameAbi,
+  lotteryAddress,
+  lotteryAbi,
+  vrfCoordinatorAddress,
+  initialGameType = 'dice',
+  initialTargetId = '',
+  onToggleView,
+  toggleLabel = 'Return'
+}) => {
+  const [gameType, setGameType] = useState(initialGameType);
+  const [targetId, setTargetId] = useState(initialTargetId);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleVerify = async () => {
+    const id = targetId.trim();
+    if (!/^\d+$/.test(id)) {
+      setError(`Enter a numeric ${gameType === 'dice' ? 'game' : 'lottery'} ID.`);
+      return;
+    }
+
+    const provider = getReadProvider(account);
+    const vrfCoordinator = createVrfEventsContract(vrfCoordinatorAddress, provider);
+    const gameContract = gameType === 'dice'
+      ? createReadContract(diceGameAddress, diceGameAbi, provider)
+      : createReadContract(lotteryAddress, lotteryAbi, provider);
+    if (!vrfCoordinator || !gameContract) {
+      setError('Unable to read verification data from the chain.');
+      return;
+    }
+
+    setIsVerifying(true);
+    setError(null);
+    setResult(null);
+    try {
+      const verification = gameType === 'dice'
+        ? await verifyDiceGame({ diceGame: gameContract, vrfCoordinator, gameId: id })
+        : await verifyLottery({ lottery: gameContract, vrfCoordinator, lotteryId: id });
+      setResult(verification);
+    } catch (verifyError) {
+      console.error('Verification failed:', verifyError);
+      setError(getFriendlyError(verifyError, verifyError.message || 'Verification failed.'));
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const allPassed = result ? result.steps.every((step) => step.passed) : false;
+
+  return (
+    <Card
+      title="Fairness Verifier"
+      icon="🔍"
+      headerActions={(
+        <button type="button" className="card-link-btn" onClick={onToggleView}>
+          {toggleLabel}
+        </button>
+      )}
+    >
+      <p className="verify-intro">
+        Recompute a finished game from its VRF random word and compare each step with what the contract recorded.
+      </p>
+
+      <div className="history-filter-row">
+        {GAME_OPTIONS.map((option) => (
+          <button
+            key={option.key}
+            type="button"
+            className={`card-link-btn history-filter-btn ${gameType === option.key ? 'history-filter-active' : ''}`}
+            onClick={() => {
+              setGameType(option.key);
+              setResult(null);
+              setError(null);
+            }}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <Input
+        id="verify-target-id"
+        label={gameType === 'dice' ? 'Game ID' : 'Lottery ID'}
+        type="number"
+        min="0"
+        value={targetId}
+        onChange={(e) => setTargetId(e.target.value)}
+        disabled={isVerifying}
+      />
+
+      <Button onClick={handleVerify} loading={isVerifying} fullWidth>
+        Verify
+      </Button>
+
+      <InlineError message={error} />
+
+      {result && (
+        <div className="verify-result">
+          <div className="history-status-box">
+            <StatusTag type={allPassed ? 'active' : 'ended'}>
+              {allPassed ? 'All checks passed' : 'Verification failed'}
+            </StatusTag>
+          </div>
+          <div className="payout-info">
+            <StatItem label={result.kind === 'dice' ? 'Game' : 'Lottery'} value={`#${result.id}`} />
+            <StatItem label="VRF Request" value={result.requestId} />
+            <StatItem label={result.kind === 'dice' ? 'Player' : 'First Place'} value={result.player} />
+            <StatItem label="Random Word" value={result.randomWord ?? 'n/a'} />
+          </div>
+          <ul className="verify-steps">
+            {result.steps.map((step) => (
+              <li key={step.label} className="verify-step">
+                <StatusTag type={step.passed ? 'active' : 'ended'}>{step.passed ? 'PASS' : 'FAIL'}</StatusTag>
+                <div>
+                  <strong>{step.label}</strong>
+                  <p className="verify-step-detail">{step.detail}</p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default FairnessVerifier;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { ethers } from 'ethers';
 import { InlineError, InlineSuccess } from './ui/InlineStatus';
 import Skeleton from './ui/Skeleton';
@@ -10,288 +10,232 @@ import Input from './ui/Input';
 import StatItem from './ui/StatItem';
 import StatusTag from './ui/StatusTag';
 import TransactionStepper from './ui/TransactionStepper';
+import ResultModal from './ui/ResultModal';
+import { usePendingActivity } from './ActivityProvider';
 import { getFriendlyError } from '../utils/friendlyError';
 import { useAutoDismiss } from '../hooks/useAutoDismiss';
+import { useGameContract } from '../hooks/useGameContract';
+import { useTokenApproval } from '../hooks/useTokenApproval';
+import { useGameTransaction } from '../hooks/useGameTransaction';
+import { useRevealQueue } from '../hooks/useRevealQueue';
+import { useBlockClock } from '../hooks/useBlockClock';
+import { useChainTime } from '../hooks/useChainTime';
+import { useContractEvents } from '../hooks/useContractEvents';
+import {
+  readLotteryHistory,
+  readPrizeWinners,
+  readRecentRounds,
+  sumWinnings
+} from '../services/lotteryHistoryService';
+
+const LOTTERY_EVENTS = [
+  'LotteryCreated',
+  'TicketPurchased',
+  'LotteryDrawRequested',
+  'LotteryDrawn',
+  'PrizeTiersUpdated',
+  'LotteryRefunded',
+  'LotteryExtended',
+  'LotteryConfigured',
+  'VrfTimeoutUpdated'
+];
+const NO_PREVIOUS_VERSIONS = [];
+const NO_REVEALS = [];
+
+const formatCountdown = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${hours}h ${String(minutes).padStart(2, '0')}m ${String(seconds % 60).padStart(2, '0')}s`;
+};
+
+const PLACE_LABELS = ['1st', '2nd', '3rd'];
+const formatPlace = (place) => PLACE_LABELS[place - 1] || `${place}th`;
+const formatAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Lottery IDs restart with each contract version, so history is keyed by
+// `key`: the ID for the current version, address-qualified for retired ones.
+const getLotteryId = (lottery) => lottery.key;
+const isLotteryDrawn = (lottery) => lottery.isDrawn;
+const isCurrentRoundPending = (lottery) => !lottery.version && !lottery.isDrawn && !lottery.isRefunded;
+const toRevealPayload = (lottery) => ({
+  lotteryId: lottery.id,
+  isWinner: lottery.isWinner,
+  winningNumber: lottery.winningNumber,
+  prize: lottery.prize,
+  winners: lottery.winners
+});
 
 const LotteryGame = ({
   account,
   contractAddress,
   abi,
+  previousVersions = NO_PREVIOUS_VERSIONS,
   gameTokenAddress,
   gameTokenAbi,
-  vrfCoordinatorAddress,
+  isContractOwner = false,
+  onRequestWallet,
   onToggleView,
   toggleLabel = 'Lottery Game'
 }) => {
-  const LOCAL_VRF_COORDINATOR = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
-  const resolvedVrfCoordinatorAddress = vrfCoordinatorAddress || LOCAL_VRF_COORDINATOR;
-  const AUTO_RETRY_INTERVAL_MS = 2500;
-  const FAST_POLL_INTERVAL_MS = 1000;
-  const HISTORY_POLL_INTERVAL_MS = 1500;
-  const REFRESH_THROTTLE_MS = 700;
-  const LOTTERY_TICKET_TARGET = 50;
   const [lotteryInfo, setLotteryInfo] = useState(null);
   const [isLoadingLottery, setIsLoadingLottery] = useState(true);
   const [ticketCount, setTicketCount] = useState(1);
   const [isPurchasing, setIsPurchasing] = useState(false);
-  const [isApproving, setIsApproving] = useState(false);
   const [showAllHistory, setShowAllHistory] = useState(false);
   const [lotteryHistory, setLotteryHistory] = useState([]);
   const [isLoadingHistory, setIsLoadingHistory] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
-  const [contract, setContract] = useState(null);
-  const [gameTokenContract, setGameTokenContract] = useState(null);
-  const [allowance, setAllowance] = useState('0');
   const [ticketPrice, setTicketPrice] = useState('0');
-  const [requestIdByLotteryId, setRequestIdByLotteryId] = useState({});
-  const [isRetryingFulfill, setIsRetryingFulfill] = useState(false);
-  const [lastFulfillRetryAt, setLastFulfillRetryAt] = useState(0);
   const [flowStage, setFlowStage] = useState('idle');
-  const [resultModal, setResultModal] = useState({
-    isOpen: false,
-    isRevealing: false,
-    progressMs: 1000,
-    lotteryId: '',
-    isWinner: false,
-    winningNumber: '',
-    prize: 0
-  });
-  const isHistoryInitializedRef = useRef(false);
-  const notifiedLotteryIdsRef = useRef(new Set());
-  const revealTimerRef = useRef(null);
+  const [isRecovering, setIsRecovering] = useState(false);
+  const [isTriggeringDraw, setIsTriggeringDraw] = useState(false);
   const didInitLotteryInfoRef = useRef(false);
-  const isRealtimeRefreshInFlightRef = useRef(false);
-  const lastRealtimeRefreshAtRef = useRef(0);
-  const pendingRealtimeRefreshRef = useRef({ includeHistory: false, force: false });
   const { showToast } = useToast();
+  const { contract, gameTokenContract } = useGameContract({
+    account,
+    contractAddress,
+    abi,
+    gameTokenAddress,
+    gameTokenAbi
+  });
+  const blockClock = useBlockClock(contract?.runner);
+  // The contract compares endTime with block time, so the countdown follows the
+  // shared block clock rather than the browser's.
+  const nowUnix = useChainTime(blockClock, Boolean(lotteryInfo) && !lotteryInfo.isDrawn);
+  const sendGameTransaction = useGameTransaction(contract, contractAddress);
+  const pendingPurchase = usePendingActivity(contractAddress, 'purchaseTickets');
+  const {
+    allowance,
+    refreshAllowance,
+    isApproving,
+    pendingApproval,
+    approveExact,
+    permitIfNeeded
+  } = useTokenApproval(gameTokenContract, account, contractAddress, 'Lottery');
+  const pendingDrawLotteryId = lotteryInfo && !lotteryInfo.isDrawn && !lotteryInfo.isActive
+    ? lotteryInfo.id
+    : null;
 
   useAutoDismiss(error, setError, null);
   useAutoDismiss(success, setSuccess, null);
 
-  useEffect(() => {
-    if (window.ethereum && account && contractAddress && abi) {
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const lotteryContract = new ethers.Contract(contractAddress, abi, provider);
-      setContract(lotteryContract);
-      loadLotteryInfo(lotteryContract);
-      loadLotteryHistory(lotteryContract);
-    }
-    if (window.ethereum && account && gameTokenAddress && gameTokenAbi) {
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const gameToken = new ethers.Contract(gameTokenAddress, gameTokenAbi, provider);
-      setGameTokenContract(gameToken);
-      loadAllowance(gameToken);
-    }
-  }, [account, contractAddress, abi, gameTokenAddress, gameTokenAbi]);
-
-  useEffect(() => {
-    if (!account) {
-      setFlowStage('idle');
-      return;
-    }
-
-    if (!isApproving && !isPurchasing) {
-      const normalizedTicketCount = Number.isFinite(ticketCount) && ticketCount > 0 ? ticketCount : 1;
-      const requiredAllowance = parseFloat(ticketPrice || '0') * normalizedTicketCount;
-      setFlowStage(parseFloat(allowance || '0') >= requiredAllowance ? 'ready' : 'idle');
-    }
-  }, [account, allowance, ticketCount, ticketPrice, isApproving, isPurchasing]);
-
-  useEffect(() => {
-    if (!contract || !account) return;
-    loadRequestIdMap(contract);
-  }, [contract, account]);
-
-  const refreshRealtimeState = async ({ includeHistory = false, force = false } = {}) => {
-    if (!contract || !account) return;
-    const now = Date.now();
-    if (!force && now - lastRealtimeRefreshAtRef.current < REFRESH_THROTTLE_MS) return;
-    if (isRealtimeRefreshInFlightRef.current) {
-      pendingRealtimeRefreshRef.current = {
-        includeHistory: pendingRealtimeRefreshRef.current.includeHistory || includeHistory,
-        force: pendingRealtimeRefreshRef.current.force || force
-      };
-      return;
-    }
-
-    isRealtimeRefreshInFlightRef.current = true;
-    lastRealtimeRefreshAtRef.current = now;
+  const loadLotteryInfo = useCallback(async (options = {}) => {
+    const silent = options.silent === true;
+    if (!contract) return;
     try {
-      await loadLotteryInfo(contract, { silent: true });
-      if (includeHistory) {
-        await Promise.all([
-          loadLotteryHistory(contract, { silent: true }),
-          loadRequestIdMap(contract)
-        ]);
+      if (!silent) {
+        setIsLoadingLottery(true);
+      }
+      const currentLotteryId = await contract.currentLotteryId();
+      // refundDeadline is 0 until the round's draw is requested
+      const [info, refundDeadline] = await Promise.all([
+        contract.getLotteryInfo(currentLotteryId),
+        contract.refundDeadline(currentLotteryId)
+      ]);
+      const winners = await readPrizeWinners(contract, currentLotteryId, info);
+      setTicketPrice(ethers.formatEther(info.ticketPrice));
+      setLotteryInfo({
+        id: currentLotteryId.toString(),
+        startTime: new Date(Number(info.startTime) * 1000).toLocaleString(),
+        endTime: new Date(Number(info.endTime) * 1000).toLocaleString(),
+        endTimeUnix: Number(info.endTime),
+        prizePool: ethers.formatEther(info.prizePool),
+        totalTickets: info.totalTickets.toString(),
+        isActive: info.isActive,
+        isDrawn: info.isDrawn,
+        minTickets: Number(info.minTickets),
+        maxTickets: Number(info.maxTickets),
+        duration: Number(info.duration),
+        houseEdge: Number(info.houseEdge),
+        prizeTiers: info.prizeTiers.map(Number).filter((share) => share > 0),
+        winners,
+        refundDeadline: Number(refundDeadline),
+        winner: info.winner,
+        winningNumber: info.winningNumber.toString()
+      });
+    } catch (error) {
+      console.error('Error loading lottery info:', error);
+      if (!silent) {
+        setError('Failed to load lottery information');
+        showToast('Failed to load lottery information', 'error');
       }
     } finally {
-      isRealtimeRefreshInFlightRef.current = false;
-      const pending = pendingRealtimeRefreshRef.current;
-      if (pending.includeHistory || pending.force) {
-        pendingRealtimeRefreshRef.current = { includeHistory: false, force: false };
-        setTimeout(() => {
-          refreshRealtimeState({
-            includeHistory: pending.includeHistory,
-            force: true
-          });
-        }, 0);
+      if (!silent) {
+        setIsLoadingLottery(false);
       }
     }
-  };
+  }, [contract, showToast]);
 
-  useEffect(() => {
-    if (!contract || !account) return undefined;
-
-    const intervalId = setInterval(() => {
-      refreshRealtimeState();
-    }, FAST_POLL_INTERVAL_MS);
-
-    return () => clearInterval(intervalId);
-  }, [contract, account]);
-
-  useEffect(() => {
-    if (!contract || !account) return undefined;
-
-    const historyIntervalId = setInterval(() => {
-      refreshRealtimeState({ includeHistory: true });
-    }, HISTORY_POLL_INTERVAL_MS);
-
-    return () => clearInterval(historyIntervalId);
-  }, [contract, account]);
-
-  useEffect(() => {
-    if (!contract || !account) return undefined;
-    const provider = contract.runner?.provider || contract.runner;
-    if (!provider || typeof provider.on !== 'function' || typeof provider.off !== 'function') {
-      return undefined;
+  const loadLotteryHistory = useCallback(async (options = {}) => {
+    const silent = options.silent === true;
+    if (!contract) return;
+    if (!silent) {
+      setIsLoadingHistory(true);
     }
-
-    const handleBlock = () => {
-      refreshRealtimeState();
-    };
-
-    provider.on('block', handleBlock);
-    return () => {
-      provider.off('block', handleBlock);
-    };
-  }, [contract, account]);
-
-  useEffect(() => {
-    if (!contract || !account) return undefined;
-
-    const refreshFromEvent = () => {
-      refreshRealtimeState({ includeHistory: true, force: true });
-    };
-
-    contract.on('TicketPurchased', refreshFromEvent);
-    contract.on('LotteryDrawRequested', refreshFromEvent);
-    contract.on('LotteryDrawn', refreshFromEvent);
-
-    return () => {
-      contract.off('TicketPurchased', refreshFromEvent);
-      contract.off('LotteryDrawRequested', refreshFromEvent);
-      contract.off('LotteryDrawn', refreshFromEvent);
-    };
-  }, [contract, account]);
-
-  useEffect(() => {
-    const autoRetryFulfill = async () => {
-      if (!window.ethereum || !contract || !lotteryInfo || isPurchasing || isRetryingFulfill) return;
-      if (lotteryInfo.isDrawn || lotteryInfo.isActive) return;
-
-      const requestId = await resolveRequestIdForLottery(contract, lotteryInfo.id);
-      if (!requestId) {
-        await loadRequestIdMap(contract);
+    try {
+      if (!account) {
+        setLotteryHistory(await readRecentRounds(contract));
         return;
       }
-
-      const now = Date.now();
-      if (now - lastFulfillRetryAt < AUTO_RETRY_INTERVAL_MS) return;
-
-      try {
-        const provider = new ethers.BrowserProvider(window.ethereum);
-        const network = await provider.getNetwork();
-        const isLocalNetwork = Number(network.chainId) === 31337 || Number(network.chainId) === 1337;
-        if (!isLocalNetwork) return;
-
-        setIsRetryingFulfill(true);
-        setLastFulfillRetryAt(now);
-
-        const signer = await getLocalAutoFulfillSigner();
-        if (!signer) return;
-        const vrfCoordinatorAbi = ['function fulfillRandomWords(uint256 requestId) external'];
-        const vrfCoordinator = new ethers.Contract(resolvedVrfCoordinatorAddress, vrfCoordinatorAbi, signer);
-        const tx = await vrfCoordinator.fulfillRandomWords(requestId);
-        await tx.wait();
-
-        await loadLotteryInfo(contract, { silent: true });
-        await loadLotteryHistory(contract, { silent: true });
-      } catch (error) {
-        console.warn('Lottery auto retry fulfill failed:', error);
-      } finally {
-        setIsRetryingFulfill(false);
+      setLotteryHistory(await readLotteryHistory(contract, contractAddress, previousVersions, account));
+    } catch (historyError) {
+      console.error('Error loading lottery history:', historyError);
+      if (!silent) {
+        showToast('Failed to load lottery history', 'error');
       }
-    };
-
-    autoRetryFulfill();
-  }, [
-    contract,
-    lotteryInfo,
-    requestIdByLotteryId,
-    resolvedVrfCoordinatorAddress,
-    isPurchasing,
-    isRetryingFulfill,
-    lastFulfillRetryAt
-  ]);
+    } finally {
+      if (!silent) {
+        setIsLoadingHistory(false);
+      }
+    }
+  }, [contract, contractAddress, account, previousVersions, showToast]);
+
+  // Spectators have no result of their own to reveal.
+  const { revealModal, reveal, hasRevealed, closeReveal } = useRevealQueue({
+    items: account ? lotteryHistory : NO_REVEALS,
+    getId: getLotteryId,
+    isSettled: isLotteryDrawn,
+    toPayload: toRevealPayload
+  });
 
   useEffect(() => {
-    if (!lotteryHistory.length) return;
+    loadLotteryInfo();
+    loadLotteryHistory();
+  }, [loadLotteryInfo, loadLotteryHistory]);
 
-    if (!isHistoryInitializedRef.current) {
-      lotteryHistory.forEach((lottery) => {
-        if (lottery.isDrawn) {
-          notifiedLotteryIdsRef.current.add(String(lottery.id));
-        }
-      });
-      isHistoryInitializedRef.current = true;
+  useEffect(() => {
+    if (!account) {
+      setFlowStage('idle');
       return;
     }
 
-    const newlyDrawnLottery = lotteryHistory.find(
-      (lottery) => lottery.isDrawn && !notifiedLotteryIdsRef.current.has(String(lottery.id))
-    );
-
-    if (!newlyDrawnLottery) return;
-
-    notifiedLotteryIdsRef.current.add(String(newlyDrawnLottery.id));
-    const randomProgressMs = 800 + Math.floor(Math.random() * 1001);
-
-    if (revealTimerRef.current) {
-      clearTimeout(revealTimerRef.current);
+    // Transactions still pending from before a reload keep the stepper where it was.
+    if (!isApproving && !isPurchasing) {
+      const normalizedTicketCount = Number.isFinite(ticketCount) && ticketCount > 0 ? ticketCount : 1;
+      const requiredAllowance = parseFloat(ticketPrice || '0') * normalizedTicketCount;
+      if (pendingApproval) {
+        setFlowStage('approving');
+      } else if (pendingPurchase) {
+        setFlowStage('confirming');
+      } else {
+        setFlowStage(parseFloat(allowance || '0') >= requiredAllowance ? 'ready' : 'idle');
+      }
     }
-
-    setResultModal({
-      isOpen: true,
-      isRevealing: true,
-      progressMs: randomProgressMs,
-      lotteryId: newlyDrawnLottery.id,
-      isWinner: newlyDrawnLottery.isWinner,
-      winningNumber: newlyDrawnLottery.winningNumber,
-      prize: newlyDrawnLottery.prize
-    });
-
-    revealTimerRef.current = setTimeout(() => {
-      setResultModal((prev) => ({ ...prev, isRevealing: false }));
-      revealTimerRef.current = null;
-    }, randomProgressMs);
-  }, [lotteryHistory]);
-
-  useEffect(() => () => {
-    if (revealTimerRef.current) {
-      clearTimeout(revealTimerRef.current);
+  }, [account, allowance, ticketCount, ticketPrice, isApproving, isPurchasing, pendingApproval, pendingPurchase]);
+
+  // Every lottery state change comes with one of these events; the player's
+  // history only changes with their own purchases, draws and new rounds.
+  const handleLotteryEvent = useCallback(({ name, args }) => {
+    loadLotteryInfo({ silent: true });
+    const isOtherPlayersPurchase = name === 'TicketPurchased'
+      && (!account || args.player.toLowerCase() !== account.toLowerCase());
+    if (!isOtherPlayersPurchase) {
+      loadLotteryHistory({ silent: true });
     }
-  }, []);
+  }, [account, loadLotteryInfo, loadLotteryHistory]);
+
+  useContractEvents(contract, LOTTERY_EVENTS, handleLotteryEvent);
 
   useEffect(() => {
     const maybeRevealFromLotteryInfo = async () => {
@@ -304,329 +248,197 @@ const LotteryGame = ({
 
       if (!lotteryInfo.isDrawn) return;
       const lotteryId = String(lotteryInfo.id);
-      if (notifiedLotteryIdsRef.current.has(lotteryId)) return;
+      if (hasRevealed(lotteryId)) return;
 
       const participatedIds = await contract.getPlayerLotteries(account);
       const hasParticipated = participatedIds.some((id) => id.toString() === lotteryId);
       if (!hasParticipated) return;
 
-      notifiedLotteryIdsRef.current.add(lotteryId);
-      const randomProgressMs = 800 + Math.floor(Math.random() * 1001);
-      const winner = lotteryInfo.winner?.toLowerCase?.() || '';
-      const accountLower = account.toLowerCase();
-      const prizePoolGt = parseFloat(lotteryInfo.prizePool || '0');
-      const prizeGt = prizePoolGt * 0.95;
-
-      if (revealTimerRef.current) {
-        clearTimeout(revealTimerRef.current);
-      }
-
-      setResultModal({
-        isOpen: true,
-        isRevealing: true,
-        progressMs: randomProgressMs,
+      const { winners } = lotteryInfo;
+      reveal(lotteryId, {
         lotteryId,
-        isWinner: winner === accountLower,
+        isWinner: winners.some((entry) => entry.winner === account.toLowerCase()),
         winningNumber: lotteryInfo.winningNumber,
-        prize: prizeGt
+        prize: sumWinnings(winners, account),
+        winners
       });
-
-      revealTimerRef.current = setTimeout(() => {
-        setResultModal((prev) => ({ ...prev, isRevealing: false }));
-        revealTimerRef.current = null;
-      }, randomProgressMs);
     };
 
     maybeRevealFromLotteryInfo().catch((error) => {
       console.warn('Lottery result modal fallback trigger failed:', error);
     });
-  }, [lotteryInfo, contract, account]);
+  }, [lotteryInfo, contract, account, hasRevealed, reveal]);
+
+  // For wallets that cannot sign permits: approve exactly the cost of these
+  // tickets on-chain, after which the purchase is a plain purchaseTickets.
+  const handleApproveExact = async () => {
+    if (!contract || !gameTokenContract || !account) return;
+
+    setFlowStage('approving');
+    setError(null);
+    setSuccess(null);
 
-  const loadLotteryInfo = async (lotteryContract, options = {}) => {
-    const silent = options.silent === true;
     try {
-      if (!silent) {
-        setIsLoadingLottery(true);
-      }
-      const [currentLotteryId, chainTicketPrice] = await Promise.all([
-        lotteryContract.currentLotteryId(),
-        lotteryContract.ticketPrice()
-      ]);
-      const info = await lotteryContract.getLotteryInfo(currentLotteryId);
-      setTicketPrice(ethers.formatEther(chainTicketPrice.toString()));
-      setLotteryInfo({
-        id: currentLotteryId.toString(),
-        startTime: new Date(Number(info.startTime) * 1000).toLocaleString(),
-        endTime: new Date(Number(info.endTime) * 1000).toLocaleString(),
-        endTimeUnix: Number(info.endTime),
-        prizePool: ethers.formatEther(info.prizePool),
-        totalTickets: info.totalTickets.toString(),
-        isActive: info.isActive,
-        isDrawn: info.isDrawn,
-        winner: info.winner,
-        winningNumber: info.winningNumber.toString()
-      });
+      await approveExact((await contract.ticketPrice()) * ethers.toBigInt(ticketCount));
+      setSuccess('Approval successful! You can now buy the tickets.');
+      setFlowStage('ready');
+      showToast('Approval successful', 'success');
     } catch (error) {
-      console.error('Error loading lottery info:', error);
-      if (!silent) {
-        setError('Failed to load lottery information');
-        showToast('Failed to load lottery information', 'error');
-      }
-    } finally {
-      if (!silent) {
-        setIsLoadingLottery(false);
-      }
+      console.error('Error approving tokens:', error);
+      const message = getFriendlyError(error, 'Approval failed. Please try again.');
+      setError(message);
+      setFlowStage('error');
+      showToast(message, 'error');
     }
   };
 
-  const handleApprove = async () => {
-      if (!gameTokenContract || !account) return;
-  
-      setIsApproving(true);
-      setFlowStage('approving');
-      setError(null);
-      setSuccess(null);
-  
-      try {
-        const signer = await new ethers.BrowserProvider(window.ethereum).getSigner();
-        const gameTokenWithSigner = gameTokenContract.connect(signer);
-  
-        // Approve max uint so users don't need repeated approvals.
-        const approveAmount = ethers.MaxUint256;
-        const tx = await gameTokenWithSigner.approve(contractAddress, approveAmount);
-        setFlowStage('confirming');
-        await tx.wait();
-  
-        setSuccess('Approval successful! You can now play the game.');
-        setFlowStage('ready');
-        showToast('Approval successful', 'success');
-        await loadAllowance(gameTokenContract);
-      } catch (error) {
-        console.error('Error approving tokens:', error);
-        const message = getFriendlyError(error, 'Approval failed. Please try again.');
-        setError(message);
-        setFlowStage('error');
-        showToast(message, 'error');
-      } finally {
-        setIsApproving(false);
-      }
-    };
+  const handlePurchase = async () => {
+    if (!contract || !gameTokenContract || !account) return;
+    const pendingUserLottery = lotteryHistory.find(isCurrentRoundPending);
+    if (pendingUserLottery) {
+      const message = 'Please wait for your current round draw result before buying more tickets.';
+      setError(message);
+      setFlowStage('error');
+      showToast(message, 'info');
+      return;
+    }
 
-  const loadAllowance = async (gameToken) => {
-      try {
-        if (account && contractAddress) {
-          const allowanceAmount = await gameToken.allowance(account, contractAddress);
-          setAllowance(ethers.formatEther(allowanceAmount.toString()));
-        }
-      } catch (error) {
-        console.error('Error loading allowance:', error);
-      }
-    };
+    setIsPurchasing(true);
+    setError(null);
+    setSuccess(null);
 
-  const loadRequestIdMap = async (lotteryContract) => {
-    if (!lotteryContract) return;
     try {
-      const filter = lotteryContract.filters.LotteryDrawRequested();
-      const logs = await lotteryContract.queryFilter(filter);
-      const map = {};
-      logs.forEach((log) => {
-        const lotteryId = log.args?.lotteryId?.toString?.();
-        const requestId = log.args?.requestId?.toString?.();
-        if (lotteryId && requestId) {
-          map[lotteryId] = requestId;
-        }
+      await sendGameTransaction(async (lottery, signer) => {
+        // A cost the current allowance does not cover is authorized with a
+        // permit for exactly that cost, sent along with the purchase.
+        const totalCost = (await contract.ticketPrice()) * ethers.toBigInt(ticketCount);
+        const permitArgs = await permitIfNeeded(signer, totalCost, () => setFlowStage('signing'));
+        setFlowStage('submitting');
+        return permitArgs
+          ? lottery.purchaseTicketsWithPermit(ticketCount, ...permitArgs)
+          : lottery.purchaseTickets(ticketCount);
+      }, {
+        kind: 'purchaseTickets',
+        label: `Buy ${ticketCount} lottery ticket(s)`,
+        onSent: () => setFlowStage('confirming')
       });
-      if (Object.keys(map).length > 0) {
-        setRequestIdByLotteryId((prev) => ({ ...prev, ...map }));
-      }
-    } catch (error) {
-      console.warn('Failed to load lottery requestId map:', error);
-    }
-  };
 
-  const getLocalAutoFulfillSigner = async () => {
-    try {
-      const localProvider = new ethers.JsonRpcProvider('http://127.0.0.1:8545');
-      const localNetwork = await localProvider.getNetwork();
-      const isLocalNetwork = Number(localNetwork.chainId) === 31337 || Number(localNetwork.chainId) === 1337;
-      if (!isLocalNetwork) return null;
-      return await localProvider.getSigner(0);
+      setSuccess(`Successfully purchased ${ticketCount} ticket(s)!`);
+      setFlowStage('done');
+      showToast(`Purchased ${ticketCount} ticket(s)`, 'success');
+      await loadLotteryInfo();
+      await loadLotteryHistory();
+      await refreshAllowance();
     } catch (error) {
-      console.warn('Unable to use local auto-fulfill signer:', error);
-      return null;
+      console.error('Error purchasing tickets:', error);
+      const message = getFriendlyError(error, 'Ticket purchase failed. Please try again.');
+      setError(message);
+      setFlowStage('error');
+      showToast(message, 'error');
+    } finally {
+      setIsPurchasing(false);
     }
   };
 
-  const resolveRequestIdForLottery = async (lotteryContract, lotteryId) => {
-    if (!lotteryContract || !lotteryId) return null;
+  // Draws a round past its end time through the keeper's upkeep, for anyone who
+  // does not want to wait for the keeper. A round without tickets is extended.
+  const handleTriggerDraw = async () => {
+    if (!contract || !account) return;
 
-    if (requestIdByLotteryId[lotteryId]) {
-      return requestIdByLotteryId[lotteryId];
-    }
+    setIsTriggeringDraw(true);
+    setError(null);
+    setSuccess(null);
 
     try {
-      const filter = lotteryContract.filters.LotteryDrawRequested(lotteryId);
-      const logs = await lotteryContract.queryFilter(filter);
-      if (logs.length > 0) {
-        const latest = logs[logs.length - 1];
-        const requestId = latest.args?.requestId?.toString?.();
-        if (requestId) {
-          setRequestIdByLotteryId((prev) => ({ ...prev, [lotteryId]: requestId }));
-          return requestId;
-        }
+      const [upkeepNeeded, performData] = await contract.checkUpkeep('0x');
+      if (!upkeepNeeded) {
+        await loadLotteryInfo({ silent: true });
+        return;
       }
-    } catch (error) {
-      console.warn('Failed to resolve requestId from draw-request logs:', error);
-    }
+      const drawRequested = await sendGameTransaction((lottery) => lottery.performUpkeep(performData), {
+        kind: 'performUpkeep',
+        label: `Trigger draw for lottery #${toShortCode(`lottery-${lotteryInfo.id}`)}`,
+        eventName: 'LotteryDrawRequested'
+      });
 
-    try {
-      const vrfAbi = ['function getRequestIdCounter() external view returns (uint256)'];
-      const vrfContract = new ethers.Contract(resolvedVrfCoordinatorAddress, vrfAbi, lotteryContract.runner);
-      const counter = await vrfContract.getRequestIdCounter();
-      let i = Number(counter) - 1;
-      const minRequestId = Math.max(1, i - 40);
-      while (i >= minRequestId) {
-        const mappedLotteryId = await lotteryContract.requestIdToLotteryId(i);
-        if (mappedLotteryId.toString() === lotteryId) {
-          const requestId = i.toString();
-          setRequestIdByLotteryId((prev) => ({ ...prev, [lotteryId]: requestId }));
-          return requestId;
-        }
-        i -= 1;
+      if (drawRequested) {
+        setSuccess('Draw triggered.');
+        showToast('Draw triggered', 'success');
+      } else {
+        setSuccess('The round had no tickets, so it was extended.');
+        showToast('Round extended', 'info');
       }
+      await loadLotteryInfo({ silent: true });
+      await loadLotteryHistory({ silent: true });
     } catch (error) {
-      console.warn('Failed fallback requestId scan:', error);
+      console.error('Error triggering draw:', error);
+      const message = getFriendlyError(error, 'Triggering the draw failed. Please try again.');
+      setError(message);
+      showToast(message, 'error');
+    } finally {
+      setIsTriggeringDraw(false);
     }
-
-    return null;
   };
 
-  const loadLotteryHistory = async (lotteryContract, options = {}) => {
-    const silent = options.silent === true;
-    if (!account || !lotteryContract) return;
-    if (!silent) {
-      setIsLoadingHistory(true);
-    }
+  // A draw past its refund deadline can be refunded by anyone, or re-requested by the owner.
+  const handleRefundDraw = async () => {
+    if (!contract || pendingDrawLotteryId === null) return;
+
+    setIsRecovering(true);
+    setError(null);
+    setSuccess(null);
+
     try {
-      const participatedIds = await lotteryContract.getPlayerLotteries(account);
-      const uniqueIds = [...new Set(participatedIds.map((id) => id.toString()))];
-      const details = await Promise.all(
-        uniqueIds.map(async (id) => {
-          const info = await lotteryContract.getLotteryInfo(id);
-          const prizePoolGt = parseFloat(ethers.formatEther(info.prizePool.toString()));
-          const prizeGt = prizePoolGt * 0.95;
-          const winner = info.winner?.toLowerCase?.() || '';
-          const accountLower = account.toLowerCase();
-          return {
-            id,
-            totalTickets: info.totalTickets.toString(),
-            prizePool: prizePoolGt,
-            isDrawn: info.isDrawn,
-            isActive: info.isActive,
-            winner,
-            winningNumber: info.winningNumber.toString(),
-            isWinner: info.isDrawn && winner === accountLower,
-            prize: prizeGt
-          };
-        })
-      );
-      details.sort((a, b) => Number(b.id) - Number(a.id));
-      setLotteryHistory(details);
-    } catch (historyError) {
-      console.error('Error loading lottery history:', historyError);
-      if (!silent) {
-        showToast('Failed to load lottery history', 'error');
-      }
+      await sendGameTransaction((lottery) => lottery.refundExpiredDraw(pendingDrawLotteryId), {
+        kind: 'refund',
+        label: `Refund lottery #${toShortCode(`lottery-${pendingDrawLotteryId}`)}`
+      });
+
+      setSuccess('Every ticket of the round was refunded.');
+      showToast('Lottery refunded', 'success');
+      await loadLotteryInfo({ silent: true });
+      await loadLotteryHistory({ silent: true });
+    } catch (error) {
+      console.error('Error refunding lottery:', error);
+      const message = getFriendlyError(error, 'Refund failed. Please try again.');
+      setError(message);
+      showToast(message, 'error');
     } finally {
-      if (!silent) {
-        setIsLoadingHistory(false);
-      }
+      setIsRecovering(false);
     }
   };
 
-  const handlePurchase = async () => {
-    if (!contract || !account) return;
-    const pendingUserLottery = lotteryHistory.find((lottery) => !lottery.isDrawn);
-    if (pendingUserLottery) {
-      const message = 'Please wait for your current round draw result before buying more tickets.';
-      setError(message);
-      setFlowStage('error');
-      showToast(message, 'info');
-      return;
-    }
+  const handleRerequestDraw = async () => {
+    if (!contract || pendingDrawLotteryId === null) return;
 
-    setIsPurchasing(true);
-    setFlowStage('submitting');
+    setIsRecovering(true);
     setError(null);
     setSuccess(null);
 
     try {
-      const signer = await new ethers.BrowserProvider(window.ethereum).getSigner();
-      const contractWithSigner = contract.connect(signer);
-      const network = await signer.provider.getNetwork();
-      const isLocalNetwork = Number(network.chainId) === 31337 || Number(network.chainId) === 1337;
-
-      const tx = await contractWithSigner.purchaseTickets(ticketCount);
-      setFlowStage('confirming');
-      const receipt = await tx.wait();
-
-      const drawRequestedLog = receipt.logs.find((log) => {
-        try {
-          const parsed = contract.interface.parseLog(log);
-          return parsed.name === 'LotteryDrawRequested';
-        } catch (e) {
-          return false;
-        }
+      await sendGameTransaction((lottery) => lottery.rerequestDraw(pendingDrawLotteryId), {
+        kind: 'rerequest',
+        label: `Re-request draw for lottery #${toShortCode(`lottery-${pendingDrawLotteryId}`)}`
       });
 
-      if (drawRequestedLog) {
-        const parsed = contract.interface.parseLog(drawRequestedLog);
-        const lotteryId = parsed.args?.lotteryId?.toString?.();
-        const requestId = parsed.args?.requestId?.toString?.();
-
-        if (lotteryId && requestId) {
-          setRequestIdByLotteryId((prev) => ({ ...prev, [lotteryId]: requestId }));
-        }
-
-        if (isLocalNetwork && requestId) {
-          try {
-            const autoFulfillSigner = await getLocalAutoFulfillSigner();
-            if (!autoFulfillSigner) {
-              throw new Error('Local auto-fulfill signer unavailable');
-            }
-            const vrfCoordinatorAbi = ['function fulfillRandomWords(uint256 requestId) external'];
-            const vrfCoordinator = new ethers.Contract(resolvedVrfCoordinatorAddress, vrfCoordinatorAbi, autoFulfillSigner);
-            const fulfillTx = await vrfCoordinator.fulfillRandomWords(requestId);
-            await fulfillTx.wait();
-          } catch (fulfillError) {
-            console.warn('Manual lottery fulfill failed, waiting for auto retry:', fulfillError);
-            showToast('Draw requested. Waiting for random fulfillment...', 'info');
-          }
-        }
-      }
-
-      setSuccess(`Successfully purchased ${ticketCount} ticket(s)!`);
-      setFlowStage('done');
-      showToast(`Purchased ${ticketCount} ticket(s)`, 'success');
-      await loadLotteryInfo(contract);
-      await loadLotteryHistory(contract);
-      await loadRequestIdMap(contract);
-      await loadAllowance(gameTokenContract);
+      setSuccess('Draw re-requested.');
+      showToast('Draw re-requested', 'success');
+      await loadLotteryInfo({ silent: true });
+      await loadLotteryHistory({ silent: true });
     } catch (error) {
-      console.error('Error purchasing tickets:', error);
-      const message = getFriendlyError(error, 'Ticket purchase failed. Please try again.');
+      console.error('Error re-requesting draw:', error);
+      const message = getFriendlyError(error, 'Re-request failed. Please try again.');
       setError(message);
-      setFlowStage('error');
       showToast(message, 'error');
     } finally {
-      setIsPurchasing(false);
+      setIsRecovering(false);
     }
   };
 
   const displayedHistory = showAllHistory ? lotteryHistory : lotteryHistory.slice(0, 3);
 
   const getHistoryStage = (lottery) => {
-    if (!lottery.isDrawn) return 'confirming';
+    if (!lottery.isDrawn && !lottery.isRefunded) return 'confirming';
     return 'done';
   };
 
@@ -681,9 +493,15 @@ const LotteryGame = ({
   const normalizedTicketCount = Number.isFinite(ticketCount) && ticketCount > 0 ? ticketCount : 1;
   const totalCostGt = (parseFloat(ticketPrice || '0') * normalizedTicketCount).toString();
   const isApprovalRequired = parseFloat(allowance || '0') < parseFloat(totalCostGt || '0');
-  const nowUnix = Math.floor(Date.now() / 1000);
-  const pendingUserLottery = lotteryHistory.find((lottery) => !lottery.isDrawn);
+  const isApprovalPending = isApproving || Boolean(pendingApproval);
+  const isRoundEnded = lotteryInfo.isActive && nowUnix >= lotteryInfo.endTimeUnix;
+  const hasTickets = Number(lotteryInfo.totalTickets) > 0;
+  const maxPurchase = Math.max(1, lotteryInfo.maxTickets - Number(lotteryInfo.totalTickets));
+  const pendingUserLottery = lotteryHistory.find(isCurrentRoundPending);
   const isPurchaseLockedByPendingDraw = Boolean(pendingUserLottery);
+  const isDrawExpired = pendingDrawLotteryId !== null
+    && lotteryInfo.refundDeadline > 0
+    && nowUnix >= lotteryInfo.refundDeadline;
   const currentLotteryCode = toShortCode(`lottery-${lotteryInfo.id}`);
   const currentWinningCode = lotteryInfo.isDrawn
     ? toShortCode(`winning-${lotteryInfo.id}-${lotteryInfo.winningNumber}`)
@@ -693,6 +511,9 @@ const LotteryGame = ({
     if (lotteryInfo.isDrawn) {
       return { text: 'Drawn', type: 'ended' };
     }
+    if (isDrawExpired) {
+      return { text: 'Draw Expired', type: 'ended' };
+    }
     if (isPurchaseLockedByPendingDraw) {
       return { text: 'Waiting for Draw Result', type: 'info' };
     }
@@ -702,7 +523,7 @@ const LotteryGame = ({
     if (!lotteryInfo.isActive) {
       return { text: 'Pending Fulfill', type: 'info' };
     }
-    if (Number(lotteryInfo.totalTickets) >= LOTTERY_TICKET_TARGET || nowUnix >= lotteryInfo.endTimeUnix) {
+    if (Number(lotteryInfo.totalTickets) >= lotteryInfo.minTickets || nowUnix >= lotteryInfo.endTimeUnix) {
       return { text: 'Ready to Draw', type: 'info' };
     }
     return { text: 'Selling Tickets', type: 'active' };
@@ -724,9 +545,20 @@ const LotteryGame = ({
             <StatItem label="Lottery ID" value={`#${currentLotteryCode}`} />
             <StatItem label="Start Time" value={lotteryInfo.startTime} />
             <StatItem label="End Time" value={lotteryInfo.endTime} />
+            {lotteryInfo.isActive && (
+              <StatItem
+                label="Draws In"
+                value={isRoundEnded ? 'Round ended' : formatCountdown(lotteryInfo.endTimeUnix - nowUnix)}
+              />
+            )}
             <StatItem label="Prize Pool" value={`${parseFloat(lotteryInfo.prizePool).toFixed(2)} GT`} />
             <StatItem label="Ticket Price" value={`${parseFloat(ticketPrice || '0').toFixed(4)} GT`} />
-            <StatItem label="Prize Pool Tickets" value="50" />
+            <StatItem label="Draws At" value={`${lotteryInfo.minTickets} tickets`} />
+            <StatItem label="House Edge" value={`${lotteryInfo.houseEdge}%`} />
+            <StatItem
+              label="Prize Split"
+              value={lotteryInfo.prizeTiers.map((share, idx) => `${formatPlace(idx + 1)} ${share}%`).join(' • ')}
+            />
             <StatItem label="Total Tickets" value={lotteryInfo.totalTickets} />
             <p className="ds-stat-item"><strong>Draw Status:</strong> <StatusTag type={drawStatus.type}>{drawStatus.text}</StatusTag></p>
             {lotteryInfo.isDrawn && (
@@ -744,11 +576,34 @@ const LotteryGame = ({
             stage={flowStage}
             actionLabel="Purchase"
             approvalRequired={isApprovalRequired}
+            authorization={isApprovalPending ? 'approve' : 'permit'}
           />
 
-          <div className="payout-info">
-            <StatItem label="Allowance" value={`${parseFloat(allowance || '0').toFixed(4)} GT`} />
-          </div>
+          {account && (
+            <div className="payout-info">
+              <StatItem label="Allowance" value={`${parseFloat(allowance || '0').toFixed(4)} GT`} />
+            </div>
+          )}
+
+          {isRoundEnded && (
+            <div className="purchase-section">
+              <h3>Round Ended</h3>
+              <p className="input-hint">
+                {hasTickets
+                  ? 'The keeper draws ended rounds, but anyone can trigger the draw now.'
+                  : `No tickets were sold, so triggering the draw extends the round by ${formatCountdown(lotteryInfo.duration)}.`}
+              </p>
+              {!account ? (
+                <Button onClick={onRequestWallet}>
+                  Connect Wallet to Trigger Draw
+                </Button>
+              ) : (
+                <Button onClick={handleTriggerDraw} disabled={isTriggeringDraw} loading={isTriggeringDraw}>
+                  {hasTickets ? 'Trigger Draw' : 'Extend Round'}
+                </Button>
+              )}
+            </div>
+          )}
 
           {lotteryInfo.isActive && (
             <div className="purchase-section">
@@ -764,7 +619,7 @@ const LotteryGame = ({
                 id="ticketCount"
                 label="Number of Tickets"
                 min="1"
-                max="49"
+                max={maxPurchase}
                 value={ticketCount}
                 onChange={(e) => {
                   const nextValue = Number.parseInt(e.target.value, 10);
@@ -772,51 +627,85 @@ const LotteryGame = ({
                     setTicketCount(1);
                     return;
                   }
-                  setTicketCount(Math.min(nextValue, 49));
+                  setTicketCount(Math.min(nextValue, maxPurchase));
                 }}
               />
-              <p className="input-hint">Min: 1 ticket, Max: 49 tickets</p>
+              <p className="input-hint">{`Min: 1 ticket, Max: ${maxPurchase} ticket${maxPurchase === 1 ? '' : 's'}`}</p>
               <p className="cost-info">Total Cost: {parseFloat(totalCostGt).toFixed(4)} GT</p>
-              {isPurchaseLockedByPendingDraw ? (
+              {!account ? (
+                <Button onClick={onRequestWallet}>
+                  Connect Wallet to Buy Tickets
+                </Button>
+              ) : isPurchaseLockedByPendingDraw ? (
                 <Button disabled>
                   Waiting for Draw Result
                 </Button>
-              ) : isApprovalRequired ? (
-                <Button
-                  onClick={handleApprove}
-                  disabled={!account || isApproving}
-                  loading={isApproving}
-                >
-                  Approve Tokens
-                </Button>
               ) : (
-                <Button
-                  onClick={handlePurchase}
-                  disabled={!account || isPurchasing}
-                  loading={isPurchasing}
-                >
-                  {`Purchase ${normalizedTicketCount} Ticket(s)`}
+                <>
+                  <Button
+                    onClick={handlePurchase}
+                    disabled={isPurchasing || Boolean(pendingPurchase) || isApprovalPending}
+                    loading={isPurchasing || Boolean(pendingPurchase) || isApprovalPending}
+                  >
+                    {`Purchase ${normalizedTicketCount} Ticket(s)`}
+                  </Button>
+                  {isApprovalRequired && !isPurchasing && !pendingPurchase && !isApprovalPending && (
+                    <button type="button" className="card-link-btn" onClick={handleApproveExact}>
+                      {`Approve exactly ${parseFloat(totalCostGt).toFixed(4)} GT instead of signing`}
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          {isDrawExpired && (
+            <div className="purchase-section">
+              <h3>Draw Expired</h3>
+              <p className="input-hint">
+                No random number arrived within the VRF timeout. Anyone can close the round and
+                return the prize pool to its tickets, an equal share per ticket.
+              </p>
+              {!account ? (
+                <Button onClick={onRequestWallet}>
+                  Connect Wallet to Refund
                 </Button>
+              ) : (
+                <>
+                  <Button onClick={handleRefundDraw} disabled={isRecovering} loading={isRecovering}>
+                    Refund All Tickets
+                  </Button>
+                  {isContractOwner && !isRecovering && (
+                    <button type="button" className="card-link-btn" onClick={handleRerequestDraw}>
+                      Re-request the draw instead
+                    </button>
+                  )}
+                </>
               )}
             </div>
           )}
+          {pendingDrawLotteryId !== null && !isDrawExpired && lotteryInfo.refundDeadline > 0 && (
+            <p className="input-hint">
+              {`Refundable from ${new Date(lotteryInfo.refundDeadline * 1000).toLocaleString()} if the draw gets no result.`}
+            </p>
+          )}
           </>
         )}
 
         <div className="game-history">
-          {!showAllHistory && <h3>Recent Games</h3>}
+          {!showAllHistory && <h3>{account ? 'Recent Games' : 'Recent Rounds'}</h3>}
           {isLoadingHistory ? (
             <Skeleton lines={4} />
           ) : lotteryHistory.length === 0 ? (
             <EmptyState
               title="No lottery history yet"
-              description="Join your first lottery to see history."
+              description={account ? 'Join your first lottery to see history.' : 'Finished rounds show up here.'}
             />
           ) : (
             <div className="history-list">
               {displayedHistory.map((lottery) => (
-                <div key={lottery.id} className="history-item">
-                  <p><strong>Lottery #{toShortCode(`lottery-${lottery.id}`)}</strong></p>
+                <div key={lottery.key} className="history-item">
+                  <p><strong>Lottery #{toShortCode(`lottery-${lottery.key}`)}</strong></p>
                   <div className="history-status-box">
                     <TransactionStepper
                       stage={getHistoryStage(lottery)}
@@ -828,20 +717,33 @@ const LotteryGame = ({
                     <div className="history-meta-grid">
                       <p className="history-meta-item"><strong>Total Tickets:</strong> {lottery.totalTickets}</p>
                       <p className="history-meta-item"><strong>Prize Pool:</strong> {lottery.prizePool.toFixed(4)} GT</p>
+                      {lottery.version && (
+                        <p className="history-meta-item"><strong>Version:</strong> v{lottery.version} (retired)</p>
+                      )}
                       {lottery.isDrawn ? (
                         <>
                           <p className="history-meta-item">
-                            <strong>Winning Number:</strong> {toShortCode(`winning-${lottery.id}-${lottery.winningNumber}`)}
+                            <strong>Winning Number:</strong> {toShortCode(`winning-${lottery.key}-${lottery.winningNumber}`)}
                           </p>
                           <p className="history-meta-item">
                             <strong>Result:</strong>{' '}
-                            {lottery.isWinner ? (
+                            {!account ? (
+                              <StatusTag type="info">
+                                {lottery.winners.length > 1
+                                  ? `1st ${formatAddress(lottery.winner)} +${lottery.winners.length - 1} more`
+                                  : `Won by ${formatAddress(lottery.winner)}`}
+                              </StatusTag>
+                            ) : lottery.isWinner ? (
                               <StatusTag type="active">{`Won ${lottery.prize.toFixed(4)} GT`}</StatusTag>
                             ) : (
                               <StatusTag type="ended">Lost</StatusTag>
                             )}
                           </p>
                         </>
+                      ) : lottery.isRefunded ? (
+                        <p className="history-meta-item">
+                          <strong>Result:</strong> <StatusTag type="info">Refunded</StatusTag>
+                        </p>
                       ) : (
                         <p className="history-meta-item">
                           <strong>Result:</strong> <StatusTag type="info">Waiting for draw...</StatusTag>
@@ -855,47 +757,45 @@ const LotteryGame = ({
           )}
         </div>
 
-        {!account && (
-          <p className="connect-prompt">Please connect your wallet to participate</p>
-        )}
       </Card>
 
-      {resultModal.isOpen && (
-        <div className="ds-result-modal-overlay" role="dialog" aria-modal="true">
-          <div className={`ds-result-modal ${resultModal.isWinner ? 'ds-result-modal-win' : 'ds-result-modal-lose'}`}>
-            {resultModal.isRevealing ? (
-              <>
-                <h3>🎰 Checking Draw Result...</h3>
-                <p>Lottery #{toShortCode(`lottery-${resultModal.lotteryId}`)}</p>
-                <div className="ds-result-progress-track">
-                  <div
-                    className="ds-result-progress-fill"
-                    style={{ animationDuration: `${resultModal.progressMs}ms` }}
-                  />
-                </div>
-              </>
-            ) : (
-              <>
-                <h3>{resultModal.isWinner ? '🎉 You Won!' : '😢 You Lost'}</h3>
-                <p>Lottery #{toShortCode(`lottery-${resultModal.lotteryId}`)}</p>
-                <p>Winning Number: {toShortCode(`winning-${resultModal.lotteryId}-${resultModal.winningNumber}`)}</p>
-                <p>
-                  {resultModal.isWinner
-                    ? `Prize: ${resultModal.prize.toFixed(4)} GT`
-                    : 'Better luck next round!'}
-                </p>
-                <button
-                  type="button"
-                  className="ds-button ds-button-primary ds-result-modal-btn"
-                  onClick={() => setResultModal((prev) => ({ ...prev, isOpen: false }))}
-                >
-                  Close
-                </button>
-              </>
-            )}
-          </div>
-        </div>
-      )}
+      <ResultModal
+        modal={revealModal}
+        won={revealModal.isWinner}
+        checkingTitle="🎰 Checking Draw Result..."
+        subtitle={`Lottery #${toShortCode(`lottery-${revealModal.lotteryId}`)}`}
+        onClose={closeReveal}
+      >
+        <p>Winning Number: {toShortCode(`winning-${revealModal.lotteryId}-${revealModal.winningNumber}`)}</p>
+        <p>
+          {revealModal.isWinner
+            ? `Prize: ${revealModal.prize.toFixed(4)} GT`
+            : 'Better luck next round!'}
+        </p>
+        {revealModal.winners?.length > 0 && (
+          <table className="lottery-winners-table">
+            <thead>
+              <tr>
+                <th>Place</th>
+                <th>Winner</th>
+                <th>Prize</th>
+              </tr>
+            </thead>
+            <tbody>
+              {revealModal.winners.map((entry) => {
+                const isYou = entry.winner === account?.toLowerCase();
+                return (
+                  <tr key={entry.place} className={isYou ? 'lottery-winners-you' : undefined}>
+                    <td>{formatPlace(entry.place)}</td>
+                    <td>{isYou ? 'You' : formatAddress(entry.winner)}</td>
+                    <td>{`${entry.prize.toFixed(4)} GT`}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </ResultModal>
     </>
   );
 };
@@ -0,0 +1,30 @@
+import React from 'react';
+import { InlineError } from './ui/InlineStatus';
+import Button from './ui/Button';
+
+// Shown in place of the games while the wallet is on a chain the app cannot
+// use. `chains` are [chainId, index entry] pairs to offer a switch to.
+const NetworkGuard = ({ guard, chains, title, description }) => (
+  <section className="info-section">
+    <div className="info-box network-guard" role="alert">
+      <h2>{title}</h2>
+      <p>{description}</p>
+      <InlineError message={guard.error} />
+      <div className="network-guard-actions">
+        {chains.map(([chainId, entry]) => (
+          <Button
+            key={chainId}
+            size="sm"
+            loading={guard.switchingTo === chainId}
+            disabled={guard.switchingTo !== null}
+            onClick={() => guard.switchTo(chainId, entry.network)}
+          >
+            {`Switch to ${entry.network} (chain ${chainId})`}
+          </Button>
+        ))}
+      </div>
+    </div>
+  </section>
+);
+
+export default NetworkGuard;
@@ -0,0 +1,97 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import {
+  clearStoredSession,
+  getSessionAddress,
+  getSessionChainId,
+  getSessionExpiry,
+  getSessionProblem,
+  loadStoredSession,
+  signInWithEthereum
+} from '../services/siweService';
+import { getWalletProvider } from '../services/walletService';
+import { useWalletProvider } from '../hooks/useWalletProvider';
+
+const SessionContext = createContext(null);
+
+const readWalletAccount = async () => {
+  const walletProvider = getWalletProvider();
+  if (!walletProvider) return null;
+  const accounts = await walletProvider.request({ method: 'eth_accounts' });
+  return accounts[0] || null;
+};
+
+// status is 'checking', 'signed-in' or 'signed-out'. A stored session is only
+// trusted after its signature, expiry and account check out, and it is
+// re-checked whenever the wallet switches account. chainId is the chain the
+// session was signed on.
+export const SessionProvider = ({ children }) => {
+  const [state, setState] = useState({ status: 'checking', session: null, reason: null });
+  const { provider } = useWalletProvider();
+
+  const validateSession = useCallback(async () => {
+    const stored = loadStoredSession();
+    if (!stored) {
+      setState({ status: 'signed-out', session: null, reason: null });
+      return;
+    }
+    try {
+      const problem = getSessionProblem(stored, await readWalletAccount());
+      if (problem) {
+        clearStoredSession();
+        setState({ status: 'signed-out', session: null, reason: problem });
+        return;
+      }
+      setState({ status: 'signed-in', session: stored, reason: null });
+    } catch (error) {
+      console.error('Error checking session:', error);
+      setState({ status: 'signed-out', session: null, reason: 'Wallet unavailable' });
+    }
+  }, []);
+
+  useEffect(() => {
+    validateSession();
+    if (!provider) return undefined;
+    provider.on('accountsChanged', validateSession);
+    return () => provider.removeListener('accountsChanged', validateSession);
+  }, [provider, validateSession]);
+
+  useEffect(() => {
+    if (state.status !== 'signed-in') return undefined;
+    const timer = setTimeout(validateSession, Math.max(0, getSessionExpiry(state.session) - Date.now()));
+    return () => clearTimeout(timer);
+  }, [state.status, state.session, validateSession]);
+
+  const signIn = useCallback(async () => {
+    await signInWithEthereum();
+    await validateSession();
+  }, [validateSession]);
+
+  const signOut = useCallback(() => {
+    clearStoredSession();
+    setState({ status: 'signed-out', session: null, reason: null });
+  }, []);
+
+  const value = useMemo(() => ({
+    status: state.status,
+    account: getSessionAddress(state.session),
+    chainId: getSessionChainId(state.session),
+    expiresAt: state.session ? getSessionExpiry(state.session) : null,
+    reason: state.reason,
+    signIn,
+    signOut
+  }), [state, signIn, signOut]);
+
+  return (
+    <SessionContext.Provider value={value}>
+      {children}
+    </SessionContext.Provider>
+  );
+};
+
+export const useSession = () => {
+  const context = useContext(SessionContext);
+  if (!context) {
+    throw new Error('useSession must be used within SessionProvider');
+  }
+  return context;
+};
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import { InlineError } from './ui/InlineStatus';
+import StatusTag from './ui/StatusTag';
+import Button from './ui/Button';
+import Card from './ui/Card';
+import NetworkGuard from './NetworkGuard';
+import { useSession } from './SessionProvider';
+import { useNetworkGuard } from '../hooks/useNetworkGuard';
+import { useWalletProvider } from '../hooks/useWalletProvider';
+import { loadDeploymentIndex } from '../services/deploymentService';
+import { getFriendlyError } from '../utils/friendlyError';
+import { SESSION_TTL_MS } from '../services/siweService';
+import { selectWallet } from '../services/walletService';
+
+const SESSION_TTL_HOURS = SESSION_TTL_MS / (60 * 60 * 1000);
+
+// onCancel returns to the spectator view.
+const SignIn = ({ onCancel }) => {
+  const { signIn, reason } = useSession();
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const [error, setError] = useState(null);
+  const [availableChains, setAvailableChains] = useState({});
+  const { wallet, options } = useWalletProvider();
+  const network = useNetworkGuard(Object.keys(availableChains));
+
+  // The session is bound to the chain it is signed on, so sign-in waits until
+  // the wallet is on a chain with a deployment.
+  useEffect(() => {
+    loadDeploymentIndex().then(setAvailableChains);
+  }, []);
+
+  const handleSelectWallet = (walletId) => {
+    setError(null);
+    try {
+      selectWallet(walletId);
+    } catch (selectError) {
+      setError(selectError.message);
+    }
+  };
+
+  const handleSignIn = async () => {
+    if (!wallet) {
+      setError('Choose a wallet first.');
+      return;
+    }
+    setIsSigningIn(true);
+    setError(null);
+    try {
+      await signIn();
+    } catch (signInError) {
+      console.error('Sign-in failed:', signInError);
+      setError(getFriendlyError(signInError, 'Sign-in failed. Please try again.'));
+    } finally {
+      setIsSigningIn(false);
+    }
+  };
+
+  return (
+    <div className="App">
+      <div className="container signin-container">
+        <Card
+          title="Sign in with Ethereum"
+          icon="🔐"
+          className="signin-card"
+          headerActions={(
+            <button type="button" className="card-link-btn" onClick={onCancel}>
+              Keep spectating
+            </button>
+          )}
+        >
+          <p className="signin-intro">
+            Choose a wallet and sign a one-time message to prove you control your address.
+            Signing does not send a transaction or cost gas. Your session lasts {SESSION_TTL_HOURS} hours and
+            ends if you switch account or network.
+          </p>
+          {reason && (
+            <p className="signin-reason">
+              <StatusTag type="info">Signed out</StatusTag> {reason}
+            </p>
+          )}
+          {options.length === 0 ? (
+            <InlineError message="No wallet found. Install a browser wallet extension to continue." />
+          ) : (
+            <div className="wallet-picker" role="radiogroup" aria-label="Wallet">
+              {options.map((option) => (
+                <button
+                  key={option.id}
+                  type="button"
+                  role="radio"
+                  aria-checked={wallet?.id === option.id}
+                  className={`wallet-option ${wallet?.id === option.id ? 'wallet-option-active' : ''}`}
+                  onClick={() => handleSelectWallet(option.id)}
+                >
+                  {option.icon && <img className="wallet-option-icon" src={option.icon} alt="" />}
+                  {option.name}
+                </button>
+              ))}
+            </div>
+          )}
+          <InlineError message={error} />
+          <Button
+            fullWidth
+            onClick={handleSignIn}
+            loading={isSigningIn}
+            disabled={isSigningIn || !wallet || network.isWrongNetwork}
+          >
+            Sign in with wallet
+          </Button>
+        </Card>
+        {network.isWrongNetwork && (
+          <NetworkGuard
+            guard={network}
+            chains={Object.entries(availableChains)}
+            title="Unsupported network"
+            description={`Your wallet is on chain ${network.walletChainId}, where the platform is not deployed. Switch to a supported network to sign in.`}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SignIn;
@@ -5,6 +5,8 @@ import { useToast } from './ui/ToastProvider';
 import Button from './ui/Button';
 import { getFriendlyError } from '../utils/friendlyError';
 import { useAutoDismiss } from '../hooks/useAutoDismiss';
+import { useWalletProvider } from '../hooks/useWalletProvider';
+import { getBrowserProvider } from '../services/contractService';
 
 const WalletConnect = ({ onConnect, onDisconnect }) => {
   const [account, setAccount] = useState(null);
@@ -12,27 +14,28 @@ const WalletConnect = ({ onConnect, onDisconnect }) => {
   const [isConnecting, setIsConnecting] = useState(false);
   const [walletError, setWalletError] = useState(null);
   const { showToast } = useToast();
+  const { wallet, provider } = useWalletProvider();
 
   useAutoDismiss(walletError, setWalletError, null);
 
   useEffect(() => {
     checkConnection();
-    if (window.ethereum) {
-      window.ethereum.on('accountsChanged', handleAccountsChanged);
-      window.ethereum.on('chainChanged', () => window.location.reload());
+    if (provider) {
+      provider.on('accountsChanged', handleAccountsChanged);
+      provider.on('chainChanged', handleChainChanged);
     }
     return () => {
-      if (window.ethereum) {
-        window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
-        window.ethereum.removeListener('chainChanged', () => window.location.reload());
+      if (provider) {
+        provider.removeListener('accountsChanged', handleAccountsChanged);
+        provider.removeListener('chainChanged', handleChainChanged);
       }
     };
-  }, []);
+  }, [provider]);
 
   const checkConnection = async () => {
-    if (window.ethereum) {
+    if (provider) {
       try {
-        const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+        const accounts = await provider.request({ method: 'eth_accounts' });
         if (accounts.length > 0) {
           setAccount(accounts[0]);
           await updateBalance(accounts[0]);
@@ -46,8 +49,7 @@ const WalletConnect = ({ onConnect, onDisconnect }) => {
 
   const updateBalance = async (address) => {
     try {
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const balance = await provider.getBalance(address);
+      const balance = await getBrowserProvider().getBalance(address);
       setBalance(ethers.formatEther(balance));
     } catch (error) {
       console.error('Error updating balance:', error);
@@ -64,17 +66,22 @@ const WalletConnect = ({ onConnect, onDisconnect }) => {
     }
   };
 
+  // The network guard handles chain mismatches; only the ETH balance needs refreshing.
+  const handleChainChanged = () => {
+    checkConnection();
+  };
+
   const connect = async () => {
-    if (!window.ethereum) {
-      setWalletError('MetaMask not detected. Please install it to continue.');
-      showToast('MetaMask not detected', 'error');
+    if (!provider) {
+      setWalletError('No wallet selected. Sign in again to choose one.');
+      showToast('No wallet selected', 'error');
       return;
     }
 
     setWalletError(null);
     setIsConnecting(true);
     try {
-      const accounts = await window.ethereum.request({
+      const accounts = await provider.request({
         method: 'eth_requestAccounts'
       });
       setAccount(accounts[0]);
@@ -104,7 +111,7 @@ const WalletConnect = ({ onConnect, onDisconnect }) => {
       <InlineError message={walletError} />
       {account ? (
         <div className="wallet-info">
-          <div className="account">
+          <div className="account" title={wallet?.name}>
             {account.slice(0, 6)}...{account.slice(-4)}
           </div>
           <div className="balance">
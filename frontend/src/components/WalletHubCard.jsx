@@ -4,20 +4,31 @@ import Button from './ui/Button';
 import { InlineError, InlineSuccess } from './ui/InlineStatus';
 import StatItem from './ui/StatItem';
 import Skeleton from './ui/Skeleton';
+import AllowancePanel from './AllowancePanel';
 import { useToast } from './ui/ToastProvider';
+import { useActivity } from './ActivityProvider';
 import { getFriendlyError } from '../utils/friendlyError';
 import { useAutoDismiss } from '../hooks/useAutoDismiss';
+import { useWalletProvider } from '../hooks/useWalletProvider';
+import { useContractEvents } from '../hooks/useContractEvents';
+import { createReadContract, getBrowserSigner, getReadProvider } from '../services/contractService';
 
-const WalletHubCard = ({ account, gameTokenAddress, gameTokenAbi }) => {
-  const BALANCE_POLL_INTERVAL_MS = 1500;
+const TOKEN_EVENTS = ['Transfer'];
+
+// Spectators (no account) see the GT supply instead of a balance, and any
+// recharge asks them to connect a wallet first. `spenders` are the game
+// contracts whose allowances the Allowances view manages.
+const WalletHubCard = ({ account, gameTokenAddress, gameTokenAbi, spenders, onRequestWallet }) => {
   const [tokenBalance, setTokenBalance] = useState('0');
   const [isMinting, setIsMinting] = useState(false);
   const [mintTarget, setMintTarget] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
-  const [isRechargeView, setIsRechargeView] = useState(false);
+  const [view, setView] = useState('overview');
   const { showToast } = useToast();
+  const { provider } = useWalletProvider();
+  const { recordTransaction } = useActivity();
   const rechargeOptions = [
     { key: 'starter', title: 'Starter', amount: '5000' },
     { key: 'quick', title: 'Quick', amount: '10000' },
@@ -29,19 +40,20 @@ const WalletHubCard = ({ account, gameTokenAddress, gameTokenAbi }) => {
   useAutoDismiss(success, setSuccess, '');
 
   const gameTokenContract = useMemo(() => {
-    if (!window.ethereum || !gameTokenAddress || !gameTokenAbi) return null;
-    const provider = new ethers.BrowserProvider(window.ethereum);
-    return new ethers.Contract(gameTokenAddress, gameTokenAbi, provider);
-  }, [gameTokenAddress, gameTokenAbi]);
+    if (account && !provider) return null;
+    return createReadContract(gameTokenAddress, gameTokenAbi, getReadProvider(account));
+  }, [account, provider, gameTokenAddress, gameTokenAbi]);
 
   const refreshTokenBalance = useCallback(async (options = {}) => {
     const silent = options.silent === true;
-    if (!account || !gameTokenContract) return;
+    if (!gameTokenContract) return;
     if (!silent) {
       setLoading(true);
     }
     try {
-      const balance = await gameTokenContract.balanceOf(account);
+      const balance = account
+        ? await gameTokenContract.balanceOf(account)
+        : await gameTokenContract.totalSupply();
       setTokenBalance(ethers.formatEther(balance.toString()));
     } catch (e) {
       if (!silent) {
@@ -58,45 +70,38 @@ const WalletHubCard = ({ account, gameTokenAddress, gameTokenAbi }) => {
     refreshTokenBalance();
   }, [refreshTokenBalance]);
 
-  useEffect(() => {
-    if (!account || !gameTokenContract) return undefined;
-
-    const intervalId = setInterval(() => {
+  // Spectators watch the zero address: only mints and burns move the supply.
+  const handleTransfer = useCallback(({ args }) => {
+    const watched = (account || ethers.ZeroAddress).toLowerCase();
+    if (args.from.toLowerCase() === watched || args.to.toLowerCase() === watched) {
       refreshTokenBalance({ silent: true });
-    }, BALANCE_POLL_INTERVAL_MS);
-
-    const onTransfer = (from, to) => {
-      const accountLower = account.toLowerCase();
-      if (from?.toLowerCase?.() === accountLower || to?.toLowerCase?.() === accountLower) {
-        refreshTokenBalance({ silent: true });
-      }
-    };
-
-    gameTokenContract.on('Transfer', onTransfer);
+    }
+  }, [account, refreshTokenBalance]);
 
-    return () => {
-      clearInterval(intervalId);
-      gameTokenContract.off('Transfer', onTransfer);
-    };
-  }, [account, gameTokenContract, refreshTokenBalance]);
+  useContractEvents(gameTokenContract, TOKEN_EVENTS, handleTransfer);
 
   const handleMintWithEth = async (amount, source = 'tier') => {
-    if (!account || !gameTokenContract) return;
+    if (!account) {
+      onRequestWallet();
+      return;
+    }
+    if (!gameTokenContract) return;
     setIsMinting(true);
     setMintTarget(`${source}-${amount}`);
     setError('');
     setSuccess('');
 
     try {
-      const signer = await new ethers.BrowserProvider(window.ethereum).getSigner();
+      const signer = await getBrowserSigner();
       const tokenWithSigner = gameTokenContract.connect(signer);
       const mintAmount = ethers.parseEther(amount);
       const fee = ethers.parseEther('0.01');
       const tx = await tokenWithSigner.mintWithEth(mintAmount, { value: fee });
+      recordTransaction(tx, { kind: 'mintWithEth', label: `Recharge ${amount} GT`, scope: gameTokenAddress });
       await tx.wait();
       await refreshTokenBalance({ silent: true });
       setSuccess(`Recharge successful: +${amount} GT`);
-      setIsRechargeView(false);
+      setView('overview');
       showToast('Recharge successful', 'success');
     } catch (e) {
       const message = getFriendlyError(e, 'Recharge failed. Please try again.');
@@ -112,28 +117,37 @@ const WalletHubCard = ({ account, gameTokenAddress, gameTokenAbi }) => {
     <section className="wallet-hub-card game-card">
       <div className="wallet-hub-header">
         <h2>💎 GT Wallet Hub</h2>
-        <button
-          type="button"
-          className="card-link-btn"
-          onClick={() => setIsRechargeView((prev) => !prev)}
-        >
-          {isRechargeView ? 'Return' : 'Recharge Plans'}
-        </button>
+        {view === 'overview' ? (
+          <div className="ds-card-actions">
+            {account && (
+              <button type="button" className="card-link-btn" onClick={() => setView('allowances')}>
+                Allowances
+              </button>
+            )}
+            <button type="button" className="card-link-btn" onClick={() => setView('recharge')}>
+              Recharge Plans
+            </button>
+          </div>
+        ) : (
+          <button type="button" className="card-link-btn" onClick={() => setView('overview')}>
+            Return
+          </button>
+        )}
       </div>
 
-      {!account ? (
-        <p className="connect-prompt">Please connect your wallet to view balance and recharge.</p>
+      {view === 'allowances' && account ? (
+        <AllowancePanel account={account} gameTokenContract={gameTokenContract} spenders={spenders} />
       ) : loading ? (
         <Skeleton lines={2} />
       ) : (
         <>
           <div className="token-balance">
-            <span className="token-balance-label">GT Balance</span>
+            <span className="token-balance-label">{account ? 'GT Balance' : 'GT in Circulation'}</span>
             <span className="token-balance-value">{parseFloat(tokenBalance || '0').toFixed(2)} GT</span>
           </div>
 
           <div className="wallet-hub-actions">
-            {isRechargeView ? (
+            {view === 'recharge' ? (
               <>
                 <StatItem label="Recharge Fee" value="Each recharge costs 0.01 ETH" />
                 <div className="wallet-hub-tier-grid">
@@ -167,6 +181,9 @@ const WalletHubCard = ({ account, gameTokenAddress, gameTokenAbi }) => {
         </>
       )}
 
+      {!account && (
+        <p className="connect-prompt">Connect a wallet to see your balance and recharge.</p>
+      )}
       <InlineError message={error} />
       <InlineSuccess message={success} />
     </section>
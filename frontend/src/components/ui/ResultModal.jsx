@@ -0,0 +1,42 @@
+import React from 'react';
+
+// The reveal modal of a game (see useRevealQueue): a progress bar while the
+// result is being "checked", then the outcome, the game's own details as
+// children, and a Close button.
+const ResultModal = ({ modal, won, checkingTitle, subtitle, onClose, children }) => {
+  if (!modal.isOpen) return null;
+
+  return (
+    <div className="ds-result-modal-overlay" role="dialog" aria-modal="true">
+      <div className={`ds-result-modal ${won ? 'ds-result-modal-win' : 'ds-result-modal-lose'}`}>
+        {modal.isRevealing ? (
+          <>
+            <h3>{checkingTitle}</h3>
+            <p>{subtitle}</p>
+            <div className="ds-result-progress-track">
+              <div
+                className="ds-result-progress-fill"
+                style={{ animationDuration: `${modal.progressMs}ms` }}
+              />
+            </div>
+          </>
+        ) : (
+          <>
+            <h3>{won ? '🎉 You Won!' : '😢 You Lost'}</h3>
+            <p>{subtitle}</p>
+            {children}
+            <button
+              type="button"
+              className="ds-button ds-button-primary ds-result-modal-btn"
+              onClick={onClose}
+            >
+              Close
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResultModal;
@@ -10,15 +10,23 @@ const stageTextMap = {
   error: 'Transaction failed. Check error message and try again.'
 };
 
+// With authorization="permit" the first step is a gasless signature for
+// exactly the amount instead of an approval transaction.
+const permitTextMap = {
+  idle: 'You will sign a permit for exactly this amount, then confirm one transaction.',
+  signing: 'Sign the permit in your wallet. Signing costs no gas.'
+};
+
 const TransactionStepper = ({
   stage = 'idle',
   actionLabel = 'Play',
   approvalRequired = true,
+  authorization = 'approve',
   compact = false,
   hideHint = false
 }) => {
   const approveDone = !approvalRequired || ['ready', 'submitting', 'confirming', 'done'].includes(stage);
-  const approveActive = approvalRequired && stage === 'approving';
+  const approveActive = approvalRequired && ['approving', 'signing'].includes(stage);
 
   const actionDone = ['confirming', 'done'].includes(stage);
   const actionActive = ['ready', 'submitting'].includes(stage) || (!approvalRequired && stage === 'idle');
@@ -27,8 +35,10 @@ const TransactionStepper = ({
   const confirmActive = stage === 'confirming';
   const doneActive = stage === 'done';
 
+  const hint = (authorization === 'permit' && permitTextMap[stage]) || stageTextMap[stage] || stageTextMap.idle;
+
   const steps = [
-    { key: 'approve', label: 'Approve', done: approveDone, active: approveActive },
+    { key: 'approve', label: authorization === 'permit' ? 'Sign' : 'Approve', done: approveDone, active: approveActive },
     { key: 'action', label: actionLabel, done: actionDone, active: actionActive },
     { key: 'confirm', label: 'Confirm', done: confirmDone, active: confirmActive },
     { key: 'done', label: 'Done', done: doneActive, active: doneActive }
@@ -47,7 +57,7 @@ const TransactionStepper = ({
           </div>
         ))}
       </div>
-      {!hideHint && <p className="tx-stepper-hint">{stageTextMap[stage] || stageTextMap.idle}</p>}
+      {!hideHint && <p className="tx-stepper-hint">{hint}</p>}
     </div>
   );
 };
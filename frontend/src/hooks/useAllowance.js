@@ -0,0 +1,21 @@
+import { useCallback, useEffect, useState } from 'react';
+import { readAllowance } from '../services/contractService';
+
+export const useAllowance = (gameTokenContract, account, spender) => {
+  const [allowance, setAllowance] = useState('0');
+
+  const refreshAllowance = useCallback(async () => {
+    if (!gameTokenContract || !account || !spender) return;
+    try {
+      setAllowance(await readAllowance(gameTokenContract, account, spender));
+    } catch (error) {
+      console.error('Error loading allowance:', error);
+    }
+  }, [gameTokenContract, account, spender]);
+
+  useEffect(() => {
+    refreshAllowance();
+  }, [refreshAllowance]);
+
+  return { allowance, setAllowance, refreshAllowance };
+};
@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react';
+import { getSubscriptionManager } from '../services/subscriptionService';
+
+const NO_CLOCK = { blockNumber: null, timestamp: null };
+
+// The latest block number and timestamp, shared by every card on the provider.
+export const useBlockClock = (provider) => {
+  const [clock, setClock] = useState(() => getSubscriptionManager(provider)?.getClock() || NO_CLOCK);
+
+  useEffect(() => {
+    const manager = getSubscriptionManager(provider);
+    if (!manager) return undefined;
+    setClock(manager.getClock());
+    return manager.onBlock(setClock);
+  }, [provider]);
+
+  return clock;
+};
@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react';
+import { usePolling } from './usePolling';
+
+const TICK_MS = 1000;
+
+// The chain's time in seconds, ticking between blocks: the latest block's
+// timestamp plus the wall-clock time since that block arrived. A quiet local
+// chain mines no blocks while nobody transacts, so block time alone would stop
+// a countdown.
+export const useChainTime = (blockClock, enabled = true) => {
+  const [nowMs, setNowMs] = useState(() => Date.now());
+  const [blockSeenAtMs, setBlockSeenAtMs] = useState(() => Date.now());
+
+  useEffect(() => {
+    setBlockSeenAtMs(Date.now());
+  }, [blockClock.timestamp]);
+
+  usePolling(() => setNowMs(Date.now()), TICK_MS, enabled);
+
+  if (blockClock.timestamp === null) {
+    return Math.floor(nowMs / 1000);
+  }
+  return blockClock.timestamp + Math.max(0, Math.floor((nowMs - blockSeenAtMs) / 1000));
+};
@@ -0,0 +1,18 @@
+import { useEffect, useRef } from 'react';
+import { getSubscriptionManager } from '../services/subscriptionService';
+
+// Calls onEvent(parsedLog) for each of `eventNames` the contract emits. Pass a
+// stable eventNames array; onEvent may change between renders.
+export const useContractEvents = (contract, eventNames, onEvent) => {
+  const onEventRef = useRef(onEvent);
+
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    const manager = getSubscriptionManager(contract?.runner?.provider || contract?.runner);
+    if (!manager) return undefined;
+    return manager.watchEvents(contract, eventNames, (event) => onEventRef.current(event));
+  }, [contract, eventNames]);
+};
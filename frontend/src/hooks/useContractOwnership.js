@@ -0,0 +1,45 @@
+import { useEffect, useState } from 'react';
+import { createReadContract } from '../services/contractService';
+
+const OWNABLE_KEYS = ['gameToken', 'lottery', 'diceGame'];
+
+// Resolves which of the platform contracts the connected account owns. The
+// admin console is only offered when this list is non-empty.
+export const useContractOwnership = (account, contracts) => {
+  const [ownedContracts, setOwnedContracts] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const checkOwnership = async () => {
+      if (!account) {
+        setOwnedContracts([]);
+        return;
+      }
+      const accountLower = account.toLowerCase();
+      const results = await Promise.all(
+        OWNABLE_KEYS.map(async (key) => {
+          const contract = createReadContract(contracts[key]?.address, contracts[key]?.abi);
+          if (!contract) return null;
+          try {
+            const owner = await contract.owner();
+            return owner.toLowerCase() === accountLower ? key : null;
+          } catch (error) {
+            console.warn(`Unable to read ${key} owner:`, error);
+            return null;
+          }
+        })
+      );
+      if (!cancelled) {
+        setOwnedContracts(results.filter(Boolean));
+      }
+    };
+
+    checkOwnership();
+    return () => {
+      cancelled = true;
+    };
+  }, [account, contracts]);
+
+  return { isOwner: ownedContracts.length > 0, ownedContracts };
+};
@@ -0,0 +1,55 @@
+import { useEffect, useMemo, useState } from 'react';
+import {
+  loadDeploymentIndex,
+  loadDeploymentManifest,
+  toContractConfig
+} from '../services/deploymentService';
+
+// Loads the manifest for the chain the session was signed on, which is the
+// chain the app expects the wallet to be on. status is 'loading', 'ready',
+// 'missing' (no manifest for this chain) or 'no-chain'.
+export const useDeploymentManifest = (chainId) => {
+  const [state, setState] = useState({
+    status: 'loading',
+    chainId: null,
+    manifest: null,
+    availableChains: {}
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const resolveManifest = async () => {
+      try {
+        const index = await loadDeploymentIndex();
+        if (cancelled) return;
+        if (!chainId) {
+          setState({ status: 'no-chain', chainId: null, manifest: null, availableChains: index });
+          return;
+        }
+        const manifest = await loadDeploymentManifest(chainId, index);
+        if (cancelled) return;
+        setState({
+          status: manifest ? 'ready' : 'missing',
+          chainId,
+          manifest,
+          availableChains: index
+        });
+      } catch (error) {
+        console.error('Error loading deployment manifest:', error);
+        if (!cancelled) {
+          setState({ status: 'missing', chainId, manifest: null, availableChains: {} });
+        }
+      }
+    };
+
+    resolveManifest();
+    return () => {
+      cancelled = true;
+    };
+  }, [chainId]);
+
+  const contracts = useMemo(() => toContractConfig(state.manifest), [state.manifest]);
+
+  return { ...state, contracts };
+};
@@ -0,0 +1,23 @@
+import { useMemo } from 'react';
+import { createReadContract, getReadProvider } from '../services/contractService';
+
+export const useGameContract = ({
+  account,
+  contractAddress,
+  abi,
+  gameTokenAddress,
+  gameTokenAbi
+}) => {
+  // Without an account the contracts are read-only (spectator mode).
+  const contract = useMemo(
+    () => createReadContract(contractAddress, abi, getReadProvider(account)),
+    [account, contractAddress, abi]
+  );
+
+  const gameTokenContract = useMemo(
+    () => createReadContract(gameTokenAddress, gameTokenAbi, getReadProvider(account)),
+    [account, gameTokenAddress, gameTokenAbi]
+  );
+
+  return { contract, gameTokenContract };
+};
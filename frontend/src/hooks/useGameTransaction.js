@@ -0,0 +1,20 @@
+import { useCallback } from 'react';
+import { useActivity } from '../components/ActivityProvider';
+import { findReceiptEvent, getBrowserSigner } from '../services/contractService';
+
+// The steps every game transaction shares. `send` gets the contract connected
+// to the wallet's signer and returns the transaction; it is recorded in the
+// activity drawer under the game's scope, and once mined the receipt's
+// `eventName` event is returned (null without one).
+export const useGameTransaction = (contract, scope) => {
+  const { recordTransaction } = useActivity();
+
+  return useCallback(async (send, { kind, label, eventName, onSent }) => {
+    const signer = await getBrowserSigner();
+    const tx = await send(contract.connect(signer), signer);
+    recordTransaction(tx, { kind, label, scope });
+    onSent?.();
+    const receipt = await tx.wait();
+    return eventName ? findReceiptEvent(contract, receipt, eventName) : null;
+  }, [contract, scope, recordTransaction]);
+};
@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useState } from 'react';
+import { CHAIN_NOT_ADDED, readWalletChainId, switchWalletChain } from '../services/networkService';
+import { getFriendlyError } from '../utils/friendlyError';
+import { useWalletProvider } from './useWalletProvider';
+
+// Follows the wallet's chain through chainChanged (no page reload) and compares
+// it with the chains the app can use. isMatched stays false until the wallet
+// chain is known.
+export const useNetworkGuard = (expectedChainIds) => {
+  const [walletChainId, setWalletChainId] = useState(null);
+  const [switchingTo, setSwitchingTo] = useState(null);
+  const [error, setError] = useState(null);
+  const { provider } = useWalletProvider();
+
+  useEffect(() => {
+    let cancelled = false;
+    readWalletChainId()
+      .then((chainId) => {
+        if (!cancelled) setWalletChainId(chainId);
+      })
+      .catch((readError) => console.error('Error reading wallet chain:', readError));
+
+    if (!provider) {
+      return () => {
+        cancelled = true;
+      };
+    }
+    const handleChainChanged = (chainIdHex) => {
+      setWalletChainId(parseInt(chainIdHex, 16).toString());
+      setError(null);
+    };
+    provider.on('chainChanged', handleChainChanged);
+    return () => {
+      cancelled = true;
+      provider.removeListener('chainChanged', handleChainChanged);
+    };
+  }, [provider]);
+
+  const switchTo = useCallback(async (chainId, networkName) => {
+    setSwitchingTo(chainId);
+    setError(null);
+    try {
+      await switchWalletChain(chainId, networkName);
+    } catch (switchError) {
+      console.error('Network switch failed:', switchError);
+      setError(switchError.code === CHAIN_NOT_ADDED
+        ? switchError.message
+        : getFriendlyError(switchError, 'Network switch failed. Please try again.'));
+    } finally {
+      setSwitchingTo(null);
+    }
+  }, []);
+
+  const isMatched = walletChainId !== null && expectedChainIds.includes(walletChainId);
+
+  return {
+    walletChainId,
+    isMatched,
+    isWrongNetwork: walletChainId !== null && expectedChainIds.length > 0 && !isMatched,
+    switchTo,
+    switchingTo,
+    error
+  };
+};
@@ -0,0 +1,19 @@
+import { useEffect, useRef } from 'react';
+
+export const usePolling = (callback, intervalMs, enabled = true) => {
+  const callbackRef = useRef(callback);
+
+  useEffect(() => {
+    callbackRef.current = callback;
+  }, [callback]);
+
+  useEffect(() => {
+    if (!enabled || !intervalMs) return undefined;
+
+    const intervalId = setInterval(() => {
+      callbackRef.current();
+    }, intervalMs);
+
+    return () => clearInterval(intervalId);
+  }, [intervalMs, enabled]);
+};
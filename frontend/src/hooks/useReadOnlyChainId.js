@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+import { readReadOnlyChainId } from '../services/contractService';
+
+// The chain behind REACT_APP_READ_RPC_URL, which picks the manifest spectators
+// see. status is 'idle' (not needed), 'loading', 'ready' or 'unreachable'.
+export const useReadOnlyChainId = (enabled) => {
+  const [state, setState] = useState({ status: 'idle', chainId: null });
+
+  useEffect(() => {
+    if (!enabled) {
+      setState({ status: 'idle', chainId: null });
+      return undefined;
+    }
+    let cancelled = false;
+    setState({ status: 'loading', chainId: null });
+    readReadOnlyChainId()
+      .then((chainId) => {
+        if (!cancelled) setState({ status: 'ready', chainId });
+      })
+      .catch((error) => {
+        console.error('Error reaching read-only RPC:', error);
+        if (!cancelled) setState({ status: 'unreachable', chainId: null });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled]);
+
+  return state;
+};
@@ -0,0 +1,81 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const MIN_REVEAL_MS = 800;
+const REVEAL_JITTER_MS = 1001;
+const CLOSED_REVEAL = { isOpen: false, isRevealing: false, progressMs: 1000 };
+
+export const useRevealQueue = ({ items = [], getId, isSettled, toPayload }) => {
+  const [revealModal, setRevealModal] = useState(CLOSED_REVEAL);
+  const revealedIdsRef = useRef(new Set());
+  const isInitializedRef = useRef(false);
+  const isOpenRef = useRef(false);
+  const queueRef = useRef([]);
+  const timerRef = useRef(null);
+
+  const showReveal = useCallback((payload) => {
+    const progressMs = MIN_REVEAL_MS + Math.floor(Math.random() * REVEAL_JITTER_MS);
+    if (timerRef.current) {
+      clearTimeout(timerRef.current);
+    }
+    isOpenRef.current = true;
+    setRevealModal({ ...payload, isOpen: true, isRevealing: true, progressMs });
+
+    timerRef.current = setTimeout(() => {
+      setRevealModal((prev) => ({ ...prev, isRevealing: false }));
+      timerRef.current = null;
+    }, progressMs);
+  }, []);
+
+  const hasRevealed = useCallback((id) => revealedIdsRef.current.has(String(id)), []);
+
+  const reveal = useCallback((id, payload) => {
+    const key = String(id);
+    if (revealedIdsRef.current.has(key)) return;
+    revealedIdsRef.current.add(key);
+
+    if (isOpenRef.current) {
+      queueRef.current.push(payload);
+      return;
+    }
+    showReveal(payload);
+  }, [showReveal]);
+
+  const closeReveal = useCallback(() => {
+    const next = queueRef.current.shift();
+    if (next) {
+      showReveal(next);
+      return;
+    }
+    isOpenRef.current = false;
+    setRevealModal((prev) => ({ ...prev, isOpen: false }));
+  }, [showReveal]);
+
+  useEffect(() => {
+    if (!items.length) return;
+
+    // Results already settled on first load are history, not news.
+    if (!isInitializedRef.current) {
+      items.forEach((item) => {
+        if (isSettled(item)) {
+          revealedIdsRef.current.add(String(getId(item)));
+        }
+      });
+      isInitializedRef.current = true;
+      return;
+    }
+
+    [...items].reverse().forEach((item) => {
+      if (isSettled(item)) {
+        reveal(getId(item), toPayload(item));
+      }
+    });
+  }, [items, getId, isSettled, toPayload, reveal]);
+
+  useEffect(() => () => {
+    if (timerRef.current) {
+      clearTimeout(timerRef.current);
+    }
+  }, []);
+
+  return { revealModal, reveal, hasRevealed, closeReveal };
+};
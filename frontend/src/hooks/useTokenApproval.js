@@ -0,0 +1,48 @@
+import { useCallback, useState } from 'react';
+import { ethers } from 'ethers';
+import { useActivity, useActivitySettled, usePendingActivity } from '../components/ActivityProvider';
+import { getBrowserSigner, signPermit } from '../services/contractService';
+import { useAllowance } from './useAllowance';
+
+// A game's GT authorization is always for exactly the stake: a permit sent
+// along with the game transaction, or, for wallets that cannot sign permits,
+// an on-chain approve that the game's plain call then spends.
+export const useTokenApproval = (gameTokenContract, account, spender, spenderLabel) => {
+  const { allowance, setAllowance, refreshAllowance } = useAllowance(gameTokenContract, account, spender);
+  const [isApproving, setIsApproving] = useState(false);
+  const { recordTransaction } = useActivity();
+  // Also set by an approve still pending from before a reload
+  const pendingApproval = usePendingActivity(spender, 'approve');
+
+  useActivitySettled(pendingApproval, refreshAllowance);
+
+  const approveExact = useCallback(async (amount) => {
+    setIsApproving(true);
+    try {
+      const signer = await getBrowserSigner();
+      const tx = await gameTokenContract.connect(signer).approve(spender, amount);
+      recordTransaction(tx, {
+        kind: 'approve',
+        label: `Approve ${ethers.formatEther(amount)} GT for ${spenderLabel}`,
+        scope: spender
+      });
+      await tx.wait();
+      await refreshAllowance();
+    } finally {
+      setIsApproving(false);
+    }
+  }, [gameTokenContract, spender, spenderLabel, recordTransaction, refreshAllowance]);
+
+  // Permit arguments (deadline, v, r, s) for `amount`, or null when the
+  // allowance already covers it. onSigning runs before the wallet is asked.
+  const permitIfNeeded = useCallback(async (signer, amount, onSigning) => {
+    const latestAllowance = await gameTokenContract.allowance(account, spender);
+    setAllowance(ethers.formatEther(latestAllowance));
+    if (latestAllowance >= amount) return null;
+    onSigning?.();
+    const permit = await signPermit(gameTokenContract, signer, spender, amount);
+    return [permit.deadline, permit.v, permit.r, permit.s];
+  }, [gameTokenContract, account, spender, setAllowance]);
+
+  return { allowance, refreshAllowance, isApproving, pendingApproval, approveExact, permitIfNeeded };
+};
@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react';
+import { getActiveWallet, listWalletOptions, subscribeWallets } from '../services/walletService';
+
+const readWalletState = () => ({ wallet: getActiveWallet(), options: listWalletOptions() });
+
+// The active wallet and the wallets available to pick from, updated as
+// EIP-6963 announcements arrive or the user switches wallet.
+export const useWalletProvider = () => {
+  const [state, setState] = useState(readWalletState);
+
+  useEffect(() => subscribeWallets(() => setState(readWalletState())), []);
+
+  return { ...state, provider: state.wallet?.provider || null };
+};
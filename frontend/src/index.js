@@ -3,12 +3,18 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import { ToastProvider } from './components/ui/ToastProvider';
+import { SessionProvider } from './components/SessionProvider';
+import { startWalletDiscovery } from './services/walletService';
+
+startWalletDiscovery();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
     <ToastProvider>
-      <App />
+      <SessionProvider>
+        <App />
+      </SessionProvider>
     </ToastProvider>
   </React.StrictMode>
 );
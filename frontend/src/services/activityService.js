@@ -0,0 +1,97 @@
+import { ethers } from 'ethers';
+
+// Submitted transactions are kept per account and chain in localStorage so a
+// reload can pick them up again. Entries are newest first.
+const STORAGE_PREFIX = 'txActivity';
+const MAX_ENTRIES = 50;
+
+export const FINAL_STATUSES = ['confirmed', 'failed', 'replaced', 'cancelled'];
+
+export const isPendingEntry = (entry) => !FINAL_STATUSES.includes(entry.status);
+
+const storageKey = (chainId, account) => `${STORAGE_PREFIX}:${chainId}:${account.toLowerCase()}`;
+
+export const loadActivity = (chainId, account) => {
+  if (!chainId || !account) return [];
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(chainId, account))) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveActivity = (chainId, account, entries) => {
+  if (!chainId || !account) return;
+  localStorage.setItem(storageKey(chainId, account), JSON.stringify(entries.slice(0, MAX_ENTRIES)));
+};
+
+// `scope` is the game contract the transaction belongs to (the spender, for
+// approvals), so each card can find its own pending transactions.
+export const toActivityEntry = (tx, startBlock, { kind, label, scope }) => ({
+  hash: tx.hash,
+  kind,
+  label,
+  scope: scope || tx.to,
+  from: tx.from,
+  nonce: tx.nonce,
+  startBlock,
+  submittedAt: Date.now(),
+  status: 'pending',
+  replacementHash: null,
+  vrfRequest: null
+});
+
+const toOutcome = (status, receipt, replacementHash = null) => ({ status, receipt, replacementHash });
+
+// Follows a transaction to its outcome, or returns null while its fate is
+// still unknown. ethers' replaceable wait watches the sender's nonce from
+// startBlock on, so a speed-up ('repriced') settles with the replacement's
+// receipt, while a cancel or a different transaction with the same nonce ends
+// the entry.
+export const settleTransaction = async (provider, entry) => {
+  const tx = await provider.getTransaction(entry.hash);
+  if (!tx) {
+    // Dropped from the node's mempool: only a spent nonce proves it will never
+    // be mined.
+    const nonce = await provider.getTransactionCount(entry.from, 'latest');
+    return nonce > entry.nonce ? toOutcome('replaced', null) : null;
+  }
+  try {
+    return toOutcome('confirmed', await tx.replaceableTransaction(entry.startBlock).wait());
+  } catch (error) {
+    if (error.code === 'TRANSACTION_REPLACED') {
+      if (error.reason === 'repriced') {
+        return toOutcome(error.receipt.status === 1 ? 'confirmed' : 'failed', error.receipt, error.replacement.hash);
+      }
+      return toOutcome(error.reason === 'cancelled' ? 'cancelled' : 'replaced', null, error.replacement.hash);
+    }
+    if (error.code === 'CALL_EXCEPTION') {
+      return toOutcome('failed', error.receipt || null);
+    }
+    throw error;
+  }
+};
+
+// The VRF request a game transaction opened, if any: startGame always opens
+// one, a ticket purchase only when it triggers the draw, and an owner
+// re-request replaces a request that timed out.
+export const findVrfRequest = (receipt, { diceGame, lottery }) => {
+  if (!receipt) return null;
+  const sources = [
+    { game: 'dice', config: diceGame, eventName: 'GameStarted', idKey: 'gameId' },
+    { game: 'dice', config: diceGame, eventName: 'RandomnessRerequested', idKey: 'gameId' },
+    { game: 'lottery', config: lottery, eventName: 'LotteryDrawRequested', idKey: 'lotteryId' }
+  ];
+  for (const { game, config, eventName, idKey } of sources) {
+    if (!config.address || !config.abi) continue;
+    const iface = new ethers.Interface(config.abi);
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== config.address.toLowerCase()) continue;
+      const parsed = iface.parseLog(log);
+      if (parsed && parsed.name === eventName) {
+        return { game, id: parsed.args[idKey].toString(), requestId: parsed.args.requestId.toString() };
+      }
+    }
+  }
+  return null;
+};
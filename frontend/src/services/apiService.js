@@ -0,0 +1,26 @@
+// Client for the read-only API server (scripts/api-server.js). When
+// REACT_APP_API_URL is unset the components read from the chain instead.
+export const API_BASE_URL = (process.env.REACT_APP_API_URL || '').replace(/\/+$/, '');
+
+export const isApiConfigured = () => API_BASE_URL !== '';
+
+const fetchJson = async (path) => {
+  const response = await fetch(`${API_BASE_URL}${path}`);
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `API request failed with status ${response.status}`);
+  }
+  return response.json();
+};
+
+export const fetchPlayerDiceGames = (address) => fetchJson(`/players/${address}/dice-games`);
+
+export const fetchPlayerLotteries = (address) => fetchJson(`/players/${address}/lotteries`);
+
+export const fetchLottery = (lotteryId) => fetchJson(`/lotteries/${lotteryId}`);
+
+export const fetchCurrentLottery = () => fetchJson('/lotteries/current');
+
+export const fetchRequest = (requestId) => fetchJson(`/requests/${requestId}`);
+
+export const fetchHouseStats = () => fetchJson('/stats/house');
@@ -0,0 +1,89 @@
+import { ethers } from 'ethers';
+
+// Dev-only wallet for QA and demos without a browser extension. It holds a
+// private key in the page and exposes it as an EIP-1193 provider, so the rest
+// of the app drives it exactly like MetaMask: signing requests are handled
+// with the key, everything else is forwarded to the Hardhat node.
+export const BURNER_RPC_URL = process.env.REACT_APP_BURNER_RPC_URL || 'http://127.0.0.1:8545';
+export const isBurnerEnabled = () =>
+  process.env.NODE_ENV === 'development' || process.env.REACT_APP_BURNER_WALLET === 'true';
+
+const BURNER_KEY_STORAGE_KEY = 'burnerWalletKey';
+// Topped up from the node's first unlocked account so the burner can pay gas.
+const BURNER_MIN_BALANCE = ethers.parseEther('1');
+const BURNER_FUND_AMOUNT = ethers.parseEther('10');
+const UNSUPPORTED_CHAIN_CODE = 4901;
+
+// REACT_APP_BURNER_PRIVATE_KEY pins the key (e.g. a Hardhat account funded by
+// setup.config.js); otherwise a random key is kept in localStorage.
+const loadBurnerKey = () => {
+  if (process.env.REACT_APP_BURNER_PRIVATE_KEY) return process.env.REACT_APP_BURNER_PRIVATE_KEY;
+  const stored = localStorage.getItem(BURNER_KEY_STORAGE_KEY);
+  if (stored) return stored;
+  const { privateKey } = ethers.Wallet.createRandom();
+  localStorage.setItem(BURNER_KEY_STORAGE_KEY, privateKey);
+  return privateKey;
+};
+
+const unsupportedChain = () => {
+  const error = new Error('The burner wallet only runs on the local Hardhat chain.');
+  error.code = UNSUPPORTED_CHAIN_CODE;
+  return error;
+};
+
+export const createBurnerProvider = () => {
+  const rpc = new ethers.JsonRpcProvider(BURNER_RPC_URL);
+  const wallet = new ethers.Wallet(loadBurnerKey(), rpc);
+
+  const request = async ({ method, params = [] }) => {
+    switch (method) {
+      case 'eth_accounts':
+      case 'eth_requestAccounts':
+        return [wallet.address];
+      case 'personal_sign':
+        return wallet.signMessage(ethers.isHexString(params[0]) ? ethers.getBytes(params[0]) : params[0]);
+      case 'eth_signTypedData_v4': {
+        const { domain, types, message } = JSON.parse(params[1]);
+        const { EIP712Domain, ...messageTypes } = types;
+        return wallet.signTypedData(domain, messageTypes, message);
+      }
+      case 'eth_sendTransaction': {
+        const [tx] = params;
+        const response = await wallet.sendTransaction({
+          to: tx.to,
+          data: tx.data,
+          value: tx.value,
+          gasLimit: tx.gas
+        });
+        return response.hash;
+      }
+      case 'wallet_switchEthereumChain': {
+        const current = await rpc.send('eth_chainId', []);
+        if (parseInt(params[0].chainId, 16) !== parseInt(current, 16)) throw unsupportedChain();
+        return null;
+      }
+      case 'wallet_addEthereumChain':
+        throw unsupportedChain();
+      default:
+        return rpc.send(method, params);
+    }
+  };
+
+  // Accounts and chain never change, so there are no events to emit.
+  return {
+    isBurner: true,
+    address: wallet.address,
+    request,
+    on: () => {},
+    removeListener: () => {}
+  };
+};
+
+export const fundBurner = async (burnerProvider) => {
+  const rpc = new ethers.JsonRpcProvider(BURNER_RPC_URL);
+  const balance = await rpc.getBalance(burnerProvider.address);
+  if (balance >= BURNER_MIN_BALANCE) return;
+  const faucet = await rpc.getSigner(0);
+  const tx = await faucet.sendTransaction({ to: burnerProvider.address, value: BURNER_FUND_AMOUNT });
+  await tx.wait();
+};
@@ -0,0 +1,124 @@
+import { ethers } from 'ethers';
+import { getWalletProvider } from './walletService';
+
+export const LOCAL_CHAIN_IDS = [31337, 1337];
+export const LOCAL_RPC_URL = 'http://127.0.0.1:8545';
+// Spectators have no wallet, so their reads go to this endpoint instead.
+export const READ_RPC_URL = process.env.REACT_APP_READ_RPC_URL || LOCAL_RPC_URL;
+
+export const isLocalChainId = (chainId) => LOCAL_CHAIN_IDS.includes(Number(chainId));
+
+// New blocks and contract events are polled this often over HTTP (the wallet or
+// READ_RPC_URL). REACT_APP_READ_WS_URL switches spectators to pushed blocks.
+const BLOCK_POLL_INTERVAL_MS = Number(process.env.REACT_APP_BLOCK_POLL_INTERVAL_MS) || 1000;
+const READ_WS_URL = process.env.REACT_APP_READ_WS_URL || null;
+
+// Providers are shared so that every card subscribes through the same one.
+// ethers refuses to keep using a provider whose chain changed, so the wallet's
+// is rebuilt after a switch.
+let browserProvider = null;
+
+export const getBrowserProvider = () => {
+  const walletProvider = getWalletProvider();
+  if (!walletProvider) return null;
+  if (browserProvider?.walletProvider !== walletProvider) {
+    const provider = new ethers.BrowserProvider(walletProvider, undefined, { pollingInterval: BLOCK_POLL_INTERVAL_MS });
+    browserProvider = { walletProvider, provider };
+    walletProvider.on('chainChanged', () => {
+      if (browserProvider?.provider === provider) {
+        browserProvider = null;
+      }
+    });
+  }
+  return browserProvider.provider;
+};
+
+let readOnlyProvider = null;
+
+export const getReadOnlyProvider = () => {
+  if (!readOnlyProvider) {
+    readOnlyProvider = READ_WS_URL
+      ? new ethers.WebSocketProvider(READ_WS_URL)
+      : new ethers.JsonRpcProvider(READ_RPC_URL, undefined, { pollingInterval: BLOCK_POLL_INTERVAL_MS });
+  }
+  return readOnlyProvider;
+};
+
+// A signed-in account reads through its wallet; without one the app is in
+// spectator mode and never touches the wallet, which may be missing or on
+// another chain.
+export const getReadProvider = (account) => (account ? getBrowserProvider() : getReadOnlyProvider());
+
+// A plain request rather than getNetwork(): JsonRpcProvider keeps retrying an
+// unreachable endpoint instead of failing.
+export const readReadOnlyChainId = async () => {
+  const response = await fetch(READ_RPC_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] })
+  });
+  const { result } = await response.json();
+  return parseInt(result, 16).toString();
+};
+
+export const getBrowserSigner = async () => {
+  const provider = getBrowserProvider();
+  if (!provider) {
+    throw new Error('Wallet provider not available');
+  }
+  return provider.getSigner();
+};
+
+export const createReadContract = (address, abi, provider = getBrowserProvider()) => {
+  if (!provider || !address || !abi) return null;
+  return new ethers.Contract(address, abi, provider);
+};
+
+export const findReceiptEvent = (contract, receipt, eventName) => {
+  if (!contract || !receipt) return null;
+  for (const log of receipt.logs) {
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) {
+        return parsed;
+      }
+    } catch (e) {
+      // Logs emitted by other contracts (e.g. GameToken) do not parse here.
+    }
+  }
+  return null;
+};
+
+export const readAllowance = async (gameTokenContract, owner, spender) => {
+  const allowanceAmount = await gameTokenContract.allowance(owner, spender);
+  return ethers.formatEther(allowanceAmount.toString());
+};
+
+const PERMIT_TTL_SECONDS = 20 * 60;
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Signs an EIP-2612 permit letting `spender` pull exactly `value` (wei) once.
+// The deadline follows block time rather than the browser clock, which can
+// differ on a local chain.
+export const signPermit = async (tokenContract, signer, spender, value) => {
+  const owner = await signer.getAddress();
+  const [name, nonce, network, block] = await Promise.all([
+    tokenContract.name(),
+    tokenContract.nonces(owner),
+    signer.provider.getNetwork(),
+    signer.provider.getBlock('latest')
+  ]);
+  const deadline = block.timestamp + PERMIT_TTL_SECONDS;
+  const domain = { name, version: '1', chainId: network.chainId, verifyingContract: tokenContract.target };
+  const signature = await signer.signTypedData(domain, PERMIT_TYPES, { owner, spender, value, nonce, deadline });
+  const { v, r, s } = ethers.Signature.from(signature);
+  return { deadline, v, r, s };
+};
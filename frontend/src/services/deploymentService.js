@@ -0,0 +1,78 @@
+// scripts/deploy.js mirrors one manifest per chain, plus an index of them,
+// into public/deployments.
+const DEPLOYMENTS_PATH = '/deployments';
+
+export const EMPTY_CONTRACTS = {
+  gameToken: { address: null, abi: null },
+  lottery: { address: null, abi: null, previousVersions: [] },
+  diceGame: { address: null, abi: null, previousVersions: [] },
+  vrfCoordinator: { address: null }
+};
+
+// The dev server answers unknown paths with index.html, so a missing file shows
+// up as a JSON parse error rather than a 404.
+const fetchJson = async (path) => {
+  try {
+    const response = await fetch(path);
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (error) {
+    return null;
+  }
+};
+
+export const loadDeploymentIndex = async () => {
+  const index = await fetchJson(`${DEPLOYMENTS_PATH}/index.json`);
+  return index?.chains || {};
+};
+
+export const loadDeploymentManifest = async (chainId, index) => {
+  const entry = index[chainId];
+  if (!entry) return null;
+  const manifest = await fetchJson(`${DEPLOYMENTS_PATH}/${entry.file}`);
+  return manifest && manifest.chainId === chainId ? manifest : null;
+};
+
+// scripts/migrate.js appends retired versions to `lineage` oldest first, each
+// with the ABI it was deployed with. History lists them newest first.
+const toPreviousVersions = (manifest, name) => (manifest.lineage?.[name] || [])
+  .map((entry, idx) => ({
+    address: entry.address,
+    abi: entry.abi || manifest.abis?.[name] || null,
+    version: idx + 1
+  }))
+  .reverse();
+
+export const toContractConfig = (manifest) => {
+  if (!manifest) return EMPTY_CONTRACTS;
+  const { contracts, abis = {} } = manifest;
+  return {
+    gameToken: { address: contracts.GameToken, abi: abis.GameToken || null },
+    lottery: {
+      address: contracts.Lottery,
+      abi: abis.Lottery || null,
+      previousVersions: toPreviousVersions(manifest, 'Lottery')
+    },
+    diceGame: {
+      address: contracts.DiceGame,
+      abi: abis.DiceGame || null,
+      previousVersions: toPreviousVersions(manifest, 'DiceGame')
+    },
+    vrfCoordinator: { address: manifest.vrfConfig?.coordinator || contracts.VRFCoordinatorV2Mock || null }
+  };
+};
+
+// Every game contract a player may have approved to spend GT: each game's
+// current version followed by its retired ones, so allowances left with a
+// retired version can still be found and revoked.
+export const listGameSpenders = (contracts) => [
+  { key: 'diceGame', label: 'Dice Game', config: contracts.diceGame },
+  { key: 'lottery', label: 'Lottery', config: contracts.lottery }
+].flatMap(({ key, label, config }) => [
+  ...(config.address ? [{ key, label, address: config.address }] : []),
+  ...config.previousVersions.map(({ address, version }) => ({
+    key: `${key}-v${version}`,
+    label: `${label} v${version} (retired)`,
+    address
+  }))
+]);
@@ -0,0 +1,133 @@
+// Dice game history for DiceGame: the player's games across every contract
+// version, and the latest rolls shown to spectators.
+import { ethers } from 'ethers';
+import { createReadContract } from './contractService';
+import { fetchPlayerDiceGames, isApiConfigured } from './apiService';
+
+const RECENT_ROLLS_LIMIT = 10;
+
+// The rolls of a batch are games that share a VRF request and settle in one
+// callback, so history shows them as one entry, rolls in order. Any other game
+// is an entry of its own. Entries keep the games' newest-first order.
+export const groupBatches = (games) => {
+  const entries = [];
+  games.forEach((game) => {
+    const last = entries[entries.length - 1];
+    if (last && game.batchKey && last.batchKey === game.batchKey) {
+      last.games.unshift(game);
+    } else {
+      entries.push({ batchKey: game.batchKey, games: [game] });
+    }
+  });
+  // Keyed by the first roll, which is the same whichever source listed it
+  return entries.map((entry) => ({ ...entry, id: entry.games[0].id }));
+};
+
+// The API lists games of every version newest first and keeps amounts in wei.
+// Retired versions' ids carry the address, as readRetiredGames does.
+const fromApiGames = (games, contractAddress) => games.map((game) => {
+  const isRetired = game.address.toLowerCase() !== contractAddress.toLowerCase();
+  const qualify = (id) => (isRetired ? `${game.address}:${id}` : id);
+  return {
+    id: qualify(game.gameId),
+    ...(isRetired && { version: game.version }),
+    betAmount: ethers.formatEther(game.betAmount),
+    prediction: game.prediction,
+    winLow: game.winLow,
+    winHigh: game.winHigh,
+    rollResult: game.rollResult || '0',
+    payout: ethers.formatEther(game.payout || '0'),
+    isCompleted: game.isCompleted,
+    isRefunded: game.isRefunded,
+    batchKey: qualify(game.requestId)
+  };
+});
+
+// Oldest first, as getPlayerGames returns them.
+const readPlayerGames = async (gameContract, account) => {
+  const games = await gameContract.getPlayerGames(account);
+  return Promise.all(
+    games.map(async (gameId) => {
+      const game = await gameContract.getGame(gameId);
+      return {
+        id: gameId.toString(),
+        betAmount: ethers.formatEther(game.betAmount.toString()),
+        prediction: game.prediction.toString(),
+        winLow: game.winLow?.toString(),
+        winHigh: game.winHigh?.toString(),
+        rollResult: game.rollResult.toString(),
+        payout: ethers.formatEther(game.payout.toString()),
+        isCompleted: game.isCompleted,
+        // Versions without refunds have no isRefunded
+        isRefunded: Boolean(game.isRefunded),
+        // A batch is keyed by its first game; versions without batches have no rolls
+        batchKey: game.rolls > 1 ? (gameId - game.rollIndex).toString() : null
+      };
+    })
+  );
+};
+
+// Without the API, retired versions are read from chain too. Game IDs restart
+// with each version, so ids carry the address.
+const readRetiredGames = async (previousVersions, account) => {
+  const perVersion = await Promise.all(
+    previousVersions.map(async ({ address, abi, version }) => {
+      const retiredContract = createReadContract(address, abi);
+      if (!retiredContract) return [];
+      const games = await readPlayerGames(retiredContract, account);
+      return games.reverse().map((game) => ({
+        ...game,
+        id: `${address}:${game.id}`,
+        batchKey: game.batchKey && `${address}:${game.batchKey}`,
+        version
+      }));
+    })
+  );
+  return perVersion.flat();
+};
+
+// Spectators see the latest settled games of every player, newest first.
+export const readRecentRolls = async (gameContract) => {
+  const logs = await gameContract.queryFilter(gameContract.filters.GameCompleted());
+  return Promise.all(
+    logs.slice(-RECENT_ROLLS_LIMIT).reverse().map(async (log) => {
+      const game = await gameContract.getGame(log.args.gameId);
+      return {
+        id: log.args.gameId.toString(),
+        player: log.args.player,
+        betAmount: ethers.formatEther(game.betAmount.toString()),
+        prediction: game.prediction.toString(),
+        winLow: game.winLow.toString(),
+        winHigh: game.winHigh.toString(),
+        rollResult: log.args.rollResult.toString(),
+        payout: ethers.formatEther(log.args.payout.toString())
+      };
+    })
+  );
+};
+
+// Game # counts the player's games across every version, newest first.
+const numberGames = (games) => games.map((game, idx) => ({
+  ...game,
+  sequenceNo: (games.length - idx).toString()
+}));
+
+// The player's games across every version, numbered, newest first: from the
+// API when it is configured and reachable, otherwise from chain.
+export const readGameHistory = async (gameContract, contractAddress, previousVersions, account) => {
+  let games = null;
+  if (isApiConfigured()) {
+    try {
+      games = fromApiGames(await fetchPlayerDiceGames(account), contractAddress);
+    } catch (apiError) {
+      console.warn('API unavailable, reading game history from chain:', apiError);
+    }
+  }
+  if (!games) {
+    games = [
+      ...(await readPlayerGames(gameContract, account)).reverse(),
+      ...(await readRetiredGames(previousVersions, account))
+    ];
+  }
+  return numberGames(games);
+};
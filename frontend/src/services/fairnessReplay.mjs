@@ -0,0 +1,77 @@
+// Outcome replay shared by the fairness panel (services/fairnessService.js) and
+// scripts/verify.js. Both pass in their own ethers contracts, so this module
+// imports nothing; it is .mjs so Node can load it outside the CRA build.
+
+/**
+ * Find the coordinator's fulfillment in the transaction that settled a game.
+ * The coordinator emits RandomWordsFulfilled in the same transaction that
+ * delivers the words, so only that block is searched. After an owner
+ * re-request a game has several requests; the first fulfilled one settled it.
+ * @param {Contract} vrfCoordinator - Coordinator with the RandomWordsFulfilled event
+ * @param {Array<bigint>} requestIds - The game's VRF request IDs
+ * @param {EventLog} settledLog - GameCompleted or LotteryDrawn log
+ * @returns {Promise<EventLog|null>} Fulfillment log
+ */
+export const findFulfillment = async (vrfCoordinator, requestIds, settledLog) => {
+  const logs = await vrfCoordinator.queryFilter(
+    vrfCoordinator.filters.RandomWordsFulfilled(),
+    settledLog.blockNumber,
+    settledLog.blockNumber
+  );
+  return logs.find((log) => (
+    log.transactionHash === settledLog.transactionHash && requestIds.includes(log.args.requestId)
+  )) || null;
+};
+
+/**
+ * Find which of its request's random words a dice game rolled with. A batch
+ * starts its games in one transaction with consecutive IDs, and game i of the
+ * batch settles with randomWords[i]; a single game is a batch of one.
+ * @param {Contract} diceGame - DiceGame instance
+ * @param {EventLog} started - The game's GameStarted log
+ * @returns {Promise<number>} Index into randomWords
+ */
+export const findRollIndex = async (diceGame, started) => {
+  const logs = await diceGame.queryFilter(diceGame.filters.GameStarted(), started.blockNumber, started.blockNumber);
+  const firstGameId = logs
+    .filter((log) => log.transactionHash === started.transactionHash && log.args.requestId === started.args.requestId)
+    .map((log) => log.args.gameId)
+    .reduce((first, id) => (id < first ? id : first), started.args.gameId);
+  return Number(started.args.gameId - firstGameId);
+};
+
+/**
+ * Replay Lottery._drawTicket: place i takes the (randomWords[i] % remaining)-th
+ * ticket, in ticket order, among those not drawn for an earlier place
+ * @param {Array<bigint>} randomWords - The fulfilled words, one per prize tier
+ * @param {bigint} totalTickets - Tickets in the round
+ * @param {number} places - Places drawn
+ * @returns {Array<bigint>} Ticket index per place
+ */
+export const drawTickets = (randomWords, totalTickets, places) => {
+  const drawn = [];
+  let remaining = totalTickets;
+  return randomWords.slice(0, places).map((word) => {
+    let ticketIndex = word % remaining;
+    remaining -= 1n;
+    [...drawn].sort((a, b) => (a < b ? -1 : 1)).forEach((earlier) => {
+      if (earlier <= ticketIndex) ticketIndex += 1n;
+    });
+    drawn.push(ticketIndex);
+    return ticketIndex;
+  });
+};
+
+/**
+ * Prize per drawn place: each lower place gets its share of the pool after the
+ * house edge, and first place the rest, including the shares of places too few
+ * tickets could not fill
+ * @param {Object} info - getLotteryInfo result
+ * @param {number} places - Places drawn
+ * @returns {Array<bigint>} Prize per place
+ */
+export const placePrizes = (info, places) => {
+  const prize = info.prizePool - (info.prizePool * info.houseEdge) / 100n;
+  const lower = Array.from({ length: places - 1 }, (_, i) => (prize * info.prizeTiers[i + 1]) / 100n);
+  return [prize - lower.reduce((sum, value) => sum + value, 0n), ...lower];
+};
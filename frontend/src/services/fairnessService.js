@@ -0,0 +1,167 @@
+import { ethers } from 'ethers';
+import { createReadContract } from './contractService';
+import { drawTickets, findFulfillment, findRollIndex, placePrizes } from './fairnessReplay.mjs';
+
+const VRF_EVENTS_ABI = ['event RandomWordsFulfilled(uint256 indexed requestId, uint256[] randomWords)'];
+
+const toStep = (label, passed, detail) => ({ label, passed, detail });
+
+// Refunded games never received random words, so there is nothing to replay.
+// Versions without timeout refunds do not have the event.
+const findRefund = async (game, eventName, id) => {
+  if (!game.interface.getEvent(eventName)) return null;
+  const [refunded] = await game.queryFilter(game.filters[eventName](id));
+  return refunded || null;
+};
+
+// Re-requests of a batch are emitted against its first game
+const findDiceRequestIds = async (diceGame, started, rollIndex) => {
+  if (!diceGame.interface.getEvent('RandomnessRerequested')) return [started.args.requestId];
+  const rerequests = await diceGame.queryFilter(
+    diceGame.filters.RandomnessRerequested(started.args.gameId - ethers.toBigInt(rollIndex))
+  );
+  return [started.args.requestId, ...rerequests.map((log) => log.args.requestId)];
+};
+
+// The coordinator comes from the deployment manifest only; without one there is
+// nothing to check the fulfillment against.
+export const createVrfEventsContract = (vrfCoordinatorAddress, provider) =>
+  createReadContract(vrfCoordinatorAddress, VRF_EVENTS_ABI, provider);
+
+export const verifyDiceGame = async ({ diceGame, vrfCoordinator, gameId }) => {
+  const [started] = await diceGame.queryFilter(diceGame.filters.GameStarted(gameId));
+  if (!started) {
+    throw new Error(`Dice game #${gameId} was not found.`);
+  }
+  if (await findRefund(diceGame, 'GameRefunded', gameId)) {
+    throw new Error(`Dice game #${gameId} was refunded after its VRF request expired, so it has no roll to verify.`);
+  }
+  const [completed] = await diceGame.queryFilter(diceGame.filters.GameCompleted(gameId));
+  if (!completed) {
+    throw new Error(`Dice game #${gameId} is still waiting for its VRF result.`);
+  }
+
+  const { betAmount, prediction } = started.args;
+  const { rollResult, payout } = completed.args;
+  const rollIndex = await findRollIndex(diceGame, started);
+  const requestIds = await findDiceRequestIds(diceGame, started, rollIndex);
+  const fulfillment = await findFulfillment(vrfCoordinator, requestIds, completed);
+  const requestId = fulfillment ? fulfillment.args.requestId : started.args.requestId;
+  const randomWord = fulfillment ? fulfillment.args.randomWords[rollIndex] ?? null : null;
+
+  const steps = [
+    toStep(
+      'VRF fulfillment',
+      randomWord !== null,
+      fulfillment
+        ? `Request ${requestId} fulfilled in tx ${completed.transactionHash}`
+        : `No RandomWordsFulfilled for request ${requestId} in the GameCompleted transaction`
+    )
+  ];
+
+  if (randomWord === null) {
+    steps.push(toStep('Dice roll', false, 'No random word to check'));
+  } else {
+    const diceSides = await diceGame.DICE_SIDES();
+    const expectedRoll = (randomWord % diceSides) + 1n;
+    steps.push(toStep(
+      'Dice roll',
+      expectedRoll === rollResult,
+      `randomWords[${rollIndex}] % ${diceSides} + 1 = ${expectedRoll}, contract rolled ${rollResult}`
+    ));
+  }
+
+  // Every bet type wins on the rolls [winLow, winHigh] and pays like a roll-under
+  // bet with as many winning rolls. Versions without bet types only emit prediction.
+  const winLow = started.args.winLow ?? 1n;
+  const winHigh = started.args.winHigh ?? prediction;
+  const winningRolls = winHigh - winLow + 1n;
+  const won = rollResult >= winLow && rollResult <= winHigh;
+  const expectedPayout = won ? await diceGame.calculatePayout(betAmount, winningRolls) : 0n;
+  steps.push(toStep(
+    'Payout',
+    expectedPayout === payout,
+    won
+      ? `calculatePayout(${ethers.formatEther(betAmount)} GT, ${winningRolls} winning rolls) = ${ethers.formatEther(expectedPayout)} GT, paid ${ethers.formatEther(payout)} GT`
+      : `Roll ${rollResult} outside winning rolls ${winLow}-${winHigh}, expected no payout, paid ${ethers.formatEther(payout)} GT`
+  ));
+
+  return {
+    kind: 'dice',
+    id: gameId.toString(),
+    requestId: requestId.toString(),
+    player: started.args.player,
+    randomWord: randomWord === null ? null : randomWord.toString(),
+    steps
+  };
+};
+
+export const verifyLottery = async ({ lottery, vrfCoordinator, lotteryId }) => {
+  if (await findRefund(lottery, 'LotteryRefunded', lotteryId)) {
+    throw new Error(`Lottery #${lotteryId} was refunded after its draw request expired, so it has no draw to verify.`);
+  }
+  const [drawn] = await lottery.queryFilter(lottery.filters.LotteryDrawn(lotteryId));
+  if (!drawn) {
+    throw new Error(`Lottery #${lotteryId} has not been drawn yet.`);
+  }
+  // Every re-request emits another LotteryDrawRequested
+  const drawRequests = await lottery.queryFilter(lottery.filters.LotteryDrawRequested(lotteryId));
+  if (drawRequests.length === 0) {
+    throw new Error(`No draw request found for lottery #${lotteryId}.`);
+  }
+
+  const { winner, winningNumber } = drawn.args;
+  const fulfillment = await findFulfillment(vrfCoordinator, drawRequests.map((log) => log.args.requestId), drawn);
+  const requestId = fulfillment ? fulfillment.args.requestId : drawRequests[0].args.requestId;
+  const randomWords = fulfillment ? [...fulfillment.args.randomWords] : null;
+
+  const steps = [
+    toStep(
+      'VRF fulfillment',
+      randomWords !== null && randomWords[0] === winningNumber,
+      randomWords === null
+        ? `No RandomWordsFulfilled for request ${requestId} in the LotteryDrawn transaction`
+        : `Request ${requestId} returned ${randomWords.length} word(s), contract recorded winning number ${winningNumber}`
+    )
+  ];
+
+  const [info, tierDraws] = await Promise.all([
+    lottery.getLotteryInfo(lotteryId),
+    lottery.queryFilter(lottery.filters.PrizeTierDrawn(lotteryId))
+  ]);
+  const tierCount = info.prizeTiers.filter((share) => share > 0n).length;
+  const places = Math.min(tierCount, Number(info.totalTickets));
+  steps.push(toStep(
+    'Places drawn',
+    tierDraws.length === places,
+    `${tierCount} prize tier(s) over ${info.totalTickets} ticket(s) draw ${places} place(s), found ${tierDraws.length}`
+  ));
+
+  if (randomWords !== null) {
+    const expectedTickets = drawTickets(randomWords, info.totalTickets, places);
+    const expectedPrizes = placePrizes(info, places);
+    expectedTickets.forEach((ticketIndex, i) => {
+      const draw = tierDraws.find((log) => log.args.place === ethers.toBigInt(i + 1));
+      const holder = ethers.getAddress(ethers.toBeHex(info.tickets[Number(ticketIndex)], 20));
+      steps.push(toStep(
+        `Place ${i + 1} ticket`,
+        Boolean(draw) && draw.args.ticketIndex === ticketIndex && ethers.getAddress(draw.args.winner) === holder,
+        `randomWords[${i}] picks ticket #${ticketIndex} of those left, held by ${holder}`
+      ));
+      steps.push(toStep(
+        `Place ${i + 1} prize`,
+        Boolean(draw) && draw.args.prize === expectedPrizes[i],
+        `${info.prizeTiers[i]}%${i === 0 ? ' plus undrawn shares and rounding' : ''} of ${ethers.formatEther(info.prizePool)} GT minus ${info.houseEdge}% = ${ethers.formatEther(expectedPrizes[i])} GT, paid ${draw ? ethers.formatEther(draw.args.prize) : 'nothing'} GT`
+      ));
+    });
+  }
+
+  return {
+    kind: 'lottery',
+    id: lotteryId.toString(),
+    requestId: requestId.toString(),
+    player: winner,
+    randomWord: randomWords === null ? null : randomWords[0].toString(),
+    steps
+  };
+};
@@ -0,0 +1,163 @@
+// Lottery history for LotteryGame: the player's rounds across every contract
+// version, the latest rounds shown to spectators, and drawn rounds' winners.
+import { ethers } from 'ethers';
+import { createReadContract } from './contractService';
+import { fetchPlayerLotteries, isApiConfigured } from './apiService';
+
+// House edge of versions and indexed rounds without per-round parameters
+const DEFAULT_HOUSE_EDGE = 5;
+const RECENT_ROUNDS_LIMIT = 5;
+
+const getHouseEdge = (round) => (
+  round.houseEdge === undefined || round.houseEdge === null ? DEFAULT_HOUSE_EDGE : Number(round.houseEdge)
+);
+const toPrize = (prizePool, houseEdge) => (prizePool * (100 - houseEdge)) / 100;
+
+// A drawn round's winners, first place first. Versions before prize tiers have
+// no getPrizeWinners and paid their single winner the pool minus the house edge.
+export const readPrizeWinners = async (lotteryContract, id, info) => {
+  if (!info.isDrawn) return [];
+  if (!lotteryContract.interface.getFunction('getPrizeWinners')) {
+    const prizePoolGt = parseFloat(ethers.formatEther(info.prizePool));
+    return [{ place: 1, winner: info.winner.toLowerCase(), prize: toPrize(prizePoolGt, getHouseEdge(info)) }];
+  }
+  const [winners, prizes] = await lotteryContract.getPrizeWinners(id);
+  return winners.map((winner, idx) => ({
+    place: idx + 1,
+    winner: winner.toLowerCase(),
+    prize: parseFloat(ethers.formatEther(prizes[idx]))
+  }));
+};
+
+// What `account` won across the round's places
+export const sumWinnings = (winners, account) => winners
+  .filter((entry) => Boolean(account) && entry.winner === account.toLowerCase())
+  .reduce((sum, entry) => sum + entry.prize, 0);
+
+// Indexed rounds carry per-player spend instead of a prize pool; a round stops
+// being active once its draw has been requested. The API indexes every version;
+// rounds of retired ones are keyed by address, as readRetiredLotteries does.
+const fromApiLottery = (lottery, account, contractAddress) => {
+  const isRetired = lottery.address.toLowerCase() !== contractAddress.toLowerCase();
+  const prizePool = lottery.holders.reduce(
+    (sum, holder) => sum + parseFloat(ethers.formatEther(holder.spent)),
+    0
+  );
+  const winner = lottery.winner?.toLowerCase?.() || '';
+  // Rounds indexed before prize tiers only have the LotteryDrawn winner
+  const winners = lottery.winners?.length
+    ? lottery.winners.map((entry) => ({
+      place: entry.place,
+      winner: entry.winner.toLowerCase(),
+      prize: parseFloat(ethers.formatEther(entry.prize))
+    }))
+    : [];
+  if (lottery.isDrawn && winners.length === 0 && winner) {
+    winners.push({ place: 1, winner, prize: parseFloat(ethers.formatEther(lottery.prize)) });
+  }
+  return {
+    id: lottery.lotteryId,
+    key: isRetired ? `${lottery.address}:${lottery.lotteryId}` : lottery.lotteryId,
+    ...(isRetired && { version: lottery.version }),
+    totalTickets: lottery.totalTickets.toString(),
+    prizePool,
+    isDrawn: lottery.isDrawn,
+    isRefunded: lottery.isRefunded,
+    isActive: !lottery.isDrawn && lottery.requestId === null,
+    winner,
+    winningNumber: lottery.winningNumber || '0',
+    winners,
+    isWinner: winners.some((entry) => entry.winner === account.toLowerCase()),
+    prize: sumWinnings(winners, account)
+  };
+};
+
+// Newest first.
+const readPlayerLotteries = async (lotteryContract, account) => {
+  const participatedIds = await lotteryContract.getPlayerLotteries(account);
+  const uniqueIds = [...new Set(participatedIds.map((id) => id.toString()))];
+  const details = await Promise.all(
+    uniqueIds.map(async (id) => {
+      const info = await lotteryContract.getLotteryInfo(id);
+      const prizePoolGt = parseFloat(ethers.formatEther(info.prizePool.toString()));
+      const winners = await readPrizeWinners(lotteryContract, id, info);
+      const winner = info.winner?.toLowerCase?.() || '';
+      return {
+        id,
+        key: id,
+        totalTickets: info.totalTickets.toString(),
+        prizePool: prizePoolGt,
+        isDrawn: info.isDrawn,
+        // Versions without refunds have no isRefunded
+        isRefunded: Boolean(info.isRefunded),
+        isActive: info.isActive,
+        winner,
+        winningNumber: info.winningNumber.toString(),
+        winners,
+        isWinner: winners.some((entry) => entry.winner === account.toLowerCase()),
+        prize: sumWinnings(winners, account)
+      };
+    })
+  );
+  return details.sort((a, b) => Number(b.id) - Number(a.id));
+};
+
+// Spectators see the rounds before the current one, newest first. Round IDs
+// start at 1.
+export const readRecentRounds = async (lotteryContract) => {
+  const currentId = Number(await lotteryContract.currentLotteryId());
+  const ids = [];
+  for (let id = currentId - 1; id >= 1 && ids.length < RECENT_ROUNDS_LIMIT; id -= 1) {
+    ids.push(id.toString());
+  }
+  return Promise.all(
+    ids.map(async (id) => {
+      const info = await lotteryContract.getLotteryInfo(id);
+      const prizePoolGt = parseFloat(ethers.formatEther(info.prizePool.toString()));
+      return {
+        id,
+        key: id,
+        totalTickets: info.totalTickets.toString(),
+        prizePool: prizePoolGt,
+        isDrawn: info.isDrawn,
+        isRefunded: info.isRefunded,
+        isActive: info.isActive,
+        winner: info.winner?.toLowerCase?.() || '',
+        winningNumber: info.winningNumber.toString(),
+        winners: await readPrizeWinners(lotteryContract, id, info),
+        isWinner: false,
+        prize: 0
+      };
+    })
+  );
+};
+
+// Without the API, retired versions are read from chain too.
+const readRetiredLotteries = async (previousVersions, account) => {
+  const perVersion = await Promise.all(
+    previousVersions.map(async ({ address, abi, version }) => {
+      const retiredContract = createReadContract(address, abi);
+      if (!retiredContract) return [];
+      const lotteries = await readPlayerLotteries(retiredContract, account);
+      return lotteries.map((lottery) => ({ ...lottery, key: `${address}:${lottery.id}`, version }));
+    })
+  );
+  return perVersion.flat();
+};
+
+// The player's rounds across every version, newest first: from the API when it
+// is configured and reachable, otherwise from chain.
+export const readLotteryHistory = async (lotteryContract, contractAddress, previousVersions, account) => {
+  if (isApiConfigured()) {
+    try {
+      return (await fetchPlayerLotteries(account))
+        .map((lottery) => fromApiLottery(lottery, account, contractAddress));
+    } catch (apiError) {
+      console.warn('API unavailable, reading lottery history from chain:', apiError);
+    }
+  }
+  return [
+    ...(await readPlayerLotteries(lotteryContract, account)),
+    ...(await readRetiredLotteries(previousVersions, account))
+  ];
+};
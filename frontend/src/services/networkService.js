@@ -0,0 +1,54 @@
+import { LOCAL_RPC_URL, isLocalChainId } from './contractService';
+import { getWalletProvider } from './walletService';
+
+// EIP-3326 error for a chain the wallet does not know yet.
+const UNRECOGNIZED_CHAIN_CODE = 4902;
+export const CHAIN_NOT_ADDED = 'CHAIN_NOT_ADDED';
+
+const toHexChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
+
+const isUnrecognizedChain = (error) => {
+  const code = error?.code ?? error?.data?.originalError?.code;
+  return code === UNRECOGNIZED_CHAIN_CODE || /unrecognized chain/i.test(error?.message || '');
+};
+
+export const readWalletChainId = async () => {
+  const walletProvider = getWalletProvider();
+  if (!walletProvider) return null;
+  const chainIdHex = await walletProvider.request({ method: 'eth_chainId' });
+  return parseInt(chainIdHex, 16).toString();
+};
+
+// Only the local Hardhat chain is registered automatically; its RPC URL is
+// known. Live networks must already be configured in the wallet.
+const addLocalChain = (walletProvider, chainId) => walletProvider.request({
+  method: 'wallet_addEthereumChain',
+  params: [{
+    chainId: toHexChainId(chainId),
+    chainName: `Hardhat Local (${chainId})`,
+    rpcUrls: [LOCAL_RPC_URL],
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+  }]
+});
+
+export const switchWalletChain = async (chainId, networkName) => {
+  const walletProvider = getWalletProvider();
+  if (!walletProvider) {
+    throw new Error('Wallet provider not available');
+  }
+  try {
+    await walletProvider.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId: toHexChainId(chainId) }]
+    });
+  } catch (error) {
+    if (!isUnrecognizedChain(error)) throw error;
+    if (!isLocalChainId(chainId)) {
+      const notAdded = new Error(`Add ${networkName || `chain ${chainId}`} to your wallet, then switch to it.`);
+      notAdded.code = CHAIN_NOT_ADDED;
+      throw notAdded;
+    }
+    // MetaMask switches to a chain right after adding it.
+    await addLocalChain(walletProvider, chainId);
+  }
+};
@@ -0,0 +1,134 @@
+import { ethers } from 'ethers';
+import { getBrowserProvider } from './contractService';
+
+// Sign-In with Ethereum (EIP-4361). The wallet signs a message naming this
+// site, the address, the chain and a one-time nonce; the session is that
+// message plus its signature, and it is re-verified every time it is loaded.
+const SESSION_STORAGE_KEY = 'siweSession';
+const NONCE_STORAGE_KEY = 'siweNonce';
+export const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const SIWE_VERSION = '1';
+const SIGN_IN_STATEMENT = 'Sign in to the On-Chain Random Game Platform. This request does not send a transaction or cost gas.';
+const NONCE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const createNonce = (length = 16) => {
+  const bytes = new Uint8Array(length);
+  window.crypto.getRandomValues(bytes);
+  return Array.from(bytes, (byte) => NONCE_ALPHABET[byte % NONCE_ALPHABET.length]).join('');
+};
+
+export const buildSiweMessage = ({ domain, address, uri, chainId, nonce, issuedAt, expirationTime }) => [
+  `${domain} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  SIGN_IN_STATEMENT,
+  '',
+  `URI: ${uri}`,
+  `Version: ${SIWE_VERSION}`,
+  `Chain ID: ${chainId}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${issuedAt}`,
+  `Expiration Time: ${expirationTime}`
+].join('\n');
+
+export const parseSiweMessage = (message) => {
+  const lines = String(message || '').split('\n');
+  const domainMatch = /^(\S+) wants you to sign in with your Ethereum account:$/.exec(lines[0] || '');
+  if (!domainMatch) return null;
+
+  const fields = {};
+  lines.slice(2).forEach((line) => {
+    const separator = line.indexOf(': ');
+    if (separator > 0) {
+      fields[line.slice(0, separator)] = line.slice(separator + 2);
+    }
+  });
+
+  return {
+    domain: domainMatch[1],
+    address: lines[1],
+    uri: fields.URI,
+    version: fields.Version,
+    chainId: fields['Chain ID'],
+    nonce: fields.Nonce,
+    issuedAt: fields['Issued At'],
+    expirationTime: fields['Expiration Time']
+  };
+};
+
+// Returns the reason a session cannot be used, or null if it is valid for the
+// given wallet address. The chain is not checked here: the session names the
+// chain it was signed on and the network guard holds the wallet to it.
+export const getSessionProblem = (session, address) => {
+  if (!session?.message || !session?.signature) return 'No session';
+
+  const fields = parseSiweMessage(session.message);
+  if (!fields || fields.version !== SIWE_VERSION) return 'Malformed sign-in message';
+  if (fields.domain !== window.location.host) return 'Session was issued for another site';
+  if (fields.nonce !== localStorage.getItem(NONCE_STORAGE_KEY)) return 'Session nonce does not match';
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(session.message, session.signature);
+  } catch (error) {
+    return 'Invalid signature';
+  }
+  if (signer !== fields.address) return 'Signature does not match the signed-in address';
+
+  if (!fields.expirationTime || Date.parse(fields.expirationTime) <= Date.now()) return 'Session expired';
+  if (!address || address.toLowerCase() !== fields.address.toLowerCase()) return 'Wallet account changed';
+  return null;
+};
+
+export const getSessionExpiry = (session) => {
+  const fields = parseSiweMessage(session?.message);
+  return fields?.expirationTime ? Date.parse(fields.expirationTime) : 0;
+};
+
+export const getSessionAddress = (session) => parseSiweMessage(session?.message)?.address || null;
+
+export const getSessionChainId = (session) => parseSiweMessage(session?.message)?.chainId || null;
+
+export const loadStoredSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+  } catch (error) {
+    return null;
+  }
+};
+
+export const clearStoredSession = () => {
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+  localStorage.removeItem(NONCE_STORAGE_KEY);
+};
+
+// A fresh nonce replaces the stored one before signing, so an earlier
+// message can never be replayed into a new session.
+export const signInWithEthereum = async () => {
+  const provider = getBrowserProvider();
+  if (!provider) {
+    throw new Error('Wallet provider not available');
+  }
+  const signer = await provider.getSigner();
+  const address = await signer.getAddress();
+  const { chainId } = await provider.getNetwork();
+
+  const nonce = createNonce();
+  const issuedAt = new Date();
+  const message = buildSiweMessage({
+    domain: window.location.host,
+    address,
+    uri: window.location.origin,
+    chainId: chainId.toString(),
+    nonce,
+    issuedAt: issuedAt.toISOString(),
+    expirationTime: new Date(issuedAt.getTime() + SESSION_TTL_MS).toISOString()
+  });
+
+  clearStoredSession();
+  localStorage.setItem(NONCE_STORAGE_KEY, nonce);
+  const signature = await signer.signMessage(message);
+  const session = { message, signature };
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  return session;
+};
@@ -0,0 +1,112 @@
+// Shares one block listener per provider across the whole app and fetches the
+// logs of every watched contract with a single getLogs call per new block, so
+// RPC load no longer grows with the number of open cards. It works with any
+// ethers provider: a WebSocketProvider pushes new heads, an HTTP provider
+// polls for them every pollingInterval.
+const managers = new WeakMap();
+
+const isSameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const createManager = (provider) => {
+  const clockListeners = new Set();
+  const watchers = new Set();
+  let clock = { blockNumber: null, timestamp: null };
+  let lastLogBlock = null;
+  let queue = Promise.resolve();
+  let isRunning = false;
+
+  const dispatchLogs = async (toBlock) => {
+    if (watchers.size === 0 || lastLogBlock === null || toBlock <= lastLogBlock) return;
+    const addresses = [...new Set([...watchers].map((watcher) => watcher.address.toLowerCase()))];
+    const logs = await provider.getLogs({ address: addresses, fromBlock: lastLogBlock + 1, toBlock });
+    logs.forEach((log) => {
+      watchers.forEach((watcher) => {
+        if (!isSameAddress(watcher.address, log.address) || !watcher.topics.includes(log.topics[0])) return;
+        watcher.onLog(log);
+      });
+    });
+  };
+
+  const publishClock = (block) => {
+    clock = { blockNumber: block.number, timestamp: block.timestamp };
+    clockListeners.forEach((listener) => listener(clock));
+  };
+
+  // Blocks are handled one at a time; a failed getLogs is retried over the
+  // same range on the next block.
+  const handleBlock = (blockNumber) => {
+    queue = queue.then(async () => {
+      try {
+        const block = await provider.getBlock(blockNumber);
+        await dispatchLogs(blockNumber);
+        lastLogBlock = Math.max(lastLogBlock ?? blockNumber, blockNumber);
+        if (block) publishClock(block);
+      } catch (error) {
+        console.warn('Block subscription update failed:', error);
+      }
+    });
+  };
+
+  // ethers only reports blocks after the one current at subscription time, so
+  // the clock is seeded with it and logs are read from the next block on.
+  const start = () => {
+    if (isRunning) return;
+    isRunning = true;
+    queue = queue.then(async () => {
+      try {
+        const block = await provider.getBlock('latest');
+        lastLogBlock = block.number;
+        publishClock(block);
+      } catch (error) {
+        console.warn('Unable to read the current block:', error);
+      }
+    });
+    provider.on('block', handleBlock);
+  };
+
+  const stopIfIdle = () => {
+    if (!isRunning || clockListeners.size > 0 || watchers.size > 0) return;
+    isRunning = false;
+    provider.off('block', handleBlock);
+    lastLogBlock = null;
+  };
+
+  return {
+    getClock: () => clock,
+
+    onBlock: (listener) => {
+      clockListeners.add(listener);
+      start();
+      return () => {
+        clockListeners.delete(listener);
+        stopIfIdle();
+      };
+    },
+
+    // onEvent receives the parsed log (name, args) of each matching event.
+    watchEvents: (contract, eventNames, onEvent) => {
+      const watcher = {
+        address: contract.target,
+        topics: eventNames.map((name) => contract.interface.getEvent(name).topicHash),
+        onLog: (log) => {
+          const parsed = contract.interface.parseLog(log);
+          if (parsed) onEvent(parsed, log);
+        }
+      };
+      watchers.add(watcher);
+      start();
+      return () => {
+        watchers.delete(watcher);
+        stopIfIdle();
+      };
+    }
+  };
+};
+
+export const getSubscriptionManager = (provider) => {
+  if (!provider) return null;
+  if (!managers.has(provider)) {
+    managers.set(provider, createManager(provider));
+  }
+  return managers.get(provider);
+};
@@ -0,0 +1,98 @@
+import { createBurnerProvider, fundBurner, isBurnerEnabled } from './burnerWallet';
+
+// Tracks the wallets on the page and which one the app talks to. Extensions
+// announce themselves through EIP-6963; window.ethereum is only used when none
+// do. The choice is remembered so a reload reconnects to the same wallet.
+const WALLET_CHOICE_STORAGE_KEY = 'walletChoice';
+export const INJECTED_WALLET_ID = 'injected';
+export const BURNER_WALLET_ID = 'burner';
+
+const announcedWallets = new Map();
+const subscribers = new Set();
+let activeWallet = null;
+let burnerProvider = null;
+
+const notify = () => subscribers.forEach((listener) => listener());
+
+const getBurnerProvider = () => {
+  if (!burnerProvider) {
+    burnerProvider = createBurnerProvider();
+  }
+  return burnerProvider;
+};
+
+const activate = (wallet) => {
+  activeWallet = wallet;
+  notify();
+  if (wallet.provider.isBurner) {
+    fundBurner(wallet.provider).catch((error) => console.warn('Unable to fund burner wallet:', error));
+  }
+};
+
+const resolveWallet = (walletId) => {
+  if (walletId === BURNER_WALLET_ID) {
+    if (!isBurnerEnabled()) return null;
+    return { id: BURNER_WALLET_ID, name: 'Burner wallet (dev)', icon: null, provider: getBurnerProvider() };
+  }
+  if (walletId === INJECTED_WALLET_ID) {
+    if (!window.ethereum) return null;
+    return { id: INJECTED_WALLET_ID, name: 'Browser wallet', icon: null, provider: window.ethereum };
+  }
+  const announced = announcedWallets.get(walletId);
+  return announced ? { id: walletId, name: announced.name, icon: announced.icon, provider: announced.provider } : null;
+};
+
+const restoreStoredChoice = () => {
+  const storedId = localStorage.getItem(WALLET_CHOICE_STORAGE_KEY);
+  if (!storedId || activeWallet?.id === storedId) return;
+  const wallet = resolveWallet(storedId);
+  if (wallet) {
+    activate(wallet);
+  }
+};
+
+export const startWalletDiscovery = () => {
+  window.addEventListener('eip6963:announceProvider', (event) => {
+    const { info, provider } = event.detail;
+    announcedWallets.set(info.rdns, { name: info.name, icon: info.icon, provider });
+    notify();
+    restoreStoredChoice();
+  });
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  restoreStoredChoice();
+};
+
+export const subscribeWallets = (listener) => {
+  subscribers.add(listener);
+  return () => subscribers.delete(listener);
+};
+
+export const listWalletOptions = () => {
+  const options = [...announcedWallets.entries()].map(([id, wallet]) => ({ id, name: wallet.name, icon: wallet.icon }));
+  if (options.length === 0 && window.ethereum) {
+    options.push({ id: INJECTED_WALLET_ID, name: 'Browser wallet', icon: null });
+  }
+  if (isBurnerEnabled()) {
+    options.push({ id: BURNER_WALLET_ID, name: 'Burner wallet (dev)', icon: null });
+  }
+  return options;
+};
+
+// Without a remembered choice, fall back to window.ethereum as before, unless
+// EIP-6963 wallets announced themselves and the user has to pick one.
+export const getActiveWallet = () => {
+  if (activeWallet) return activeWallet;
+  if (localStorage.getItem(WALLET_CHOICE_STORAGE_KEY) || announcedWallets.size > 0) return null;
+  return resolveWallet(INJECTED_WALLET_ID);
+};
+
+export const getWalletProvider = () => getActiveWallet()?.provider || null;
+
+export const selectWallet = (walletId) => {
+  const wallet = resolveWallet(walletId);
+  if (!wallet) {
+    throw new Error('That wallet is no longer available.');
+  }
+  localStorage.setItem(WALLET_CHOICE_STORAGE_KEY, walletId);
+  activate(wallet);
+};
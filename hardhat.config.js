@@ -19,7 +19,11 @@ module.exports = {
     sepolia: {
       url: process.env.SEPOLIA_RPC_URL || "",
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 11155111
+      chainId: 11155111,
+      // VRF settings read by scripts/deploy.js; CHAINLINK_* environment variables override them.
+      vrf: {
+        linkToken: "0x779877A7B0D9E8603169DdbD7836e478b4624789"
+      }
     },
     localhost: {
       url: "http://127.0.0.1:8545"
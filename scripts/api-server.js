@@ -0,0 +1,320 @@
+const http = require("http");
+const fs = require("fs");
+const { EventStore, recordKey, buildState, buildLeaderboard, getLotteryPrizes } = require("./event-store");
+
+/**
+ * Read-only HTTP/JSON API over the indexer's EventStore.
+ *
+ * Runs with plain Node (`npm run api`) and needs no wallet or RPC access; the
+ * indexer must be running (or have run) against the same data directory.
+ * Player histories, stats and the leaderboard cover every indexed version of
+ * the games; each game and round carries its `version` and `address`.
+ *
+ *   API_HOST           bind address (default 127.0.0.1)
+ *   API_PORT           port (default 4000)
+ *   INDEXER_DATA_DIR   store directory (default ./indexer-data)
+ *
+ * Endpoints:
+ *   GET /health
+ *   GET /players/:address/dice-games
+ *   GET /players/:address/lotteries
+ *   GET /lotteries/current
+ *   GET /lotteries/:id?version=N      (default: the current version)
+ *   GET /requests/:requestId
+ *   GET /stats/house
+ *   GET /leaderboard?limit=10
+ */
+const config = {
+  host: process.env.API_HOST || "127.0.0.1",
+  port: Number(process.env.API_PORT || 4000),
+  dataDir: process.env.INDEXER_DATA_DIR || "./indexer-data"
+};
+
+/**
+ * Version of a game's current contract
+ * @param {Object} checkpoint - Indexer checkpoint with the tracked sources
+ * @param {string} name - Game contract name
+ * @returns {number|null} Version, or null before anything is indexed
+ */
+function currentVersion(checkpoint, name) {
+  if (!checkpoint || !checkpoint.sources) return null;
+  const address = checkpoint.contracts[name];
+  const source = checkpoint.sources.find((entry) => entry.name === name && entry.address === address);
+  return source ? source.version : null;
+}
+
+/**
+ * Order games or rounds newest first: latest version, then highest ID
+ * @param {string} idField - "gameId" or "lotteryId"
+ * @returns {Function} Comparator
+ */
+const newestFirst = (idField) => (a, b) => b.version - a.version || Number(b[idField]) - Number(a[idField]);
+
+/**
+ * Serialize a lottery view for JSON output
+ * @param {Object} lottery - Lottery view from buildState
+ * @returns {Object} Lottery with ticket holders as an array
+ */
+function formatLottery(lottery) {
+  return {
+    ...lottery,
+    holders: lottery.players.map((player) => ({
+      player,
+      tickets: lottery.tickets[player],
+      spent: lottery.spent[player]
+    }))
+  };
+}
+
+/**
+ * Aggregate house-side figures from indexed dice games and lotteries. Only
+ * settled games and drawn or refunded rounds count toward the results; stakes
+ * still waiting for VRF or a draw are reported separately as pending.
+ * @param {Object} state - Output of buildState
+ * @param {Object} checkpoint - Indexer checkpoint with contract addresses
+ * @returns {Object} House statistics
+ */
+function buildHouseStats(state, checkpoint) {
+  const dice = { games: 0, pending: 0, wins: 0, refunded: 0, wagered: 0n, paidOut: 0n, pendingWagered: 0n };
+  for (const game of state.diceGames.values()) {
+    dice.games += 1;
+    if (!game.isCompleted) {
+      dice.pending += 1;
+      dice.pendingWagered += BigInt(game.betAmount || 0);
+      continue;
+    }
+    dice.wagered += BigInt(game.betAmount || 0);
+    if (game.isRefunded) {
+      dice.refunded += 1;
+    } else if (BigInt(game.payout || 0) > 0n) {
+      dice.wins += 1;
+    }
+    dice.paidOut += BigInt(game.payout || 0);
+  }
+
+  const lottery = {
+    rounds: 0,
+    drawn: 0,
+    refunded: 0,
+    pending: 0,
+    tickets: 0,
+    ticketSales: 0n,
+    prizesPaid: 0n,
+    refundsPaid: 0n,
+    pendingTickets: 0,
+    pendingTicketSales: 0n
+  };
+  for (const round of state.lotteries.values()) {
+    lottery.rounds += 1;
+    const sales = Object.values(round.spent).reduce((sum, spent) => sum + BigInt(spent), 0n);
+    if (!round.isDrawn && !round.isRefunded) {
+      // Empty rounds waiting for tickets are not pending anything
+      if (round.totalTickets > 0) lottery.pending += 1;
+      lottery.pendingTickets += round.totalTickets;
+      lottery.pendingTicketSales += sales;
+      continue;
+    }
+    lottery.tickets += round.totalTickets;
+    lottery.ticketSales += sales;
+    if (round.isDrawn) {
+      lottery.drawn += 1;
+      lottery.prizesPaid += getLotteryPrizes(round).reduce((sum, { prize }) => sum + BigInt(prize || 0), 0n);
+    }
+    if (round.isRefunded) {
+      lottery.refunded += 1;
+      lottery.refundsPaid += BigInt(round.refunded || 0);
+    }
+  }
+
+  const balanceOf = (address) => (address ? state.balances.get(address.toLowerCase()) || 0n : 0n);
+  const contracts = (checkpoint && checkpoint.contracts) || {};
+
+  return {
+    diceGame: {
+      games: dice.games,
+      pending: dice.pending,
+      wins: dice.wins,
+      refunded: dice.refunded,
+      wagered: dice.wagered.toString(),
+      paidOut: dice.paidOut.toString(),
+      houseResult: (dice.wagered - dice.paidOut).toString(),
+      pendingWagered: dice.pendingWagered.toString(),
+      bankroll: balanceOf(contracts.DiceGame).toString()
+    },
+    lottery: {
+      rounds: lottery.rounds,
+      drawn: lottery.drawn,
+      refunded: lottery.refunded,
+      pending: lottery.pending,
+      tickets: lottery.tickets,
+      ticketSales: lottery.ticketSales.toString(),
+      prizesPaid: lottery.prizesPaid.toString(),
+      refundsPaid: lottery.refundsPaid.toString(),
+      houseResult: (lottery.ticketSales - lottery.prizesPaid - lottery.refundsPaid).toString(),
+      pendingTickets: lottery.pendingTickets,
+      pendingTicketSales: lottery.pendingTicketSales.toString(),
+      bankroll: balanceOf(contracts.Lottery).toString()
+    }
+  };
+}
+
+const routes = [
+  {
+    pattern: /^\/health$/,
+    handler: ({ checkpoint }) => ({
+      status: 200,
+      body: { ok: true, lastBlock: checkpoint ? checkpoint.lastBlock : null }
+    })
+  },
+  {
+    pattern: /^\/players\/(0x[0-9a-fA-F]{40})\/dice-games$/,
+    handler: ({ state }, [address]) => {
+      const games = [...state.diceGames.values()]
+        .filter((game) => game.player.toLowerCase() === address.toLowerCase())
+        .sort(newestFirst("gameId"));
+      return { status: 200, body: games };
+    }
+  },
+  {
+    pattern: /^\/players\/(0x[0-9a-fA-F]{40})\/lotteries$/,
+    handler: ({ state }, [address]) => {
+      const lotteries = [...state.lotteries.values()]
+        .filter((lottery) => lottery.players.some((player) => player.toLowerCase() === address.toLowerCase()))
+        .sort(newestFirst("lotteryId"))
+        .map(formatLottery);
+      return { status: 200, body: lotteries };
+    }
+  },
+  {
+    pattern: /^\/lotteries\/current$/,
+    handler: ({ state, checkpoint }) => {
+      const version = currentVersion(checkpoint, "Lottery");
+      const ids = [...state.lotteries.values()]
+        .filter((lottery) => lottery.version === version)
+        .map((lottery) => Number(lottery.lotteryId));
+      if (ids.length === 0) return { status: 404, body: { error: "No lotteries indexed" } };
+      return { status: 200, body: formatLottery(state.lotteries.get(recordKey(version, Math.max(...ids)))) };
+    }
+  },
+  {
+    pattern: /^\/lotteries\/(\d+)$/,
+    handler: ({ state, checkpoint }, [lotteryId], query) => {
+      const version = query.has("version") ? Number(query.get("version")) : currentVersion(checkpoint, "Lottery");
+      const lottery = state.lotteries.get(recordKey(version, BigInt(lotteryId)));
+      if (!lottery) return { status: 404, body: { error: `Lottery ${lotteryId} not found` } };
+      return { status: 200, body: formatLottery(lottery) };
+    }
+  },
+  {
+    pattern: /^\/requests\/(\d+)$/,
+    handler: ({ state }, [requestId]) => {
+      const request = state.requests.get(String(BigInt(requestId)));
+      if (!request) return { status: 404, body: { error: `Request ${requestId} not found` } };
+      // An index started after a game began (INDEXER_START_BLOCK) can hold its
+      // request without the game; a game or round not indexed is null
+      if (request.game === "DiceGame") {
+        const diceGame = (gameId) => state.diceGames.get(recordKey(request.version, gameId)) || null;
+        return {
+          status: 200,
+          body: { ...request, diceGame: diceGame(request.gameId), diceGames: request.gameIds.map(diceGame) }
+        };
+      }
+      const lottery = state.lotteries.get(recordKey(request.version, request.lotteryId));
+      return { status: 200, body: { ...request, lottery: lottery ? formatLottery(lottery) : null } };
+    }
+  },
+  {
+    pattern: /^\/stats\/house$/,
+    handler: ({ state, checkpoint }) => ({ status: 200, body: buildHouseStats(state, checkpoint) })
+  },
+  {
+    pattern: /^\/leaderboard$/,
+    handler: ({ state }, params, query) => {
+      const limit = Math.min(100, Math.max(1, Number(query.get("limit")) || 10));
+      return { status: 200, body: buildLeaderboard(state, limit) };
+    }
+  }
+];
+
+/**
+ * Write a JSON response
+ * @param {ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Cache-Control": "no-store"
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the API server over an event store
+ * @param {EventStore} store - Store the indexer writes
+ * @returns {http.Server} Server, not yet listening
+ */
+function createServer(store) {
+  let cache = { version: null, checkpoint: null, state: null };
+
+  // Rebuild the in-memory views when the indexer has written a new checkpoint
+  const loadState = () => {
+    const version = fs.existsSync(store.checkpointPath)
+      ? fs.statSync(store.checkpointPath).mtimeMs
+      : null;
+    if (cache.state && cache.version === version) return cache;
+
+    cache = {
+      version,
+      checkpoint: store.readCheckpoint(),
+      state: buildState(store.readEvents())
+    };
+    return cache;
+  };
+
+  return http.createServer((req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, OPTIONS"
+      });
+      res.end();
+      return;
+    }
+    if (req.method !== "GET") {
+      sendJson(res, 405, { error: "Method not allowed" });
+      return;
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+    const pathname = url.pathname.replace(/\/+$/, "") || "/";
+
+    try {
+      for (const route of routes) {
+        const match = pathname.match(route.pattern);
+        if (!match) continue;
+        const { status, body } = route.handler(loadState(), match.slice(1), url.searchParams);
+        sendJson(res, status, body);
+        return;
+      }
+      sendJson(res, 404, { error: "Not found" });
+    } catch (error) {
+      console.error("Request failed:", req.url, error);
+      sendJson(res, 500, { error: "Internal server error" });
+    }
+  });
+}
+
+if (require.main === module) {
+  createServer(new EventStore(config.dataDir)).listen(config.port, config.host, () => {
+    console.log(`API server listening on http://${config.host}:${config.port}`);
+    console.log("Data directory:", config.dataDir);
+  });
+}
+
+module.exports = {
+  createServer,
+  buildHouseStats
+};
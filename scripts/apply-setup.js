@@ -0,0 +1,31 @@
+const hre = require("hardhat");
+const { loadDeploymentInfo } = require("./utils");
+const { loadSetupConfig, applySetup } = require("./setup-state");
+
+/**
+ * Re-apply setup.config.js to the contracts in this chain's deployment manifest.
+ *
+ * Only settings that differ from on-chain state are changed, so running it
+ * twice is a no-op. Configured through environment variables:
+ *
+ *   SETUP_CONFIG    setup file (default: ./setup.config.js)
+ *   SETUP_DRY_RUN   "true" prints the diff without sending transactions
+ */
+async function main() {
+  const deploymentInfo = await loadDeploymentInfo();
+  const setup = loadSetupConfig();
+  const dryRun = process.env.SETUP_DRY_RUN === "true";
+
+  console.log(`Applying setup for ${hre.network.name}${dryRun ? " (dry run)" : ""}...`);
+  const actions = await applySetup(deploymentInfo.contracts, setup, { dryRun });
+  if (actions.length > 0) {
+    console.log(dryRun ? "\nDry run, nothing sent" : `\nApplied ${actions.length} setup transaction(s)`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,4 +1,12 @@
 const hre = require("hardhat");
+const { getChainId, getDeploymentBlock, saveDeploymentManifest } = require("./utils");
+const {
+  resolveVrfConfig,
+  createSubscription,
+  fundSubscription,
+  addConsumers
+} = require("./vrf-config");
+const { loadSetupConfig, applySetup } = require("./setup-state");
 
 async function main() {
   console.log("Deploying contracts...");
@@ -8,6 +16,10 @@ async function main() {
   console.log("Deploying contracts with the account:", deployer.address);
   console.log("Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString());
 
+  // Resolve VRF settings and the setup first so a misconfigured network fails before deploying anything
+  const vrf = await resolveVrfConfig();
+  const setup = loadSetupConfig();
+
   // Deploy GameToken
   console.log("\nDeploying GameToken...");
   const GameToken = await hre.ethers.getContractFactory("GameToken");
@@ -16,17 +28,27 @@ async function main() {
   const gameTokenAddress = await gameToken.getAddress();
   console.log("GameToken deployed to:", gameTokenAddress);
 
-  // Deploy VRFCoordinatorV2Mock (for local testing)
-  console.log("\nDeploying VRFCoordinatorV2Mock...");
-  const VRFCoordinatorV2Mock = await hre.ethers.getContractFactory("VRFCoordinatorV2Mock");
-  const vrfCoordinator = await VRFCoordinatorV2Mock.deploy();
-  await vrfCoordinator.waitForDeployment();
-  const vrfCoordinatorAddress = await vrfCoordinator.getAddress();
-  console.log("VRFCoordinatorV2Mock deployed to:", vrfCoordinatorAddress);
+  // Use the configured coordinator, or deploy the mock on a local network
+  let vrfCoordinator = null;
+  let vrfCoordinatorAddress = vrf.coordinator;
+  if (vrf.mock) {
+    console.log("\nDeploying VRFCoordinatorV2Mock...");
+    const VRFCoordinatorV2Mock = await hre.ethers.getContractFactory("VRFCoordinatorV2Mock");
+    vrfCoordinator = await VRFCoordinatorV2Mock.deploy();
+    await vrfCoordinator.waitForDeployment();
+    vrfCoordinatorAddress = await vrfCoordinator.getAddress();
+    console.log("VRFCoordinatorV2Mock deployed to:", vrfCoordinatorAddress);
+  } else {
+    console.log("\nUsing VRF coordinator:", vrfCoordinatorAddress);
+    if (!vrf.subscriptionId) {
+      vrf.subscriptionId = await createSubscription(vrf, deployer);
+      console.log("Created VRF subscription:", vrf.subscriptionId);
+    }
+  }
 
   // Get VRF parameters
-  const keyHash = hre.ethers.keccak256(hre.ethers.toUtf8Bytes("test-key"));
-  const subscriptionId = 1;
+  const keyHash = vrf.keyHash;
+  const subscriptionId = BigInt(vrf.subscriptionId);
 
   // Deploy Lottery
   console.log("\nDeploying Lottery...");
@@ -54,41 +76,77 @@ async function main() {
   const diceGameAddress = await diceGame.getAddress();
   console.log("DiceGame deployed to:", diceGameAddress);
 
-  // Mint tokens to games
-  console.log("\nMinting tokens to games...");
-  const mintAmount = hre.ethers.parseEther("1000000");
-  await gameToken.mint(lotteryAddress, mintAmount);
-  await gameToken.mint(diceGameAddress, mintAmount);
-  console.log("Tokens minted to games");
+  // Register the games with the subscription and top it up
+  // The contracts are already live, so failures here only warn and the manifest is still written.
+  if (!vrf.mock) {
+    try {
+      const added = await addConsumers(vrf, deployer, [lotteryAddress, diceGameAddress]);
+      console.log(added
+        ? "Added Lottery and DiceGame as subscription consumers"
+        : "Deployer does not own the subscription; add Lottery and DiceGame as consumers manually");
+      if (vrf.fundAmount) {
+        await fundSubscription(vrf, deployer);
+        console.log(`Funded subscription ${vrf.subscriptionId} with ${vrf.fundAmount} LINK`);
+      }
+    } catch (error) {
+      console.warn("VRF subscription setup failed:", error.shortMessage || error.message);
+    }
+  }
+
+  // Fund bankrolls and test accounts and set game parameters from setup.config.js
+  console.log("\nApplying setup...");
+  await applySetup(
+    { GameToken: gameTokenAddress, Lottery: lotteryAddress, DiceGame: diceGameAddress },
+    setup
+  );
+
+  // Save the deployment manifest for this chain
+  const deployed = {
+    GameToken: gameToken,
+    ...(vrfCoordinator ? { VRFCoordinatorV2Mock: vrfCoordinator } : {}),
+    Lottery: lottery,
+    DiceGame: diceGame
+  };
+  const blocks = {};
+  const abis = {};
+  for (const [name, contract] of Object.entries(deployed)) {
+    blocks[name] = await getDeploymentBlock(contract);
+    abis[name] = (await hre.artifacts.readArtifact(name)).abi;
+  }
 
-  // Save deployment addresses
   const deploymentInfo = {
-    network: (await hre.ethers.provider.getNetwork()).name,
-    chainId: (await hre.ethers.provider.getNetwork()).chainId.toString(),
+    network: hre.network.name,
+    chainId: await getChainId(),
     deployer: deployer.address,
+    deployedAt: new Date().toISOString(),
+    startBlock: Math.min(...Object.values(blocks)),
     contracts: {
       GameToken: gameTokenAddress,
-      VRFCoordinatorV2Mock: vrfCoordinatorAddress,
+      ...(vrf.mock ? { VRFCoordinatorV2Mock: vrfCoordinatorAddress } : {}),
       Lottery: lotteryAddress,
       DiceGame: diceGameAddress
     },
+    blocks,
     vrfConfig: {
+      coordinator: vrfCoordinatorAddress,
+      mock: vrf.mock,
+      testTarget: vrf.testTarget,
       keyHash: keyHash,
-      subscriptionId: subscriptionId.toString()
-    }
+      subscriptionId: subscriptionId.toString(),
+      linkToken: vrf.linkToken
+    },
+    // Retired game versions, appended by scripts/migrate.js
+    lineage: {},
+    abis
   };
 
-  const fs = require("fs");
-  fs.writeFileSync(
-    "./deployment-info.json",
-    JSON.stringify(deploymentInfo, null, 2)
-  );
-  console.log("\nDeployment info saved to deployment-info.json");
+  const manifestPath = saveDeploymentManifest(deploymentInfo);
+  console.log(`\nDeployment manifest saved to ${manifestPath}`);
 
   console.log("\nDeployment completed successfully!");
   console.log("\nContract addresses:");
   console.log("GameToken:", gameTokenAddress);
-  console.log("VRFCoordinatorV2Mock:", vrfCoordinatorAddress);
+  console.log(vrf.mock ? "VRFCoordinatorV2Mock:" : "VRF coordinator:", vrfCoordinatorAddress);
   console.log("Lottery:", lotteryAddress);
   console.log("DiceGame:", diceGameAddress);
 }
@@ -0,0 +1,453 @@
+const fs = require("fs");
+const path = require("path");
+
+const EVENTS_FILE = "events.jsonl";
+const CHECKPOINT_FILE = "checkpoint.json";
+
+/**
+ * Append-only JSON-lines store for indexed contract events.
+ *
+ * Each line is one decoded log, tagged with the version of the contract that
+ * emitted it. A checkpoint file records the tracked contracts, the last indexed
+ * block and the hashes of recent checkpoints so the indexer can detect reorgs
+ * and roll the log back to a common ancestor. Plain Node only (no hardhat), so
+ * read-only consumers such as the API server can load it directly.
+ */
+class EventStore {
+  /**
+   * @param {string} dataDir - Directory holding events.jsonl and checkpoint.json
+   */
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.eventsPath = path.join(dataDir, EVENTS_FILE);
+    this.checkpointPath = path.join(dataDir, CHECKPOINT_FILE);
+  }
+
+  /**
+   * Create the data directory if needed
+   */
+  ensureDir() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+  }
+
+  /**
+   * Read the checkpoint, or null if the store is empty
+   * @returns {Object|null} Checkpoint
+   */
+  readCheckpoint() {
+    if (!fs.existsSync(this.checkpointPath)) return null;
+    return JSON.parse(fs.readFileSync(this.checkpointPath, "utf8"));
+  }
+
+  /**
+   * Persist the checkpoint
+   * @param {Object} checkpoint - Checkpoint to write
+   */
+  writeCheckpoint(checkpoint) {
+    this.ensureDir();
+    const tmpPath = `${this.checkpointPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(checkpoint, null, 2));
+    fs.renameSync(tmpPath, this.checkpointPath);
+  }
+
+  /**
+   * Load every stored event in log order
+   * @returns {Array<Object>} Events
+   */
+  readEvents() {
+    if (!fs.existsSync(this.eventsPath)) return [];
+    const lines = fs.readFileSync(this.eventsPath, "utf8").split("\n");
+    // Every append ends with a newline, so anything after the last one was cut
+    // off mid-write; the indexer drops it and indexes its batch again
+    lines.pop();
+    return lines
+      .filter((line) => line.trim() !== "")
+      .map((line) => JSON.parse(line));
+  }
+
+  /**
+   * Append events to the log
+   * @param {Array<Object>} events - Decoded events
+   */
+  appendEvents(events) {
+    if (events.length === 0) return;
+    this.ensureDir();
+    fs.appendFileSync(this.eventsPath, events.map((event) => JSON.stringify(event)).join("\n") + "\n");
+  }
+
+  /**
+   * Merge events into the log in block order, skipping those already stored
+   * (used when a migration adds a contract to index from its deployment block)
+   * @param {Array<Object>} events - Decoded events
+   * @returns {number} Number of events added
+   */
+  mergeEvents(events) {
+    const stored = this.readEvents();
+    const logId = (event) => `${event.blockNumber}:${event.logIndex}`;
+    const seen = new Set(stored.map(logId));
+    const added = events.filter((event) => !seen.has(logId(event)));
+    if (added.length === 0) return 0;
+    this.writeEvents(
+      [...stored, ...added].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+    );
+    return added.length;
+  }
+
+  /**
+   * Drop every event above a block number (used when rolling back a reorg, and
+   * on startup for a batch appended but never checkpointed)
+   * @param {number} blockNumber - Last block to keep
+   * @returns {number} Number of events removed
+   */
+  truncateAfter(blockNumber) {
+    const events = this.readEvents();
+    const kept = events.filter((event) => event.blockNumber <= blockNumber);
+    this.writeEvents(kept);
+    return events.length - kept.length;
+  }
+
+  /**
+   * Replace the log, through a temporary file so a crash keeps the old one
+   * @param {Array<Object>} events - Events in log order
+   */
+  writeEvents(events) {
+    this.ensureDir();
+    const tmpPath = `${this.eventsPath}.tmp`;
+    fs.writeFileSync(tmpPath, events.map((event) => JSON.stringify(event)).join("\n") + (events.length ? "\n" : ""));
+    fs.renameSync(tmpPath, this.eventsPath);
+  }
+
+  /**
+   * Remove all indexed data
+   */
+  reset() {
+    fs.rmSync(this.eventsPath, { force: true });
+    fs.rmSync(this.checkpointPath, { force: true });
+  }
+}
+
+/**
+ * Key of a dice game or lottery round in buildState's maps. IDs restart with
+ * each migrated version, so the key carries the version.
+ * @param {number} version - Contract version the record belongs to
+ * @param {string} id - gameId or lotteryId
+ * @returns {string} Map key
+ */
+function recordKey(version, id) {
+  return `${version}:${id}`;
+}
+
+/**
+ * Fold the event log into per-game views
+ * @param {Array<Object>} events - Events in log order
+ * @returns {Object} diceGames and lotteries keyed by recordKey, requests and token balances
+ */
+function buildState(events) {
+  const diceGames = new Map();
+  const lotteries = new Map();
+  const requests = new Map();
+  const balances = new Map();
+  // Ticket costs are not in TicketPurchased; the preceding transferFrom in the
+  // same transaction carries them.
+  const transfersByTx = new Map();
+
+  const getLottery = (event, lotteryId) => {
+    const key = recordKey(event.version, lotteryId);
+    if (!lotteries.has(key)) {
+      lotteries.set(key, {
+        lotteryId,
+        version: event.version,
+        address: event.address,
+        startTime: null,
+        endTime: null,
+        // Round parameters from LotteryConfigured; null for rounds of versions
+        // before per-round parameters
+        ticketPrice: null,
+        minTickets: null,
+        maxTickets: null,
+        duration: null,
+        houseEdge: null,
+        prizeTiers: null,
+        tickets: {},
+        spent: {},
+        totalTickets: 0,
+        players: [],
+        requestId: null,
+        isDrawn: false,
+        isRefunded: false,
+        refunded: null,
+        winner: null,
+        winningNumber: null,
+        prize: null, // First place's prize
+        winners: [], // One entry per drawn place, from PrizeTierDrawn
+        prizeClaimed: false
+      });
+    }
+    return lotteries.get(key);
+  };
+
+  const addBalance = (address, delta) => {
+    const key = address.toLowerCase();
+    balances.set(key, (balances.get(key) || 0n) + delta);
+  };
+
+  for (const event of events) {
+    const { args } = event;
+    const key = `${event.contract}.${event.event}`;
+    const gameKey = (gameId) => recordKey(event.version, gameId);
+
+    switch (key) {
+      case "DiceGame.GameStarted":
+        diceGames.set(gameKey(args.gameId), {
+          gameId: args.gameId,
+          version: event.version,
+          address: event.address,
+          player: args.player,
+          betAmount: args.betAmount,
+          prediction: args.prediction,
+          betType: args.betType,
+          winLow: args.winLow,
+          winHigh: args.winHigh,
+          requestId: args.requestId,
+          rollResult: null,
+          payout: null,
+          isCompleted: false,
+          isRefunded: false,
+          startedBlock: event.blockNumber,
+          startedTx: event.transactionHash,
+          completedBlock: null,
+          completedTx: null
+        });
+        // A batch's games share the request; gameId stays the first of them
+        if (requests.has(args.requestId)) {
+          requests.get(args.requestId).gameIds.push(args.gameId);
+        } else {
+          requests.set(args.requestId, {
+            requestId: args.requestId,
+            game: "DiceGame",
+            version: event.version,
+            gameId: args.gameId,
+            gameIds: [args.gameId]
+          });
+        }
+        break;
+      case "DiceGame.GameCompleted": {
+        const game = diceGames.get(gameKey(args.gameId))
+          || { gameId: args.gameId, version: event.version, address: event.address, player: args.player };
+        Object.assign(game, {
+          rollResult: args.rollResult,
+          payout: args.payout,
+          isCompleted: true,
+          completedBlock: event.blockNumber,
+          completedTx: event.transactionHash
+        });
+        diceGames.set(gameKey(args.gameId), game);
+        break;
+      }
+      case "DiceGame.GameRefunded": {
+        const game = diceGames.get(gameKey(args.gameId))
+          || { gameId: args.gameId, version: event.version, address: event.address, player: args.player };
+        Object.assign(game, {
+          payout: args.amount,
+          isCompleted: true,
+          isRefunded: true,
+          completedBlock: event.blockNumber,
+          completedTx: event.transactionHash
+        });
+        diceGames.set(gameKey(args.gameId), game);
+        break;
+      }
+      case "DiceGame.RandomnessRerequested": {
+        // Emitted against the batch's first game; its games now wait on the new request
+        const firstGame = diceGames.get(gameKey(args.gameId));
+        const original = firstGame && requests.get(firstGame.requestId);
+        const gameIds = original ? original.gameIds : [args.gameId];
+        requests.set(args.requestId, {
+          requestId: args.requestId,
+          game: "DiceGame",
+          version: event.version,
+          gameId: args.gameId,
+          gameIds: [...gameIds]
+        });
+        gameIds.forEach((gameId) => {
+          if (diceGames.has(gameKey(gameId))) diceGames.get(gameKey(gameId)).requestId = args.requestId;
+        });
+        break;
+      }
+      case "Lottery.LotteryCreated": {
+        const lottery = getLottery(event, args.lotteryId);
+        lottery.startTime = args.startTime;
+        lottery.endTime = args.endTime;
+        break;
+      }
+      case "Lottery.LotteryConfigured": {
+        // Also emitted when an empty round picks up a new template, which
+        // moves its end time to startTime + duration unless LotteryExtended
+        // already moved it
+        const lottery = getLottery(event, args.lotteryId);
+        const startBasedEnd = (duration) => (BigInt(lottery.startTime) + BigInt(duration)).toString();
+        const wasExtended = lottery.startTime !== null && lottery.duration !== null
+          && lottery.endTime !== startBasedEnd(lottery.duration);
+        Object.assign(lottery, {
+          ticketPrice: args.ticketPrice,
+          minTickets: Number(args.minTickets),
+          maxTickets: Number(args.maxTickets),
+          duration: Number(args.duration),
+          houseEdge: Number(args.houseEdge),
+          prizeTiers: args.prizeTiers.map(Number)
+        });
+        if (lottery.startTime !== null && !wasExtended) {
+          lottery.endTime = startBasedEnd(args.duration);
+        }
+        break;
+      }
+      case "Lottery.LotteryExtended":
+        getLottery(event, args.lotteryId).endTime = args.newEndTime;
+        break;
+      case "Lottery.TicketPurchased": {
+        const lottery = getLottery(event, args.lotteryId);
+        const player = args.player;
+        const count = Number(args.ticketCount);
+        const cost = (transfersByTx.get(event.transactionHash) || [])
+          .filter((transfer) => transfer.from === player)
+          .reduce((sum, transfer) => sum + BigInt(transfer.value), 0n);
+        if (!lottery.tickets[player]) {
+          lottery.players.push(player);
+          lottery.tickets[player] = 0;
+          lottery.spent[player] = "0";
+        }
+        lottery.tickets[player] += count;
+        lottery.spent[player] = (BigInt(lottery.spent[player]) + cost).toString();
+        lottery.totalTickets += count;
+        break;
+      }
+      case "Lottery.LotteryDrawRequested":
+        getLottery(event, args.lotteryId).requestId = args.requestId;
+        requests.set(args.requestId, {
+          requestId: args.requestId,
+          game: "Lottery",
+          version: event.version,
+          lotteryId: args.lotteryId
+        });
+        break;
+      case "Lottery.LotteryDrawn": {
+        const lottery = getLottery(event, args.lotteryId);
+        Object.assign(lottery, {
+          isDrawn: true,
+          winner: args.winner,
+          winningNumber: args.winningNumber,
+          prize: args.prize,
+          drawnBlock: event.blockNumber,
+          drawnTx: event.transactionHash
+        });
+        break;
+      }
+      case "Lottery.PrizeTierDrawn":
+        getLottery(event, args.lotteryId).winners.push({
+          place: Number(args.place),
+          winner: args.winner,
+          ticketIndex: Number(args.ticketIndex),
+          prize: args.prize
+        });
+        break;
+      case "Lottery.PrizeClaimed":
+        getLottery(event, args.lotteryId).prizeClaimed = true;
+        break;
+      case "Lottery.LotteryRefunded":
+        Object.assign(getLottery(event, args.lotteryId), {
+          isRefunded: true,
+          refunded: args.amount,
+          refundedBlock: event.blockNumber,
+          refundedTx: event.transactionHash
+        });
+        break;
+      case "GameToken.Transfer":
+        if (!transfersByTx.has(event.transactionHash)) {
+          transfersByTx.set(event.transactionHash, []);
+        }
+        transfersByTx.get(event.transactionHash).push(args);
+        if (args.from !== "0x0000000000000000000000000000000000000000") {
+          addBalance(args.from, -BigInt(args.value));
+        }
+        if (args.to !== "0x0000000000000000000000000000000000000000") {
+          addBalance(args.to, BigInt(args.value));
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { diceGames, lotteries, requests, balances };
+}
+
+/**
+ * Prizes paid for a drawn lottery round, one per winning place. Rounds drawn
+ * before prize tiers have no PrizeTierDrawn and paid only the LotteryDrawn winner.
+ * @param {Object} lottery - Lottery view from buildState
+ * @returns {Array<Object>} { winner, prize } per place
+ */
+function getLotteryPrizes(lottery) {
+  if (!lottery.isDrawn) return [];
+  if (lottery.winners.length > 0) return lottery.winners;
+  return lottery.winner ? [{ winner: lottery.winner, prize: lottery.prize }] : [];
+}
+
+/**
+ * Net result per player across dice games and lottery prizes
+ * @param {Object} state - Output of buildState
+ * @param {number} limit - Number of entries to return
+ * @returns {Array<Object>} Players sorted by net winnings
+ */
+function buildLeaderboard(state, limit = 10) {
+  const totals = new Map();
+  const entry = (player) => {
+    const key = player.toLowerCase();
+    if (!totals.has(key)) {
+      totals.set(key, { player: key, wagered: 0n, won: 0n, games: 0 });
+    }
+    return totals.get(key);
+  };
+
+  for (const game of state.diceGames.values()) {
+    const row = entry(game.player);
+    row.wagered += BigInt(game.betAmount || 0);
+    row.won += BigInt(game.payout || 0);
+    row.games += 1;
+  }
+  for (const lottery of state.lotteries.values()) {
+    for (const [player, spent] of Object.entries(lottery.spent)) {
+      entry(player).wagered += BigInt(spent);
+    }
+    for (const { winner, prize } of getLotteryPrizes(lottery)) {
+      entry(winner).won += BigInt(prize || 0);
+    }
+    // A refund returns an equal share of the pool per ticket
+    if (lottery.isRefunded && lottery.totalTickets > 0) {
+      const perTicket = BigInt(lottery.refunded) / BigInt(lottery.totalTickets);
+      for (const [player, tickets] of Object.entries(lottery.tickets)) {
+        entry(player).won += perTicket * BigInt(tickets);
+      }
+    }
+  }
+
+  return [...totals.values()]
+    .map((row) => ({ ...row, net: row.won - row.wagered }))
+    .sort((a, b) => (b.net > a.net ? 1 : b.net < a.net ? -1 : 0))
+    .slice(0, limit)
+    .map((row) => ({
+      player: row.player,
+      games: row.games,
+      wagered: row.wagered.toString(),
+      won: row.won.toString(),
+      net: row.net.toString()
+    }));
+}
+
+module.exports = {
+  EventStore,
+  recordKey,
+  buildState,
+  buildLeaderboard,
+  getLotteryPrizes
+};
@@ -0,0 +1,365 @@
+const hre = require("hardhat");
+const { loadDeploymentInfo, sleep } = require("./utils");
+const { EventStore } = require("./event-store");
+
+/**
+ * Event indexer for DiceGame, Lottery and GameToken.
+ *
+ * Follows the chain in block batches, decodes the tracked events into the
+ * JSON-lines EventStore and checkpoints after every batch so it resumes where
+ * it stopped. Retired game versions recorded in the manifest's lineage are
+ * indexed alongside the current ones, each event tagged with its version.
+ * Configuration comes from environment variables:
+ *
+ *   INDEXER_DATA_DIR           store directory (default ./indexer-data)
+ *   INDEXER_START_BLOCK        first block to index on a fresh store (default: manifest startBlock, else 0)
+ *   INDEXER_BATCH_SIZE         blocks per getLogs query (default 2000)
+ *   INDEXER_REORG_DEPTH        checkpoint hashes kept for reorg detection (default 12)
+ *   INDEXER_POLL_INTERVAL_MS   delay between polls once caught up (default 2000)
+ *   INDEXER_ONCE               "true" to catch up to head and exit
+ */
+const config = {
+  dataDir: process.env.INDEXER_DATA_DIR || "./indexer-data",
+  startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+  batchSize: Math.max(1, Number(process.env.INDEXER_BATCH_SIZE || 2000)),
+  reorgDepth: Math.max(1, Number(process.env.INDEXER_REORG_DEPTH || 12)),
+  pollIntervalMs: Number(process.env.INDEXER_POLL_INTERVAL_MS || 2000),
+  once: process.env.INDEXER_ONCE === "true"
+};
+
+const TRACKED_EVENTS = {
+  DiceGame: ["GameStarted", "GameCompleted", "GameRefunded", "RandomnessRerequested"],
+  Lottery: [
+    "LotteryCreated",
+    "LotteryConfigured",
+    "TicketPurchased",
+    "LotteryDrawRequested",
+    "LotteryDrawn",
+    "PrizeTierDrawn",
+    "PrizeClaimed",
+    "LotteryRefunded",
+    "LotteryExtended"
+  ],
+  GameToken: ["Transfer"]
+};
+
+let stopping = false;
+
+/**
+ * Convert decoded event arguments into JSON-safe values
+ * @param {LogDescription} parsed - Parsed log
+ * @returns {Object} Named arguments with bigints as decimal strings
+ */
+function serializeArgs(parsed) {
+  const toJson = (value) => {
+    if (typeof value === "bigint") return value.toString();
+    if (Array.isArray(value)) return value.map(toJson);
+    return value;
+  };
+
+  const args = {};
+  parsed.fragment.inputs.forEach((input, index) => {
+    args[input.name] = toJson(parsed.args[index]);
+  });
+  return args;
+}
+
+/**
+ * List the contracts to index: GameToken, and every version of each game. Versions
+ * are numbered from 1 in lineage order, the current one last, so a game keeps its
+ * number when a migration retires it.
+ * @param {Object} deploymentInfo - Deployment manifest
+ * @returns {Array<Object>} Sources with name, address, version, startBlock and abi
+ */
+function listSources(deploymentInfo) {
+  const { contracts, blocks = {}, abis = {}, lineage = {} } = deploymentInfo;
+  const sources = [
+    { name: "GameToken", address: contracts.GameToken, version: 1, startBlock: blocks.GameToken, abi: abis.GameToken }
+  ];
+  for (const name of ["DiceGame", "Lottery"]) {
+    const retired = lineage[name] || [];
+    retired.forEach((entry, index) => {
+      sources.push({ name, address: entry.address, version: index + 1, startBlock: entry.startBlock, abi: entry.abi });
+    });
+    sources.push({
+      name,
+      address: contracts[name],
+      version: retired.length + 1,
+      startBlock: blocks[name],
+      abi: abis[name]
+    });
+  }
+  return sources;
+}
+
+/**
+ * Identify a source across runs
+ * @param {Object} source - Source from listSources or a checkpoint
+ * @returns {string} Name, address and version
+ */
+function sourceKey({ name, address, version }) {
+  return `${name}:${address.toLowerCase()}:${version}`;
+}
+
+/**
+ * Start a fresh checkpoint for the current deployment
+ * @param {Array<Object>} sources - Tracked sources
+ * @returns {Object} Checkpoint
+ */
+function freshCheckpoint(sources) {
+  return { ...describeSources(sources), lastBlock: config.startBlock - 1, recentBlocks: [] };
+}
+
+/**
+ * The checkpoint's record of what it indexes
+ * @param {Array<Object>} sources - Tracked sources
+ * @returns {Object} Current addresses keyed by name, and every source without its ABI
+ */
+function describeSources(sources) {
+  const contracts = {};
+  sources.forEach(({ name, address }) => {
+    contracts[name] = address;
+  });
+  return {
+    contracts,
+    sources: sources.map(({ name, address, version }) => ({ name, address, version }))
+  };
+}
+
+/**
+ * Roll back to the newest checkpointed block that is still canonical
+ * @param {EventStore} store - Event store
+ * @param {Object} checkpoint - Current checkpoint
+ * @returns {Promise<boolean>} True if a reorg was detected and rolled back
+ */
+async function handleReorg(store, checkpoint) {
+  if (checkpoint.recentBlocks.length === 0) return false;
+
+  const latest = checkpoint.recentBlocks[checkpoint.recentBlocks.length - 1];
+  const block = await hre.ethers.provider.getBlock(latest.number);
+  if (block && block.hash === latest.hash) return false;
+
+  let ancestor = null;
+  for (let i = checkpoint.recentBlocks.length - 2; i >= 0; i--) {
+    const candidate = checkpoint.recentBlocks[i];
+    const canonical = await hre.ethers.provider.getBlock(candidate.number);
+    if (canonical && canonical.hash === candidate.hash) {
+      ancestor = candidate;
+      break;
+    }
+  }
+
+  // Deeper than we track: rebuild from the configured start block.
+  const rollbackTo = ancestor ? ancestor.number : config.startBlock - 1;
+  const removed = store.truncateAfter(rollbackTo);
+  checkpoint.lastBlock = rollbackTo;
+  checkpoint.recentBlocks = ancestor
+    ? checkpoint.recentBlocks.filter((entry) => entry.number <= ancestor.number)
+    : [];
+  store.writeCheckpoint(checkpoint);
+
+  console.warn(`Reorg detected at block ${latest.number}; rolled back to ${rollbackTo}, removed ${removed} events`);
+  return true;
+}
+
+/**
+ * Load the checkpoint to resume from for the tracked sources
+ *
+ * Events and checkpoint are separate writes, so a run that stopped between
+ * appending a batch and checkpointing it left events the batch would append
+ * again; they are dropped here. A migration only adds sources, which
+ * addSources indexes; a checkpoint tracking anything no longer listed belongs
+ * to another deployment and is rebuilt.
+ *
+ * @param {EventStore} store - Event store
+ * @param {Array<Object>} sources - Sources from listSources
+ * @returns {Object} Checkpoint
+ */
+function openCheckpoint(store, sources) {
+  const checkpoint = store.readCheckpoint();
+  const listed = new Set(sources.map(sourceKey));
+  if (!checkpoint || !checkpoint.sources || checkpoint.sources.some((source) => !listed.has(sourceKey(source)))) {
+    if (checkpoint) {
+      console.log("Deployment changed since last run; rebuilding index");
+    }
+    store.reset();
+    return freshCheckpoint(sources);
+  }
+
+  const removed = store.truncateAfter(checkpoint.lastBlock);
+  if (removed > 0) {
+    console.warn(`Dropped ${removed} events after the checkpoint at block ${checkpoint.lastBlock}`);
+  }
+  return checkpoint;
+}
+
+/**
+ * Index the sources a migration added, up to the checkpoint, and merge them
+ * into the log so every source is indexed to the same block
+ * @param {EventStore} store - Event store
+ * @param {Object} checkpoint - Current checkpoint, updated in place
+ * @param {Array<Object>} sources - Sources from listSources, with contracts attached
+ * @returns {Promise<number>} Number of sources added
+ */
+async function addSources(store, checkpoint, sources) {
+  const tracked = new Set(checkpoint.sources.map(sourceKey));
+  const added = sources.filter((source) => !tracked.has(sourceKey(source)));
+  if (added.length === 0) return 0;
+
+  const fromBlock = Math.max(config.startBlock, Math.min(...added.map((source) => source.startBlock || 0)));
+  const events = [];
+  for (let from = fromBlock; from <= checkpoint.lastBlock; from += config.batchSize) {
+    const to = Math.min(checkpoint.lastBlock, from + config.batchSize - 1);
+    events.push(...(await fetchEvents(added, from, to)));
+  }
+  // Written before the checkpoint names the sources; if that write is lost,
+  // the next run fetches them again and the merge drops the repeats
+  const merged = store.mergeEvents(events);
+  Object.assign(checkpoint, describeSources(sources));
+  store.writeCheckpoint(checkpoint);
+
+  added.forEach(({ name, address, version }) => {
+    console.log(`Now indexing ${name} v${version} at ${address}`);
+  });
+  console.log(`Indexed new contracts up to block ${checkpoint.lastBlock}: ${merged} events`);
+  return added.length;
+}
+
+/**
+ * Fetch and decode tracked events in a block range
+ * @param {Array<Object>} sources - Sources with their contract instances
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @returns {Promise<Array<Object>>} Decoded events in log order
+ */
+async function fetchEvents(sources, fromBlock, toBlock) {
+  const byAddress = new Map();
+  for (const source of sources) {
+    byAddress.set(source.address.toLowerCase(), source);
+  }
+
+  const logs = await hre.ethers.provider.getLogs({
+    address: [...byAddress.keys()],
+    fromBlock,
+    toBlock
+  });
+
+  const events = [];
+  for (const log of logs) {
+    const source = byAddress.get(log.address.toLowerCase());
+    if (!source) continue;
+
+    let parsed;
+    try {
+      parsed = source.contract.interface.parseLog(log);
+    } catch (error) {
+      continue;
+    }
+    if (!parsed || !TRACKED_EVENTS[source.name].includes(parsed.name)) continue;
+
+    events.push({
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      contract: source.name,
+      address: log.address,
+      version: source.version,
+      event: parsed.name,
+      args: serializeArgs(parsed)
+    });
+  }
+  return events;
+}
+
+/**
+ * Index the next batch of blocks, up to the chain head, and checkpoint it
+ * @param {EventStore} store - Event store
+ * @param {Object} checkpoint - Current checkpoint, updated in place
+ * @param {Array<Object>} sources - Sources with their contract instances
+ * @returns {Promise<boolean>} True once the index has reached the head
+ */
+async function indexNextBatch(store, checkpoint, sources) {
+  const head = await hre.ethers.provider.getBlockNumber();
+  if (checkpoint.lastBlock >= head) return true;
+
+  const fromBlock = checkpoint.lastBlock + 1;
+  const toBlock = Math.min(head, fromBlock + config.batchSize - 1);
+  const events = await fetchEvents(sources, fromBlock, toBlock);
+  const block = await hre.ethers.provider.getBlock(toBlock);
+
+  store.appendEvents(events);
+  checkpoint.lastBlock = toBlock;
+  checkpoint.recentBlocks = [
+    ...checkpoint.recentBlocks,
+    { number: toBlock, hash: block.hash }
+  ].slice(-config.reorgDepth);
+  store.writeCheckpoint(checkpoint);
+
+  console.log(`Indexed blocks ${fromBlock}-${toBlock}: ${events.length} events`);
+  return toBlock >= head;
+}
+
+async function main() {
+  const deploymentInfo = await loadDeploymentInfo();
+  if (process.env.INDEXER_START_BLOCK === undefined && deploymentInfo.startBlock !== undefined) {
+    config.startBlock = deploymentInfo.startBlock;
+  }
+  // Retired versions are decoded with the ABI they were deployed with
+  const sources = await Promise.all(
+    listSources(deploymentInfo).map(async (source) => ({
+      ...source,
+      contract: await hre.ethers.getContractAt(source.abi || source.name, source.address)
+    }))
+  );
+
+  const store = new EventStore(config.dataDir);
+  const checkpoint = openCheckpoint(store, sources);
+  await addSources(store, checkpoint, sources);
+
+  console.log("Indexer started");
+  console.log("Data directory:", config.dataDir);
+  console.log("Resuming after block:", checkpoint.lastBlock);
+
+  process.on("SIGINT", () => {
+    stopping = true;
+  });
+  process.on("SIGTERM", () => {
+    stopping = true;
+  });
+
+  while (!stopping) {
+    let caughtUp = true;
+    try {
+      await handleReorg(store, checkpoint);
+      caughtUp = await indexNextBatch(store, checkpoint, sources);
+    } catch (error) {
+      console.error("Indexer tick failed:", error.shortMessage || error.message);
+    }
+
+    if (caughtUp) {
+      if (config.once) break;
+      await sleep(config.pollIntervalMs);
+    }
+  }
+
+  console.log("Indexer stopped at block", checkpoint.lastBlock);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  listSources,
+  openCheckpoint,
+  addSources,
+  fetchEvents,
+  handleReorg,
+  indexNextBatch
+};
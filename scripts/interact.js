@@ -1,24 +1,18 @@
 const hre = require("hardhat");
-const fs = require("fs");
+const { loadDeploymentInfo } = require("./utils");
 
+// Players are funded and approved by setup.config.js when deploying, or with `npm run setup`
 async function main() {
-  // Load deployment info
-  let deploymentInfo;
-  try {
-    deploymentInfo = JSON.parse(fs.readFileSync("./deployment-info.json", "utf8"));
-  } catch (error) {
-    console.error("Error loading deployment info:", error);
-    console.error("Please deploy contracts first using: npx hardhat run scripts/deploy.js");
-    process.exit(1);
-  }
+  // Load the deployment manifest for the connected chain
+  const deploymentInfo = await loadDeploymentInfo();
 
   // Get contract addresses
   const gameTokenAddress = deploymentInfo.contracts.GameToken;
   const lotteryAddress = deploymentInfo.contracts.Lottery;
   const diceGameAddress = deploymentInfo.contracts.DiceGame;
 
-  // Get signers
-  const [player1, player2, player3] = await hre.ethers.getSigners();
+  // Get signers (the deployer is signer 0; setup funds players from signer 1)
+  const [, player1, player2, player3] = await hre.ethers.getSigners();
   console.log("Player1 address:", player1.address);
   console.log("Player2 address:", player2.address);
   console.log("Player3 address:", player3.address);
@@ -28,24 +22,6 @@ async function main() {
   const lottery = await hre.ethers.getContractAt("Lottery", lotteryAddress);
   const diceGame = await hre.ethers.getContractAt("DiceGame", diceGameAddress);
 
-  // Mint tokens to players
-  console.log("\nMinting tokens to players...");
-  const mintAmount = hre.ethers.parseEther("1000");
-  await gameToken.mint(player1.address, mintAmount);
-  await gameToken.mint(player2.address, mintAmount);
-  await gameToken.mint(player3.address, mintAmount);
-  console.log("Tokens minted to players");
-
-  // Approve tokens for games
-  console.log("\nApproving tokens for games...");
-  await gameToken.connect(player1).approve(lotteryAddress, mintAmount);
-  await gameToken.connect(player1).approve(diceGameAddress, mintAmount);
-  await gameToken.connect(player2).approve(lotteryAddress, mintAmount);
-  await gameToken.connect(player2).approve(diceGameAddress, mintAmount);
-  await gameToken.connect(player3).approve(lotteryAddress, mintAmount);
-  await gameToken.connect(player3).approve(diceGameAddress, mintAmount);
-  console.log("Tokens approved for games");
-
   // Play Lottery
   console.log("\n=== Playing Lottery ===");
   const ticketPrice = await lottery.ticketPrice();
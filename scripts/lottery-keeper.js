@@ -0,0 +1,80 @@
+const hre = require("hardhat");
+const { loadDeploymentInfo, sleep } = require("./utils");
+
+/**
+ * Keeper for the Lottery's upkeep, standing in for Chainlink Automation.
+ *
+ * Polls checkUpkeep and sends performUpkeep with the returned performData when
+ * the current round is past its end time, so a round draws (or, without
+ * tickets, is extended) even if nobody buys another ticket. Configuration comes
+ * from environment variables because `hardhat run` does not forward CLI
+ * arguments:
+ *
+ *   KEEPER_POLL_INTERVAL_MS   how often to check for upkeep (default 5000)
+ *   KEEPER_ONCE               "true" to check once and exit
+ */
+const config = {
+  pollIntervalMs: Number(process.env.KEEPER_POLL_INTERVAL_MS || 5000),
+  once: process.env.KEEPER_ONCE === "true"
+};
+
+let stopping = false;
+
+/**
+ * Check the lottery's upkeep and perform it if needed
+ * @param {Contract} lottery - Lottery instance connected to the keeper account
+ */
+async function tick(lottery) {
+  const [upkeepNeeded, performData] = await lottery.checkUpkeep("0x");
+  if (!upkeepNeeded) return;
+
+  const tx = await lottery.performUpkeep(performData);
+  const receipt = await tx.wait();
+  for (const log of receipt.logs) {
+    const parsed = lottery.interface.parseLog(log);
+    if (parsed?.name === "LotteryDrawRequested") {
+      console.log(`Lottery ${parsed.args.lotteryId} draw requested (request ${parsed.args.requestId}) in tx ${tx.hash}`);
+    } else if (parsed?.name === "LotteryExtended") {
+      const endTime = new Date(Number(parsed.args.newEndTime) * 1000).toISOString();
+      console.log(`Lottery ${parsed.args.lotteryId} had no tickets, extended to ${endTime} in tx ${tx.hash}`);
+    }
+  }
+}
+
+async function main() {
+  const deploymentInfo = await loadDeploymentInfo();
+  const [keeper] = await hre.ethers.getSigners();
+  const lottery = await hre.ethers.getContractAt("Lottery", deploymentInfo.contracts.Lottery, keeper);
+
+  console.log("Lottery keeper started");
+  console.log("Lottery:", deploymentInfo.contracts.Lottery);
+  console.log("Keeper account:", keeper.address);
+  console.log("Config:", JSON.stringify(config));
+
+  process.on("SIGINT", () => {
+    stopping = true;
+  });
+  process.on("SIGTERM", () => {
+    stopping = true;
+  });
+
+  while (!stopping) {
+    try {
+      await tick(lottery);
+    } catch (error) {
+      console.error("Keeper tick failed:", error.shortMessage || error.message);
+    }
+
+    if (config.once) break;
+    await sleep(config.pollIntervalMs);
+  }
+
+  console.log("Lottery keeper stopped");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
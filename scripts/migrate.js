@@ -0,0 +1,267 @@
+const hre = require("hardhat");
+const { getDeploymentBlock, loadDeploymentInfo, saveDeploymentManifest } = require("./utils");
+const { addConsumers } = require("./vrf-config");
+
+/**
+ * Replace deployed games with fresh deployments of the current source.
+ *
+ * For each game: deploy the new contract against the manifest's GameToken and
+ * VRF settings, copy its owner-set parameters, drain the old contract with
+ * withdrawHouseEdge and send the bankroll to the new one. DiceGame keeps the
+ * payouts reserved for unsettled games and Lottery the prize pools of undrawn
+ * rounds, so they still settle. An old Lottery's ticket sales are paused so
+ * players move to the new one. The old address is
+ * appended to `lineage.<Game>` in the manifest so history stays reachable.
+ * Configured through environment variables:
+ *
+ *   MIGRATE_GAMES   comma-separated games to migrate (default "DiceGame,Lottery")
+ *   MIGRATE_FORCE   "true" to migrate even with unsettled games or a lottery
+ *                   round holding tickets; the round's pool stays in the old
+ *                   contract, which still draws or refunds it
+ */
+const MIGRATABLE_GAMES = ["DiceGame", "Lottery"];
+
+/**
+ * Describe why a game cannot be drained yet
+ * @param {string} name - Game contract name
+ * @param {Contract} game - Deployed game
+ * @param {number} fromBlock - Deployment block of the game
+ * @returns {Promise<string|null>} Reason, or null if nothing is outstanding
+ */
+async function findUnsettled(name, game, fromBlock) {
+  if (name === "DiceGame") {
+    const started = await game.queryFilter(game.filters.GameStarted(), fromBlock);
+    const completed = await game.queryFilter(game.filters.GameCompleted(), fromBlock);
+    // Versions before timeout refunds have no GameRefunded event
+    const refunded = game.interface.getEvent("GameRefunded")
+      ? await game.queryFilter(game.filters.GameRefunded(), fromBlock)
+      : [];
+    const open = started.length - completed.length - refunded.length;
+    return open > 0 ? `${open} dice game(s) waiting for VRF` : null;
+  }
+
+  const lotteryId = await game.currentLotteryId();
+  const info = await game.getLotteryInfo(lotteryId);
+  if (info.totalTickets > 0n && !info.isDrawn) {
+    return `lottery ${lotteryId} holds ${info.totalTickets} ticket(s) and has not been drawn`;
+  }
+  return null;
+}
+
+/**
+ * Read a value older game versions may not have
+ * @param {Function} read - Contract call
+ * @returns {Promise<*>} Value, or null if the call fails
+ */
+async function readIfSupported(read) {
+  try {
+    return await read();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Copy the VRF timeout, which both games have
+ * @param {Contract} oldGame - Game being retired
+ * @param {Contract} newGame - Replacement game
+ */
+async function copyVrfTimeout(oldGame, newGame) {
+  // Versions before timeout refunds keep the new game's default
+  const vrfTimeout = await readIfSupported(() => oldGame.vrfTimeout());
+  if (vrfTimeout !== null && vrfTimeout !== (await newGame.vrfTimeout())) {
+    await (await newGame.updateVrfTimeout(vrfTimeout)).wait();
+  }
+  console.log(`VRF timeout: ${await newGame.vrfTimeout()}s`);
+}
+
+/**
+ * Copy owner-set parameters from the old game to the new one
+ * @param {string} name - Game contract name
+ * @param {Contract} oldGame - Game being retired
+ * @param {Contract} newGame - Replacement game
+ */
+async function copyParameters(name, oldGame, newGame) {
+  if (name === "DiceGame") {
+    const [minBet, maxBet] = [await oldGame.MIN_BET(), await oldGame.MAX_BET()];
+    if (minBet !== (await newGame.MIN_BET()) || maxBet !== (await newGame.MAX_BET())) {
+      await (await newGame.updateBetLimits(minBet, maxBet)).wait();
+    }
+    console.log(`Bet limits: ${hre.ethers.formatEther(minBet)} - ${hre.ethers.formatEther(maxBet)} GT`);
+
+    // Versions before bankroll limits keep the new game's default
+    const maxPayoutPercent = await readIfSupported(() => oldGame.maxPayoutPercent());
+    if (maxPayoutPercent !== null && maxPayoutPercent !== (await newGame.maxPayoutPercent())) {
+      await (await newGame.updateMaxPayoutPercent(maxPayoutPercent)).wait();
+    }
+    console.log(`Max payout: ${await newGame.maxPayoutPercent()}% of free bankroll`);
+  } else {
+    // Versions before per-round parameters only have a ticket price
+    const nextRound = await readIfSupported(() => oldGame.nextRound());
+    if (nextRound !== null) {
+      const { ticketPrice, minTickets, maxTickets, duration, houseEdge } = nextRound;
+      await (await newGame.updateNextRound(ticketPrice, minTickets, maxTickets, duration, houseEdge)).wait();
+    } else {
+      const ticketPrice = await oldGame.ticketPrice();
+      if (ticketPrice !== (await newGame.ticketPrice())) {
+        await (await newGame.updateTicketPrice(ticketPrice)).wait();
+      }
+    }
+    const { ticketPrice, minTickets, maxTickets, duration, houseEdge } = await newGame.nextRound();
+    console.log(`Next round: ${hre.ethers.formatEther(ticketPrice)} GT per ticket, ${minTickets}-${maxTickets} tickets, ${duration}s, ${houseEdge}% house edge`);
+
+    // Versions before prize tiers pay a single winner, as the new game does by default
+    const prizeTiers = await readIfSupported(() => oldGame.getNextPrizeTiers());
+    if (prizeTiers !== null) {
+      await (await newGame.updatePrizeTiers([...prizeTiers])).wait();
+    }
+    console.log(`Prize tiers: ${(await newGame.getNextPrizeTiers()).join("/")}%`);
+  }
+
+  await copyVrfTimeout(oldGame, newGame);
+}
+
+/**
+ * Pause the retired Lottery's ticket sales; a round holding tickets still draws
+ * @param {Contract} oldGame - Lottery being retired
+ */
+async function closeTicketSales(oldGame) {
+  if (!oldGame.interface.getFunction("pause")) {
+    console.warn("The retired Lottery predates pausing and still sells tickets; announce the new address to players");
+    return;
+  }
+  if (!(await oldGame.paused())) {
+    await (await oldGame.pause()).wait();
+  }
+  console.log("Paused ticket sales on the retired Lottery");
+}
+
+/**
+ * Migrate one game and record the retired version in the manifest
+ * @param {Object} deploymentInfo - Deployment manifest, updated in place
+ * @param {string} name - Game contract name
+ * @param {Signer} owner - Owner of the game and GameToken
+ * @param {boolean} force - Migrate despite unsettled games
+ */
+async function migrateGame(deploymentInfo, name, owner, force) {
+  const oldAddress = deploymentInfo.contracts[name];
+  // The old contract may predate the current source, so use the ABI it was
+  // deployed with; the current artifact cannot decode its older structs
+  const oldGame = await hre.ethers.getContractAt(deploymentInfo.abis?.[name] || name, oldAddress, owner);
+  const gameToken = await hre.ethers.getContractAt("GameToken", deploymentInfo.contracts.GameToken, owner);
+
+  const gameOwner = await oldGame.owner();
+  if (gameOwner !== owner.address) {
+    throw new Error(`${name} is owned by ${gameOwner}, not ${owner.address}`);
+  }
+
+  const unsettled = await findUnsettled(name, oldGame, deploymentInfo.blocks[name] || 0);
+  if (unsettled && !force) {
+    throw new Error(`Cannot migrate ${name}: ${unsettled}. Settle first or set MIGRATE_FORCE=true`);
+  }
+  if (unsettled) {
+    console.warn(`Migrating ${name} anyway: ${unsettled}`);
+  }
+
+  console.log(`\nDeploying new ${name}...`);
+  const { vrfConfig } = deploymentInfo;
+  const Game = await hre.ethers.getContractFactory(name);
+  const newGame = await Game.deploy(
+    vrfConfig.coordinator,
+    deploymentInfo.contracts.GameToken,
+    vrfConfig.keyHash,
+    BigInt(vrfConfig.subscriptionId)
+  );
+  await newGame.waitForDeployment();
+  const newAddress = await newGame.getAddress();
+  console.log(`${name} deployed to:`, newAddress);
+
+  await copyParameters(name, oldGame, newGame);
+
+  if (!vrfConfig.mock) {
+    try {
+      const added = await addConsumers(vrfConfig, owner, [newAddress]);
+      console.log(added
+        ? `Added ${name} as a subscription consumer`
+        : `Deployer does not own the subscription; add ${newAddress} as a consumer manually`);
+    } catch (error) {
+      console.warn("VRF consumer registration failed:", error.shortMessage || error.message);
+    }
+  }
+
+  if (name === "Lottery") {
+    await closeTicketSales(oldGame);
+  }
+
+  // withdrawHouseEdge sends the owner everything not reserved for open dice games
+  // or undrawn lottery rounds (older versions: the whole balance), and the owner
+  // forwards it.
+  const freeBankroll = await readIfSupported(() => oldGame.freeBankroll());
+  const bankroll = freeBankroll ?? (await gameToken.balanceOf(oldAddress));
+  let retiredBlock = await hre.ethers.provider.getBlockNumber();
+  if (bankroll > 0n) {
+    const receipt = await (await oldGame.withdrawHouseEdge()).wait();
+    retiredBlock = receipt.blockNumber;
+    await (await gameToken.transfer(newAddress, bankroll)).wait();
+  }
+  console.log(`Moved bankroll: ${hre.ethers.formatEther(bankroll)} GT`);
+
+  deploymentInfo.lineage = deploymentInfo.lineage || {};
+  deploymentInfo.lineage[name] = [
+    ...(deploymentInfo.lineage[name] || []),
+    {
+      address: oldAddress,
+      startBlock: deploymentInfo.blocks[name],
+      retiredBlock,
+      retiredAt: new Date().toISOString(),
+      migratedTo: newAddress,
+      bankrollMoved: bankroll.toString(),
+      abi: deploymentInfo.abis[name]
+    }
+  ];
+  deploymentInfo.contracts[name] = newAddress;
+  deploymentInfo.blocks[name] = await getDeploymentBlock(newGame);
+  deploymentInfo.abis[name] = (await hre.artifacts.readArtifact(name)).abi;
+}
+
+async function main() {
+  const games = (process.env.MIGRATE_GAMES || MIGRATABLE_GAMES.join(","))
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  const unknown = games.filter((name) => !MIGRATABLE_GAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown game(s) in MIGRATE_GAMES: ${unknown.join(", ")}`);
+  }
+  const force = process.env.MIGRATE_FORCE === "true";
+
+  const deploymentInfo = await loadDeploymentInfo();
+  const [owner] = await hre.ethers.getSigners();
+  console.log("Migrating with the account:", owner.address);
+
+  // Save after each game so a failure part-way still records what moved.
+  for (const name of games) {
+    await migrateGame(deploymentInfo, name, owner, force);
+    const manifestPath = saveDeploymentManifest(deploymentInfo);
+    console.log(`Recorded ${name} lineage in ${manifestPath}`);
+  }
+
+  console.log("\nMigration completed successfully!");
+  for (const name of games) {
+    const versions = [...deploymentInfo.lineage[name].map((entry) => entry.address), deploymentInfo.contracts[name]];
+    console.log(`${name}: ${versions.join(" -> ")}`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrateGame
+};
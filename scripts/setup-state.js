@@ -0,0 +1,242 @@
+const hre = require("hardhat");
+const path = require("path");
+
+const DEFAULT_SETUP_CONFIG = "./setup.config.js";
+const GAMES = ["DiceGame", "Lottery"];
+// Units formatted as token amounts in the diff; other values print as they are
+const TOKEN_UNITS = ["GT", "ETH"];
+
+/**
+ * Load the setup for a network from the setup config file
+ * @param {string} networkName - Network name (default: the connected network)
+ * @returns {Object} Setup for the network, or the file's `default` entry
+ */
+function loadSetupConfig(networkName = hre.network.name) {
+  const configPath = path.resolve(process.env.SETUP_CONFIG || DEFAULT_SETUP_CONFIG);
+  const config = require(configPath);
+  const setup = config[networkName] || config.default;
+  if (!setup) {
+    throw new Error(`No setup for ${networkName} and no default in ${configPath}`);
+  }
+  return setup;
+}
+
+/**
+ * Parse a decimal amount from the setup file
+ * @param {string} value - Amount in whole tokens
+ * @param {string} label - Setting name for error messages
+ * @returns {bigint} Amount in wei
+ */
+function parseAmount(value, label) {
+  try {
+    return hre.ethers.parseEther(String(value));
+  } catch (error) {
+    throw new Error(`Invalid amount for ${label}: ${value}`);
+  }
+}
+
+/**
+ * Parse a whole number (ticket count, seconds, percent) from the setup file
+ * @param {number|string} value - Whole number
+ * @param {string} label - Setting name for error messages
+ * @returns {bigint} The number
+ */
+function parseInteger(value, label) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`Invalid whole number for ${label}: ${value}`);
+  }
+  return BigInt(value);
+}
+
+// Fields of the Lottery's nextRound template, in updateNextRound's argument order
+const ROUND_FIELDS = [
+  { name: "ticketPrice", unit: "GT", parse: parseAmount },
+  { name: "minTickets", unit: "tickets", parse: parseInteger },
+  { name: "maxTickets", unit: "tickets", parse: parseInteger },
+  { name: "duration", unit: "s", parse: parseInteger },
+  { name: "houseEdge", unit: "%", parse: parseInteger }
+];
+
+/**
+ * Resolve the address and signer of a setup account entry
+ * @param {Object} account - Entry with `signer` index or `address`
+ * @param {Array<Signer>} signers - Network signers
+ * @returns {Object} Address and signer (null for address-only entries)
+ */
+function resolveAccount(account, signers) {
+  if (account.signer !== undefined) {
+    const signer = signers[account.signer];
+    if (!signer) {
+      throw new Error(`Setup account signer ${account.signer} does not exist on ${hre.network.name}`);
+    }
+    return { address: signer.address, signer };
+  }
+  if (!hre.ethers.isAddress(account.address)) {
+    throw new Error(`Invalid setup account address: ${account.address}`);
+  }
+  if (account.allowances) {
+    throw new Error(`Setup account ${account.address} has allowances but no signer to approve them`);
+  }
+  return { address: hre.ethers.getAddress(account.address), signer: null };
+}
+
+/**
+ * Compare on-chain state with the setup and list the transactions that close the gap.
+ *
+ * Parameters, account balances and allowances are set to exactly the configured
+ * value. Game bankrolls are a floor: the contract balance also holds players'
+ * bets and the prize pool, so an excess is left alone rather than burned.
+ *
+ * @param {Object} contracts - GameToken, DiceGame and Lottery connected to the owner
+ * @param {Object} setup - Setup for the network
+ * @param {Array<Signer>} signers - Network signers
+ * @returns {Promise<Array<Object>>} Actions, each with `changes` and `send`
+ */
+async function planSetup(contracts, setup, signers) {
+  const { GameToken: gameToken, DiceGame: diceGame, Lottery: lottery } = contracts;
+  const actions = [];
+  const addAction = (changes, send) => actions.push({ changes, send });
+
+  if (setup.GameToken?.mintFee !== undefined) {
+    const fee = parseAmount(setup.GameToken.mintFee, "GameToken.mintFee");
+    const current = await gameToken.MINT_FEE();
+    if (current !== fee) {
+      addAction([{ label: "GameToken.mintFee", from: current, to: fee, unit: "ETH" }], () => gameToken.updateMintFee(fee));
+    }
+  }
+
+  if (setup.DiceGame?.minBet !== undefined || setup.DiceGame?.maxBet !== undefined) {
+    const currentMin = await diceGame.MIN_BET();
+    const currentMax = await diceGame.MAX_BET();
+    const minBet = setup.DiceGame.minBet !== undefined ? parseAmount(setup.DiceGame.minBet, "DiceGame.minBet") : currentMin;
+    const maxBet = setup.DiceGame.maxBet !== undefined ? parseAmount(setup.DiceGame.maxBet, "DiceGame.maxBet") : currentMax;
+    const changes = [];
+    if (currentMin !== minBet) changes.push({ label: "DiceGame.minBet", from: currentMin, to: minBet, unit: "GT" });
+    if (currentMax !== maxBet) changes.push({ label: "DiceGame.maxBet", from: currentMax, to: maxBet, unit: "GT" });
+    if (changes.length > 0) {
+      addAction(changes, () => diceGame.updateBetLimits(minBet, maxBet));
+    }
+  }
+
+  if (ROUND_FIELDS.some(({ name }) => setup.Lottery?.[name] !== undefined)) {
+    // Compared with the template, not the current round: a round that has sold
+    // tickets keeps its own parameters whatever the template says
+    const template = await lottery.nextRound();
+    const target = {};
+    const changes = [];
+    for (const { name, unit, parse } of ROUND_FIELDS) {
+      const value = setup.Lottery[name];
+      target[name] = value !== undefined ? parse(value, `Lottery.${name}`) : template[name];
+      if (target[name] !== template[name]) {
+        changes.push({ label: `Lottery.${name}`, from: template[name], to: target[name], unit });
+      }
+    }
+    if (changes.length > 0) {
+      addAction(changes, () => lottery.updateNextRound(...ROUND_FIELDS.map(({ name }) => target[name])));
+    }
+  }
+
+  if (setup.Lottery?.prizeTiers !== undefined) {
+    const shares = setup.Lottery.prizeTiers.map((share, i) => parseInteger(share, `Lottery.prizeTiers[${i}]`));
+    const current = await lottery.getNextPrizeTiers();
+    const [from, to] = [current, shares].map((tiers) => tiers.join("/"));
+    if (from !== to) {
+      addAction([{ label: "Lottery.prizeTiers", from, to, unit: "%" }], () => lottery.updatePrizeTiers(shares));
+    }
+  }
+
+  for (const name of GAMES) {
+    if (setup[name]?.bankroll === undefined) continue;
+    const target = parseAmount(setup[name].bankroll, `${name}.bankroll`);
+    const gameAddress = await contracts[name].getAddress();
+    const current = await gameToken.balanceOf(gameAddress);
+    if (current < target) {
+      addAction([{ label: `${name}.bankroll`, from: current, to: target, unit: "GT" }], () => gameToken.mint(gameAddress, target - current));
+    }
+  }
+
+  for (const account of setup.accounts || []) {
+    const { address, signer } = resolveAccount(account, signers);
+
+    if (account.balance !== undefined) {
+      const target = parseAmount(account.balance, `${address} balance`);
+      const current = await gameToken.balanceOf(address);
+      const changes = [{ label: `${address} balance`, from: current, to: target, unit: "GT" }];
+      if (current < target) {
+        addAction(changes, () => gameToken.mint(address, target - current));
+      } else if (current > target) {
+        addAction(changes, () => gameToken.burn(address, current - target));
+      }
+    }
+
+    for (const [name, amount] of Object.entries(account.allowances || {})) {
+      if (!GAMES.includes(name)) {
+        throw new Error(`Unknown game in allowances for ${address}: ${name}`);
+      }
+      const target = parseAmount(amount, `${address} ${name} allowance`);
+      const gameAddress = await contracts[name].getAddress();
+      const current = await gameToken.allowance(address, gameAddress);
+      if (current !== target) {
+        addAction(
+          [{ label: `${address} ${name} allowance`, from: current, to: target, unit: "GT" }],
+          () => gameToken.connect(signer).approve(gameAddress, target)
+        );
+      }
+    }
+  }
+
+  return actions;
+}
+
+/**
+ * Print planned changes as `label: before -> after`
+ * @param {Array<Object>} actions - Actions from planSetup
+ */
+function printSetupDiff(actions) {
+  if (actions.length === 0) {
+    console.log("Setup is up to date, no changes");
+    return;
+  }
+  for (const { changes } of actions) {
+    for (const { label, from, to, unit } of changes) {
+      const format = (value) => (TOKEN_UNITS.includes(unit) ? hre.ethers.formatEther(value) : String(value));
+      console.log(`  ${label}: ${format(from)} -> ${format(to)} ${unit}`);
+    }
+  }
+}
+
+/**
+ * Bring deployed contracts to the state described by the setup
+ * @param {Object} addresses - GameToken, DiceGame and Lottery addresses from the manifest
+ * @param {Object} setup - Setup for the network
+ * @param {Object} options - `dryRun` prints the diff without sending transactions
+ * @returns {Promise<Array<Object>>} Applied (or planned, on a dry run) actions
+ */
+async function applySetup(addresses, setup, { dryRun = false } = {}) {
+  const signers = await hre.ethers.getSigners();
+  const [owner] = signers;
+  const contracts = {};
+  for (const name of ["GameToken", ...GAMES]) {
+    contracts[name] = await hre.ethers.getContractAt(name, addresses[name], owner);
+    const contractOwner = await contracts[name].owner();
+    if (contractOwner !== owner.address) {
+      throw new Error(`${name} is owned by ${contractOwner}, not ${owner.address}; cannot apply setup`);
+    }
+  }
+
+  const actions = await planSetup(contracts, setup, signers);
+  printSetupDiff(actions);
+  if (dryRun) return actions;
+
+  for (const action of actions) {
+    await (await action.send()).wait();
+  }
+  return actions;
+}
+
+module.exports = {
+  loadSetupConfig,
+  planSetup,
+  printSetupDiff,
+  applySetup
+};
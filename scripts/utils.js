@@ -1,17 +1,72 @@
 const hre = require("hardhat");
 const fs = require("fs");
+const path = require("path");
+
+// Manifests are written here and mirrored into the frontend's public folder so
+// the dev server can serve the one matching the wallet's chain.
+const DEPLOYMENTS_DIR = "./deployments";
+const FRONTEND_DEPLOYMENTS_DIR = "./frontend/public/deployments";
+const MANIFEST_INDEX_FILE = "index.json";
+
+/**
+ * Resolve the chain ID of the network hardhat is connected to
+ * @returns {Promise<string>} Chain ID as a decimal string
+ */
+async function getChainId() {
+  return (await hre.ethers.provider.getNetwork()).chainId.toString();
+}
 
 /**
- * Load deployment information from file
- * @returns {Object} Deployment information
+ * Load the deployment manifest for a chain
+ * @param {string} chainId - Chain ID (default: the connected network)
+ * @returns {Promise<Object>} Deployment manifest
  */
-function loadDeploymentInfo() {
-  try {
-    return JSON.parse(fs.readFileSync("./deployment-info.json", "utf8"));
-  } catch (error) {
-    console.error("Error loading deployment info:", error);
-    throw new Error("Please deploy contracts first using: npx hardhat run scripts/deploy.js");
+async function loadDeploymentInfo(chainId) {
+  const targetChainId = chainId || (await getChainId());
+  const manifestPath = path.join(DEPLOYMENTS_DIR, `${targetChainId}.json`);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(
+      `No deployment manifest for chain ${targetChainId}. Deploy first using: npx hardhat run scripts/deploy.js --network <network>`
+    );
   }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+/**
+ * Write a deployment manifest and refresh the chain index
+ * @param {Object} manifest - Manifest with chainId, network and contracts
+ * @returns {string} Path of the written manifest
+ */
+function saveDeploymentManifest(manifest) {
+  const fileName = `${manifest.chainId}.json`;
+
+  for (const dir of [DEPLOYMENTS_DIR, FRONTEND_DEPLOYMENTS_DIR]) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, fileName), JSON.stringify(manifest, null, 2));
+
+    const indexPath = path.join(dir, MANIFEST_INDEX_FILE);
+    const index = fs.existsSync(indexPath)
+      ? JSON.parse(fs.readFileSync(indexPath, "utf8"))
+      : { chains: {} };
+    index.chains[manifest.chainId] = {
+      network: manifest.network,
+      deployedAt: manifest.deployedAt,
+      file: fileName
+    };
+    fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+  }
+
+  return path.join(DEPLOYMENTS_DIR, fileName);
+}
+
+/**
+ * Block number a contract was deployed in
+ * @param {Contract} contract - Deployed contract
+ * @returns {Promise<number>} Deployment block
+ */
+async function getDeploymentBlock(contract) {
+  const receipt = await contract.deploymentTransaction().wait();
+  return receipt.blockNumber;
 }
 
 /**
@@ -80,6 +135,15 @@ async function estimateGas(tx) {
   return await hre.ethers.provider.estimateGas(tx);
 }
 
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 /**
  * Get network information
  * @returns {Promise<Object>} Network information
@@ -93,7 +157,11 @@ async function getNetworkInfo() {
 }
 
 module.exports = {
+  DEPLOYMENTS_DIR,
+  getChainId,
   loadDeploymentInfo,
+  saveDeploymentManifest,
+  getDeploymentBlock,
   getContract,
   formatEther,
   parseEther,
@@ -101,5 +169,6 @@ module.exports = {
   getCurrentTimestamp,
   getBalance,
   estimateGas,
+  sleep,
   getNetworkInfo
 };
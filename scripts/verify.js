@@ -0,0 +1,209 @@
+const hre = require("hardhat");
+const { loadDeploymentInfo } = require("./utils");
+
+/**
+ * Provable-fairness check for a finished dice game or lottery.
+ *
+ * Replays the outcome from the coordinator's RandomWordsFulfilled event and
+ * compares each step with what the game contract recorded. Exits non-zero if
+ * any check fails. `hardhat run` does not forward CLI arguments, so the target
+ * comes from environment variables:
+ *
+ *   VERIFY_GAME   "dice" or "lottery"
+ *   VERIFY_ID     game ID or lottery ID
+ *
+ *   VERIFY_GAME=dice VERIFY_ID=3 npm run verify:game
+ */
+const VRF_EVENTS_ABI = ["event RandomWordsFulfilled(uint256 indexed requestId, uint256[] randomWords)"];
+
+// The replay steps are shared with the frontend's fairness panel, which is an
+// ES module
+const loadReplay = () => import("../frontend/src/services/fairnessReplay.mjs");
+
+/**
+ * Reject a game that was refunded after its VRF request expired, since it has no outcome to replay
+ * @param {Contract} game - DiceGame or Lottery instance
+ * @param {string} eventName - GameRefunded or LotteryRefunded
+ * @param {string} id - Game ID or lottery ID
+ * @param {string} label - Name for the error message
+ */
+async function assertNotRefunded(game, eventName, id, label) {
+  if (!game.interface.getEvent(eventName)) return;
+  const [refunded] = await game.queryFilter(game.filters[eventName](id));
+  if (refunded) throw new Error(`${label} was refunded after its VRF request expired; there is no outcome to verify`);
+}
+
+/**
+ * Verify a dice game: VRF fulfillment, roll derivation and payout
+ * @param {Contract} diceGame - DiceGame instance
+ * @param {Contract} vrfCoordinator - Coordinator instance
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Array<Object>>} Check results
+ */
+async function verifyDiceGame(diceGame, vrfCoordinator, gameId) {
+  const [started] = await diceGame.queryFilter(diceGame.filters.GameStarted(gameId));
+  if (!started) throw new Error(`Dice game ${gameId} not found`);
+  await assertNotRefunded(diceGame, "GameRefunded", gameId, `Dice game ${gameId}`);
+  const [completed] = await diceGame.queryFilter(diceGame.filters.GameCompleted(gameId));
+  if (!completed) throw new Error(`Dice game ${gameId} has not been fulfilled yet`);
+
+  const { findFulfillment, findRollIndex } = await loadReplay();
+  const { betAmount, prediction, player } = started.args;
+  const { rollResult, payout } = completed.args;
+  const rollIndex = await findRollIndex(diceGame, started);
+  const rerequests = await diceGame.queryFilter(
+    diceGame.filters.RandomnessRerequested(started.args.gameId - hre.ethers.toBigInt(rollIndex))
+  );
+  const requestIds = [started.args.requestId, ...rerequests.map((log) => log.args.requestId)];
+  const fulfillment = await findFulfillment(vrfCoordinator, requestIds, completed);
+  const requestId = fulfillment ? fulfillment.args.requestId : started.args.requestId;
+  const randomWord = fulfillment ? fulfillment.args.randomWords[rollIndex] : undefined;
+  console.log(`Dice game ${gameId}: player ${player}, bet ${hre.ethers.formatEther(betAmount)} GT, prediction ${prediction}, request ${requestId}`);
+
+  const checks = [{
+    label: "VRF fulfillment",
+    passed: randomWord !== undefined,
+    detail: fulfillment
+      ? `randomWords[${rollIndex}] = ${randomWord}`
+      : "no RandomWordsFulfilled in the GameCompleted transaction"
+  }];
+
+  if (randomWord !== undefined) {
+    const diceSides = await diceGame.DICE_SIDES();
+    const expectedRoll = (randomWord % diceSides) + 1n;
+    checks.push({
+      label: "Dice roll",
+      passed: expectedRoll === rollResult,
+      detail: `randomWords[${rollIndex}] % ${diceSides} + 1 = ${expectedRoll}, contract rolled ${rollResult}`
+    });
+  } else {
+    checks.push({ label: "Dice roll", passed: false, detail: "no random word to check" });
+  }
+
+  // Every bet type wins on the rolls [winLow, winHigh] and pays like a roll-under
+  // bet with as many winning rolls. Versions without bet types only emit prediction.
+  const winLow = started.args.winLow ?? 1n;
+  const winHigh = started.args.winHigh ?? prediction;
+  const winningRolls = winHigh - winLow + 1n;
+  const won = rollResult >= winLow && rollResult <= winHigh;
+  const expectedPayout = won ? await diceGame.calculatePayout(betAmount, winningRolls) : 0n;
+  checks.push({
+    label: "Payout",
+    passed: expectedPayout === payout,
+    detail: `expected ${hre.ethers.formatEther(expectedPayout)} GT (${won ? `calculatePayout for ${winningRolls} winning rolls` : `roll outside ${winLow}-${winHigh}`}), paid ${hre.ethers.formatEther(payout)} GT`
+  });
+  return checks;
+}
+
+/**
+ * Verify a lottery draw: VRF fulfillment, then the winning ticket and prize of every place
+ * @param {Contract} lottery - Lottery instance
+ * @param {Contract} vrfCoordinator - Coordinator instance
+ * @param {string} lotteryId - Lottery ID
+ * @returns {Promise<Array<Object>>} Check results
+ */
+async function verifyLottery(lottery, vrfCoordinator, lotteryId) {
+  await assertNotRefunded(lottery, "LotteryRefunded", lotteryId, `Lottery ${lotteryId}`);
+  const [drawn] = await lottery.queryFilter(lottery.filters.LotteryDrawn(lotteryId));
+  if (!drawn) throw new Error(`Lottery ${lotteryId} has not been drawn yet`);
+  // Every re-request emits another LotteryDrawRequested
+  const drawRequests = await lottery.queryFilter(lottery.filters.LotteryDrawRequested(lotteryId));
+  if (drawRequests.length === 0) throw new Error(`No draw request found for lottery ${lotteryId}`);
+
+  const { findFulfillment, drawTickets, placePrizes } = await loadReplay();
+  const { winner, winningNumber } = drawn.args;
+  const fulfillment = await findFulfillment(vrfCoordinator, drawRequests.map((log) => log.args.requestId), drawn);
+  const requestId = fulfillment ? fulfillment.args.requestId : drawRequests[0].args.requestId;
+  const info = await lottery.getLotteryInfo(lotteryId);
+  const tierDraws = await lottery.queryFilter(lottery.filters.PrizeTierDrawn(lotteryId));
+  console.log(`Lottery ${lotteryId}: ${info.totalTickets} tickets, ${tierDraws.length} place(s), first place ${winner}, request ${requestId}`);
+
+  const randomWords = fulfillment ? [...fulfillment.args.randomWords] : null;
+  const checks = [{
+    label: "VRF fulfillment",
+    passed: randomWords !== null && randomWords[0] === winningNumber,
+    detail: randomWords === null
+      ? "no RandomWordsFulfilled in the LotteryDrawn transaction"
+      : `${randomWords.length} random word(s), randomWords[0] = ${randomWords[0]}, recorded winning number ${winningNumber}`
+  }];
+  if (randomWords === null) return checks;
+
+  const tierCount = info.prizeTiers.filter((share) => share > 0n).length;
+  const places = Math.min(tierCount, Number(info.totalTickets));
+  checks.push({
+    label: "Places drawn",
+    passed: tierDraws.length === places,
+    detail: `${tierCount} prize tier(s) over ${info.totalTickets} ticket(s) draw ${places} place(s), ${tierDraws.length} PrizeTierDrawn event(s)`
+  });
+
+  const expectedTickets = drawTickets(randomWords, info.totalTickets, places);
+  const expectedPrizes = placePrizes(info, places);
+  expectedTickets.forEach((ticketIndex, i) => {
+    const draw = tierDraws.find((log) => log.args.place === BigInt(i + 1));
+    const holder = hre.ethers.getAddress(hre.ethers.toBeHex(info.tickets[Number(ticketIndex)], 20));
+    checks.push({
+      label: `Place ${i + 1} ticket`,
+      passed: Boolean(draw) && draw.args.ticketIndex === ticketIndex && hre.ethers.getAddress(draw.args.winner) === holder,
+      detail: `ticket ${ticketIndex} of those left, held by ${holder}; recorded ${draw ? `ticket ${draw.args.ticketIndex} for ${draw.args.winner}` : "nothing"}`
+    });
+    checks.push({
+      label: `Place ${i + 1} prize`,
+      passed: Boolean(draw) && draw.args.prize === expectedPrizes[i],
+      detail: `${info.prizeTiers[i]}% share${i === 0 ? " plus undrawn shares and rounding" : ""} of ${hre.ethers.formatEther(info.prizePool)} GT minus ${info.houseEdge}% = ${hre.ethers.formatEther(expectedPrizes[i])} GT, paid ${draw ? hre.ethers.formatEther(draw.args.prize) : "nothing"}`
+    });
+  });
+  return checks;
+}
+
+async function main() {
+  const game = (process.env.VERIFY_GAME || "").toLowerCase();
+  const targetId = process.env.VERIFY_ID;
+  if (!["dice", "lottery"].includes(game) || !/^\d+$/.test(targetId || "")) {
+    throw new Error("Set VERIFY_GAME=dice|lottery and VERIFY_ID=<id>");
+  }
+
+  const deploymentInfo = await loadDeploymentInfo();
+  const vrfCoordinator = new hre.ethers.Contract(
+    deploymentInfo.vrfConfig.coordinator,
+    VRF_EVENTS_ABI,
+    hre.ethers.provider
+  );
+
+  const checks = game === "dice"
+    ? await verifyDiceGame(
+      await hre.ethers.getContractAt("DiceGame", deploymentInfo.contracts.DiceGame),
+      vrfCoordinator,
+      targetId
+    )
+    : await verifyLottery(
+      await hre.ethers.getContractAt("Lottery", deploymentInfo.contracts.Lottery),
+      vrfCoordinator,
+      targetId
+    );
+
+  for (const check of checks) {
+    console.log(`[${check.passed ? "PASS" : "FAIL"}] ${check.label}: ${check.detail}`);
+  }
+
+  if (checks.some((check) => !check.passed)) {
+    process.exitCode = 1;
+    console.log("\nVerification failed");
+  } else {
+    console.log("\nAll checks passed");
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  VRF_EVENTS_ABI,
+  verifyDiceGame,
+  verifyLottery
+};
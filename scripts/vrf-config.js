@@ -0,0 +1,148 @@
+const hre = require("hardhat");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+const LOCAL_CHAIN_IDS = ["31337", "1337"];
+
+const MOCK_KEY_HASH_SEED = "test-key";
+const MOCK_SUBSCRIPTION_ID = "1";
+
+const COORDINATOR_ABI = [
+  "function createSubscription() external returns (uint64 subId)",
+  "function addConsumer(uint64 subId, address consumer) external",
+  "function getSubscription(uint64 subId) external view returns (uint96 balance, uint64 reqCount, address owner, address[] consumers)",
+  "event SubscriptionCreated(uint64 indexed subId, address owner)"
+];
+const LINK_TOKEN_ABI = ["function transferAndCall(address to, uint256 value, bytes data) external returns (bool)"];
+
+/**
+ * Resolve VRF settings for the network being deployed to.
+ *
+ * Values come from `networks.<name>.vrf` in hardhat.config.js, overridden by
+ * environment variables:
+ *
+ *   CHAINLINK_VRF_COORDINATOR        existing coordinator address
+ *   CHAINLINK_VRF_KEY_HASH           gas lane key hash
+ *   CHAINLINK_VRF_SUBSCRIPTION_ID    subscription paying for requests
+ *   CHAINLINK_LINK_TOKEN             LINK token used to fund the subscription
+ *   CHAINLINK_VRF_FUND_AMOUNT        LINK to add to the subscription after deploy (e.g. "5")
+ *
+ * Local networks without a deployed coordinator get the mock. A local network
+ * whose configured coordinator has code (a fork) is a test target: a missing
+ * subscription is created. Live networks must supply coordinator, key hash and
+ * subscription.
+ *
+ * @returns {Promise<Object>} VRF configuration
+ */
+async function resolveVrfConfig() {
+  const chainId = (await hre.ethers.provider.getNetwork()).chainId.toString();
+  const networkConfig = hre.network.config.vrf || {};
+  const pick = (envName, key) => process.env[envName] || networkConfig[key] || null;
+
+  const config = {
+    coordinator: pick("CHAINLINK_VRF_COORDINATOR", "coordinator"),
+    keyHash: pick("CHAINLINK_VRF_KEY_HASH", "keyHash"),
+    subscriptionId: pick("CHAINLINK_VRF_SUBSCRIPTION_ID", "subscriptionId"),
+    linkToken: pick("CHAINLINK_LINK_TOKEN", "linkToken"),
+    fundAmount: pick("CHAINLINK_VRF_FUND_AMOUNT", "fundAmount"),
+    testTarget: LOCAL_NETWORKS.includes(hre.network.name) || LOCAL_CHAIN_IDS.includes(chainId),
+    mock: false
+  };
+
+  if (config.coordinator && !hre.ethers.isAddress(config.coordinator)) {
+    throw new Error(`Invalid VRF coordinator address: ${config.coordinator}`);
+  }
+
+  // A .env written for a live network may name a coordinator that does not
+  // exist on a plain local node; only a fork has code there.
+  if (config.coordinator && config.testTarget) {
+    const code = await hre.ethers.provider.getCode(config.coordinator);
+    if (code === "0x") {
+      console.warn(`No contract at VRF coordinator ${config.coordinator} on ${hre.network.name}; using the mock`);
+      config.coordinator = null;
+    }
+  }
+
+  if (!config.coordinator) {
+    if (!config.testTarget) {
+      throw new Error(
+        `No VRF coordinator configured for ${hre.network.name}; set CHAINLINK_VRF_COORDINATOR or networks.${hre.network.name}.vrf.coordinator`
+      );
+    }
+    return {
+      ...config,
+      mock: true,
+      keyHash: hre.ethers.keccak256(hre.ethers.toUtf8Bytes(MOCK_KEY_HASH_SEED)),
+      subscriptionId: MOCK_SUBSCRIPTION_ID
+    };
+  }
+
+  if (!config.keyHash) {
+    throw new Error(`No VRF key hash configured for ${hre.network.name}; set CHAINLINK_VRF_KEY_HASH`);
+  }
+  if (!config.subscriptionId && !config.testTarget) {
+    throw new Error(`No VRF subscription configured for ${hre.network.name}; set CHAINLINK_VRF_SUBSCRIPTION_ID`);
+  }
+  if (config.subscriptionId && !/^\d+$/.test(config.subscriptionId)) {
+    throw new Error(`Invalid VRF subscription ID: ${config.subscriptionId}`);
+  }
+  return config;
+}
+
+/**
+ * Create a subscription on the configured coordinator
+ * @param {Object} config - Resolved VRF configuration
+ * @param {Signer} signer - Subscription owner
+ * @returns {Promise<string>} New subscription ID
+ */
+async function createSubscription(config, signer) {
+  const coordinator = new hre.ethers.Contract(config.coordinator, COORDINATOR_ABI, signer);
+  const receipt = await (await coordinator.createSubscription()).wait();
+  for (const log of receipt.logs) {
+    const parsed = coordinator.interface.parseLog(log);
+    if (parsed && parsed.name === "SubscriptionCreated") {
+      return parsed.args.subId.toString();
+    }
+  }
+  throw new Error("SubscriptionCreated event not found");
+}
+
+/**
+ * Fund the subscription with LINK via transferAndCall
+ * @param {Object} config - Resolved VRF configuration
+ * @param {Signer} signer - LINK holder
+ */
+async function fundSubscription(config, signer) {
+  if (!config.fundAmount) return;
+  if (!config.linkToken) {
+    throw new Error("CHAINLINK_VRF_FUND_AMOUNT is set but no LINK token is configured (CHAINLINK_LINK_TOKEN)");
+  }
+  const link = new hre.ethers.Contract(config.linkToken, LINK_TOKEN_ABI, signer);
+  const data = hre.ethers.AbiCoder.defaultAbiCoder().encode(["uint64"], [config.subscriptionId]);
+  await (await link.transferAndCall(config.coordinator, hre.ethers.parseEther(config.fundAmount), data)).wait();
+}
+
+/**
+ * Register game contracts as consumers of the subscription when the signer owns it
+ * @param {Object} config - Resolved VRF configuration
+ * @param {Signer} signer - Deployer
+ * @param {Array<string>} consumers - Consumer contract addresses
+ * @returns {Promise<boolean>} True if consumers were added
+ */
+async function addConsumers(config, signer, consumers) {
+  const coordinator = new hre.ethers.Contract(config.coordinator, COORDINATOR_ABI, signer);
+  const subscription = await coordinator.getSubscription(config.subscriptionId);
+  if (subscription.owner.toLowerCase() !== (await signer.getAddress()).toLowerCase()) {
+    return false;
+  }
+  for (const consumer of consumers) {
+    await (await coordinator.addConsumer(config.subscriptionId, consumer)).wait();
+  }
+  return true;
+}
+
+module.exports = {
+  resolveVrfConfig,
+  createSubscription,
+  fundSubscription,
+  addConsumers
+};
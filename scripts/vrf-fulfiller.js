@@ -0,0 +1,188 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const { loadDeploymentInfo, sleep } = require("./utils");
+
+/**
+ * Off-chain fulfiller for VRFCoordinatorV2Mock.
+ *
+ * Watches RandomWordsRequested events and calls fulfillRandomWords once a
+ * request is old enough, so local chains behave like a real oracle with or
+ * without a browser open. Configuration comes from environment variables
+ * because `hardhat run` does not forward CLI arguments:
+ *
+ *   VRF_FULFILL_DELAY_MS   wait this long after first seeing a request (default 0)
+ *   VRF_CONFIRMATIONS      blocks a request must have before fulfilling (default 1)
+ *   VRF_MAX_RETRIES        failed attempts before a request is dropped (default 5)
+ *   VRF_RETRY_BACKOFF_MS   base backoff between attempts, multiplied by attempt count (default 2000)
+ *   VRF_POLL_INTERVAL_MS   how often to poll for new blocks (default 1000)
+ *   VRF_CURSOR_FILE        where the cursor is persisted (default ./vrf-fulfiller-cursor.json)
+ *   VRF_ONCE               "true" to process one pass and exit
+ */
+const config = {
+  delayMs: Number(process.env.VRF_FULFILL_DELAY_MS || 0),
+  confirmations: Math.max(1, Number(process.env.VRF_CONFIRMATIONS || 1)),
+  maxRetries: Number(process.env.VRF_MAX_RETRIES || 5),
+  retryBackoffMs: Number(process.env.VRF_RETRY_BACKOFF_MS || 2000),
+  pollIntervalMs: Number(process.env.VRF_POLL_INTERVAL_MS || 1000),
+  cursorFile: process.env.VRF_CURSOR_FILE || "./vrf-fulfiller-cursor.json",
+  once: process.env.VRF_ONCE === "true"
+};
+
+let stopping = false;
+
+/**
+ * Load the persisted cursor, or start from scratch for a new coordinator
+ * @param {string} coordinatorAddress - Address of the mock coordinator
+ * @returns {Object} Cursor with lastProcessedBlock and pending requests
+ */
+function loadCursor(coordinatorAddress) {
+  const fresh = { coordinator: coordinatorAddress, lastProcessedBlock: -1, pending: {} };
+  if (!fs.existsSync(config.cursorFile)) return fresh;
+
+  try {
+    const cursor = JSON.parse(fs.readFileSync(config.cursorFile, "utf8"));
+    // A redeploy gives a new coordinator; an old cursor would skip its requests.
+    if (cursor.coordinator !== coordinatorAddress) return fresh;
+    return { ...fresh, ...cursor };
+  } catch (error) {
+    console.warn("Ignoring unreadable cursor file:", error.message);
+    return fresh;
+  }
+}
+
+/**
+ * Persist the cursor to disk
+ * @param {Object} cursor - Cursor to save
+ */
+function saveCursor(cursor) {
+  fs.writeFileSync(config.cursorFile, JSON.stringify(cursor, null, 2));
+}
+
+/**
+ * Check whether a request has already been fulfilled (e.g. by a browser tab)
+ * @param {Contract} vrfCoordinator - Mock coordinator instance
+ * @param {string} requestId - Request ID to check
+ * @returns {Promise<boolean>} True if a RandomWordsFulfilled event exists
+ */
+async function isFulfilled(vrfCoordinator, requestId) {
+  const logs = await vrfCoordinator.queryFilter(vrfCoordinator.filters.RandomWordsFulfilled(requestId));
+  return logs.length > 0;
+}
+
+/**
+ * Record new RandomWordsRequested events up to the current head
+ * @param {Contract} vrfCoordinator - Mock coordinator instance
+ * @param {Object} cursor - Cursor to update
+ * @param {number} head - Current block number
+ */
+async function collectRequests(vrfCoordinator, cursor, head) {
+  const fromBlock = cursor.lastProcessedBlock + 1;
+  if (fromBlock > head) return;
+
+  const logs = await vrfCoordinator.queryFilter(
+    vrfCoordinator.filters.RandomWordsRequested(),
+    fromBlock,
+    head
+  );
+  for (const log of logs) {
+    const requestId = log.args.requestId.toString();
+    if (cursor.pending[requestId]) continue;
+    cursor.pending[requestId] = {
+      requester: log.args.requester,
+      blockNumber: log.blockNumber,
+      seenAt: Date.now(),
+      attempts: 0,
+      nextAttemptAt: 0
+    };
+    console.log(`Request ${requestId} from ${log.args.requester} seen in block ${log.blockNumber}`);
+  }
+  cursor.lastProcessedBlock = head;
+}
+
+/**
+ * Fulfill every pending request that is confirmed, delayed and due for an attempt
+ * @param {Contract} vrfCoordinator - Mock coordinator instance
+ * @param {Object} cursor - Cursor to update
+ * @param {number} head - Current block number
+ */
+async function fulfillDueRequests(vrfCoordinator, cursor, head) {
+  const now = Date.now();
+
+  for (const [requestId, request] of Object.entries(cursor.pending)) {
+    if (stopping) return;
+    if (head - request.blockNumber + 1 < config.confirmations) continue;
+    if (now - request.seenAt < config.delayMs) continue;
+    if (now < request.nextAttemptAt) continue;
+
+    try {
+      if (await isFulfilled(vrfCoordinator, requestId)) {
+        console.log(`Request ${requestId} already fulfilled, skipping`);
+        delete cursor.pending[requestId];
+        continue;
+      }
+
+      const tx = await vrfCoordinator.fulfillRandomWords(requestId);
+      await tx.wait();
+      console.log(`Request ${requestId} fulfilled in tx ${tx.hash}`);
+      delete cursor.pending[requestId];
+    } catch (error) {
+      request.attempts += 1;
+      const reason = error.shortMessage || error.message;
+      if (request.attempts > config.maxRetries) {
+        console.error(`Request ${requestId} failed ${request.attempts} times, giving up: ${reason}`);
+        delete cursor.pending[requestId];
+        continue;
+      }
+      request.nextAttemptAt = Date.now() + config.retryBackoffMs * request.attempts;
+      console.warn(`Request ${requestId} attempt ${request.attempts} failed: ${reason}`);
+    }
+  }
+}
+
+async function main() {
+  const deploymentInfo = await loadDeploymentInfo();
+  const coordinatorAddress = deploymentInfo.contracts.VRFCoordinatorV2Mock;
+  if (!coordinatorAddress) {
+    throw new Error("No VRFCoordinatorV2Mock in deployment info; the fulfiller only drives the mock coordinator");
+  }
+
+  const [fulfiller] = await hre.ethers.getSigners();
+  const vrfCoordinator = await hre.ethers.getContractAt("VRFCoordinatorV2Mock", coordinatorAddress, fulfiller);
+  const cursor = loadCursor(coordinatorAddress);
+
+  console.log("VRF fulfiller started");
+  console.log("Coordinator:", coordinatorAddress);
+  console.log("Fulfiller account:", fulfiller.address);
+  console.log("Config:", JSON.stringify(config));
+
+  process.on("SIGINT", () => {
+    stopping = true;
+  });
+  process.on("SIGTERM", () => {
+    stopping = true;
+  });
+
+  while (!stopping) {
+    try {
+      const head = await hre.ethers.provider.getBlockNumber();
+      await collectRequests(vrfCoordinator, cursor, head);
+      await fulfillDueRequests(vrfCoordinator, cursor, head);
+      saveCursor(cursor);
+    } catch (error) {
+      console.error("Fulfiller tick failed:", error.shortMessage || error.message);
+    }
+
+    if (config.once) break;
+    await sleep(config.pollIntervalMs);
+  }
+
+  saveCursor(cursor);
+  console.log("VRF fulfiller stopped. Cursor saved to", config.cursorFile);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
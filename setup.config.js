@@ -0,0 +1,48 @@
+/**
+ * Post-deploy state for each network, applied by scripts/deploy.js and
+ * `npm run setup`. Networks without an entry use `default`.
+ *
+ * Token amounts are GT and the mint fee is ETH, written as decimal strings.
+ *
+ *   GameToken.mintFee       fee charged by mintWithEth
+ *   DiceGame.bankroll       minimum GT held by DiceGame to cover payouts
+ *   DiceGame.minBet/maxBet  bet limits
+ *   Lottery.bankroll        minimum GT held by Lottery
+ *   Lottery.ticketPrice     ticket price of the next rounds
+ *   Lottery.minTickets      tickets sold at which a round draws
+ *   Lottery.maxTickets      most tickets a round sells
+ *   Lottery.duration        seconds from a round's start to its end time
+ *   Lottery.houseEdge       percent of a round's prize pool kept
+ *   Lottery.prizeTiers      percent of the prize per place, first place first
+ *                           These set the template rounds are created from; a
+ *                           round that has sold tickets keeps its parameters.
+ *   accounts                test accounts: `signer` (index into the network's
+ *                           accounts) or `address`, a GT `balance`, and
+ *                           `allowances` per game (signer entries only)
+ */
+const defaults = {
+  GameToken: { mintFee: "0.01" },
+  DiceGame: { bankroll: "1000000", minBet: "0.001", maxBet: "10" },
+  Lottery: {
+    bankroll: "1000000",
+    ticketPrice: "2000",
+    minTickets: 50,
+    maxTickets: 50,
+    duration: 24 * 60 * 60,
+    houseEdge: 5,
+    prizeTiers: [100]
+  },
+  accounts: []
+};
+
+const localAccounts = [1, 2, 3].map((signer) => ({
+  signer,
+  balance: "50000",
+  allowances: { DiceGame: "50000", Lottery: "50000" }
+}));
+
+module.exports = {
+  default: defaults,
+  hardhat: { ...defaults, accounts: localAccounts },
+  localhost: { ...defaults, accounts: localAccounts }
+};
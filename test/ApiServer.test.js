@@ -0,0 +1,237 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventStore } = require("../scripts/event-store");
+const { createServer } = require("../scripts/api-server");
+
+describe("API Server", function () {
+  const token = "0x0000000000000000000000000000000000000001";
+  const diceGame = "0x0000000000000000000000000000000000000002";
+  const lottery = "0x0000000000000000000000000000000000000003";
+  const player = "0x0000000000000000000000000000000000000004";
+  // The games' current versions, deployed by a migration
+  const diceGameV2 = "0x0000000000000000000000000000000000000005";
+  const lotteryV2 = "0x0000000000000000000000000000000000000006";
+  const rival = "0x0000000000000000000000000000000000000007";
+
+  let dataDir;
+  let server;
+  let baseUrl;
+
+  // The indexer's output for a short history across two versions of each
+  // game, written directly to the store
+  const indexedEvents = () => {
+    let logIndex = 0;
+    const addresses = { GameToken: [token], DiceGame: [diceGame, diceGameV2], Lottery: [lottery, lotteryV2] };
+    const event = (contract, name, args, { transactionHash = `0x${logIndex.toString(16)}`, version = 1 } = {}) => ({
+      blockNumber: 1 + logIndex,
+      blockHash: "0x00",
+      transactionHash,
+      logIndex: logIndex++,
+      contract,
+      address: addresses[contract][version - 1],
+      version,
+      event: name,
+      args
+    });
+    const game = (gameId, betAmount, requestId, gamePlayer = player) => ({
+      gameId, player: gamePlayer, betAmount, prediction: "50", betType: "0", winLow: "1", winHigh: "50", requestId
+    });
+    const v2 = { version: 2 };
+
+    return [
+      event("DiceGame", "GameStarted", game("1", "10", "3")),
+      event("DiceGame", "GameCompleted", { gameId: "1", player, rollResult: "20", payout: "19" }),
+      event("DiceGame", "GameStarted", game("2", "20", "4")),
+      // Game 9 started before the index did
+      event("DiceGame", "RandomnessRerequested", { gameId: "9", player, requestId: "5" }),
+      event("Lottery", "LotteryCreated", { lotteryId: "1", startTime: "100", endTime: "200" }),
+      event("GameToken", "Transfer", { from: player, to: lottery, value: "100" }, { transactionHash: "0xa" }),
+      event("Lottery", "TicketPurchased", { lotteryId: "1", player, ticketCount: "2" }, { transactionHash: "0xa" }),
+      event("Lottery", "LotteryDrawRequested", { lotteryId: "1", requestId: "7" }),
+      event("Lottery", "LotteryDrawn", { lotteryId: "1", winner: player, winningNumber: "1", prize: "95" }),
+      event("Lottery", "PrizeTierDrawn", { lotteryId: "1", place: "1", winner: player, ticketIndex: "1", prize: "95" }),
+      event("Lottery", "LotteryCreated", { lotteryId: "2", startTime: "200", endTime: "300" }),
+      event("GameToken", "Transfer", { from: player, to: lottery, value: "50" }, { transactionHash: "0xb" }),
+      event("Lottery", "TicketPurchased", { lotteryId: "2", player, ticketCount: "1" }, { transactionHash: "0xb" }),
+      // Both games migrated; IDs restart in the new versions
+      event("DiceGame", "GameStarted", game("1", "30", "8"), v2),
+      event("DiceGame", "GameCompleted", { gameId: "1", player, rollResult: "80", payout: "0" }, v2),
+      event("DiceGame", "GameStarted", game("2", "5", "9", rival), v2),
+      event("DiceGame", "GameCompleted", { gameId: "2", player: rival, rollResult: "30", payout: "9" }, v2),
+      event("Lottery", "LotteryCreated", { lotteryId: "1", startTime: "300", endTime: "400" }, v2),
+      event("GameToken", "Transfer", { from: rival, to: lotteryV2, value: "40" }, { transactionHash: "0xc" }),
+      event("Lottery", "TicketPurchased", { lotteryId: "1", player: rival, ticketCount: "1" }, { transactionHash: "0xc", ...v2 }),
+      event("GameToken", "Transfer", { from: player, to: lotteryV2, value: "40" }, { transactionHash: "0xd" }),
+      event("Lottery", "TicketPurchased", { lotteryId: "1", player, ticketCount: "1" }, { transactionHash: "0xd", ...v2 })
+    ];
+  };
+
+  const get = async (pathname, method = "GET") => {
+    const response = await fetch(`${baseUrl}${pathname}`, { method });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "api-test-"));
+    const store = new EventStore(dataDir);
+    const events = indexedEvents();
+    store.appendEvents(events);
+    store.writeCheckpoint({
+      contracts: { GameToken: token, DiceGame: diceGameV2, Lottery: lotteryV2 },
+      sources: [
+        { name: "GameToken", address: token, version: 1 },
+        { name: "DiceGame", address: diceGame, version: 1 },
+        { name: "Lottery", address: lottery, version: 1 },
+        { name: "DiceGame", address: diceGameV2, version: 2 },
+        { name: "Lottery", address: lotteryV2, version: 2 }
+      ],
+      lastBlock: events.length,
+      recentBlocks: []
+    });
+
+    server = createServer(store);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe("Players", function () {
+    it("Should list a player's dice games newest version first, then highest ID", async function () {
+      const { status, body } = await get(`/players/${player}/dice-games`);
+      expect(status).to.equal(200);
+      expect(body.map(({ version, address, gameId }) => [version, address, gameId])).to.deep.equal([
+        [2, diceGameV2, "1"],
+        [1, diceGame, "2"],
+        [1, diceGame, "1"]
+      ]);
+    });
+
+    it("Should list a player's lottery rounds newest version first, with their ticket holders", async function () {
+      const { status, body } = await get(`/players/${player}/lotteries`);
+      expect(status).to.equal(200);
+      expect(body.map(({ version, lotteryId }) => [version, lotteryId])).to.deep.equal([[2, "1"], [1, "2"], [1, "1"]]);
+      expect(body[0].holders).to.deep.equal([
+        { player: rival, tickets: 1, spent: "40" },
+        { player, tickets: 1, spent: "40" }
+      ]);
+    });
+
+    it("Should return an empty list for a player without games", async function () {
+      const { status, body } = await get(`/players/${token}/dice-games`);
+      expect(status).to.equal(200);
+      expect(body).to.deep.equal([]);
+    });
+  });
+
+  describe("Lotteries", function () {
+    it("Should return the newest round of the current version", async function () {
+      const { status, body } = await get("/lotteries/current");
+      expect(status).to.equal(200);
+      expect(body).to.include({ lotteryId: "1", version: 2, address: lotteryV2, totalTickets: 2 });
+    });
+
+    it("Should look a round up in the current version unless one is given", async function () {
+      const current = await get("/lotteries/1");
+      expect(current.status).to.equal(200);
+      expect(current.body).to.include({ version: 2, isDrawn: false });
+
+      const retired = await get("/lotteries/1?version=1");
+      expect(retired.status).to.equal(200);
+      expect(retired.body).to.include({ version: 1, address: lottery, isDrawn: true });
+
+      expect((await get("/lotteries/2?version=1")).body).to.include({ lotteryId: "2", version: 1 });
+    });
+
+    it("Should return 404 for a round the version does not have", async function () {
+      const { status, body } = await get("/lotteries/2");
+      expect(status).to.equal(404);
+      expect(body.error).to.equal("Lottery 2 not found");
+    });
+  });
+
+  describe("Requests", function () {
+    it("Should return a lottery request with its round", async function () {
+      const { status, body } = await get("/requests/7");
+      expect(status).to.equal(200);
+      expect(body.game).to.equal("Lottery");
+      expect(body.lottery.lotteryId).to.equal("1");
+      expect(body.lottery.holders).to.deep.equal([{ player, tickets: 2, spent: "100" }]);
+    });
+
+    it("Should report a game that was not indexed as null instead of failing", async function () {
+      const { status, body } = await get("/requests/5");
+      expect(status).to.equal(200);
+      expect(body.gameId).to.equal("9");
+      expect(body.diceGame).to.equal(null);
+      expect(body.diceGames).to.deep.equal([null]);
+    });
+
+    it("Should return 404 for an unknown request", async function () {
+      const { status, body } = await get("/requests/99");
+      expect(status).to.equal(404);
+      expect(body.error).to.equal("Request 99 not found");
+    });
+  });
+
+  describe("House Stats", function () {
+    it("Should count only settled games and rounds, and report pending stakes separately", async function () {
+      const { status, body } = await get("/stats/house");
+      expect(status).to.equal(200);
+      expect(body.diceGame).to.include({
+        games: 4,
+        pending: 1,
+        wins: 2,
+        wagered: "45",
+        paidOut: "28",
+        houseResult: "17",
+        pendingWagered: "20"
+      });
+      expect(body.lottery).to.include({
+        rounds: 3,
+        drawn: 1,
+        pending: 2,
+        tickets: 2,
+        ticketSales: "100",
+        prizesPaid: "95",
+        houseResult: "5",
+        pendingTickets: 3,
+        pendingTicketSales: "130",
+        bankroll: "80"
+      });
+    });
+  });
+
+  describe("Leaderboard", function () {
+    it("Should rank players by net result across versions and honour the limit", async function () {
+      const { status, body } = await get("/leaderboard");
+      expect(status).to.equal(200);
+      expect(body).to.deep.equal([
+        { player: rival, games: 1, wagered: "45", won: "9", net: "-36" },
+        { player, games: 3, wagered: "250", won: "114", net: "-136" }
+      ]);
+
+      const limited = await get("/leaderboard?limit=1");
+      expect(limited.body.map((row) => row.player)).to.deep.equal([rival]);
+    });
+  });
+
+  describe("Routing", function () {
+    it("Should return 404 for an unknown path", async function () {
+      const { status, body } = await get("/players/not-an-address/dice-games");
+      expect(status).to.equal(404);
+      expect(body.error).to.equal("Not found");
+    });
+
+    it("Should reject methods other than GET with 405", async function () {
+      const { status, body } = await get("/health", "POST");
+      expect(status).to.equal(405);
+      expect(body.error).to.equal("Method not allowed");
+    });
+  });
+});
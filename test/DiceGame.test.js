@@ -1,6 +1,34 @@
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
 const { expect } = require("chai");
 
+// Signs an EIP-2612 permit from `owner` letting `spender` pull `value`
+async function signPermit(token, owner, spender, value, deadline) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const domain = {
+    name: await token.name(),
+    version: "1",
+    chainId,
+    verifyingContract: await token.getAddress(),
+  };
+  const types = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+  const message = {
+    owner: owner.address,
+    spender,
+    value,
+    nonce: await token.nonces(owner.address),
+    deadline,
+  };
+  return ethers.Signature.from(await owner.signTypedData(domain, types, message));
+}
+
 describe("DiceGame", function () {
   async function deployContractsFixture() {
     const [owner, player1, player2] = await ethers.getSigners();
@@ -33,7 +61,11 @@ describe("DiceGame", function () {
     await gameToken.mint(player1.address, mintAmount);
     await gameToken.mint(player2.address, mintAmount);
 
-    return { diceGame, gameToken, vrfCoordinator, owner, player1, player2, keyHash, subscriptionId };
+    // Bets may only risk a share of the bankroll
+    const bankroll = ethers.parseEther("100000");
+    await gameToken.mint(await diceGame.getAddress(), bankroll);
+
+    return { diceGame, gameToken, vrfCoordinator, owner, player1, player2, keyHash, subscriptionId, bankroll };
   }
 
   describe("Deployment", function () {
@@ -150,6 +182,46 @@ describe("DiceGame", function () {
     });
   });
 
+  describe("Start Game With Permit", function () {
+    it("Should start a game with a permit for exactly the bet", async function () {
+      const { diceGame, gameToken, player1, bankroll } = await loadFixture(deployContractsFixture);
+      const diceGameAddress = await diceGame.getAddress();
+      const betAmount = ethers.parseEther("1");
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(gameToken, player1, diceGameAddress, betAmount, deadline);
+
+      await expect(diceGame.connect(player1).startGameWithPermit(betAmount, 50, deadline, v, r, s))
+        .to.emit(diceGame, "GameStarted");
+
+      expect(await gameToken.balanceOf(diceGameAddress)).to.equal(bankroll + betAmount);
+      expect(await gameToken.allowance(player1.address, diceGameAddress)).to.equal(0);
+    });
+
+    it("Should still start the game when the permit was already used", async function () {
+      const { diceGame, gameToken, player1, player2 } = await loadFixture(deployContractsFixture);
+      const diceGameAddress = await diceGame.getAddress();
+      const betAmount = ethers.parseEther("1");
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(gameToken, player1, diceGameAddress, betAmount, deadline);
+
+      // Someone front-runs the permit from the mempool
+      await gameToken.connect(player2).permit(player1.address, diceGameAddress, betAmount, deadline, v, r, s);
+
+      await expect(diceGame.connect(player1).startGameWithPermit(betAmount, 50, deadline, v, r, s))
+        .to.emit(diceGame, "GameStarted");
+    });
+
+    it("Should not start a game when the permit does not cover the bet", async function () {
+      const { diceGame, gameToken, player1 } = await loadFixture(deployContractsFixture);
+      const diceGameAddress = await diceGame.getAddress();
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(gameToken, player1, diceGameAddress, ethers.parseEther("1"), deadline);
+
+      await expect(diceGame.connect(player1).startGameWithPermit(ethers.parseEther("2"), 50, deadline, v, r, s))
+        .to.be.revertedWith("ERC20: insufficient allowance");
+    });
+  });
+
   describe("Game Outcome", function () {
     it("Should fulfill first game (gameId 0) successfully", async function () {
       const { diceGame, gameToken, vrfCoordinator, player1 } = await loadFixture(deployContractsFixture);
@@ -256,6 +328,372 @@ describe("DiceGame", function () {
     });
   });
 
+  describe("Bet Types", function () {
+    const BetType = { RollUnder: 0, RollOver: 1, Range: 2, Exact: 3 };
+
+    it("Should quote every bet type with the same house edge", async function () {
+      const { diceGame } = await loadFixture(deployContractsFixture);
+      const betAmount = ethers.parseEther("1");
+
+      // Each quote matches calculatePayout for the same number of winning rolls
+      expect(await diceGame.quotePayout(betAmount, BetType.RollUnder, 30, 0))
+        .to.equal(await diceGame.calculatePayout(betAmount, 30));
+      expect(await diceGame.quotePayout(betAmount, BetType.RollOver, 49, 0))
+        .to.equal(await diceGame.calculatePayout(betAmount, 51));
+      expect(await diceGame.quotePayout(betAmount, BetType.Range, 10, 29))
+        .to.equal(await diceGame.calculatePayout(betAmount, 20));
+      expect(await diceGame.quotePayout(betAmount, BetType.Exact, 7, 0))
+        .to.equal(await diceGame.calculatePayout(betAmount, 1));
+    });
+
+    it("Should return the winning rolls of each bet type", async function () {
+      const { diceGame } = await loadFixture(deployContractsFixture);
+
+      const rollOver = await diceGame.getWinRange(BetType.RollOver, 60, 0);
+      expect(rollOver.winLow).to.equal(61);
+      expect(rollOver.winHigh).to.equal(100);
+
+      const exact = await diceGame.getWinRange(BetType.Exact, 42, 0);
+      expect(exact.winLow).to.equal(42);
+      expect(exact.winHigh).to.equal(42);
+    });
+
+    it("Should not allow invalid bet parameters", async function () {
+      const { diceGame } = await loadFixture(deployContractsFixture);
+      const betAmount = ethers.parseEther("1");
+
+      await expect(diceGame.quotePayout(betAmount, BetType.RollOver, 100, 0))
+        .to.be.revertedWith("DiceGame: Invalid threshold");
+      await expect(diceGame.quotePayout(betAmount, BetType.RollOver, 0, 0))
+        .to.be.revertedWith("DiceGame: Invalid threshold");
+      await expect(diceGame.quotePayout(betAmount, BetType.Range, 30, 20))
+        .to.be.revertedWith("DiceGame: Invalid range");
+      await expect(diceGame.quotePayout(betAmount, BetType.Range, 50, 101))
+        .to.be.revertedWith("DiceGame: Invalid range");
+      await expect(diceGame.quotePayout(betAmount, BetType.Exact, 0, 0))
+        .to.be.revertedWith("DiceGame: Invalid prediction");
+    });
+
+    it("Should record the bet type and winning rolls of a game", async function () {
+      const { diceGame, gameToken, player1 } = await loadFixture(deployContractsFixture);
+      const betAmount = ethers.parseEther("1");
+
+      await gameToken.connect(player1).approve(await diceGame.getAddress(), betAmount);
+      await expect(diceGame.connect(player1).startBet(betAmount, BetType.Range, 20, 40))
+        .to.emit(diceGame, "GameStarted")
+        .withArgs(0, player1.address, betAmount, 20, 1, BetType.Range, 20, 40);
+
+      const game = await diceGame.getGame(0);
+      expect(game.betType).to.equal(BetType.Range);
+      expect(game.prediction).to.equal(20);
+      expect(game.winLow).to.equal(20);
+      expect(game.winHigh).to.equal(40);
+    });
+
+    it("Should settle each bet type against its winning rolls", async function () {
+      const { diceGame, gameToken, vrfCoordinator, player1 } = await loadFixture(deployContractsFixture);
+      const betAmount = ethers.parseEther("1");
+      const bets = [
+        [BetType.RollUnder, 50, 0],
+        [BetType.RollOver, 50, 0],
+        [BetType.Range, 1, 100],
+        [BetType.Range, 25, 75],
+        [BetType.Exact, 13, 0],
+      ];
+
+      await gameToken.mint(await diceGame.getAddress(), ethers.parseEther("1000"));
+      await gameToken.connect(player1).approve(await diceGame.getAddress(), betAmount * BigInt(bets.length));
+
+      for (let i = 0; i < bets.length; i++) {
+        const [betType, a, b] = bets[i];
+        await diceGame.connect(player1).startBet(betAmount, betType, a, b);
+        await vrfCoordinator.fulfillRandomWords(i + 1);
+
+        const game = await diceGame.getGame(i);
+        const won = game.rollResult >= game.winLow && game.rollResult <= game.winHigh;
+        const quote = await diceGame.quotePayout(betAmount, betType, a, b);
+        expect(game.payout).to.equal(won ? quote : 0n);
+      }
+
+      // A range covering every roll always wins
+      expect((await diceGame.getGame(2)).payout).to.equal(await diceGame.quotePayout(betAmount, BetType.Range, 1, 100));
+    });
+
+    it("Should start any bet type with a permit", async function () {
+      const { diceGame, gameToken, player1 } = await loadFixture(deployContractsFixture);
+      const diceGameAddress = await diceGame.getAddress();
+      const betAmount = ethers.parseEther("1");
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(gameToken, player1, diceGameAddress, betAmount, deadline);
+
+      await expect(diceGame.connect(player1).startBetWithPermit(betAmount, BetType.RollOver, 90, 0, deadline, v, r, s))
+        .to.emit(diceGame, "GameStarted");
+      expect((await diceGame.getGame(0)).winLow).to.equal(91);
+    });
+  });
+
+  describe("Batches", function () {
+    const BetType = { RollUnder: 0, RollOver: 1, Range: 2, Exact: 3 };
+    const CALLBACK_GAS_PER_ROLL = 100000n;
+
+    it("Should start one game per roll with a single VRF request", async function () {
+      const { diceGame, gameToken, vrfCoordinator, player1 } = await loadFixture(deployContractsFixture);
+      const diceGameAddress = await diceGame.getAddress();
+      const betAmount = ethers.parseEther("1");
+
+      await gameToken.connect(player1).approve(diceGameAddress, betAmount * 5n);
+      const tx = diceGame.connect(player1).startBatch(betAmount, 50, 5);
+      await expect(tx).to.changeTokenBalances(gameToken, [player1, diceGame], [-betAmount * 5n, betAmount * 5n]);
+      for (let i = 0; i < 5; i++) {
+        await expect(tx).to.emit(diceGame, "GameStarted")
+          .withArgs(i, player1.address, betAmount, 50, 1, BetType.RollUnder, 1, 50);
+      }
+
+      expect(await vrfCoordinator.getRequestNumWords(1)).to.equal(5);
+      expect(await diceGame.getPlayerGames(player1.address)).to.deep.equal([0n, 1n, 2n, 3n, 4n]);
+      expect(await diceGame.gameIdCounter()).to.equal(5);
+      const lastGame = await diceGame.getGame(4);
+      expect(lastGame.rolls).to.equal(5);
+      expect(lastGame.rollIndex).to.equal(4);
+    });
+
+    it("Should settle every roll of a batch in one callback", async function () {
+      const { diceGame, gameToken, vrfCoordinator, player1 } = await loadFixture(deployContractsFixture);
+      const betAmount = ethers.parseEther("1");
+
+      await gameToken.mint(await diceGame.getAddress(), ethers.parseEther("1000"));
+      await gameToken.connect(player1).approve(await diceGame.getAddress(), betAmount * 4n);
+      await diceGame.connect(player1).startBetBatch(betAmount, BetType.Range, 30, 70, 4);
+
+      const receipt = await (await vrfCoordinator.fulfillRandomWords(1)).wait();
+      const fulfilled = receipt.logs
+        .map((log) => vrfCoordinator.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "RandomWordsFulfilled");
+      const completed = receipt.logs
+        .map((log) => diceGame.interface.parseLog(log))
+        .filter((parsed) => parsed && parsed.name === "GameCompleted");
+      expect(fulfilled.args.randomWords.length).to.equal(4);
+      expect(completed.length).to.equal(4);
+
+      const quote = await diceGame.quotePayout(betAmount, BetType.Range, 30, 70);
+      for (let i = 0; i < 4; i++) {
+        const game = await diceGame.getGame(i);
+        expect(game.isCompleted).to.equal(true);
+        expect(game.rollResult).to.equal((fulfilled.args.randomWords[i] % 100n) + 1n);
+        expect(game.payout).to.equal(game.rollResult >= 30n && game.rollResult <= 70n ? quote : 0n);
+        expect(completed[i].args.gameId).to.equal(i);
+      }
+    });
+
+    it("Should settle a full batch of winning rolls within its callback gas", async function () {
+      const { diceGame, gameToken, vrfCoordinator, player1 } = await loadFixture(deployContractsFixture);
+      const maxRolls = await diceGame.MAX_BATCH_ROLLS();
+      const betAmount = ethers.parseEther("1");
+
+      // Roll-under 100 always wins, so every roll pays out
+      await gameToken.mint(await diceGame.getAddress(), ethers.parseEther("1000"));
+      await gameToken.connect(player1).approve(await diceGame.getAddress(), betAmount * maxRolls);
+      await diceGame.connect(player1).startBatch(betAmount, 100, maxRolls);
+
+      const receipt = await (await vrfCoordinator.fulfillRandomWords(1)).wait();
+      expect(receipt.gasUsed).to.be.lessThan(CALLBACK_GAS_PER_ROLL * maxRolls);
+      expect((await diceGame.getGame(maxRolls - 1n)).payout).to.be.greaterThan(0);
+    });
+
+    it("Should not allow invalid roll counts", async function () {
+      const { diceGame, gameToken, player1 } = await loadFixture(deployContractsFixture);
+      const betAmount = ethers.parseEther("1");
+      const maxRolls = await diceGame.MAX_BATCH_ROLLS();
+
+      await gameToken.connect(player1).approve(await diceGame.getAddress(), betAmount * (maxRolls + 1n));
+      await expect(diceGame.connect(player1).startBatch(betAmount, 50, 0))
+        .to.be.revertedWith("DiceGame: Invalid roll count");
+      await expect(diceGame.connect(player1).startBatch(betAmount, 50, maxRolls + 1n))
+        .to.be.revertedWith("DiceGame: Invalid roll count");
+    });
+
+    it("Should start a batch of any bet type with a permit for the whole stake", async function () {
+      const { diceGame, gameToken, player1 } = await loadFixture(deployContractsFixture);
+      const diceGameAddress = await diceGame.getAddress();
+      const betAmount = ethers.parseEther("1");
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(gameToken, player1, diceGameAddress, betAmount * 3n, deadline);
+
+      await expect(diceGame.connect(player1).startBetBatchWithPermit(betAmount, BetType.Exact, 7, 0, 3, deadline, v, r, s))
+        .to.changeTokenBalance(gameToken, player1, -betAmount * 3n);
+      expect((await diceGame.getGame(2)).winLow).to.equal(7);
+    });
+  });
+
+  describe("Bankroll Limits", function () {
+    const BetType = { RollUnder: 0, RollOver: 1, Range: 2, Exact: 3 };
+
+    // Replaces the fixture's bankroll with a small one so the limit binds below MAX_BET
+    async function smallBankrollFixture() {
+      const fixture = await deployContractsFixture();
+      await fixture.diceGame.withdrawHouseEdge();
+      await fixture.gameToken.mint(await fixture.diceGame.getAddress(), ethers.parseEther("100"));
+      return fixture;
+    }
+
+    it("Should reject bets whose payout exceeds the share of free bankroll", async function () {
+      const { diceGame, gameToken, player1 } = await loadFixture(smallBankrollFixture);
+
+      // 5% of 100 GT
+      expect(await diceGame.maxPayout()).to.equal(ethers.parseEther("5"));
+      const maxBet = await diceGame.getMaxBet(BetType.RollUnder, 50, 0, 1);
+      expect(maxBet).to.be.lessThan(await diceGame.MAX_BET());
+      expect(await diceGame.calculatePayout(maxBet, 50)).to.be.lte(ethers.parseEther("5"));
+
+      await gameToken.connect(player1).approve(await diceGame.getAddress(), ethers.parseEther("10"));
+      await expect(diceGame.connect(player1).startGame(maxBet + ethers.parseEther("0.01"), 50))
+        .to.be.revertedWith("DiceGame: Payout exceeds bankroll limit");
+      await expect(diceGame.connect(player1).startGame(maxBet, 50))
+        .to.emit(diceGame, "GameStarted");
+    });
+
+    it("Should limit a batch by the payout of all its rolls", async function () {
+      const { diceGame, gameToken, player1 } = await loadFixture(smallBankrollFixture);
+      const singleMax = await diceGame.getMaxBet(BetType.RollOver, 80, 0, 1);
+      const batchMax = await diceGame.getMaxBet(BetType.RollOver, 80, 0, 4);
+      expect(batchMax).to.be.lte(singleMax / 4n);
+
+      await gameToken.connect(player1).approve(await diceGame.getAddress(), singleMax * 4n);
+      await expect(diceGame.connect(player1).startBetBatch(singleMax, BetType.RollOver, 80, 0, 4))
+        .to.be.revertedWith("DiceGame: Payout exceeds bankroll limit");
+      await diceGame.connect(player1).startBetBatch(batchMax, BetType.RollOver, 80, 0, 4);
+      expect(await diceGame.totalExposure())
+        .to.equal((await diceGame.quotePayout(batchMax, BetType.RollOver, 80, 0)) * 4n);
+    });
+
+    it("Should reserve open payouts and release them on settlement", async function () {
+      const { diceGame, gameToken, vrfCoordinator, player1 } = await loadFixture(deployContractsFixture);
+      const diceGameAddress = await diceGame.getAddress();
+      const betAmount = ethers.parseEther("1");
+      const freeBefore = await diceGame.freeBankroll();
+
+      await gameToken.connect(player1).approve(diceGameAddress, betAmount * 3n);
+      await diceGame.connect(player1).startBatch(betAmount, 100, 3);
+      // Roll-under 100 pays less than it stakes, so the stake a refund would return is reserved
+      const payout = await diceGame.calculatePayout(betAmount, 100);
+      expect(payout).to.be.lessThan(betAmount);
+      const reserved = betAmount * 3n;
+      expect(await diceGame.totalExposure()).to.equal(reserved);
+      expect(await diceGame.freeBankroll()).to.equal(freeBefore);
+
+      // Roll-under 100 always wins, and is paid in full even after a withdrawal
+      await diceGame.withdrawHouseEdge();
+      expect(await gameToken.balanceOf(diceGameAddress)).to.equal(reserved);
+      await expect(vrfCoordinator.fulfillRandomWords(1))
+        .to.changeTokenBalance(gameToken, player1, payout * 3n);
+      expect(await diceGame.totalExposure()).to.equal(0);
+      expect(await gameToken.balanceOf(diceGameAddress)).to.equal(reserved - payout * 3n);
+    });
+
+    it("Should let only the owner update the payout share", async function () {
+      const { diceGame, player1 } = await loadFixture(deployContractsFixture);
+
+      await expect(diceGame.updateMaxPayoutPercent(20))
+        .to.emit(diceGame, "MaxPayoutPercentUpdated")
+        .withArgs(20);
+      expect(await diceGame.maxPayout()).to.equal((await diceGame.freeBankroll()) * 20n / 100n);
+
+      await expect(diceGame.updateMaxPayoutPercent(0))
+        .to.be.revertedWith("DiceGame: Invalid payout percent");
+      await expect(diceGame.updateMaxPayoutPercent(101))
+        .to.be.revertedWith("DiceGame: Invalid payout percent");
+      await expect(diceGame.connect(player1).updateMaxPayoutPercent(10))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Expired Requests", function () {
+    it("Should let anyone refund a batch once its request expires", async function () {
+      const { diceGame, gameToken, vrfCoordinator, player1, player2 } = await loadFixture(deployContractsFixture);
+      const betAmount = ethers.parseEther("1");
+
+      await gameToken.connect(player1).approve(await diceGame.getAddress(), betAmount * 3n);
+      await diceGame.connect(player1).startBatch(betAmount, 50, 3);
+      const game = await diceGame.getGame(1);
+      expect(await diceGame.refundDeadline(1)).to.equal(game.timestamp + (await diceGame.vrfTimeout()));
+
+      await expect(diceGame.connect(player2).refundExpired(1))
+        .to.be.revertedWith("DiceGame: Request not expired");
+
+      await time.increaseTo(await diceGame.refundDeadline(1));
+      const tx = diceGame.connect(player2).refundExpired(1);
+      await expect(tx).to.changeTokenBalances(gameToken, [player1, diceGame], [betAmount * 3n, -betAmount * 3n]);
+      for (let i = 0; i < 3; i++) {
+        await expect(tx).to.emit(diceGame, "GameRefunded").withArgs(i, player1.address, betAmount);
+        const refunded = await diceGame.getGame(i);
+        expect(refunded.isCompleted).to.equal(true);
+        expect(refunded.isRefunded).to.equal(true);
+        expect(refunded.rollResult).to.equal(0);
+        expect(refunded.payout).to.equal(betAmount);
+      }
+      expect(await diceGame.totalExposure()).to.equal(0);
+
+      // A late fulfillment no longer settles the batch
+      await expect(vrfCoordinator.fulfillRandomWords(1)).to.be.revertedWith("Callback failed");
+      await expect(diceGame.refundExpired(0)).to.be.revertedWith("DiceGame: Game already completed");
+    });
+
+    it("Should not refund settled or unknown games", async function () {
+      const { diceGame, gameToken, vrfCoordinator, player1 } = await loadFixture(deployContractsFixture);
+      const betAmount = ethers.parseEther("1");
+
+      await gameToken.connect(player1).approve(await diceGame.getAddress(), betAmount);
+      await diceGame.connect(player1).startGame(betAmount, 50);
+      await vrfCoordinator.fulfillRandomWords(1);
+      await time.increase(await diceGame.vrfTimeout());
+
+      await expect(diceGame.refundExpired(0)).to.be.revertedWith("DiceGame: Game already completed");
+      await expect(diceGame.refundExpired(1)).to.be.revertedWith("DiceGame: Game does not exist");
+    });
+
+    it("Should let the owner re-request randomness for an expired batch", async function () {
+      const { diceGame, gameToken, vrfCoordinator, player1 } = await loadFixture(deployContractsFixture);
+      const betAmount = ethers.parseEther("1");
+
+      await gameToken.connect(player1).approve(await diceGame.getAddress(), betAmount * 2n);
+      await diceGame.connect(player1).startBatch(betAmount, 50, 2);
+
+      await expect(diceGame.rerequestRandomness(1)).to.be.revertedWith("DiceGame: Request not expired");
+      await time.increase(await diceGame.vrfTimeout());
+      await expect(diceGame.connect(player1).rerequestRandomness(1))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(diceGame.rerequestRandomness(1))
+        .to.emit(diceGame, "RandomnessRerequested")
+        .withArgs(0, player1.address, 2);
+      expect(await vrfCoordinator.getRequestNumWords(2)).to.equal(2);
+
+      // The deadline restarts, and the new request settles the batch
+      await expect(diceGame.refundExpired(0)).to.be.revertedWith("DiceGame: Request not expired");
+      await vrfCoordinator.fulfillRandomWords(2);
+      expect((await diceGame.getGame(0)).isCompleted).to.equal(true);
+      expect((await diceGame.getGame(1)).isCompleted).to.equal(true);
+      expect(await diceGame.totalExposure()).to.equal(0);
+      await expect(vrfCoordinator.fulfillRandomWords(1)).to.be.revertedWith("Callback failed");
+    });
+
+    it("Should let only the owner update the timeout within its bounds", async function () {
+      const { diceGame, player1 } = await loadFixture(deployContractsFixture);
+
+      await expect(diceGame.updateVrfTimeout(2 * 60 * 60))
+        .to.emit(diceGame, "VrfTimeoutUpdated")
+        .withArgs(2 * 60 * 60);
+      expect(await diceGame.vrfTimeout()).to.equal(2 * 60 * 60);
+
+      await expect(diceGame.updateVrfTimeout((await diceGame.MIN_VRF_TIMEOUT()) - 1n))
+        .to.be.revertedWith("DiceGame: Invalid timeout");
+      await expect(diceGame.updateVrfTimeout((await diceGame.MAX_VRF_TIMEOUT()) + 1n))
+        .to.be.revertedWith("DiceGame: Invalid timeout");
+      await expect(diceGame.connect(player1).updateVrfTimeout(2 * 60 * 60))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
   describe("Game History", function () {
     it("Should show game history correctly", async function () {
       const { diceGame, gameToken, player1 } = await loadFixture(deployContractsFixture);
@@ -329,21 +767,24 @@ describe("DiceGame", function () {
       await gameToken.connect(player1).approve(await diceGame.getAddress(), betAmount);
       await diceGame.connect(player1).startGame(betAmount, prediction);
 
-      // House edge (3%) goes to contract
-      const houseEdge = (betAmount * BigInt(3)) / BigInt(100);
+      // The open game's potential payout stays reserved
       const contractBalance = await gameToken.balanceOf(await diceGame.getAddress());
+      const reserved = await diceGame.calculatePayout(betAmount, prediction);
+      expect(await diceGame.totalExposure()).to.equal(reserved);
 
       const ownerInitialBalance = await gameToken.balanceOf(owner.address);
 
       await diceGame.withdrawHouseEdge();
 
       const ownerFinalBalance = await gameToken.balanceOf(owner.address);
-      expect(ownerFinalBalance - ownerInitialBalance).to.equal(contractBalance);
+      expect(ownerFinalBalance - ownerInitialBalance).to.equal(contractBalance - reserved);
+      expect(await gameToken.balanceOf(await diceGame.getAddress())).to.equal(reserved);
     });
 
     it("Should not allow withdrawing when no balance", async function () {
       const { diceGame } = await loadFixture(deployContractsFixture);
 
+      await diceGame.withdrawHouseEdge();
       await expect(diceGame.withdrawHouseEdge())
         .to.be.revertedWith("DiceGame: No tokens to withdraw");
     });
@@ -1,6 +1,34 @@
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
 const { expect } = require("chai");
 
+// Signs an EIP-2612 permit from `owner` letting `spender` pull `value`
+async function signPermit(token, owner, spender, value, deadline) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const domain = {
+    name: await token.name(),
+    version: "1",
+    chainId,
+    verifyingContract: await token.getAddress(),
+  };
+  const types = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+  const message = {
+    owner: owner.address,
+    spender,
+    value,
+    nonce: await token.nonces(owner.address),
+    deadline,
+  };
+  return ethers.Signature.from(await owner.signTypedData(domain, types, message));
+}
+
 // Helper to convert BigInt to string for comparison
 const toBigInt = (val) => BigInt(val);
 
@@ -103,4 +131,38 @@ describe("GameToken", function () {
       expect(allowance).to.equal(approveAmount);
     });
   });
+
+  describe("Permit", function () {
+    it("Should set allowance from a signed permit", async function () {
+      const { gameToken, owner, addr1, addr2 } = await loadFixture(deployTokenFixture);
+      const value = ethers.parseEther("25");
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(gameToken, owner, addr1.address, value, deadline);
+
+      // Anyone can relay the signature
+      await gameToken.connect(addr2).permit(owner.address, addr1.address, value, deadline, v, r, s);
+
+      expect(await gameToken.allowance(owner.address, addr1.address)).to.equal(value);
+      expect(await gameToken.nonces(owner.address)).to.equal(1);
+    });
+
+    it("Should not accept an expired permit", async function () {
+      const { gameToken, owner, addr1 } = await loadFixture(deployTokenFixture);
+      const value = ethers.parseEther("25");
+      const deadline = (await time.latest()) - 1;
+      const { v, r, s } = await signPermit(gameToken, owner, addr1.address, value, deadline);
+
+      await expect(gameToken.permit(owner.address, addr1.address, value, deadline, v, r, s))
+        .to.be.revertedWith("ERC20Permit: expired deadline");
+    });
+
+    it("Should not accept a permit for a different amount", async function () {
+      const { gameToken, owner, addr1 } = await loadFixture(deployTokenFixture);
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(gameToken, owner, addr1.address, ethers.parseEther("1"), deadline);
+
+      await expect(gameToken.permit(owner.address, addr1.address, ethers.parseEther("2"), deadline, v, r, s))
+        .to.be.revertedWith("ERC20Permit: invalid signature");
+    });
+  });
 });
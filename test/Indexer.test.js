@@ -0,0 +1,185 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventStore, recordKey, buildState } = require("../scripts/event-store");
+const { listSources, openCheckpoint, addSources, fetchEvents, handleReorg, indexNextBatch } = require("../scripts/indexer");
+
+describe("Indexer", function () {
+  let dataDirs = [];
+
+  const newStore = () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-test-"));
+    dataDirs.push(dataDir);
+    return new EventStore(dataDir);
+  };
+
+  // Batches are capped, and earlier tests may have mined many blocks
+  const indexToHead = async (store, checkpoint, sources) => {
+    while (!(await indexNextBatch(store, checkpoint, sources)));
+  };
+
+  // listSources with the contracts main() would attach, for those the test deploys
+  const openSources = (deploymentInfo) => Promise.all(
+    listSources(deploymentInfo).filter((source) => source.address).map(async (source) => ({
+      ...source,
+      contract: await ethers.getContractAt(source.abi, source.address)
+    }))
+  );
+
+  afterEach(function () {
+    dataDirs.forEach((dataDir) => fs.rmSync(dataDir, { recursive: true, force: true }));
+    dataDirs = [];
+  });
+
+  async function tokenFixture() {
+    const [owner, player1, player2] = await ethers.getSigners();
+    const GameToken = await ethers.getContractFactory("GameToken");
+    const gameToken = await GameToken.deploy("GameToken", "GT");
+    await gameToken.waitForDeployment();
+    await gameToken.mint(player1.address, ethers.parseEther("100"));
+
+    const sources = [{
+      name: "GameToken",
+      address: await gameToken.getAddress(),
+      version: 1,
+      contract: gameToken
+    }];
+    return { gameToken, sources, owner, player1, player2 };
+  }
+
+  it("Should not duplicate a batch appended before a crash that skipped its checkpoint", async function () {
+    const { gameToken, sources, player1, player2 } = await loadFixture(tokenFixture);
+    const store = newStore();
+    const checkpoint = openCheckpoint(store, sources);
+    await indexToHead(store, checkpoint, sources);
+    const indexedBefore = store.readEvents().length;
+
+    await gameToken.mint(player2.address, ethers.parseEther("5"));
+    await gameToken.connect(player1).transfer(player2.address, ethers.parseEther("1"));
+
+    // The crashed run appended the next batch, and began another line, but never checkpointed
+    const head = await ethers.provider.getBlockNumber();
+    store.appendEvents(await fetchEvents(sources, checkpoint.lastBlock + 1, head));
+    fs.appendFileSync(store.eventsPath, '{"blockNumber":');
+
+    const resumedStore = new EventStore(store.dataDir);
+    const resumed = openCheckpoint(resumedStore, sources);
+    expect(resumed.lastBlock).to.equal(checkpoint.lastBlock);
+    await indexToHead(resumedStore, resumed, sources);
+
+    const cleanStore = newStore();
+    await indexToHead(cleanStore, openCheckpoint(cleanStore, sources), sources);
+
+    const events = resumedStore.readEvents();
+    expect(events).to.have.lengthOf(indexedBefore + 2);
+    expect(events).to.deep.equal(cleanStore.readEvents());
+    expect(resumedStore.readCheckpoint().lastBlock).to.equal(head);
+  });
+
+  it("Should drop the events past the fork point and roll the checkpoint back on a reorg", async function () {
+    const { gameToken, sources, player1, player2 } = await loadFixture(tokenFixture);
+    const store = newStore();
+    const checkpoint = openCheckpoint(store, sources);
+    await indexToHead(store, checkpoint, sources);
+    const forkPoint = checkpoint.lastBlock;
+    const indexedBefore = store.readEvents().length;
+
+    await gameToken.mint(player2.address, ethers.parseEther("5"));
+    await gameToken.connect(player1).transfer(player2.address, ethers.parseEther("1"));
+    await indexToHead(store, checkpoint, sources);
+    expect(store.readEvents()).to.have.lengthOf(indexedBefore + 2);
+    expect(await handleReorg(store, checkpoint)).to.be.false;
+
+    // The block of the newest batch was replaced after it was indexed
+    const latest = checkpoint.recentBlocks[checkpoint.recentBlocks.length - 1];
+    latest.hash = ethers.ZeroHash;
+    expect(await handleReorg(store, checkpoint)).to.be.true;
+
+    expect(store.readEvents()).to.have.lengthOf(indexedBefore);
+    expect(store.readEvents().every((event) => event.blockNumber <= forkPoint)).to.be.true;
+    const saved = store.readCheckpoint();
+    expect(saved.lastBlock).to.equal(forkPoint);
+    expect(saved.recentBlocks[saved.recentBlocks.length - 1].number).to.equal(forkPoint);
+
+    // Indexing again reads the canonical chain from the fork point
+    await indexToHead(store, checkpoint, sources);
+    const cleanStore = newStore();
+    await indexToHead(cleanStore, openCheckpoint(cleanStore, sources), sources);
+    expect(store.readEvents()).to.deep.equal(cleanStore.readEvents());
+  });
+
+  it("Should keep a retired version's events when a migration adds its successor", async function () {
+    const { gameToken, player1 } = await loadFixture(tokenFixture);
+    const VRFCoordinatorV2Mock = await ethers.getContractFactory("VRFCoordinatorV2Mock");
+    const vrfCoordinator = await VRFCoordinatorV2Mock.deploy();
+    const keyHash = ethers.keccak256(ethers.toUtf8Bytes("indexer-test-key"));
+    const Lottery = await ethers.getContractFactory("Lottery");
+    const deployLottery = async () => {
+      const lottery = await Lottery.deploy(await vrfCoordinator.getAddress(), await gameToken.getAddress(), keyHash, 1);
+      await lottery.waitForDeployment();
+      return lottery;
+    };
+    const buyTicket = async (lottery) => {
+      await gameToken.connect(player1).approve(await lottery.getAddress(), await lottery.ticketPrice());
+      await lottery.connect(player1).purchaseTickets(1);
+    };
+    const abis = {
+      GameToken: (await artifacts.readArtifact("GameToken")).abi,
+      Lottery: (await artifacts.readArtifact("Lottery")).abi
+    };
+    await gameToken.mint(player1.address, ethers.parseEther("10000"));
+    const blockOf = async (contract) => (await contract.deploymentTransaction().wait()).blockNumber;
+
+    const oldLottery = await deployLottery();
+    await buyTicket(oldLottery);
+    const manifest = {
+      contracts: { GameToken: await gameToken.getAddress(), Lottery: await oldLottery.getAddress() },
+      blocks: { GameToken: await blockOf(gameToken), Lottery: await blockOf(oldLottery) },
+      abis,
+      lineage: {}
+    };
+    const store = newStore();
+    const sources = await openSources(manifest);
+    const checkpoint = openCheckpoint(store, sources);
+    await indexToHead(store, checkpoint, sources);
+
+    // The migration deploys v2 and retires v1, which still has its round 1
+    const newLottery = await deployLottery();
+    await buyTicket(newLottery);
+    const migrated = {
+      ...manifest,
+      contracts: { ...manifest.contracts, Lottery: await newLottery.getAddress() },
+      blocks: { ...manifest.blocks, Lottery: await blockOf(newLottery) },
+      lineage: { Lottery: [{ address: manifest.contracts.Lottery, startBlock: manifest.blocks.Lottery, abi: abis.Lottery }] }
+    };
+    await buyTicket(oldLottery);
+    // The indexer ran on past the migration before it saw the new manifest
+    await indexToHead(store, checkpoint, sources);
+
+    const resumedSources = await openSources(migrated);
+    const resumed = openCheckpoint(store, resumedSources);
+    expect(resumed.lastBlock).to.equal(checkpoint.lastBlock);
+    expect(await addSources(store, resumed, resumedSources)).to.equal(1);
+    await buyTicket(newLottery);
+    await indexToHead(store, resumed, resumedSources);
+
+    const events = store.readEvents();
+    const blocks = events.map((event) => event.blockNumber);
+    expect(blocks).to.deep.equal([...blocks].sort((a, b) => a - b));
+    const state = buildState(events);
+    const retiredRound = state.lotteries.get(recordKey(1, "1"));
+    const currentRound = state.lotteries.get(recordKey(2, "1"));
+    expect(retiredRound.address).to.equal(manifest.contracts.Lottery);
+    expect(retiredRound.totalTickets).to.equal(2);
+    expect(currentRound.address).to.equal(migrated.contracts.Lottery);
+    expect(currentRound.totalTickets).to.equal(2);
+    expect(currentRound.spent[player1.address]).to.equal((2n * (await newLottery.ticketPrice())).toString());
+
+    expect(store.readCheckpoint().sources.map(({ version, address }) => [version, address])).to.deep.include.members([
+      [1, manifest.contracts.Lottery],
+      [2, migrated.contracts.Lottery]
+    ]);
+  });
+});
@@ -1,6 +1,34 @@
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
 const { expect } = require("chai");
 
+// Signs an EIP-2612 permit from `owner` letting `spender` pull `value`
+async function signPermit(token, owner, spender, value, deadline) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const domain = {
+    name: await token.name(),
+    version: "1",
+    chainId,
+    verifyingContract: await token.getAddress(),
+  };
+  const types = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+  const message = {
+    owner: owner.address,
+    spender,
+    value,
+    nonce: await token.nonces(owner.address),
+    deadline,
+  };
+  return ethers.Signature.from(await owner.signTypedData(domain, types, message));
+}
+
 describe("Lottery", function () {
   async function deployContractsFixture() {
     const [owner, player1, player2, player3] = await ethers.getSigners();
@@ -51,13 +79,14 @@ describe("Lottery", function () {
 
     it("Should have correct house edge", async function () {
       const { lottery } = await loadFixture(deployContractsFixture);
-      expect(await lottery.HOUSE_EDGE()).to.equal(5);
+      expect((await lottery.getLotteryInfo(1)).houseEdge).to.equal(5);
     });
 
     it("Should have correct min and max players", async function () {
       const { lottery } = await loadFixture(deployContractsFixture);
-      expect(await lottery.MIN_PLAYERS()).to.equal(3);
-      expect(await lottery.MAX_PLAYERS()).to.equal(100);
+      const info = await lottery.getLotteryInfo(1);
+      expect(info.minTickets).to.equal(3);
+      expect(info.maxTickets).to.equal(100);
     });
   });
 
@@ -115,6 +144,32 @@ describe("Lottery", function () {
       expect(lotteryInfo.totalTickets).to.equal(3n);
       expect(lotteryInfo.prizePool).to.equal(ticketPrice * 3n);
     });
+
+    it("Should allow purchasing tickets with a permit for exactly their cost", async function () {
+      const { lottery, gameToken, player1 } = await loadFixture(deployContractsFixture);
+      const lotteryAddress = await lottery.getAddress();
+      const totalCost = (await lottery.ticketPrice()) * 2n;
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(gameToken, player1, lotteryAddress, totalCost, deadline);
+
+      await expect(lottery.connect(player1).purchaseTicketsWithPermit(2, deadline, v, r, s))
+        .to.emit(lottery, "TicketPurchased");
+
+      const lotteryInfo = await lottery.getLotteryInfo(1);
+      expect(lotteryInfo.totalTickets).to.equal(2n);
+      expect(await gameToken.allowance(player1.address, lotteryAddress)).to.equal(0);
+    });
+
+    it("Should not allow purchasing more tickets than the permit covers", async function () {
+      const { lottery, gameToken, player1 } = await loadFixture(deployContractsFixture);
+      const lotteryAddress = await lottery.getAddress();
+      const ticketPrice = await lottery.ticketPrice();
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(gameToken, player1, lotteryAddress, ticketPrice, deadline);
+
+      await expect(lottery.connect(player1).purchaseTicketsWithPermit(2, deadline, v, r, s))
+        .to.be.revertedWith("ERC20: insufficient allowance");
+    });
   });
 
   describe("Auto Draw", function () {
@@ -193,6 +248,223 @@ describe("Lottery", function () {
     });
   });
 
+  describe("Round Parameters", function () {
+    const PRICE = ethers.parseEther("1000");
+    const DURATION = 2 * 60 * 60;
+
+    it("Should create the next round from the owner-set template", async function () {
+      const { lottery, gameToken, vrfCoordinator, player1, player2 } = await loadFixture(deployContractsFixture);
+      const lotteryAddress = await lottery.getAddress();
+      const firstPrice = await lottery.ticketPrice();
+      await gameToken.connect(player1).approve(lotteryAddress, firstPrice);
+      await lottery.connect(player1).purchaseTickets(1);
+
+      await expect(lottery.updateNextRound(PRICE, 2, 4, DURATION, 10))
+        .to.emit(lottery, "NextRoundUpdated")
+        .withArgs(PRICE, 2, 4, DURATION, 10);
+
+      // A round that sold tickets keeps its own parameters
+      const first = await lottery.getLotteryInfo(1);
+      expect(first.ticketPrice).to.equal(firstPrice);
+      expect(first.minTickets).to.equal(50);
+      expect(first.maxTickets).to.equal(50);
+      expect(first.duration).to.equal(24 * 60 * 60);
+      expect(first.houseEdge).to.equal(5);
+
+      await time.increaseTo(first.endTime);
+      const [, performData] = await lottery.checkUpkeep("0x");
+      await lottery.performUpkeep(performData);
+      await expect(vrfCoordinator.fulfillRandomWords(1))
+        .to.emit(lottery, "LotteryConfigured")
+        .withArgs(2, PRICE, 2, 4, DURATION, 10, [100]);
+
+      const second = await lottery.getLotteryInfo(2);
+      expect(second.ticketPrice).to.equal(PRICE);
+      expect(second.minTickets).to.equal(2);
+      expect(second.maxTickets).to.equal(4);
+      expect(second.duration).to.equal(DURATION);
+      expect(second.houseEdge).to.equal(10);
+      expect(second.endTime).to.equal(second.startTime + BigInt(DURATION));
+      expect(await lottery.ticketPrice()).to.equal(PRICE);
+
+      // The round draws at its own minTickets and keeps its own house edge
+      await gameToken.connect(player2).approve(lotteryAddress, PRICE * 2n);
+      await expect(lottery.connect(player2).purchaseTickets(2))
+        .to.emit(lottery, "LotteryDrawRequested")
+        .withArgs(2, 2);
+      await expect(vrfCoordinator.fulfillRandomWords(2))
+        .to.changeTokenBalance(gameToken, player2, (PRICE * 2n * 90n) / 100n);
+    });
+
+    it("Should apply the template to the current round until it sells a ticket", async function () {
+      const { lottery, gameToken, player1 } = await loadFixture(deployContractsFixture);
+
+      await expect(lottery.updateNextRound(PRICE, 3, 4, DURATION, 10))
+        .to.emit(lottery, "LotteryConfigured")
+        .withArgs(1, PRICE, 3, 4, DURATION, 10, [100]);
+      const info = await lottery.getLotteryInfo(1);
+      expect(info.ticketPrice).to.equal(PRICE);
+      expect(info.endTime).to.equal(info.startTime + BigInt(DURATION));
+
+      await gameToken.connect(player1).approve(await lottery.getAddress(), PRICE * 5n);
+      await expect(lottery.connect(player1).purchaseTickets(5))
+        .to.be.revertedWith("Lottery: Maximum players reached");
+      await expect(lottery.connect(player1).purchaseTickets(1))
+        .to.changeTokenBalance(gameToken, player1, -PRICE);
+
+      await expect(lottery.updateTicketPrice(PRICE * 2n)).to.not.emit(lottery, "LotteryConfigured");
+      expect(await lottery.ticketPrice()).to.equal(PRICE);
+      expect((await lottery.nextRound()).ticketPrice).to.equal(PRICE * 2n);
+    });
+
+    it("Should reject invalid round parameters", async function () {
+      const { lottery, player1 } = await loadFixture(deployContractsFixture);
+      const maxTickets = await lottery.MAX_TICKETS_LIMIT();
+      const minDuration = await lottery.MIN_ROUND_DURATION();
+      const maxDuration = await lottery.MAX_ROUND_DURATION();
+      const maxHouseEdge = await lottery.MAX_HOUSE_EDGE();
+
+      await expect(lottery.updateNextRound(0, 1, 1, DURATION, 5))
+        .to.be.revertedWith("Lottery: Price must be greater than zero");
+      await expect(lottery.updateNextRound(PRICE, 0, 1, DURATION, 5))
+        .to.be.revertedWith("Lottery: Invalid ticket limits");
+      await expect(lottery.updateNextRound(PRICE, 3, 2, DURATION, 5))
+        .to.be.revertedWith("Lottery: Invalid ticket limits");
+      await expect(lottery.updateNextRound(PRICE, 1, maxTickets + 1n, DURATION, 5))
+        .to.be.revertedWith("Lottery: Invalid ticket limits");
+      await expect(lottery.updateNextRound(PRICE, 1, 1, minDuration - 1n, 5))
+        .to.be.revertedWith("Lottery: Invalid duration");
+      await expect(lottery.updateNextRound(PRICE, 1, 1, maxDuration + 1n, 5))
+        .to.be.revertedWith("Lottery: Invalid duration");
+      await expect(lottery.updateNextRound(PRICE, 1, 1, DURATION, maxHouseEdge + 1n))
+        .to.be.revertedWith("Lottery: Invalid house edge");
+      await expect(lottery.connect(player1).updateNextRound(PRICE, 1, 1, DURATION, 5))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Prize Tiers", function () {
+    const PRICE = ethers.parseEther("1000");
+
+    // Mirrors Lottery._drawTicket: each place takes the (word % remaining)-th
+    // ticket, in ticket order, among those not drawn for an earlier place
+    const drawTickets = (randomWords, totalTickets) => {
+      const drawn = [];
+      return randomWords.slice(0, totalTickets).map((word, count) => {
+        let ticketIndex = Number(word % BigInt(totalTickets - count));
+        for (const earlier of [...drawn].sort((a, b) => a - b)) {
+          if (earlier <= ticketIndex) ticketIndex++;
+        }
+        drawn.push(ticketIndex);
+        return ticketIndex;
+      });
+    };
+
+    const fulfilledWords = async (vrfCoordinator, requestId) => {
+      const [log] = await vrfCoordinator.queryFilter(vrfCoordinator.filters.RandomWordsFulfilled(requestId));
+      return log.args.randomWords;
+    };
+
+    it("Should start with a single first place", async function () {
+      const { lottery } = await loadFixture(deployContractsFixture);
+      expect(await lottery.getNextPrizeTiers()).to.deep.equal([100n]);
+      const info = await lottery.getLotteryInfo(1);
+      expect(info.prizeTiers[0]).to.equal(100);
+      expect(info.prizeTiers.slice(1).every((share) => share === 0n)).to.equal(true);
+    });
+
+    it("Should draw each place without replacement from its own random word", async function () {
+      const { lottery, gameToken, vrfCoordinator, player1, player2, player3 } = await loadFixture(deployContractsFixture);
+      const lotteryAddress = await lottery.getAddress();
+      await lottery.updateNextRound(PRICE, 6, 6, 60 * 60, 5);
+      await expect(lottery.updatePrizeTiers([60, 25, 10, 5]))
+        .to.emit(lottery, "PrizeTiersUpdated")
+        .withArgs([60, 25, 10, 5])
+        .and.to.emit(lottery, "LotteryConfigured")
+        .withArgs(1, PRICE, 6, 6, 60 * 60, 5, [60, 25, 10, 5]);
+
+      for (const player of [player1, player2, player3]) {
+        await gameToken.connect(player).approve(lotteryAddress, PRICE * 2n);
+        await lottery.connect(player).purchaseTickets(2);
+      }
+      expect(await vrfCoordinator.getRequestNumWords(1)).to.equal(4);
+
+      const tx = await vrfCoordinator.fulfillRandomWords(1);
+      const receipt = await tx.wait();
+      const events = receipt.logs
+        .map((log) => { try { return lottery.interface.parseLog(log); } catch (e) { return null; } })
+        .filter((parsed) => parsed?.name === "PrizeTierDrawn");
+
+      const info = await lottery.getLotteryInfo(1);
+      const prize = (PRICE * 6n * 95n) / 100n;
+      const expectedTickets = drawTickets(await fulfilledWords(vrfCoordinator, 1), 6);
+      expect(new Set(expectedTickets).size).to.equal(4);
+      expect(events.map((event) => event.args.place)).to.deep.equal([1n, 2n, 3n, 4n]);
+      expect(events.map((event) => Number(event.args.ticketIndex))).to.deep.equal(expectedTickets);
+      expect(info.winningTickets.map(Number)).to.deep.equal(expectedTickets);
+
+      const lowerPrizes = [25n, 10n, 5n].map((share) => (prize * share) / 100n);
+      const expectedPrizes = [prize - lowerPrizes.reduce((a, b) => a + b, 0n), ...lowerPrizes];
+      const expectedWinners = expectedTickets.map((ticketIndex) => ethers.getAddress(ethers.toBeHex(info.tickets[ticketIndex], 20)));
+      expect(events.map((event) => event.args.prize)).to.deep.equal(expectedPrizes);
+      expect(events.map((event) => event.args.winner)).to.deep.equal(expectedWinners);
+      expect(info.winner).to.equal(expectedWinners[0]);
+      await expect(tx).to.emit(lottery, "LotteryDrawn").withArgs(1, expectedWinners[0], info.winningNumber, expectedPrizes[0]);
+
+      const [winners, prizes] = await lottery.getPrizeWinners(1);
+      expect(winners).to.deep.equal(expectedWinners);
+      expect(prizes).to.deep.equal(expectedPrizes);
+      // The house keeps its edge of the pool
+      expect(await gameToken.balanceOf(lotteryAddress)).to.equal(PRICE * 6n - prize);
+    });
+
+    it("Should give first place the shares of places a small round cannot draw", async function () {
+      const { lottery, gameToken, vrfCoordinator, player1, player2 } = await loadFixture(deployContractsFixture);
+      const lotteryAddress = await lottery.getAddress();
+      await lottery.updatePrizeTiers([50, 30, 20]);
+      const price = await lottery.ticketPrice();
+
+      await gameToken.connect(player1).approve(lotteryAddress, price);
+      await lottery.connect(player1).purchaseTickets(1);
+      await time.increaseTo((await lottery.getLotteryInfo(1)).endTime);
+      await gameToken.connect(player2).approve(lotteryAddress, price);
+      await lottery.connect(player2).purchaseTickets(1);
+      await vrfCoordinator.fulfillRandomWords(1);
+
+      const prize = (price * 2n * 95n) / 100n;
+      const [winners, prizes] = await lottery.getPrizeWinners(1);
+      expect(winners.length).to.equal(2);
+      expect(new Set(winners).size).to.equal(2);
+      expect(prizes).to.deep.equal([prize - (prize * 30n) / 100n, (prize * 30n) / 100n]);
+    });
+
+    it("Should keep a round's tiers once it has sold a ticket", async function () {
+      const { lottery, gameToken, player1 } = await loadFixture(deployContractsFixture);
+      await gameToken.connect(player1).approve(await lottery.getAddress(), await lottery.ticketPrice());
+      await lottery.connect(player1).purchaseTickets(1);
+
+      await expect(lottery.updatePrizeTiers([70, 30])).to.not.emit(lottery, "LotteryConfigured");
+      expect((await lottery.getLotteryInfo(1)).prizeTiers[1]).to.equal(0);
+      expect(await lottery.getNextPrizeTiers()).to.deep.equal([70n, 30n]);
+    });
+
+    it("Should reject invalid prize tiers", async function () {
+      const { lottery, player1 } = await loadFixture(deployContractsFixture);
+      const maxTiers = Number(await lottery.MAX_PRIZE_TIERS());
+
+      await expect(lottery.updatePrizeTiers([]))
+        .to.be.revertedWith("Lottery: Invalid prize tiers");
+      await expect(lottery.updatePrizeTiers(Array(maxTiers + 1).fill(1)))
+        .to.be.revertedWith("Lottery: Invalid prize tiers");
+      await expect(lottery.updatePrizeTiers([100, 0]))
+        .to.be.revertedWith("Lottery: Invalid prize tiers");
+      await expect(lottery.updatePrizeTiers([60, 25, 10]))
+        .to.be.revertedWith("Lottery: Prize tiers must total 100");
+      await expect(lottery.connect(player1).updatePrizeTiers([100]))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
   describe("House Edge", function () {
     it("Should correctly calculate house edge (5%)", async function () {
       const { lottery, gameToken, player1, player2, player3, vrfCoordinator } = await loadFixture(deployContractsFixture);
@@ -222,6 +494,23 @@ describe("Lottery", function () {
       expect(lottery2Info.prizePool).to.equal(ticketPrice);
       expect(lottery2Info.totalTickets).to.equal(1n);
     });
+
+    it("Should let the owner withdraw only the house edge of drawn rounds", async function () {
+      const { lottery, gameToken, owner, player1, vrfCoordinator } = await loadFixture(deployContractsFixture);
+      await lottery.updateNextRound(ethers.parseEther("100"), 2, 2, 60 * 60, 5);
+      const ticketPrice = await lottery.ticketPrice();
+      await gameToken.connect(player1).approve(await lottery.getAddress(), ticketPrice * 3n);
+      await lottery.connect(player1).purchaseTickets(2);
+      await vrfCoordinator.fulfillRandomWords(1);
+      await lottery.connect(player1).purchaseTickets(1);
+
+      // Round 1's 5% stays behind; round 2's open pool is reserved
+      const houseEdge = (ticketPrice * 2n * 5n) / 100n;
+      expect(await lottery.reservedPrizePools()).to.equal(ticketPrice);
+      expect(await lottery.freeBankroll()).to.equal(houseEdge);
+      await expect(lottery.withdrawHouseEdge()).to.changeTokenBalance(gameToken, owner, houseEdge);
+      expect(await gameToken.balanceOf(await lottery.getAddress())).to.equal(ticketPrice);
+    });
   });
 
   describe("Multiple Lotteries", function () {
@@ -278,4 +567,238 @@ describe("Lottery", function () {
       expect(lottery1Info.totalTickets).to.equal(1);
     });
   });
+
+  describe("Expired Draws", function () {
+    // Player 1 buys two tickets and player 2 one after the round ends, which requests the draw
+    async function pendingDrawFixture() {
+      const fixture = await deployContractsFixture();
+      const { lottery, gameToken, player1, player2 } = fixture;
+      const lotteryAddress = await lottery.getAddress();
+      const ticketPrice = await lottery.ticketPrice();
+
+      await gameToken.connect(player1).approve(lotteryAddress, ticketPrice * 2n);
+      await lottery.connect(player1).purchaseTickets(2);
+      await time.increase((await lottery.nextRound()).duration);
+      await gameToken.connect(player2).approve(lotteryAddress, ticketPrice);
+      await lottery.connect(player2).purchaseTickets(1);
+
+      return { ...fixture, ticketPrice };
+    }
+
+    it("Should let anyone refund every ticket once the draw request expires", async function () {
+      const { lottery, gameToken, vrfCoordinator, player1, player2, player3, ticketPrice } = await loadFixture(pendingDrawFixture);
+      const requestedAt = (await lottery.getLotteryInfo(1)).drawRequestedAt;
+      expect(await lottery.refundDeadline(1)).to.equal(requestedAt + (await lottery.vrfTimeout()));
+
+      await expect(lottery.connect(player3).refundExpiredDraw(1))
+        .to.be.revertedWith("Lottery: Draw not expired");
+
+      await time.increaseTo(await lottery.refundDeadline(1));
+      const tx = lottery.connect(player3).refundExpiredDraw(1);
+      await expect(tx).to.changeTokenBalances(gameToken, [player1, player2], [ticketPrice * 2n, ticketPrice]);
+      await expect(tx).to.emit(lottery, "LotteryRefunded").withArgs(1, ticketPrice * 3n);
+
+      const info = await lottery.getLotteryInfo(1);
+      expect(info.isRefunded).to.equal(true);
+      expect(info.isDrawn).to.equal(false);
+      expect(info.prizePool).to.equal(0);
+      expect(await lottery.pendingDraw()).to.equal(false);
+      expect(await lottery.currentLotteryId()).to.equal(2);
+
+      // A late fulfillment no longer draws the lottery
+      await expect(vrfCoordinator.fulfillRandomWords(1)).to.be.revertedWith("Callback failed");
+      await expect(lottery.refundExpiredDraw(1)).to.be.revertedWith("Lottery: No pending draw");
+    });
+
+    it("Should keep a pending draw's prize pool from withdrawHouseEdge so it can still be refunded", async function () {
+      const { lottery, gameToken, owner, player1, player2, ticketPrice } = await loadFixture(pendingDrawFixture);
+      const houseFunds = ethers.parseEther("100");
+      await gameToken.mint(await lottery.getAddress(), houseFunds);
+      expect(await lottery.reservedPrizePools()).to.equal(ticketPrice * 3n);
+      expect(await lottery.freeBankroll()).to.equal(houseFunds);
+
+      await expect(lottery.withdrawHouseEdge())
+        .to.changeTokenBalances(gameToken, [owner, lottery], [houseFunds, -houseFunds]);
+      await expect(lottery.withdrawHouseEdge()).to.be.revertedWith("Lottery: No tokens to withdraw");
+
+      await time.increaseTo(await lottery.refundDeadline(1));
+      await expect(lottery.refundExpiredDraw(1))
+        .to.changeTokenBalances(gameToken, [player1, player2], [ticketPrice * 2n, ticketPrice]);
+      expect(await lottery.reservedPrizePools()).to.equal(0);
+    });
+
+    it("Should not refund a lottery without a pending draw", async function () {
+      const { lottery } = await loadFixture(deployContractsFixture);
+
+      await expect(lottery.refundExpiredDraw(1)).to.be.revertedWith("Lottery: No pending draw");
+      expect(await lottery.refundDeadline(1)).to.equal(0);
+    });
+
+    it("Should let the owner re-request an expired draw", async function () {
+      const { lottery, vrfCoordinator, player1 } = await loadFixture(pendingDrawFixture);
+
+      await expect(lottery.rerequestDraw(1)).to.be.revertedWith("Lottery: Draw not expired");
+      await time.increase(await lottery.vrfTimeout());
+      await expect(lottery.connect(player1).rerequestDraw(1))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(lottery.rerequestDraw(1))
+        .to.emit(lottery, "LotteryDrawRequested")
+        .withArgs(1, 2);
+
+      // The deadline restarts, and the new request draws the lottery
+      await expect(lottery.refundExpiredDraw(1)).to.be.revertedWith("Lottery: Draw not expired");
+      await vrfCoordinator.fulfillRandomWords(2);
+      expect((await lottery.getLotteryInfo(1)).isDrawn).to.equal(true);
+      expect(await lottery.currentLotteryId()).to.equal(2);
+      await expect(vrfCoordinator.fulfillRandomWords(1)).to.be.revertedWith("Callback failed");
+    });
+
+    it("Should let only the owner update the timeout within its bounds", async function () {
+      const { lottery, player1 } = await loadFixture(deployContractsFixture);
+
+      await expect(lottery.updateVrfTimeout(2 * 60 * 60))
+        .to.emit(lottery, "VrfTimeoutUpdated")
+        .withArgs(2 * 60 * 60);
+      expect(await lottery.vrfTimeout()).to.equal(2 * 60 * 60);
+
+      await expect(lottery.updateVrfTimeout((await lottery.MIN_VRF_TIMEOUT()) - 1n))
+        .to.be.revertedWith("Lottery: Invalid timeout");
+      await expect(lottery.updateVrfTimeout((await lottery.MAX_VRF_TIMEOUT()) + 1n))
+        .to.be.revertedWith("Lottery: Invalid timeout");
+      await expect(lottery.connect(player1).updateVrfTimeout(2 * 60 * 60))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Upkeep", function () {
+    const encodeLotteryId = (lotteryId) => ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [lotteryId]);
+
+    it("Should let anyone draw a round with tickets once it ends", async function () {
+      const { lottery, gameToken, vrfCoordinator, player1, player3 } = await loadFixture(deployContractsFixture);
+      const ticketPrice = await lottery.ticketPrice();
+      await gameToken.connect(player1).approve(await lottery.getAddress(), ticketPrice * 3n);
+      await lottery.connect(player1).purchaseTickets(3);
+
+      const [notNeeded] = await lottery.checkUpkeep("0x");
+      expect(notNeeded).to.equal(false);
+      await expect(lottery.connect(player3).performUpkeep(encodeLotteryId(1)))
+        .to.be.revertedWith("Lottery: Upkeep not needed");
+
+      await time.increase((await lottery.nextRound()).duration);
+      const [upkeepNeeded, performData] = await lottery.checkUpkeep("0x");
+      expect(upkeepNeeded).to.equal(true);
+      expect(performData).to.equal(encodeLotteryId(1));
+
+      await expect(lottery.connect(player3).performUpkeep(performData))
+        .to.emit(lottery, "LotteryDrawRequested")
+        .withArgs(1, 1);
+      expect(await lottery.pendingDraw()).to.equal(true);
+      expect((await lottery.checkUpkeep("0x"))[0]).to.equal(false);
+
+      await vrfCoordinator.fulfillRandomWords(1);
+      const info = await lottery.getLotteryInfo(1);
+      expect(info.isDrawn).to.equal(true);
+      expect(info.winner).to.equal(player1.address);
+      expect(await lottery.currentLotteryId()).to.equal(2);
+    });
+
+    it("Should extend a round without tickets instead of drawing it", async function () {
+      const { lottery, gameToken, player1 } = await loadFixture(deployContractsFixture);
+      const drawInterval = (await lottery.nextRound()).duration;
+      await time.increase(drawInterval);
+      expect((await lottery.checkUpkeep("0x"))[0]).to.equal(true);
+
+      const tx = await lottery.performUpkeep(encodeLotteryId(1));
+      const newEndTime = BigInt(await time.latest()) + drawInterval;
+      await expect(tx).to.emit(lottery, "LotteryExtended").withArgs(1, newEndTime);
+      await expect(tx).to.not.emit(lottery, "LotteryDrawRequested");
+
+      const info = await lottery.getLotteryInfo(1);
+      expect(info.endTime).to.equal(newEndTime);
+      expect(info.isActive).to.equal(true);
+      expect(await lottery.currentLotteryId()).to.equal(1);
+      expect((await lottery.checkUpkeep("0x"))[0]).to.equal(false);
+
+      // The extended round still sells tickets
+      await gameToken.connect(player1).approve(await lottery.getAddress(), await lottery.ticketPrice());
+      await expect(lottery.connect(player1).purchaseTickets(1)).to.emit(lottery, "TicketPurchased");
+    });
+
+    it("Should keep an extended round's end time when the template changes", async function () {
+      const { lottery, gameToken, player1 } = await loadFixture(deployContractsFixture);
+      await time.increase((await lottery.nextRound()).duration);
+      await lottery.performUpkeep(encodeLotteryId(1));
+      const extendedEndTime = (await lottery.getLotteryInfo(1)).endTime;
+
+      // startTime + 1 hour is already past; the round must not become drawable again
+      await expect(lottery.updateNextRound(ethers.parseEther("100"), 2, 4, 60 * 60, 5))
+        .to.emit(lottery, "LotteryConfigured");
+      const info = await lottery.getLotteryInfo(1);
+      expect(info.duration).to.equal(60 * 60);
+      expect(info.endTime).to.equal(extendedEndTime);
+      expect((await lottery.checkUpkeep("0x"))[0]).to.equal(false);
+
+      await gameToken.connect(player1).approve(await lottery.getAddress(), ethers.parseEther("100"));
+      await expect(lottery.connect(player1).purchaseTickets(1)).to.not.emit(lottery, "LotteryDrawRequested");
+      expect((await lottery.getLotteryInfo(1)).isActive).to.equal(true);
+    });
+
+    it("Should reject upkeep data for an earlier round", async function () {
+      const { lottery, gameToken, vrfCoordinator, player1 } = await loadFixture(deployContractsFixture);
+      await gameToken.connect(player1).approve(await lottery.getAddress(), await lottery.ticketPrice());
+      await lottery.connect(player1).purchaseTickets(1);
+      await time.increase((await lottery.nextRound()).duration);
+      await lottery.performUpkeep(encodeLotteryId(1));
+      await vrfCoordinator.fulfillRandomWords(1);
+
+      await time.increase((await lottery.nextRound()).duration);
+      await expect(lottery.performUpkeep(encodeLotteryId(1)))
+        .to.be.revertedWith("Lottery: Not the current lottery");
+      await expect(lottery.performUpkeep(encodeLotteryId(2))).to.emit(lottery, "LotteryExtended");
+    });
+  });
+
+  describe("Pause", function () {
+    const encodeLotteryId = (lotteryId) => ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [lotteryId]);
+
+    it("Should only let the owner pause ticket sales", async function () {
+      const { lottery, player1 } = await loadFixture(deployContractsFixture);
+      await expect(lottery.connect(player1).pause()).to.be.revertedWith("Ownable: caller is not the owner");
+      await lottery.pause();
+      await expect(lottery.connect(player1).unpause()).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should stop ticket sales while paused", async function () {
+      const { lottery, gameToken, player1 } = await loadFixture(deployContractsFixture);
+      const ticketPrice = await lottery.ticketPrice();
+      const deadline = BigInt(await time.latest()) + 3600n;
+      const { v, r, s } = await signPermit(gameToken, player1, await lottery.getAddress(), ticketPrice, deadline);
+      await gameToken.connect(player1).approve(await lottery.getAddress(), ticketPrice);
+
+      await expect(lottery.pause()).to.emit(lottery, "Paused");
+      await expect(lottery.connect(player1).purchaseTickets(1)).to.be.revertedWith("Pausable: paused");
+      await expect(lottery.connect(player1).purchaseTicketsWithPermit(1, deadline, v, r, s))
+        .to.be.revertedWith("Pausable: paused");
+
+      await lottery.unpause();
+      await expect(lottery.connect(player1).purchaseTickets(1)).to.emit(lottery, "TicketPurchased");
+    });
+
+    it("Should still draw a round holding tickets but not extend an empty one", async function () {
+      const { lottery, gameToken, vrfCoordinator, player1 } = await loadFixture(deployContractsFixture);
+      await gameToken.connect(player1).approve(await lottery.getAddress(), await lottery.ticketPrice());
+      await lottery.connect(player1).purchaseTickets(1);
+      await lottery.pause();
+
+      await time.increase((await lottery.nextRound()).duration);
+      await expect(lottery.performUpkeep(encodeLotteryId(1))).to.emit(lottery, "LotteryDrawRequested");
+      await vrfCoordinator.fulfillRandomWords(1);
+      expect((await lottery.getLotteryInfo(1)).winner).to.equal(player1.address);
+
+      await time.increase((await lottery.nextRound()).duration);
+      expect((await lottery.checkUpkeep("0x"))[0]).to.equal(false);
+      await expect(lottery.performUpkeep(encodeLotteryId(2))).to.be.revertedWith("Lottery: Upkeep not needed");
+    });
+  });
 });
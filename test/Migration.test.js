@@ -0,0 +1,164 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { migrateGame } = require("../scripts/migrate");
+
+describe("Migration", function () {
+  // A manifest whose game is built from contractName, recorded with the ABI it was deployed with
+  async function deployGame(name, contractName) {
+    const [owner, player1] = await ethers.getSigners();
+
+    const GameToken = await ethers.getContractFactory("GameToken");
+    const gameToken = await GameToken.deploy("GameToken", "GT");
+    await gameToken.waitForDeployment();
+
+    const VRFCoordinatorV2Mock = await ethers.getContractFactory("VRFCoordinatorV2Mock");
+    const vrfCoordinator = await VRFCoordinatorV2Mock.deploy();
+    await vrfCoordinator.waitForDeployment();
+
+    const keyHash = ethers.keccak256(ethers.toUtf8Bytes("migration-test-key"));
+    const Game = await ethers.getContractFactory(contractName);
+    const oldGame = await Game.deploy(
+      await vrfCoordinator.getAddress(),
+      await gameToken.getAddress(),
+      keyHash,
+      1
+    );
+    await oldGame.waitForDeployment();
+
+    await gameToken.mint(player1.address, ethers.parseEther("10000"));
+
+    const manifest = {
+      contracts: {
+        GameToken: await gameToken.getAddress(),
+        [name]: await oldGame.getAddress()
+      },
+      blocks: { [name]: (await oldGame.deploymentTransaction().wait()).blockNumber },
+      vrfConfig: {
+        coordinator: await vrfCoordinator.getAddress(),
+        mock: true,
+        keyHash,
+        subscriptionId: "1"
+      },
+      lineage: {},
+      abis: { [name]: (await artifacts.readArtifact(contractName)).abi }
+    };
+
+    return { gameToken, vrfCoordinator, oldGame, manifest, owner, player1 };
+  }
+
+  // The Lottery is the first version, from before round templates and pausing
+  async function legacyLotteryFixture() {
+    const { oldGame, ...fixture } = await deployGame("Lottery", "LotteryV1");
+    return { ...fixture, oldLottery: oldGame };
+  }
+
+  async function currentLotteryFixture() {
+    const { oldGame, ...fixture } = await deployGame("Lottery", "Lottery");
+    return { ...fixture, oldLottery: oldGame };
+  }
+
+  // The DiceGame is the first version, from before timeout refunds and their GameRefunded event
+  async function legacyDiceGameFixture() {
+    const { oldGame, ...fixture } = await deployGame("DiceGame", "DiceGameV1");
+    return { ...fixture, oldDiceGame: oldGame };
+  }
+
+  // Start a game on the old DiceGame and return its VRF request
+  async function startLegacyGame(gameToken, oldDiceGame, player1) {
+    const betAmount = ethers.parseEther("1");
+    await gameToken.connect(player1).approve(await oldDiceGame.getAddress(), betAmount);
+    const receipt = await (await oldDiceGame.connect(player1).startGame(betAmount, 50)).wait();
+    return oldDiceGame.interface.parseLog(receipt.logs.find((log) => log.address === receipt.to)).args.requestId;
+  }
+
+  it("Should migrate a Lottery deployed with an older ABI", async function () {
+    const { gameToken, oldLottery, manifest, owner } = await loadFixture(legacyLotteryFixture);
+    // migrateGame updates the manifest in place
+    const deploymentInfo = structuredClone(manifest);
+    const oldAddress = await oldLottery.getAddress();
+    const houseFunds = ethers.parseEther("50");
+    await oldLottery.updateTicketPrice(ethers.parseEther("500"));
+    await gameToken.mint(oldAddress, houseFunds);
+
+    await migrateGame(deploymentInfo, "Lottery", owner, false);
+
+    const newAddress = deploymentInfo.contracts.Lottery;
+    expect(newAddress).to.not.equal(oldAddress);
+    const lottery = await ethers.getContractAt("Lottery", newAddress);
+    expect((await lottery.nextRound()).ticketPrice).to.equal(ethers.parseEther("500"));
+    expect(await lottery.getNextPrizeTiers()).to.deep.equal([100n]);
+    expect(await gameToken.balanceOf(newAddress)).to.equal(houseFunds);
+    expect(await gameToken.balanceOf(oldAddress)).to.equal(0);
+
+    const [retired] = deploymentInfo.lineage.Lottery;
+    expect(retired.address).to.equal(oldAddress);
+    expect(retired.migratedTo).to.equal(newAddress);
+    expect(retired.bankrollMoved).to.equal(houseFunds.toString());
+    expect(retired.abi).to.deep.equal(manifest.abis.Lottery);
+    expect(deploymentInfo.abis.Lottery).to.deep.equal((await artifacts.readArtifact("Lottery")).abi);
+  });
+
+  it("Should read an older Lottery's round to refuse migrating it while it holds tickets", async function () {
+    const { gameToken, oldLottery, manifest, owner, player1 } = await loadFixture(legacyLotteryFixture);
+    const deploymentInfo = structuredClone(manifest);
+    const oldAddress = await oldLottery.getAddress();
+    await gameToken.connect(player1).approve(oldAddress, await oldLottery.ticketPrice());
+    await oldLottery.connect(player1).purchaseTickets(1);
+
+    await expect(migrateGame(deploymentInfo, "Lottery", owner, false))
+      .to.be.rejectedWith("Cannot migrate Lottery: lottery 1 holds 1 ticket(s) and has not been drawn");
+    expect(deploymentInfo.contracts.Lottery).to.equal(oldAddress);
+  });
+
+  it("Should pause ticket sales on the retired Lottery", async function () {
+    const { gameToken, oldLottery, manifest, owner, player1 } = await loadFixture(currentLotteryFixture);
+    const deploymentInfo = structuredClone(manifest);
+    const ticketPrice = await oldLottery.ticketPrice();
+
+    await migrateGame(deploymentInfo, "Lottery", owner, false);
+
+    expect(await oldLottery.paused()).to.be.true;
+    await gameToken.connect(player1).approve(await oldLottery.getAddress(), ticketPrice);
+    await expect(oldLottery.connect(player1).purchaseTickets(1)).to.be.revertedWith("Pausable: paused");
+    // Its empty round lapses instead of being extended
+    await time.increaseTo((await oldLottery.getLotteryInfo(1)).endTime);
+    const [upkeepNeeded] = await oldLottery.checkUpkeep("0x");
+    expect(upkeepNeeded).to.be.false;
+
+    const newLottery = await ethers.getContractAt("Lottery", deploymentInfo.contracts.Lottery);
+    await gameToken.connect(player1).approve(deploymentInfo.contracts.Lottery, ticketPrice);
+    await expect(newLottery.connect(player1).purchaseTickets(1))
+      .to.emit(newLottery, "TicketPurchased")
+      .withArgs(1, player1.address, 1);
+  });
+
+  it("Should refuse to migrate an older DiceGame, which has no refund event, with a game waiting for VRF", async function () {
+    const { gameToken, oldDiceGame, manifest, owner, player1 } = await loadFixture(legacyDiceGameFixture);
+    const deploymentInfo = structuredClone(manifest);
+    await startLegacyGame(gameToken, oldDiceGame, player1);
+
+    await expect(migrateGame(deploymentInfo, "DiceGame", owner, false))
+      .to.be.rejectedWith("Cannot migrate DiceGame: 1 dice game(s) waiting for VRF");
+    expect(deploymentInfo.contracts.DiceGame).to.equal(await oldDiceGame.getAddress());
+  });
+
+  it("Should migrate an older DiceGame once its games have settled", async function () {
+    const { gameToken, vrfCoordinator, oldDiceGame, manifest, owner, player1 } = await loadFixture(legacyDiceGameFixture);
+    const deploymentInfo = structuredClone(manifest);
+    const oldAddress = await oldDiceGame.getAddress();
+    await gameToken.mint(oldAddress, ethers.parseEther("50"));
+    await oldDiceGame.updateBetLimits(ethers.parseEther("1"), ethers.parseEther("20"));
+    const requestId = await startLegacyGame(gameToken, oldDiceGame, player1);
+    await vrfCoordinator.fulfillRandomWords(requestId);
+    const bankroll = await gameToken.balanceOf(oldAddress);
+
+    await migrateGame(deploymentInfo, "DiceGame", owner, false);
+
+    const diceGame = await ethers.getContractAt("DiceGame", deploymentInfo.contracts.DiceGame);
+    expect(await diceGame.MIN_BET()).to.equal(ethers.parseEther("1"));
+    expect(await diceGame.MAX_BET()).to.equal(ethers.parseEther("20"));
+    expect(await gameToken.balanceOf(deploymentInfo.contracts.DiceGame)).to.equal(bankroll);
+    expect(await gameToken.balanceOf(oldAddress)).to.equal(0);
+    expect(deploymentInfo.lineage.DiceGame[0].address).to.equal(oldAddress);
+  });
+});
@@ -34,11 +34,15 @@ describe("Platform Integration (GameToken + DiceGame + Lottery)", function () {
     );
     await lottery.waitForDeployment();
 
-    const mintAmount = ethers.parseEther("1000");
+    // Enough for a lottery ticket besides the dice bets
+    const mintAmount = ethers.parseEther("10000");
     await gameToken.mint(player1.address, mintAmount);
     await gameToken.mint(player2.address, mintAmount);
     await gameToken.mint(player3.address, mintAmount);
 
+    // Dice bets may only risk a share of the bankroll
+    await gameToken.mint(await diceGame.getAddress(), ethers.parseEther("1000"));
+
     return {
       owner,
       player1,
@@ -164,10 +168,14 @@ describe("Platform Integration (GameToken + DiceGame + Lottery)", function () {
     await lottery.connect(player1).purchaseTickets(1);
     await lottery.connect(player2).purchaseTickets(1);
     await lottery.connect(player3).purchaseTickets(1);
+    // House funds besides the open round's prize pool
+    await gameToken.mint(await lottery.getAddress(), ethers.parseEther("10"));
 
     const ownerBefore = await gameToken.balanceOf(owner.address);
     const diceBalance = await gameToken.balanceOf(await diceGame.getAddress());
+    const diceReserved = await diceGame.totalExposure();
     const lotteryBalance = await gameToken.balanceOf(await lottery.getAddress());
+    const lotteryReserved = await lottery.reservedPrizePools();
 
     expect(diceBalance).to.be.greaterThan(0);
     expect(lotteryBalance).to.be.greaterThan(0);
@@ -175,10 +183,11 @@ describe("Platform Integration (GameToken + DiceGame + Lottery)", function () {
     await diceGame.withdrawHouseEdge();
     await lottery.withdrawHouseEdge();
 
+    // The open dice game's potential payout stays in DiceGame, the open round's pool in Lottery
     const ownerAfter = await gameToken.balanceOf(owner.address);
-    expect(ownerAfter - ownerBefore).to.equal(diceBalance + lotteryBalance);
+    expect(ownerAfter - ownerBefore).to.equal(diceBalance - diceReserved + lotteryBalance - lotteryReserved);
 
-    expect(await gameToken.balanceOf(await diceGame.getAddress())).to.equal(0);
-    expect(await gameToken.balanceOf(await lottery.getAddress())).to.equal(0);
+    expect(await gameToken.balanceOf(await diceGame.getAddress())).to.equal(diceReserved);
+    expect(await gameToken.balanceOf(await lottery.getAddress())).to.equal(lotteryReserved);
   });
 });
@@ -0,0 +1,97 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { VRF_EVENTS_ABI, verifyDiceGame, verifyLottery } = require("../scripts/verify");
+
+describe("Verify", function () {
+  async function deployGamesFixture() {
+    const [owner, player1, player2, player3] = await ethers.getSigners();
+
+    const GameToken = await ethers.getContractFactory("GameToken");
+    const gameToken = await GameToken.deploy("GameToken", "GT");
+    await gameToken.waitForDeployment();
+
+    const VRFCoordinatorV2Mock = await ethers.getContractFactory("VRFCoordinatorV2Mock");
+    const vrfCoordinator = await VRFCoordinatorV2Mock.deploy();
+    await vrfCoordinator.waitForDeployment();
+
+    const keyHash = ethers.keccak256(ethers.toUtf8Bytes("verify-test-key"));
+    const deployGame = async (name) => {
+      const Game = await ethers.getContractFactory(name);
+      const game = await Game.deploy(await vrfCoordinator.getAddress(), await gameToken.getAddress(), keyHash, 1);
+      await game.waitForDeployment();
+      return game;
+    };
+    const diceGame = await deployGame("DiceGame");
+    const lottery = await deployGame("Lottery");
+
+    for (const player of [player1, player2, player3]) {
+      await gameToken.mint(player.address, ethers.parseEther("10000"));
+    }
+    await gameToken.mint(await diceGame.getAddress(), ethers.parseEther("10000"));
+
+    // verify.js reads the coordinator through the event ABI alone, as it would a live one
+    const vrfEvents = new ethers.Contract(await vrfCoordinator.getAddress(), VRF_EVENTS_ABI, ethers.provider);
+
+    return { gameToken, vrfCoordinator, vrfEvents, diceGame, lottery, owner, player1, player2, player3 };
+  }
+
+  const expectAllPassed = (checks) => {
+    expect(checks.filter((check) => !check.passed)).to.deep.equal([]);
+  };
+
+  it("Should pass every check for each game of a fulfilled dice batch", async function () {
+    const { gameToken, vrfCoordinator, vrfEvents, diceGame, player1 } = await loadFixture(deployGamesFixture);
+    const betAmount = ethers.parseEther("1");
+    const rolls = 5;
+    await gameToken.connect(player1).approve(await diceGame.getAddress(), betAmount * BigInt(rolls));
+    await diceGame.connect(player1).startBatch(betAmount, 50, rolls);
+    const [started] = await diceGame.queryFilter(diceGame.filters.GameStarted());
+    await vrfCoordinator.fulfillRandomWords(started.args.requestId);
+
+    const rolled = new Set();
+    for (let gameId = 0; gameId < rolls; gameId++) {
+      const checks = await verifyDiceGame(diceGame, vrfEvents, gameId.toString());
+      expectAllPassed(checks);
+      expect(checks.map((check) => check.label)).to.deep.equal(["VRF fulfillment", "Dice roll", "Payout"]);
+      rolled.add((await diceGame.getGame(gameId)).rollResult);
+    }
+    // Each game of the batch rolled with its own word
+    expect(rolled.size).to.be.greaterThan(1);
+  });
+
+  it("Should pass every check for each place of a three-tier lottery draw", async function () {
+    const { gameToken, vrfCoordinator, vrfEvents, lottery, player1, player2, player3 } = await loadFixture(deployGamesFixture);
+    const ticketPrice = ethers.parseEther("100");
+    await lottery.updateNextRound(ticketPrice, 6, 6, 60 * 60, 5);
+    await lottery.updatePrizeTiers([60, 25, 15]);
+
+    for (const [player, tickets] of [[player1, 3], [player2, 2], [player3, 1]]) {
+      await gameToken.connect(player).approve(await lottery.getAddress(), ticketPrice * BigInt(tickets));
+      await lottery.connect(player).purchaseTickets(tickets);
+    }
+    const [drawRequest] = await lottery.queryFilter(lottery.filters.LotteryDrawRequested(1));
+    await vrfCoordinator.fulfillRandomWords(drawRequest.args.requestId);
+
+    const checks = await verifyLottery(lottery, vrfEvents, "1");
+    expectAllPassed(checks);
+    expect(checks.map((check) => check.label)).to.deep.equal([
+      "VRF fulfillment",
+      "Places drawn",
+      "Place 1 ticket",
+      "Place 1 prize",
+      "Place 2 ticket",
+      "Place 2 prize",
+      "Place 3 ticket",
+      "Place 3 prize"
+    ]);
+  });
+
+  it("Should reject a dice game still waiting for its randomness", async function () {
+    const { gameToken, diceGame, vrfEvents, player1 } = await loadFixture(deployGamesFixture);
+    const betAmount = ethers.parseEther("1");
+    await gameToken.connect(player1).approve(await diceGame.getAddress(), betAmount);
+    await diceGame.connect(player1).startGame(betAmount, 50);
+
+    await expect(verifyDiceGame(diceGame, vrfEvents, "0")).to.be.rejectedWith("Dice game 0 has not been fulfilled yet");
+  });
+});
@@ -1,5 +1,5 @@
 const hre = require("hardhat");
-const deploymentInfo = require("../deployment-info.json");
+const deploymentInfo = require("../deployments/31337.json");
 
 async function main() {
   const [owner, player1, player2] = await hre.ethers.getSigners();